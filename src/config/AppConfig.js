@@ -0,0 +1,79 @@
+import { fileURLToPath } from 'url';
+
+/**
+ * Configuração centralizada da aplicação
+ *
+ * Os valores são lidos de variáveis de ambiente, com padrões seguros
+ * para desenvolvimento local.
+ */
+export const AppConfig = Object.freeze({
+  database: Object.freeze({
+    // Driver de persistência: 'memory' (padrão), 'file' ou 'sqlite'
+    driver: process.env.DB_DRIVER || 'memory',
+
+    // Diretório onde o driver 'file' grava snapshot e journal
+    dataDir: process.env.DB_DATA_DIR || './data',
+
+    // Arquivo do banco usado pelo driver 'sqlite'
+    sqliteFile: process.env.DB_SQLITE_FILE || './data/database.sqlite'
+  }),
+
+  currency: Object.freeze({
+    // Moeda base (ISO 4217): preços dos produtos, descontos, frete e estatísticas;
+    // pedidos em outras moedas são convertidos pela tabela de cotações (/api/currencies)
+    base: (process.env.BASE_CURRENCY || 'BRL').toUpperCase()
+  }),
+
+  reservations: Object.freeze({
+    // Minutos que um pedido PENDING segura o estoque reservado
+    ttlMinutes: Number(process.env.RESERVATION_TTL_MINUTES) || 30,
+
+    // Intervalo da varredura que libera reservas vencidas
+    sweepIntervalSeconds: Number(process.env.RESERVATION_SWEEP_SECONDS) || 60
+  }),
+
+  cart: Object.freeze({
+    // Minutos sem atividade até o carrinho expirar (padrão: 24 horas)
+    ttlMinutes: Number(process.env.CART_TTL_MINUTES) || 1440
+  }),
+
+  taxes: Object.freeze({
+    // Tabela de alíquotas (JSON); pode ser editada sem alterar o código
+    ratesFile: process.env.TAX_RATES_FILE || fileURLToPath(new URL('./taxRates.json', import.meta.url)),
+
+    // Impostos calculados nos pedidos (ICMS sempre; IPI e ISS opcionais), separados por vírgula
+    strategies: (process.env.TAX_STRATEGIES || 'icms').split(',').map(type => type.trim()).filter(Boolean)
+  }),
+
+  shipping: Object.freeze({
+    // Métodos de entrega (JSON com estratégia e parâmetros de cada método)
+    methodsFile: process.env.SHIPPING_METHODS_FILE || fileURLToPath(new URL('./shippingMethods.json', import.meta.url))
+  }),
+
+  payments: Object.freeze({
+    // Gateway de pagamento ('mock' funciona offline e tem resultados determinísticos)
+    gateway: process.env.PAYMENT_GATEWAY || 'mock',
+
+    // Segredo da assinatura HMAC (X-Payment-Signature) dos callbacks do gateway
+    // (vazio = todos os callbacks são recusados)
+    callbackSecret: process.env.PAYMENT_CALLBACK_SECRET || '',
+
+    // Pagamentos recusados tolerados antes de cancelar o pedido
+    maxAttempts: Number(process.env.PAYMENT_MAX_ATTEMPTS) || 3
+  }),
+
+  invoices: Object.freeze({
+    // Série das notas fiscais (o número é sequencial dentro da série)
+    series: Number(process.env.INVOICE_SERIES) || 1,
+
+    // Emitente impresso nas notas (a UF é a de origem da tabela de impostos)
+    issuerName: process.env.INVOICE_ISSUER_NAME || 'Loja Exemplo LTDA',
+    issuerDocument: process.env.INVOICE_ISSUER_DOCUMENT || '11.222.333/0001-81'
+  }),
+
+  auth: Object.freeze({
+    // Token exigido no cabeçalho X-Admin-Token das rotas administrativas
+    // (vazio = rotas administrativas bloqueadas)
+    adminToken: process.env.ADMIN_TOKEN || ''
+  })
+});
@@ -1,3 +1,17 @@
+import { AppConfig } from './AppConfig.js';
+import { PersistenceDriverFactory } from './persistence/PersistenceDriverFactory.js';
+import { PersistentCollection } from './persistence/PersistentCollection.js';
+import { SecondaryIndex } from './persistence/SecondaryIndex.js';
+import { Product } from '../models/Product.js';
+import { Order } from '../models/Order.js';
+import { Customer } from '../models/Customer.js';
+import { ReturnRequest } from '../models/ReturnRequest.js';
+import { Cart } from '../models/Cart.js';
+import { Payment } from '../models/Payment.js';
+import { Invoice } from '../models/Invoice.js';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { Coupon } from '../models/Coupon.js';
+
 /**
  * PADRÃO SINGLETON
  * 
@@ -9,21 +23,77 @@
  * - Reduz uso de memória (uma única instância)
  * - Ponto global de acesso aos dados
  * - Facilita sincronização e controle de concorrência
+ *
+ * A durabilidade dos dados é delegada a um driver de persistência
+ * (AppConfig.database.driver): 'memory' mantém o comportamento volátil,
+ * 'file' grava snapshot + journal em disco.
  */
 export class Database {
   // Instância única (privada)
   static #instance = null;
 
+  // Coleções persistidas, na ordem em que devem ser restauradas
+  static #COLLECTIONS = ['customers', 'products', 'orders', 'returns', 'carts', 'payments', 'invoices', 'exchangeRates', 'coupons'];
+
+  // Índices secundários mantidos a cada escrita (coleção -> nome -> chave da entidade)
+  static #INDEXES = {
+    customers: {
+      email: customer => customer.email,
+      document: customer => customer.document
+    },
+    products: {
+      category: product => product.category,
+      name: product => product.name.toLowerCase()
+    },
+    orders: {
+      status: order => order.status,
+      customerId: order => order.customerId
+    },
+    returns: {
+      orderId: request => request.orderId
+    },
+    carts: {
+      customerId: cart => cart.customerId
+    },
+    payments: {
+      orderId: payment => payment.orderId,
+      transactionId: payment => payment.transactionId
+    },
+    invoices: {
+      orderId: invoice => invoice.orderId
+    }
+  };
+
   // Armazenamento em memória (simula um banco de dados)
   #data = {
-    products: new Map(),
-    orders: new Map(),
+    customers: new PersistentCollection('customers', change => this.#onChange(change)),
+    products: new PersistentCollection('products', change => this.#onChange(change)),
+    orders: new PersistentCollection('orders', change => this.#onChange(change)),
+    returns: new PersistentCollection('returns', change => this.#onChange(change)),
+    carts: new PersistentCollection('carts', change => this.#onChange(change)),
+    payments: new PersistentCollection('payments', change => this.#onChange(change)),
+    invoices: new PersistentCollection('invoices', change => this.#onChange(change)),
+    // Cotações são identificadas pelo código da moeda (sem contador)
+    exchangeRates: new PersistentCollection('exchangeRates', change => this.#onChange(change)),
+    // Cupons também usam o código como chave
+    coupons: new PersistentCollection('coupons', change => this.#onChange(change)),
     counters: {
+      customers: 0,
       products: 0,
-      orders: 0
+      orders: 0,
+      returns: 0,
+      carts: 0,
+      payments: 0,
+      invoices: 0
     }
   };
 
+  // Índices secundários das coleções
+  #indexes = {};
+
+  // Driver responsável pela durabilidade dos dados
+  #driver;
+
   /**
    * Construtor privado - impede instanciação direta
    * Apenas o método getInstance() pode criar a instância
@@ -33,7 +103,15 @@ export class Database {
       throw new Error('Use Database.getInstance() para obter a instância');
     }
     
-    console.log('📦 Database Singleton criado');
+    for (const [collection, definitions] of Object.entries(Database.#INDEXES)) {
+      this.#indexes[collection] = {};
+      for (const [name, keyOf] of Object.entries(definitions)) {
+        this.#indexes[collection][name] = new SecondaryIndex(name, keyOf);
+      }
+    }
+
+    this.#driver = PersistenceDriverFactory.create(AppConfig.database);
+    console.log(`📦 Database Singleton criado (driver: ${this.#driver.getName()})`);
     this.initializeMockData();
   }
 
@@ -56,6 +134,13 @@ export class Database {
     // Dados iniciais serão criados via API
   }
 
+  /**
+   * Obtém a coleção de clientes
+   */
+  getCustomersCollection() {
+    return this.#data.customers;
+  }
+
   /**
    * Obtém a coleção de produtos
    */
@@ -70,28 +155,168 @@ export class Database {
     return this.#data.orders;
   }
 
+  /**
+   * Obtém a coleção de devoluções
+   */
+  getReturnsCollection() {
+    return this.#data.returns;
+  }
+
+  /**
+   * Obtém a coleção de carrinhos
+   */
+  getCartsCollection() {
+    return this.#data.carts;
+  }
+
+  /**
+   * Obtém a coleção de pagamentos
+   */
+  getPaymentsCollection() {
+    return this.#data.payments;
+  }
+
+  /**
+   * Obtém a coleção de notas fiscais
+   */
+  getInvoicesCollection() {
+    return this.#data.invoices;
+  }
+
+  /**
+   * Obtém a coleção de cotações de moedas
+   */
+  getExchangeRatesCollection() {
+    return this.#data.exchangeRates;
+  }
+
+  /**
+   * Obtém a coleção de cupons
+   */
+  getCouponsCollection() {
+    return this.#data.coupons;
+  }
+
+  /**
+   * Busca IDs através de um índice secundário
+   * @param {string} collection - Nome da coleção (ex.: 'products')
+   * @param {string} indexName - Nome do índice (ex.: 'category')
+   * @param {*} key - Valor procurado
+   */
+  findIdsByIndex(collection, indexName, key) {
+    const index = this.#indexes[collection]?.[indexName];
+    if (!index) {
+      throw new Error(`Índice desconhecido: ${collection}.${indexName}`);
+    }
+    return index.lookup(key);
+  }
+
+  /**
+   * Retorna o nome do driver de persistência em uso
+   */
+  getDriverName() {
+    return this.#driver.getName();
+  }
+
+  /**
+   * Obtém a conexão SQL (apenas drivers SQL, ex.: 'sqlite')
+   */
+  getConnection() {
+    if (typeof this.#driver.getConnection !== 'function') {
+      throw new Error(`Driver ${this.#driver.getName()} não oferece conexão SQL`);
+    }
+    return this.#driver.getConnection();
+  }
+
+  /**
+   * Executa a função como uma transação do driver de persistência
+   */
+  async transaction(work) {
+    return this.#driver.transaction(work);
+  }
+
+  /**
+   * Indica se o driver desfaz sozinho as escritas de uma transação com erro
+   */
+  isTransactional() {
+    return this.#driver.isTransactional();
+  }
+
+  /**
+   * Gera próximo ID para clientes
+   */
+  getNextCustomerId() {
+    return this.#nextId('customers');
+  }
+
   /**
    * Gera próximo ID para produtos
    */
   getNextProductId() {
-    return ++this.#data.counters.products;
+    return this.#nextId('products');
   }
 
   /**
    * Gera próximo ID para pedidos
    */
   getNextOrderId() {
-    return ++this.#data.counters.orders;
+    return this.#nextId('orders');
+  }
+
+  /**
+   * Gera próximo ID para devoluções
+   */
+  getNextReturnId() {
+    return this.#nextId('returns');
+  }
+
+  /**
+   * Gera próximo ID para carrinhos
+   */
+  getNextCartId() {
+    return this.#nextId('carts');
+  }
+
+  /**
+   * Gera próximo ID para pagamentos
+   */
+  getNextPaymentId() {
+    return this.#nextId('payments');
+  }
+
+  /**
+   * Gera próximo número de nota fiscal
+   */
+  getNextInvoiceId() {
+    return this.#nextId('invoices');
+  }
+
+  /**
+   * Incrementa o contador e registra o novo valor no journal
+   */
+  #nextId(name) {
+    const value = ++this.#data.counters[name];
+    this.#driver.append({ op: 'counter', name, value });
+    return value;
   }
 
   /**
    * Limpa todos os dados (útil para testes)
    */
   clearAll() {
+    this.#data.customers.clear();
     this.#data.products.clear();
     this.#data.orders.clear();
-    this.#data.counters.products = 0;
-    this.#data.counters.orders = 0;
+    this.#data.returns.clear();
+    this.#data.carts.clear();
+    this.#data.payments.clear();
+    this.#data.invoices.clear();
+    this.#data.exchangeRates.clear();
+    this.#data.coupons.clear();
+    for (const name of Object.keys(this.#data.counters)) {
+      this.#data.counters[name] = 0;
+      this.#driver.append({ op: 'counter', name, value: 0 });
+    }
     console.log('🗑️  Database limpo');
   }
 
@@ -100,37 +325,163 @@ export class Database {
    */
   getStats() {
     return {
+      driver: this.#driver.getName(),
+      totalCustomers: this.#data.customers.size,
       totalProducts: this.#data.products.size,
       totalOrders: this.#data.orders.size,
+      totalReturns: this.#data.returns.size,
+      totalCarts: this.#data.carts.size,
+      totalPayments: this.#data.payments.size,
+      totalInvoices: this.#data.invoices.size,
+      totalExchangeRates: this.#data.exchangeRates.size,
+      totalCoupons: this.#data.coupons.size,
       counters: { ...this.#data.counters }
     };
   }
 
   /**
-   * Simula conexão com banco de dados
+   * Conecta ao banco de dados restaurando o estado salvo pelo driver
    */
   async connect() {
     console.log('🔌 Conectando ao banco de dados...');
-    // Simulação de conexão
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        console.log('✅ Conectado ao banco de dados');
-        resolve(true);
-      }, 100);
-    });
+
+    const { snapshot, entries } = await this.#driver.load();
+    if (snapshot || entries.length > 0) {
+      this.#restore(snapshot, entries);
+
+      // Consolida o journal reaplicado em um novo snapshot
+      if (entries.length > 0) {
+        await this.#driver.flush(this.#serialize());
+      }
+    }
+
+    console.log('✅ Conectado ao banco de dados');
+    return true;
   }
 
   /**
-   * Simula desconexão do banco de dados
+   * Desconecta do banco de dados gravando o estado atual
    */
   async disconnect() {
     console.log('🔌 Desconectando do banco de dados...');
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        console.log('✅ Desconectado do banco de dados');
-        resolve(true);
-      }, 100);
-    });
+    await this.#driver.flush(this.#serialize());
+    await this.#driver.close();
+    console.log('✅ Desconectado do banco de dados');
+    return true;
+  }
+
+  /**
+   * Recebe cada escrita das coleções: atualiza índices e registra no journal
+   */
+  #onChange(change) {
+    const indexes = Object.values(this.#indexes[change.collection] || {});
+    switch (change.op) {
+      case 'set':
+        indexes.forEach(index => index.add(change.key, change.value));
+        break;
+      case 'delete':
+        indexes.forEach(index => index.remove(change.key));
+        break;
+      case 'clear':
+        indexes.forEach(index => index.clear());
+        break;
+    }
+
+    this.#driver.append(change);
+  }
+
+  /**
+   * Reconstrói os índices de uma coleção a partir do seu conteúdo
+   */
+  #rebuildIndexes(collection) {
+    for (const index of Object.values(this.#indexes[collection] || {})) {
+      index.clear();
+      for (const [id, entity] of this.#data[collection]) {
+        index.add(id, entity);
+      }
+    }
+  }
+
+  /**
+   * Aplica snapshot + journal e reconstrói as entidades
+   */
+  #restore(snapshot, entries) {
+    // Primeiro aplica tudo sobre registros simples (JSON)...
+    const records = {};
+    for (const name of Database.#COLLECTIONS) {
+      records[name] = new Map((snapshot?.collections[name] || []).map(data => [data.id, data]));
+    }
+    const counters = { ...this.#data.counters, ...snapshot?.counters };
+
+    for (const entry of entries) {
+      switch (entry.op) {
+        case 'set':
+          records[entry.collection].set(entry.key, entry.value);
+          break;
+        case 'delete':
+          records[entry.collection].delete(entry.key);
+          break;
+        case 'clear':
+          records[entry.collection].clear();
+          break;
+        case 'counter':
+          counters[entry.name] = entry.value;
+          break;
+      }
+    }
+
+    // ...depois instancia as entidades, produtos antes dos pedidos que os referenciam
+    for (const name of Database.#COLLECTIONS) {
+      const entities = Array.from(records[name], ([key, data]) => [key, this.#hydrate(name, data)]);
+      this.#data[name].load(entities);
+      this.#rebuildIndexes(name);
+    }
+    Object.assign(this.#data.counters, counters);
+
+    console.log('♻️  Estado restaurado:', this.getStats());
+  }
+
+  /**
+   * Converte um registro persistido na entidade correspondente
+   */
+  #hydrate(collection, data) {
+    switch (collection) {
+      case 'customers':
+        return Customer.fromJSON(data);
+      case 'products':
+        return Product.fromJSON(data);
+      case 'orders':
+        return Order.fromJSON(data, id => this.#data.products.get(id));
+      case 'returns':
+        return ReturnRequest.fromJSON(data);
+      case 'carts':
+        return Cart.fromJSON(data);
+      case 'payments':
+        return Payment.fromJSON(data);
+      case 'invoices':
+        return Invoice.fromJSON(data);
+      case 'exchangeRates':
+        return ExchangeRate.fromJSON(data);
+      case 'coupons':
+        return Coupon.fromJSON(data);
+      default:
+        throw new Error(`Coleção desconhecida: ${collection}`);
+    }
+  }
+
+  /**
+   * Gera o estado completo em formato serializável
+   */
+  #serialize() {
+    const collections = {};
+    for (const name of Database.#COLLECTIONS) {
+      collections[name] = Array.from(this.#data[name].values(), entity => entity.toJSON());
+    }
+    return {
+      savedAt: new Date().toISOString(),
+      counters: { ...this.#data.counters },
+      collections
+    };
   }
 }
 
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import { AppConfig } from './AppConfig.js';
+
+/**
+ * Tabela de alíquotas de impostos (percentuais)
+ *
+ * Lida do arquivo JSON indicado em AppConfig.taxes.ratesFile, para que as
+ * alíquotas possam ser ajustadas sem alterar o código (basta reiniciar):
+ *
+ *   originState  UF de origem, usada quando o pedido não informa destino
+ *   icms         defaultRate, states (UF -> alíquota), categories (categoria
+ *                fiscal -> alíquota em qualquer UF) e overrides (UF -> categoria -> alíquota)
+ *   ipi / iss    categoria fiscal -> alíquota (categorias ausentes não pagam)
+ */
+export class TaxRateTable {
+  constructor(data) {
+    this.originState = String(data.originState || 'SP').toUpperCase();
+    this.icms = {
+      defaultRate: data.icms?.defaultRate ?? 0,
+      states: data.icms?.states || {},
+      categories: data.icms?.categories || {},
+      overrides: data.icms?.overrides || {}
+    };
+    this.ipi = data.ipi || {};
+    this.iss = data.iss || {};
+    this.validate();
+  }
+
+  /**
+   * Carrega a tabela do arquivo JSON
+   */
+  static load(file = AppConfig.taxes.ratesFile) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Não foi possível ler a tabela de impostos ${file}: ${error.message}`);
+    }
+    return new TaxRateTable(data);
+  }
+
+  /**
+   * Alíquota de ICMS para a UF de destino e a categoria fiscal
+   * (exceção da UF > alíquota da categoria > alíquota da UF > padrão)
+   */
+  getIcmsRate(state, taxCategory) {
+    return this.icms.overrides[state]?.[taxCategory]
+      ?? this.icms.categories[taxCategory]
+      ?? this.icms.states[state]
+      ?? this.icms.defaultRate;
+  }
+
+  /**
+   * Alíquota de IPI da categoria fiscal (0 se não tributada)
+   */
+  getIpiRate(taxCategory) {
+    return this.ipi[taxCategory] ?? 0;
+  }
+
+  /**
+   * Alíquota de ISS da categoria fiscal (0 se não tributada)
+   */
+  getIssRate(taxCategory) {
+    return this.iss[taxCategory] ?? 0;
+  }
+
+  /**
+   * Garante que todas as alíquotas são percentuais válidos
+   */
+  validate() {
+    const rates = [
+      ['icms.defaultRate', this.icms.defaultRate],
+      ...Object.entries(this.icms.states).map(([state, rate]) => [`icms.states.${state}`, rate]),
+      ...Object.entries(this.icms.categories).map(([category, rate]) => [`icms.categories.${category}`, rate]),
+      ...Object.entries(this.icms.overrides).flatMap(([state, categories]) =>
+        Object.entries(categories).map(([category, rate]) => [`icms.overrides.${state}.${category}`, rate])
+      ),
+      ...Object.entries(this.ipi).map(([category, rate]) => [`ipi.${category}`, rate]),
+      ...Object.entries(this.iss).map(([category, rate]) => [`iss.${category}`, rate])
+    ];
+
+    for (const [path, rate] of rates) {
+      if (typeof rate !== 'number' || rate < 0 || rate > 100) {
+        throw new Error(`Alíquota inválida em ${path}: ${rate} (use um percentual entre 0 e 100)`);
+      }
+    }
+  }
+}
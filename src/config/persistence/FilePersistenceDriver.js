@@ -0,0 +1,68 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { IPersistenceDriver } from './IPersistenceDriver.js';
+
+/**
+ * Driver de persistência em arquivo local
+ *
+ * Mantém dois arquivos no diretório de dados:
+ * - snapshot.json: estado completo no momento do último flush
+ * - journal.log: uma linha JSON por alteração feita após o snapshot
+ *
+ * Na conexão o snapshot é carregado e o journal é reaplicado por cima.
+ * Na desconexão o estado atual vira o novo snapshot e o journal é zerado.
+ */
+export class FilePersistenceDriver extends IPersistenceDriver {
+  constructor(dataDir) {
+    super();
+    this.dataDir = path.resolve(dataDir);
+    this.snapshotPath = path.join(this.dataDir, 'snapshot.json');
+    this.journalPath = path.join(this.dataDir, 'journal.log');
+  }
+
+  async load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    let snapshot = null;
+    if (fs.existsSync(this.snapshotPath)) {
+      snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    }
+
+    const entries = [];
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (line.trim().length === 0) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Última linha incompleta (processo interrompido durante a escrita)
+          console.warn(`⚠️  Entrada de journal ignorada: ${error.message}`);
+        }
+      }
+    }
+
+    console.log(`💾 Snapshot ${snapshot ? 'carregado' : 'inexistente'}, ${entries.length} entrada(s) no journal`);
+    return { snapshot, entries };
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+  }
+
+  async flush(state) {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    // Grava em arquivo temporário e renomeia para não corromper o snapshot
+    const tempPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, '');
+
+    console.log(`💾 Snapshot gravado em ${this.snapshotPath}`);
+  }
+
+  getName() {
+    return 'file';
+  }
+}
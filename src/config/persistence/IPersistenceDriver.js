@@ -0,0 +1,61 @@
+/**
+ * Interface base para drivers de persistência do Database
+ *
+ * Um driver recebe as alterações feitas nas coleções (journal) e
+ * sabe restaurar o estado salvo quando o Database se conecta.
+ */
+export class IPersistenceDriver {
+  /**
+   * Carrega o estado persistido
+   * @returns {Promise<Object>} { snapshot: Object|null, entries: Object[] }
+   */
+  async load() {
+    throw new Error('Método load() deve ser implementado');
+  }
+
+  /**
+   * Registra uma alteração no journal
+   * @param {Object} entry - Operação realizada ({ op, collection, key, value })
+   */
+  append(entry) {
+    throw new Error('Método append() deve ser implementado');
+  }
+
+  /**
+   * Grava o estado completo e descarta o journal já consolidado
+   * @param {Object} state - Estado serializável do Database
+   */
+  async flush(state) {
+    throw new Error('Método flush() deve ser implementado');
+  }
+
+  /**
+   * Executa a função como uma transação atômica
+   * Drivers sem suporte nativo apenas executam a função; quem chama
+   * fica responsável por desfazer as alterações em caso de erro.
+   */
+  async transaction(work) {
+    return work();
+  }
+
+  /**
+   * Indica se transaction() desfaz as escritas sozinho em caso de erro
+   */
+  isTransactional() {
+    return false;
+  }
+
+  /**
+   * Libera recursos do driver (conexões, arquivos abertos)
+   */
+  async close() {
+    // Opcional: drivers sem recursos abertos não precisam sobrescrever
+  }
+
+  /**
+   * Retorna o nome do driver
+   */
+  getName() {
+    throw new Error('Método getName() deve ser implementado');
+  }
+}
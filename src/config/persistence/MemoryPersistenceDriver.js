@@ -0,0 +1,22 @@
+import { IPersistenceDriver } from './IPersistenceDriver.js';
+
+/**
+ * Driver em memória - nada é gravado, os dados vivem apenas no processo
+ */
+export class MemoryPersistenceDriver extends IPersistenceDriver {
+  async load() {
+    return { snapshot: null, entries: [] };
+  }
+
+  append(entry) {
+    // Nada a registrar
+  }
+
+  async flush(state) {
+    // Nada a gravar
+  }
+
+  getName() {
+    return 'memory';
+  }
+}
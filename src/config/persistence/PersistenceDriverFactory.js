@@ -0,0 +1,38 @@
+import { MemoryPersistenceDriver } from './MemoryPersistenceDriver.js';
+import { FilePersistenceDriver } from './FilePersistenceDriver.js';
+import { SqlitePersistenceDriver } from './SqlitePersistenceDriver.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * Cria o driver de persistência do Database a partir da configuração
+ */
+export class PersistenceDriverFactory {
+  static DRIVERS = {
+    MEMORY: 'memory',
+    FILE: 'file',
+    SQLITE: 'sqlite'
+  };
+
+  /**
+   * @param {Object} options - Configuração do banco (AppConfig.database)
+   * @returns {IPersistenceDriver}
+   */
+  static create(options) {
+    switch (options.driver) {
+      case this.DRIVERS.MEMORY:
+        return new MemoryPersistenceDriver();
+
+      case this.DRIVERS.FILE:
+        return new FilePersistenceDriver(options.dataDir);
+
+      case this.DRIVERS.SQLITE:
+        return new SqlitePersistenceDriver(options.sqliteFile);
+
+      default:
+        throw new Error(`Driver de persistência desconhecido: ${options.driver}`);
+    }
+  }
+}
+
+Object.freeze(PersistenceDriverFactory);
@@ -0,0 +1,42 @@
+/**
+ * Map que avisa cada escrita ao Database
+ *
+ * Os repositórios continuam usando a API normal de Map (set/delete/clear);
+ * cada escrita é repassada ao listener, que a registra no journal do driver.
+ */
+export class PersistentCollection extends Map {
+  constructor(name, onChange) {
+    super();
+    this.name = name;
+    this.onChange = onChange;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.onChange?.({ op: 'set', collection: this.name, key, value });
+    return this;
+  }
+
+  delete(key) {
+    const removed = super.delete(key);
+    if (removed) {
+      this.onChange?.({ op: 'delete', collection: this.name, key });
+    }
+    return removed;
+  }
+
+  clear() {
+    super.clear();
+    this.onChange?.({ op: 'clear', collection: this.name });
+  }
+
+  /**
+   * Substitui o conteúdo sem gerar entradas no journal (usado na restauração)
+   */
+  load(entries) {
+    super.clear();
+    for (const [key, value] of entries) {
+      super.set(key, value);
+    }
+  }
+}
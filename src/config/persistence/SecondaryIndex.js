@@ -0,0 +1,69 @@
+/**
+ * Índice secundário de uma coleção do Database
+ *
+ * Mapeia o valor de um campo (chave) para os IDs das entidades que o possuem,
+ * evitando varrer a coleção inteira nos finders. Guarda também a chave atual
+ * de cada ID para conseguir mover a entidade quando o campo muda.
+ */
+export class SecondaryIndex {
+  constructor(name, keyOf) {
+    this.name = name;
+    this.keyOf = keyOf;
+    this.idsByKey = new Map();
+    this.keyById = new Map();
+  }
+
+  /**
+   * Indexa (ou reindexa) a entidade
+   */
+  add(id, entity) {
+    const key = this.keyOf(entity);
+    if (this.keyById.has(id)) {
+      if (this.keyById.get(id) === key) return;
+      this.remove(id);
+    }
+
+    if (!this.idsByKey.has(key)) {
+      this.idsByKey.set(key, new Set());
+    }
+    this.idsByKey.get(key).add(id);
+    this.keyById.set(id, key);
+  }
+
+  /**
+   * Remove a entidade do índice
+   */
+  remove(id) {
+    if (!this.keyById.has(id)) return;
+
+    const key = this.keyById.get(id);
+    const ids = this.idsByKey.get(key);
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.idsByKey.delete(key);
+    }
+    this.keyById.delete(id);
+  }
+
+  /**
+   * Esvazia o índice
+   */
+  clear() {
+    this.idsByKey.clear();
+    this.keyById.clear();
+  }
+
+  /**
+   * IDs das entidades com a chave informada
+   */
+  lookup(key) {
+    return Array.from(this.idsByKey.get(key) || []);
+  }
+
+  /**
+   * Quantidade de chaves distintas
+   */
+  get size() {
+    return this.idsByKey.size;
+  }
+}
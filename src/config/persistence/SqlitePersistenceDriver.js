@@ -0,0 +1,319 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import BetterSqlite3 from 'better-sqlite3';
+import { IPersistenceDriver } from './IPersistenceDriver.js';
+
+/**
+ * Driver SQLite
+ *
+ * Com este driver os repositórios SQL falam direto com o banco; as coleções
+ * em memória do Database não são usadas. O driver apenas abre a conexão,
+ * aplica as migrações pendentes e a fecha no encerramento.
+ */
+export class SqlitePersistenceDriver extends IPersistenceDriver {
+  /**
+   * Migrações do schema, aplicadas em ordem (PRAGMA user_version guarda a última)
+   */
+  static MIGRATIONS = [
+    `CREATE TABLE products (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       name TEXT NOT NULL,
+       description TEXT NOT NULL DEFAULT '',
+       price REAL NOT NULL,
+       stock INTEGER NOT NULL,
+       category TEXT NOT NULL,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );
+     CREATE INDEX idx_products_category ON products (category);
+     CREATE INDEX idx_products_stock ON products (stock);
+
+     CREATE TABLE orders (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       customer_id TEXT NOT NULL,
+       customer_name TEXT NOT NULL,
+       status TEXT NOT NULL,
+       subtotal REAL NOT NULL,
+       discount REAL NOT NULL,
+       total REAL NOT NULL,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );
+     CREATE INDEX idx_orders_customer ON orders (customer_id);
+     CREATE INDEX idx_orders_status ON orders (status);
+
+     CREATE TABLE order_items (
+       order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+       position INTEGER NOT NULL,
+       product_id INTEGER NOT NULL,
+       product_name TEXT NOT NULL,
+       quantity INTEGER NOT NULL,
+       unit_price REAL NOT NULL,
+       PRIMARY KEY (order_id, position)
+     );`,
+
+    `ALTER TABLE products ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+     ALTER TABLE orders ADD COLUMN version INTEGER NOT NULL DEFAULT 1;`,
+
+    `ALTER TABLE products ADD COLUMN deleted_at TEXT;
+     CREATE INDEX idx_products_deleted_at ON products (deleted_at);`,
+
+    `CREATE TABLE customers (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       name TEXT NOT NULL,
+       email TEXT NOT NULL UNIQUE,
+       document TEXT NOT NULL UNIQUE,
+       phone TEXT NOT NULL DEFAULT '',
+       addresses TEXT NOT NULL DEFAULT '[]',
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );`,
+
+    `ALTER TABLE orders ADD COLUMN applied_discount TEXT;`,
+
+    `ALTER TABLE orders ADD COLUMN refunded_amount REAL NOT NULL DEFAULT 0;
+     ALTER TABLE order_items ADD COLUMN returned_quantity INTEGER NOT NULL DEFAULT 0;
+
+     CREATE TABLE returns (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       order_id INTEGER NOT NULL,
+       customer_id TEXT NOT NULL,
+       status TEXT NOT NULL,
+       reason TEXT NOT NULL DEFAULT '',
+       rejection_reason TEXT,
+       items TEXT NOT NULL,
+       refund_amount REAL NOT NULL,
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );
+     CREATE INDEX idx_returns_order ON returns (order_id);`,
+
+    `CREATE TABLE carts (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       customer_id INTEGER NOT NULL,
+       items TEXT NOT NULL,
+       applied_discount TEXT NOT NULL,
+       status TEXT NOT NULL,
+       order_id INTEGER,
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL,
+       last_activity_at TEXT NOT NULL
+     );
+     CREATE INDEX idx_carts_customer ON carts (customer_id, status);`,
+
+    // Pedidos anteriores às reservas já tiraram os itens do estoque: ficam CONFIRMED
+    `ALTER TABLE products ADD COLUMN reserved INTEGER NOT NULL DEFAULT 0;
+     ALTER TABLE orders ADD COLUMN reservation_status TEXT NOT NULL DEFAULT 'CONFIRMED';
+     ALTER TABLE orders ADD COLUMN reservation_expires_at TEXT;`,
+
+    // Encomendas sem estoque e lista de espera (JSON com { customerId, subscribedAt })
+    `ALTER TABLE products ADD COLUMN allow_backorder INTEGER NOT NULL DEFAULT 0;
+     ALTER TABLE products ADD COLUMN backordered INTEGER NOT NULL DEFAULT 0;
+     ALTER TABLE products ADD COLUMN waitlist TEXT NOT NULL DEFAULT '[]';
+     ALTER TABLE order_items ADD COLUMN backordered_quantity INTEGER NOT NULL DEFAULT 0;`,
+
+    // Impostos: categoria fiscal do produto; UF de destino e detalhamento (JSON) no pedido
+    `ALTER TABLE products ADD COLUMN tax_category TEXT;
+     ALTER TABLE orders ADD COLUMN destination_state TEXT;
+     ALTER TABLE orders ADD COLUMN taxes TEXT NOT NULL DEFAULT '[]';
+     ALTER TABLE orders ADD COLUMN tax_total REAL NOT NULL DEFAULT 0;`,
+
+    // Frete: peso (kg) e dimensões (JSON, cm) do produto; endereço e cotação (JSON) do pedido
+    `ALTER TABLE products ADD COLUMN weight REAL NOT NULL DEFAULT 0;
+     ALTER TABLE products ADD COLUMN dimensions TEXT;
+     ALTER TABLE orders ADD COLUMN shipping_address TEXT;
+     ALTER TABLE orders ADD COLUMN shipping TEXT;`,
+
+    // Pagamentos: details guarda os dados exibidos ao cliente (JSON)
+    `CREATE TABLE payments (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       order_id INTEGER NOT NULL,
+       customer_id TEXT NOT NULL,
+       method TEXT NOT NULL,
+       amount REAL NOT NULL,
+       gateway TEXT NOT NULL,
+       status TEXT NOT NULL,
+       transaction_id TEXT,
+       details TEXT NOT NULL DEFAULT '{}',
+       failure_reason TEXT,
+       refunded_amount REAL NOT NULL DEFAULT 0,
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL,
+       paid_at TEXT,
+       refunded_at TEXT
+     );
+     CREATE INDEX idx_payments_order ON payments (order_id);
+     CREATE UNIQUE INDEX idx_payments_transaction ON payments (transaction_id);`,
+
+    // Notas fiscais: document guarda a fotografia do pedido (JSON); uma nota por pedido
+    `CREATE TABLE invoices (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       order_id INTEGER NOT NULL,
+       series INTEGER NOT NULL,
+       customer_id TEXT NOT NULL,
+       total REAL NOT NULL,
+       document TEXT NOT NULL,
+       issued_at TEXT NOT NULL
+     );
+     CREATE UNIQUE INDEX idx_invoices_order ON invoices (order_id);`,
+
+    // Moedas: cotação por código ISO 4217; pedidos e pagamentos anteriores ficam na moeda base (currency NULL)
+    `CREATE TABLE exchange_rates (
+       currency TEXT PRIMARY KEY,
+       rate REAL NOT NULL,
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );
+     ALTER TABLE orders ADD COLUMN currency TEXT;
+     ALTER TABLE orders ADD COLUMN exchange_rate REAL NOT NULL DEFAULT 1;
+     ALTER TABLE payments ADD COLUMN currency TEXT;`,
+
+    // Itens guardam a fotografia do produto na compra; os já gravados são completados com o cadastro atual
+    `ALTER TABLE products ADD COLUMN sku TEXT;
+     ALTER TABLE order_items ADD COLUMN sku TEXT;
+     ALTER TABLE order_items ADD COLUMN category TEXT;
+     ALTER TABLE order_items ADD COLUMN tax_category TEXT;
+     ALTER TABLE order_items ADD COLUMN weight REAL NOT NULL DEFAULT 0;
+     ALTER TABLE order_items ADD COLUMN dimensions TEXT;
+     UPDATE order_items
+        SET category = (SELECT category FROM products WHERE products.id = order_items.product_id),
+            tax_category = (SELECT COALESCE(tax_category, category) FROM products WHERE products.id = order_items.product_id),
+            weight = COALESCE((SELECT weight FROM products WHERE products.id = order_items.product_id), 0),
+            dimensions = (SELECT dimensions FROM products WHERE products.id = order_items.product_id);`,
+
+    // Cupons: categorias e resgates ({ customerId, redeemedAt }) em JSON
+    `CREATE TABLE coupons (
+       code TEXT PRIMARY KEY,
+       description TEXT NOT NULL DEFAULT '',
+       discount_percentage REAL NOT NULL,
+       min_order_value REAL NOT NULL DEFAULT 0,
+       allowed_categories TEXT NOT NULL DEFAULT '[]',
+       valid_from TEXT,
+       valid_until TEXT,
+       max_redemptions INTEGER,
+       max_redemptions_per_customer INTEGER,
+       redemptions TEXT NOT NULL DEFAULT '[]',
+       version INTEGER NOT NULL DEFAULT 1,
+       created_at TEXT NOT NULL,
+       updated_at TEXT NOT NULL
+     );`,
+
+    // Pagamentos: estorno e cancelamento registrados antes de chamar o gateway
+    `ALTER TABLE payments ADD COLUMN refund_pending_amount REAL NOT NULL DEFAULT 0;
+     ALTER TABLE payments ADD COLUMN cancel_requested_at TEXT;`
+  ];
+
+  constructor(file) {
+    super();
+    this.file = file;
+    this.connection = null;
+    // Transações da conexão compartilhada, executadas uma de cada vez
+    this.queue = Promise.resolve();
+    // Marca o código que roda dentro de uma transação (detecta reentrada)
+    this.current = new AsyncLocalStorage();
+  }
+
+  async load() {
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    }
+
+    this.connection = new BetterSqlite3(this.file);
+    this.connection.pragma('journal_mode = WAL');
+    this.connection.pragma('foreign_keys = ON');
+    this.migrate();
+
+    console.log(`🗄️  SQLite aberto em ${this.file}`);
+    return { snapshot: null, entries: [] };
+  }
+
+  /**
+   * Aplica as migrações ainda não executadas
+   */
+  migrate() {
+    const current = this.connection.pragma('user_version', { simple: true });
+    const pending = SqlitePersistenceDriver.MIGRATIONS.slice(current);
+
+    pending.forEach((sql, index) => {
+      const version = current + index + 1;
+      this.connection.transaction(() => {
+        this.connection.exec(sql);
+        this.connection.pragma(`user_version = ${version}`);
+      })();
+      console.log(`🧱 Migração ${version} aplicada`);
+    });
+  }
+
+  append(entry) {
+    // As escritas vão direto para o SQLite via repositórios
+  }
+
+  async flush(state) {
+    // O SQLite já grava cada operação
+  }
+
+  /**
+   * Executa a função em uma transação da conexão
+   *
+   * A conexão é única e a função é assíncrona: enquanto ela aguarda, outra
+   * requisição pode chamar transaction(). As chamadas entram em fila para
+   * que o ROLLBACK de uma não desfaça as escritas de outra. Por isso
+   * transaction() não é reentrante: chamá-la de dentro da função esperaria
+   * pela própria transação, então a chamada aninhada é recusada com erro.
+   */
+  async transaction(work) {
+    if (this.current.getStore()) {
+      throw new Error('Transação aninhada: transaction() não pode ser chamada dentro de outra transação');
+    }
+
+    const run = this.queue.then(() => this.runTransaction(work));
+    // A fila continua mesmo quando esta transação falha
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runTransaction(work) {
+    const connection = this.getConnection();
+
+    connection.exec('BEGIN IMMEDIATE');
+    try {
+      const result = await this.current.run(true, work);
+      connection.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (connection.inTransaction) {
+        connection.exec('ROLLBACK');
+      }
+      throw error;
+    }
+  }
+
+  isTransactional() {
+    return true;
+  }
+
+  async close() {
+    this.connection?.close();
+    this.connection = null;
+  }
+
+  /**
+   * Retorna a conexão aberta com o SQLite
+   */
+  getConnection() {
+    if (!this.connection) {
+      throw new Error('Banco SQLite não conectado. Chame Database.connect() primeiro');
+    }
+    return this.connection;
+  }
+
+  getName() {
+    return 'sqlite';
+  }
+}
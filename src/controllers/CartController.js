@@ -0,0 +1,170 @@
+import { CartService } from '../services/CartService.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { CartClosedError } from '../errors/CartClosedError.js';
+import { CartChangedError } from '../errors/CartChangedError.js';
+import { Cart } from '../models/Cart.js';
+import { ETag } from '../utils/ETag.js';
+import { isAdmin } from '../middlewares/requireAdmin.js';
+
+/**
+ * CartController - Controlador REST para carrinhos de compras
+ */
+export class CartController {
+  constructor() {
+    this.service = new CartService();
+  }
+
+  /**
+   * POST /api/carts
+   * Abre carrinho para o cliente (body: customerId)
+   *
+   * Se o cliente já tiver um carrinho ativo, ele é devolvido com status 200
+   */
+  async create(req, res) {
+    try {
+      if (!req.body.customerId) {
+        throw new Error('customerId é obrigatório');
+      }
+
+      const { cart, created } = await this.service.openCart(req.body.customerId);
+
+      res.set('ETag', ETag.fromVersion(cart.version));
+      res.status(created ? 201 : 200).json({
+        success: true,
+        data: cart,
+        message: created ? 'Carrinho criado com sucesso' : 'Carrinho ativo do cliente'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/carts/:id
+   * Busca carrinho com preços atuais, prévia do desconto e avisos
+   */
+  async getById(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const cart = await this.service.getCart(id);
+
+      res.set('ETag', ETag.fromVersion(cart.version));
+      res.status(200).json({
+        success: true,
+        data: cart
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/carts/:id/items
+   * Adiciona produto ao carrinho (body: productId, quantity)
+   *
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   */
+  async addItem(req, res) {
+    await this.respondWithCart(req, res, 'Item adicionado ao carrinho', (id, expectedVersion) =>
+      this.service.addItem(id, req.body, expectedVersion)
+    );
+  }
+
+  /**
+   * PATCH /api/carts/:id/items/:productId
+   * Altera a quantidade de uma linha (body: quantity)
+   */
+  async updateItem(req, res) {
+    await this.respondWithCart(req, res, 'Item atualizado', (id, expectedVersion) =>
+      this.service.updateItem(id, req.params.productId, req.body.quantity, expectedVersion)
+    );
+  }
+
+  /**
+   * DELETE /api/carts/:id/items/:productId
+   * Remove uma linha do carrinho
+   */
+  async removeItem(req, res) {
+    await this.respondWithCart(req, res, 'Item removido do carrinho', (id, expectedVersion) =>
+      this.service.removeItem(id, req.params.productId, expectedVersion)
+    );
+  }
+
+  /**
+   * PUT /api/carts/:id/discount
+   * Escolhe o desconto (body: discountType, couponCode de um cupom cadastrado
+   * ou desconto combinado, como em POST /api/orders; discountValue só com X-Admin-Token)
+   */
+  async setDiscount(req, res) {
+    await this.respondWithCart(req, res, 'Desconto aplicado ao carrinho', (id, expectedVersion) =>
+      this.service.setDiscount(id, req.body, expectedVersion, { allowManual: isAdmin(req) })
+    );
+  }
+
+  /**
+   * POST /api/carts/:id/checkout
+   * Converte o carrinho em pedido (body: acceptChanges, shippingMethod, shippingAddress, currency)
+   *
+   * Preços alterados sem acceptChanges retornam 409 com os avisos
+   */
+  async checkout(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const { cart, order } = await this.service.checkout(id, req.body, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(order.version));
+      res.status(201).json({
+        success: true,
+        data: order,
+        cart,
+        message: 'Pedido criado a partir do carrinho'
+      });
+    } catch (error) {
+      res.status(CartController.errorStatus(error)).json({
+        success: false,
+        error: error.message,
+        ...(error instanceof CartChangedError && { warnings: error.warnings })
+      });
+    }
+  }
+
+  /**
+   * Executa uma alteração e responde com a visão atualizada do carrinho
+   */
+  async respondWithCart(req, res, message, operation) {
+    try {
+      const id = parseInt(req.params.id);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const cart = await operation(id, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(cart.version));
+      res.status(200).json({
+        success: true,
+        data: cart,
+        message
+      });
+    } catch (error) {
+      res.status(CartController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Status HTTP para erros de escrita em carrinhos
+   */
+  static errorStatus(error) {
+    if (error instanceof ConcurrencyError) return 412;
+    if (error instanceof CartClosedError) return error.status === Cart.STATUS.EXPIRED ? 410 : 409;
+    if (error instanceof CartChangedError) return 409;
+    return 400;
+  }
+}
@@ -0,0 +1,134 @@
+import { CouponService } from '../services/CouponService.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { ETag } from '../utils/ETag.js';
+
+/**
+ * CouponController - Controlador REST para o cadastro de cupons (administradores)
+ */
+export class CouponController {
+  constructor() {
+    this.service = new CouponService();
+  }
+
+  /**
+   * GET /api/coupons
+   * Lista todos os cupons, com os resgates
+   */
+  async getAll(req, res) {
+    try {
+      const coupons = await this.service.getAllCoupons();
+
+      res.status(200).json({
+        success: true,
+        data: coupons,
+        count: coupons.length
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/coupons/:code
+   * Busca cupom pelo código
+   */
+  async getByCode(req, res) {
+    try {
+      const coupon = await this.service.getCoupon(req.params.code);
+
+      res.set('ETag', ETag.fromVersion(coupon.version));
+      res.status(200).json({
+        success: true,
+        data: coupon
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/coupons
+   * Cadastra cupom
+   *
+   * Body: code, discountPercentage e, opcionais, description, minOrderValue
+   * (moeda base), allowedCategories, validFrom, validUntil, maxRedemptions,
+   * maxRedemptionsPerCustomer
+   */
+  async create(req, res) {
+    try {
+      const coupon = await this.service.createCoupon(req.body);
+
+      res.set('ETag', ETag.fromVersion(coupon.version));
+      res.status(201).json({
+        success: true,
+        data: coupon,
+        message: 'Cupom criado com sucesso'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/coupons/:code
+   * Altera as condições do cupom (campos opcionais; null remove o limite)
+   *
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   */
+  async update(req, res) {
+    try {
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const coupon = await this.service.updateCoupon(req.params.code, req.body, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(coupon.version));
+      res.status(200).json({
+        success: true,
+        data: coupon,
+        message: 'Cupom atualizado com sucesso'
+      });
+    } catch (error) {
+      res.status(error instanceof ConcurrencyError ? 412 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/coupons/:code
+   * Remove cupom nunca resgatado (os demais retornam 409)
+   */
+  async delete(req, res) {
+    try {
+      await this.service.getCoupon(req.params.code);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      await this.service.deleteCoupon(req.params.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cupom removido com sucesso'
+      });
+    } catch (error) {
+      res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,99 @@
+import { CurrencyService } from '../services/CurrencyService.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { ETag } from '../utils/ETag.js';
+
+/**
+ * CurrencyController - Controlador REST para a tabela de cotações
+ */
+export class CurrencyController {
+  constructor() {
+    this.service = new CurrencyService();
+  }
+
+  /**
+   * GET /api/currencies
+   * Moeda base e cotações cadastradas
+   */
+  async getAll(req, res) {
+    try {
+      const { base, rates } = await this.service.listRates();
+
+      res.status(200).json({
+        success: true,
+        data: { base, rates },
+        count: rates.length
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/currencies/:code
+   * Cotação de uma moeda
+   */
+  async getByCode(req, res) {
+    try {
+      const exchangeRate = await this.service.getRate(req.params.code);
+
+      res.set('ETag', ETag.fromVersion(exchangeRate.version));
+      res.status(200).json({
+        success: true,
+        data: exchangeRate
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/currencies/:code
+   * Cadastra ou altera a cotação (body: { rate } = unidades da moeda por 1 da moeda base)
+   *
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   */
+  async update(req, res) {
+    try {
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const { exchangeRate, created } = await this.service.setRate(req.params.code, req.body, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(exchangeRate.version));
+      res.status(created ? 201 : 200).json({
+        success: true,
+        data: exchangeRate,
+        message: created ? 'Cotação cadastrada com sucesso' : 'Cotação atualizada com sucesso'
+      });
+    } catch (error) {
+      res.status(error instanceof ConcurrencyError ? 412 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/currencies/:code
+   * Remove a cotação (pedidos já criados mantêm a cotação gravada)
+   */
+  async delete(req, res) {
+    try {
+      await this.service.deleteRate(req.params.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cotação removida com sucesso'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
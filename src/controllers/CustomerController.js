@@ -0,0 +1,171 @@
+import { CustomerService } from '../services/CustomerService.js';
+import { Customer } from '../models/Customer.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { ETag } from '../utils/ETag.js';
+import { CpfCnpj } from '../utils/CpfCnpj.js';
+import { Pagination } from '../utils/Pagination.js';
+import { QuerySpec } from '../repositories/QuerySpec.js';
+
+/**
+ * CustomerController - Controlador REST para clientes
+ */
+export class CustomerController {
+  /**
+   * Filtros e ordenações aceitos na listagem
+   */
+  static QUERY_DEFINITION = {
+    filters: {
+      email: { field: 'email', operator: 'eq', parse: Customer.normalizeEmail },
+      document: { field: 'document', operator: 'eq', parse: CpfCnpj.normalize },
+      createdFrom: { field: 'createdAt', operator: 'gte', parse: QuerySpec.parseDate },
+      createdTo: { field: 'createdAt', operator: 'lte', parse: QuerySpec.parseDate }
+    },
+    sortFields: ['id', 'name', 'email', 'createdAt', 'updatedAt']
+  };
+
+  constructor() {
+    this.service = new CustomerService();
+  }
+
+  /**
+   * GET /api/customers
+   * Lista clientes com paginação, ordenação e filtros
+   *
+   * Query: page, limit, cursor, sort (ex.: name,-createdAt),
+   * email, document, createdFrom, createdTo
+   */
+  async getAll(req, res) {
+    let spec;
+    try {
+      spec = QuerySpec.fromRequest(req.query, CustomerController.QUERY_DEFINITION);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      const result = await this.service.queryCustomers(spec);
+      res.status(200).json(Pagination.toResponse(req, spec, result));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/customers/:id
+   * Busca cliente por ID
+   */
+  async getById(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const customer = await this.service.getCustomerById(id);
+
+      res.set('ETag', ETag.fromVersion(customer.version));
+      res.status(200).json({
+        success: true,
+        data: customer
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/customers
+   * Cadastra novo cliente
+   */
+  async create(req, res) {
+    try {
+      const customer = await this.service.createCustomer(req.body);
+
+      res.set('ETag', ETag.fromVersion(customer.version));
+      res.status(201).json({
+        success: true,
+        data: customer,
+        message: 'Cliente criado com sucesso'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/customers/:id
+   * Atualiza cliente
+   *
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   */
+  async update(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const customer = await this.service.updateCustomer(id, req.body, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(customer.version));
+      res.status(200).json({
+        success: true,
+        data: customer,
+        message: 'Cliente atualizado com sucesso'
+      });
+    } catch (error) {
+      res.status(error instanceof ConcurrencyError ? 412 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/customers/:id
+   * Remove cliente (apenas clientes sem pedidos)
+   */
+  async delete(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      await this.service.deleteCustomer(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cliente removido com sucesso'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/customers/:id/orders
+   * Lista os pedidos do cliente
+   */
+  async getOrders(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const orders = await this.service.getCustomerOrders(id);
+
+      res.status(200).json({
+        success: true,
+        data: orders,
+        count: orders.length
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
@@ -1,36 +1,57 @@
 import { OrderService } from '../services/OrderService.js';
 import { Order } from '../models/Order.js';
-import {
-  NoDiscountStrategy,
-  PercentageDiscountStrategy,
-  FixedAmountDiscountStrategy,
-  TieredDiscountStrategy,
-  FirstOrderDiscountStrategy,
-  BlackFridayDiscountStrategy,
-  CouponDiscountStrategy
-} from '../strategies/DiscountStrategies.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+import { AdminRequiredError } from '../errors/AdminRequiredError.js';
+import { ETag } from '../utils/ETag.js';
+import { Pagination } from '../utils/Pagination.js';
+import { QuerySpec } from '../repositories/QuerySpec.js';
+import { InvoiceFormatFactory } from '../factories/InvoiceFormatFactory.js';
+import { isAdmin } from '../middlewares/requireAdmin.js';
 
 /**
  * OrderController - Controlador REST para pedidos
  */
 export class OrderController {
+  /**
+   * Filtros e ordenações aceitos na listagem
+   */
+  static QUERY_DEFINITION = {
+    filters: {
+      status: { field: 'status', operator: 'eq', parse: String },
+      minTotal: { field: 'total', operator: 'gte', parse: Number },
+      maxTotal: { field: 'total', operator: 'lte', parse: Number },
+      createdFrom: { field: 'createdAt', operator: 'gte', parse: QuerySpec.parseDate },
+      createdTo: { field: 'createdAt', operator: 'lte', parse: QuerySpec.parseDate }
+    },
+    sortFields: ['id', 'status', 'subtotal', 'total', 'createdAt', 'updatedAt']
+  };
+
   constructor() {
-    this.service = new OrderService();
+    this.service = OrderService.getInstance();
   }
 
   /**
    * GET /api/orders
-   * Lista todos os pedidos
+   * Lista pedidos com paginação, ordenação e filtros
+   * 
+   * Query: page, limit, cursor, sort (ex.: -total,createdAt),
+   * status, minTotal, maxTotal, createdFrom, createdTo
    */
   async getAll(req, res) {
+    let spec;
     try {
-      const orders = await this.service.getAllOrders();
-      
-      res.status(200).json({
-        success: true,
-        data: orders,
-        count: orders.length
+      spec = QuerySpec.fromRequest(req.query, OrderController.QUERY_DEFINITION);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
       });
+    }
+
+    try {
+      const result = await this.service.queryOrders(spec);
+      res.status(200).json(Pagination.toResponse(req, spec, result));
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -48,6 +69,7 @@ export class OrderController {
       const id = parseInt(req.params.id);
       const order = await this.service.getOrderById(id);
       
+      res.set('ETag', ETag.fromVersion(order.version));
       res.status(200).json({
         success: true,
         data: order
@@ -65,47 +87,22 @@ export class OrderController {
    * Cria novo pedido
    * 
    * Body pode incluir:
-   * - discountType: 'none', 'percentage', 'fixed', 'tiered', 'first-order', 'black-friday', 'coupon'
-   * - discountValue: valor do desconto (para percentage e fixed)
-   * - couponCode: código do cupom (para coupon)
+   * - discountType: 'none', 'percentage', 'fixed', 'tiered', 'first-order', 'black-friday', 'coupon',
+   *   ou 'sum', 'best-of', 'sequential' para combinar os descontos da lista discounts
+   * - discountValue: valor do desconto (percentage e fixed, só com X-Admin-Token)
+   * - couponCode: código de um cupom cadastrado em /api/coupons (dispensa discountType)
+   * - maxDiscount / maxDiscountPercentage: limite do desconto (ver OrderService.resolveDiscountStrategy)
+   * - shippingMethod: método de entrega (ex.: 'pac', 'sedex'); sem ele não há frete
+   * - shippingAddress: endereço de entrega (padrão: endereço principal do cliente)
+   * - destinationState: UF usada nos impostos (padrão: UF do endereço de entrega)
    */
   async create(req, res) {
     try {
-      // Definir estratégia de desconto baseado nos parâmetros
-      const discountType = req.body.discountType || 'none';
-      let strategy;
-
-      switch (discountType) {
-        case 'percentage':
-          strategy = new PercentageDiscountStrategy(req.body.discountValue || 10);
-          break;
-        case 'fixed':
-          strategy = new FixedAmountDiscountStrategy(req.body.discountValue || 50);
-          break;
-        case 'tiered':
-          strategy = new TieredDiscountStrategy();
-          break;
-        case 'first-order':
-          strategy = new FirstOrderDiscountStrategy();
-          break;
-        case 'black-friday':
-          strategy = new BlackFridayDiscountStrategy();
-          break;
-        case 'coupon':
-          strategy = new CouponDiscountStrategy(
-            req.body.couponCode || 'WELCOME10',
-            req.body.discountValue || 10,
-            req.body.minOrderValue || 0
-          );
-          break;
-        default:
-          strategy = new NoDiscountStrategy();
-      }
-
-      this.service.setDiscountStrategy(strategy);
-
-      const order = await this.service.createOrder(req.body);
+      // Estratégia de desconto deste pedido, a partir dos parâmetros
+      const strategy = await this.service.resolveDiscountStrategy(req.body, { allowManual: isAdmin(req) });
+      const order = await this.service.createOrder(req.body, strategy);
       
+      res.set('ETag', ETag.fromVersion(order.version));
       res.status(201).json({
         success: true,
         data: order,
@@ -122,6 +119,11 @@ export class OrderController {
   /**
    * PUT /api/orders/:id
    * Atualiza status do pedido
+   * 
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   * Transição fora de Order.TRANSITIONS retorna 409
+   * REFUNDED, CANCELLED de pedido pago e PROCESSING sem pagamento confirmado
+   * exigem X-Admin-Token (403)
    */
   async updateStatus(req, res) {
     try {
@@ -143,15 +145,305 @@ export class OrderController {
         });
       }
 
-      const order = await this.service.updateOrderStatus(id, status);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const order = await this.service.updateOrderStatus(id, status, expectedVersion, { manual: true, admin: isAdmin(req) });
       
+      res.set('ETag', ETag.fromVersion(order.version));
       res.status(200).json({
         success: true,
         data: order,
         message: 'Status atualizado com sucesso'
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/orders/:id/items
+   * Adiciona produto ao pedido PENDING (body: productId, quantity)
+   * 
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
+   */
+  async addItem(req, res) {
+    await this.respondWithOrder(req, res, 'Item adicionado com sucesso', (id, expectedVersion) =>
+      this.service.addOrderItem(id, req.body, expectedVersion)
+    );
+  }
+
+  /**
+   * PATCH /api/orders/:id/items/:productId
+   * Altera a quantidade de um item do pedido PENDING (body: quantity)
+   */
+  async updateItem(req, res) {
+    await this.respondWithOrder(req, res, 'Item atualizado com sucesso', (id, expectedVersion) =>
+      this.service.updateOrderItem(id, req.params.productId, req.body.quantity, expectedVersion)
+    );
+  }
+
+  /**
+   * DELETE /api/orders/:id/items/:productId
+   * Remove um item do pedido PENDING
+   */
+  async removeItem(req, res) {
+    await this.respondWithOrder(req, res, 'Item removido com sucesso', (id, expectedVersion) =>
+      this.service.removeOrderItem(id, req.params.productId, expectedVersion)
+    );
+  }
+
+  /**
+   * Executa uma alteração de itens e responde com o pedido atualizado
+   */
+  async respondWithOrder(req, res, message, operation) {
+    try {
+      const id = parseInt(req.params.id);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const order = await operation(id, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(order.version));
+      res.status(200).json({
+        success: true,
+        data: order,
+        message
+      });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/orders/:id/transitions
+   * Lista os próximos status permitidos para o pedido
+   */
+  async getTransitions(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const transitions = await this.service.getOrderTransitions(id);
+
+      res.status(200).json({
+        success: true,
+        data: transitions
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/orders/:id/returns
+   * Lista as devoluções do pedido
+   */
+  async getReturns(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const returns = await this.service.getOrderReturns(id);
+
+      res.status(200).json({
+        success: true,
+        data: returns,
+        count: returns.length
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/orders/:id/returns
+   * Solicita devolução de itens de um pedido entregue
+   * (body: items[{ productId, quantity }], reason)
+   */
+  async requestReturn(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const returnRequest = await this.service.requestReturn(id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: returnRequest,
+        message: 'Devolução solicitada com sucesso'
+      });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/orders/:id/returns/:returnId/approve
+   * Aprova devolução
+   */
+  async approveReturn(req, res) {
+    await this.respondWithReturn(req, res, 'Devolução aprovada', (id, returnId) =>
+      this.service.approveReturn(id, returnId)
+    );
+  }
+
+  /**
+   * POST /api/orders/:id/returns/:returnId/reject
+   * Rejeita devolução (body: reason)
+   */
+  async rejectReturn(req, res) {
+    await this.respondWithReturn(req, res, 'Devolução rejeitada', (id, returnId) =>
+      this.service.rejectReturn(id, returnId, req.body.reason)
+    );
+  }
+
+  /**
+   * POST /api/orders/:id/returns/:returnId/receive
+   * Registra o recebimento: itens voltam ao estoque e o reembolso é lançado no pedido
+   */
+  async receiveReturn(req, res) {
+    await this.respondWithReturn(req, res, 'Devolução recebida e reembolsada', (id, returnId) =>
+      this.service.receiveReturn(id, returnId)
+    );
+  }
+
+  /**
+   * Executa uma alteração de devolução e responde com a devolução atualizada
+   */
+  async respondWithReturn(req, res, message, operation) {
+    try {
+      const id = parseInt(req.params.id);
+      const returnId = parseInt(req.params.returnId);
+      const returnRequest = await operation(id, returnId);
+
+      res.status(200).json({
+        success: true,
+        data: returnRequest,
+        message
+      });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/orders/:id/payments
+   * Lista os pagamentos do pedido
+   */
+  async getPayments(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const payments = await this.service.getOrderPayments(id);
+
+      res.status(200).json({
+        success: true,
+        data: payments,
+        count: payments.length
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/orders/:id/payments
+   * Paga o pedido PENDING (body: method 'pix' | 'boleto' | 'card';
+   * no cartão, card { number, holder, expiry, cvv } e installments)
+   *
+   * Cartão aprovado já leva o pedido para PROCESSING; PIX e boleto
+   * ficam PENDING até o callback do gateway
+   */
+  async createPayment(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const payment = await this.service.createPayment(id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: payment,
+        message: payment.status === 'FAILED' ? 'Pagamento recusado' : 'Pagamento registrado'
+      });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/orders/:id/payments/:paymentId/refund
+   * Estorna pagamento confirmado; o pedido é cancelado ou reembolsado
+   */
+  async refundPayment(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const paymentId = parseInt(req.params.paymentId);
+      const payment = await this.service.refundPayment(id, paymentId);
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: 'Pagamento estornado'
+      });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/orders/:id/invoice
+   * Nota fiscal do pedido pago (emitida na primeira consulta)
+   *
+   * Formato por ?format=json|html|text|xml ou pelo header Accept
+   * (text/html, text/plain, application/xml); o padrão é JSON
+   */
+  async getInvoice(req, res) {
+    const format = req.query.format
+      || InvoiceFormatFactory.fromContentType(req.accepts(['application/json', 'text/html', 'text/plain', 'application/xml']))
+      || 'json';
+
+    let formatter = null;
+    if (format !== 'json') {
+      try {
+        formatter = InvoiceFormatFactory.create(format);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    try {
+      const id = parseInt(req.params.id);
+      const invoice = (await this.service.getInvoice(id)).toJSON();
+
+      if (!formatter) {
+        return res.status(200).json({
+          success: true,
+          data: invoice
+        });
+      }
+
+      res.status(200).type(formatter.getContentType()).send(formatter.render(invoice));
+    } catch (error) {
+      res.status(404).json({
         success: false,
         error: error.message
       });
@@ -160,18 +452,52 @@ export class OrderController {
 
   /**
    * DELETE /api/orders/:id
-   * Cancela pedido
+   * Cancela pedido (pedido pago só com X-Admin-Token, 403)
    */
   async cancel(req, res) {
     try {
       const id = parseInt(req.params.id);
-      const order = await this.service.cancelOrder(id);
+      const order = await this.service.cancelOrder(id, { manual: true, admin: isAdmin(req) });
       
       res.status(200).json({
         success: true,
         data: order,
         message: 'Pedido cancelado com sucesso'
       });
+    } catch (error) {
+      res.status(OrderController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Status HTTP para erros de escrita em pedidos
+   */
+  static errorStatus(error) {
+    if (error instanceof ConcurrencyError) return 412;
+    if (error instanceof InvalidTransitionError) return 409;
+    if (error instanceof AdminRequiredError) return 403;
+    return 400;
+  }
+
+  /**
+   * POST /api/orders/shipping-quotes
+   * Cota o frete dos itens em todos os métodos de entrega
+   *
+   * Body: { items: [{ productId, quantity }], shippingAddress } ou { items, customerId }
+   * (sem shippingAddress, usa o endereço principal do cliente)
+   */
+  async quoteShipping(req, res) {
+    try {
+      const quotes = await this.service.quoteShipping(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: quotes,
+        count: quotes.length
+      });
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -0,0 +1,45 @@
+import { OrderService } from '../services/OrderService.js';
+import { InvalidSignatureError } from '../errors/InvalidSignatureError.js';
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+
+/**
+ * PaymentController - Controlador REST das notificações do gateway de pagamento
+ */
+export class PaymentController {
+  constructor() {
+    this.service = OrderService.getInstance();
+  }
+
+  /**
+   * POST /api/payments/callback
+   * Confirmação ou recusa de pagamento enviada pelo gateway
+   *
+   * Body: { transactionId, status: 'CONFIRMED' | 'FAILED', failureReason }
+   * Cabeçalho X-Payment-Signature: assinatura do gateway (401 se inválida)
+   */
+  async callback(req, res) {
+    try {
+      const payment = await this.service.handlePaymentCallback(req.body, req.get('X-Payment-Signature'));
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: 'Notificação processada'
+      });
+    } catch (error) {
+      res.status(PaymentController.errorStatus(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Status HTTP para erros de notificação
+   */
+  static errorStatus(error) {
+    if (error instanceof InvalidSignatureError) return 401;
+    if (error instanceof InvalidTransitionError) return 409;
+    return 400;
+  }
+}
@@ -1,26 +1,53 @@
 import { ProductService } from '../services/ProductService.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { ETag } from '../utils/ETag.js';
+import { Pagination } from '../utils/Pagination.js';
+import { QuerySpec } from '../repositories/QuerySpec.js';
 
 /**
  * ProductController - Controlador REST para produtos
  * Recebe requisições HTTP e delega para o Service
  */
 export class ProductController {
+  /**
+   * Filtros e ordenações aceitos na listagem
+   */
+  static QUERY_DEFINITION = {
+    filters: {
+      category: { field: 'category', operator: 'eq', parse: String },
+      minPrice: { field: 'price', operator: 'gte', parse: Number },
+      maxPrice: { field: 'price', operator: 'lte', parse: Number },
+      createdFrom: { field: 'createdAt', operator: 'gte', parse: QuerySpec.parseDate },
+      createdTo: { field: 'createdAt', operator: 'lte', parse: QuerySpec.parseDate }
+    },
+    sortFields: ['id', 'name', 'price', 'stock', 'category', 'createdAt', 'updatedAt']
+  };
+
   constructor() {
     this.service = new ProductService();
   }
 
   /**
    * GET /api/products
-   * Lista todos os produtos
+   * Lista produtos com paginação, ordenação e filtros
+   * 
+   * Query: page, limit, cursor, sort (ex.: price,-createdAt),
+   * category, minPrice, maxPrice, createdFrom, createdTo
    */
   async getAll(req, res) {
+    let spec;
     try {
-      const products = await this.service.getAllProducts();
-      res.status(200).json({
-        success: true,
-        data: products,
-        count: products.length
+      spec = QuerySpec.fromRequest(req.query, ProductController.QUERY_DEFINITION);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
       });
+    }
+
+    try {
+      const result = await this.service.queryProducts(spec);
+      res.status(200).json(Pagination.toResponse(req, spec, result));
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -38,6 +65,7 @@ export class ProductController {
       const id = parseInt(req.params.id);
       const product = await this.service.getProductById(id);
       
+      res.set('ETag', ETag.fromVersion(product.version));
       res.status(200).json({
         success: true,
         data: product
@@ -58,6 +86,7 @@ export class ProductController {
     try {
       const product = await this.service.createProduct(req.body);
       
+      res.set('ETag', ETag.fromVersion(product.version));
       res.status(201).json({
         success: true,
         data: product,
@@ -74,17 +103,95 @@ export class ProductController {
   /**
    * PUT /api/products/:id
    * Atualiza produto
+   * 
+   * Aceita If-Match com o ETag recebido; versão desatualizada retorna 412
    */
   async update(req, res) {
     try {
       const id = parseInt(req.params.id);
-      const product = await this.service.updateProduct(id, req.body);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const product = await this.service.updateProduct(id, req.body, expectedVersion);
       
+      res.set('ETag', ETag.fromVersion(product.version));
       res.status(200).json({
         success: true,
         data: product,
         message: 'Produto atualizado com sucesso'
       });
+    } catch (error) {
+      res.status(error instanceof ConcurrencyError ? 412 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/products/:id/restock
+   * Repõe estoque: atende encomendas (FIFO) e avisa a lista de espera
+   *
+   * Body: { quantity }. Aceita If-Match; versão desatualizada retorna 412
+   */
+  async restock(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const expectedVersion = ETag.parseIfMatch(req.get('If-Match'));
+      const product = await this.service.restockProduct(id, req.body.quantity, expectedVersion);
+
+      res.set('ETag', ETag.fromVersion(product.version));
+      res.status(200).json({
+        success: true,
+        data: product,
+        message: 'Estoque reposto com sucesso'
+      });
+    } catch (error) {
+      res.status(error instanceof ConcurrencyError ? 412 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/products/:id/waitlist
+   * Lista os clientes à espera do produto
+   */
+  async getWaitlist(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const waitlist = await this.service.getWaitlist(id);
+
+      res.status(200).json({
+        success: true,
+        data: waitlist,
+        count: waitlist.length
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/products/:id/waitlist
+   * Inscreve cliente no aviso de volta ao estoque
+   *
+   * Body: { customerId }
+   */
+  async subscribeToWaitlist(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const { product, subscribed } = await this.service.subscribeToWaitlist(id, req.body.customerId);
+
+      res.status(subscribed ? 201 : 200).json({
+        success: true,
+        data: product.waitlist,
+        message: subscribed
+          ? 'Cliente inscrito na lista de espera'
+          : 'Cliente já estava na lista de espera'
+      });
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -93,9 +200,31 @@ export class ProductController {
     }
   }
 
+  /**
+   * DELETE /api/products/:id/waitlist/:customerId
+   * Remove cliente da lista de espera
+   */
+  async unsubscribeFromWaitlist(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const product = await this.service.unsubscribeFromWaitlist(id, req.params.customerId);
+
+      res.status(200).json({
+        success: true,
+        data: product.waitlist,
+        message: 'Cliente removido da lista de espera'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * DELETE /api/products/:id
-   * Deleta produto
+   * Deleta produto (envia para a lixeira)
    */
   async delete(req, res) {
     try {
@@ -104,7 +233,72 @@ export class ProductController {
       
       res.status(200).json({
         success: true,
-        message: 'Produto deletado com sucesso'
+        message: 'Produto enviado para a lixeira'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/products/trash
+   * Lista produtos na lixeira
+   */
+  async getTrash(req, res) {
+    try {
+      const products = await this.service.getDeletedProducts();
+
+      res.status(200).json({
+        success: true,
+        data: products,
+        count: products.length
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/products/:id/restore
+   * Retira produto da lixeira
+   */
+  async restore(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const product = await this.service.restoreProduct(id);
+
+      res.set('ETag', ETag.fromVersion(product.version));
+      res.status(200).json({
+        success: true,
+        data: product,
+        message: 'Produto restaurado com sucesso'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/products/:id/purge
+   * Remove definitivamente produto da lixeira (apenas administradores)
+   */
+  async purge(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      await this.service.purgeProduct(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Produto removido definitivamente'
       });
     } catch (error) {
       res.status(404).json({
@@ -137,21 +331,24 @@ export class ProductController {
   }
 
   /**
-   * GET /api/products/search?name=...
-   * Busca produtos por nome
+   * GET /api/products/search?q=...
+   * Busca textual em nome, categoria e descrição, ordenada por relevância
+   * 
+   * Aceita "name" como alias de "q" e "limit" (padrão 20)
    */
   async search(req, res) {
     try {
-      const name = req.query.name;
+      const query = req.query.q || req.query.name;
       
-      if (!name) {
+      if (!query) {
         return res.status(400).json({
           success: false,
-          error: 'Parâmetro "name" é obrigatório'
+          error: 'Parâmetro "q" é obrigatório'
         });
       }
 
-      const products = await this.service.searchProductsByName(name);
+      const limit = parseInt(req.query.limit) || 20;
+      const products = await this.service.searchProducts(query, limit);
       
       res.status(200).json({
         success: true,
@@ -13,7 +13,9 @@
 import { Database } from './config/Database.js';
 import { ProductService } from './services/ProductService.js';
 import { OrderService } from './services/OrderService.js';
+import { CustomerService } from './services/CustomerService.js';
 import { PercentageDiscountStrategy, TieredDiscountStrategy, BlackFridayDiscountStrategy } from './strategies/DiscountStrategies.js';
+import { SumDiscountStrategy, CappedDiscountStrategy } from './strategies/CompositeDiscountStrategies.js';
 
 async function runDemo() {
   console.log('\n' + '='.repeat(80));
@@ -107,12 +109,27 @@ async function runDemo() {
   console.log('-'.repeat(80));
   
   const orderService = new OrderService();
+  const customerService = new CustomerService();
+
+  // Pedidos referenciam clientes cadastrados
+  console.log('\n👤 Cadastrando clientes...');
+  const joao = await customerService.createCustomer({
+    name: 'João Silva', email: 'joao.silva@example.com', document: '529.982.247-25'
+  });
+  const maria = await customerService.createCustomer({
+    name: 'Maria Santos', email: 'maria.santos@example.com', document: '111.444.777-35'
+  });
+  const pedro = await customerService.createCustomer({
+    name: 'Pedro Costa', email: 'pedro.costa@example.com', document: '123.456.789-09'
+  });
+  const ana = await customerService.createCustomer({
+    name: 'Ana Lima', email: 'ana.lima@example.com', document: '935.411.347-80'
+  });
 
   // Pedido 1: Sem desconto
   console.log('\n📦 Criando Pedido 1 - Sem desconto');
   const order1 = await orderService.createOrder({
-    customerId: 'CUST001',
-    customerName: 'João Silva',
+    customerId: joao.id,
     items: [
       { productId: product2.id, quantity: 2 }, // 2x Mouse = R$ 799.80
       { productId: product4.id, quantity: 1 }  // 1x Teclado = R$ 599.90
@@ -122,43 +139,53 @@ async function runDemo() {
 
   // Pedido 2: Com desconto percentual (Strategy)
   console.log('\n📦 Criando Pedido 2 - Desconto 10%');
-  orderService.setDiscountStrategy(new PercentageDiscountStrategy(10));
   const order2 = await orderService.createOrder({
-    customerId: 'CUST002',
-    customerName: 'Maria Santos',
+    customerId: maria.id,
     items: [
       { productId: product3.id, quantity: 1 } // Monitor = R$ 2.499,90
     ]
-  });
+  }, new PercentageDiscountStrategy(10));
   console.log(`✅ Pedido ${order2.id} criado: R$ ${order2.total.toFixed(2)}`);
 
   // Pedido 3: Com desconto progressivo (Strategy)
   console.log('\n📦 Criando Pedido 3 - Desconto Progressivo');
-  orderService.setDiscountStrategy(new TieredDiscountStrategy());
   const order3 = await orderService.createOrder({
-    customerId: 'CUST003',
-    customerName: 'Pedro Costa',
+    customerId: pedro.id,
     items: [
       { productId: product1.id, quantity: 1 }, // Notebook = R$ 5.999,90
       { productId: product2.id, quantity: 1 }, // Mouse = R$ 399,90
       { productId: product3.id, quantity: 1 }  // Monitor = R$ 2.499,90
       // Total: R$ 8.899,70 -> Desconto 15% (acima de R$ 1.000)
     ]
-  });
+  }, new TieredDiscountStrategy());
   console.log(`✅ Pedido ${order3.id} criado: R$ ${order3.total.toFixed(2)}`);
 
   // Pedido 4: Black Friday! (Strategy)
   console.log('\n📦 Criando Pedido 4 - BLACK FRIDAY 30% OFF!');
-  orderService.setDiscountStrategy(new BlackFridayDiscountStrategy());
   const order4 = await orderService.createOrder({
-    customerId: 'CUST004',
-    customerName: 'Ana Lima',
+    customerId: ana.id,
     items: [
       { productId: product1.id, quantity: 1 } // Notebook com 30% OFF
     ]
-  });
+  }, new BlackFridayDiscountStrategy());
   console.log(`✅ Pedido ${order4.id} criado: R$ ${order4.total.toFixed(2)}`);
 
+  // Pedido 5: Descontos combinados (Composite + Strategy)
+  console.log('\n📦 Criando Pedido 5 - Progressivo + 5%, limitado a R$ 200,00');
+  const order5 = await orderService.createOrder({
+    customerId: maria.id,
+    items: [
+      { productId: product4.id, quantity: 2 } // 2x Teclado = R$ 1.199,80
+    ]
+  }, new CappedDiscountStrategy(
+    new SumDiscountStrategy([new TieredDiscountStrategy(), new PercentageDiscountStrategy(5)]),
+    { maxAmount: 200 }
+  ));
+  order5.appliedDiscount.breakdown.forEach(line => {
+    console.log(`   - ${line.description}: R$ ${line.amount.toFixed(2)}`);
+  });
+  console.log(`✅ Pedido ${order5.id} criado: R$ ${order5.total.toFixed(2)}`);
+
   // ========================================
   // 5. FACADE - Operações Complexas
   // ========================================
@@ -254,7 +281,7 @@ async function runDemo() {
   console.log('   ✅ 1. Singleton - Database (instância única)');
   console.log('   ✅ 2. Repository - Separação de persistência');
   console.log('   ✅ 3. Factory Method - Criação de repositórios');
-  console.log('   ✅ 4. Strategy - Descontos e validações (10 estratégias)');
+  console.log('   ✅ 4. Strategy - Descontos (simples e combinados) e validações (20 estratégias)');
   console.log('   ✅ 5. Observer - Sistema de notificações (4 observers)');
   console.log('   ✅ 6. Facade - Operações complexas simplificadas');
   console.log('\n💡 Veja os logs acima para ver os padrões em ação!\n');
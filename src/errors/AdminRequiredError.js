@@ -0,0 +1,11 @@
+/**
+ * Erro lançado quando uma operação de rota aberta só pode ser feita por
+ * administradores (ex.: mudança de status que move dinheiro no gateway)
+ */
+export class AdminRequiredError extends Error {
+  constructor(operation) {
+    super(`${operation} é restrito a administradores (X-Admin-Token)`);
+    this.name = 'AdminRequiredError';
+    this.operation = operation;
+  }
+}
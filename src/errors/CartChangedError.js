@@ -0,0 +1,12 @@
+/**
+ * Erro lançado no checkout quando preços mudaram desde que os itens foram
+ * adicionados e o cliente ainda não confirmou os novos valores
+ */
+export class CartChangedError extends Error {
+  constructor(cartId, warnings) {
+    super(`Carrinho ${cartId} possui itens com preço alterado; confirme com acceptChanges para finalizar`);
+    this.name = 'CartChangedError';
+    this.cartId = cartId;
+    this.warnings = warnings;
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Erro lançado ao alterar ou finalizar um carrinho que não está mais ativo
+ * (expirado por inatividade ou já convertido em pedido)
+ */
+export class CartClosedError extends Error {
+  constructor(cartId, status) {
+    super(`Carrinho ${cartId} não está ativo (status: ${status})`);
+    this.name = 'CartClosedError';
+    this.cartId = cartId;
+    this.status = status;
+  }
+}
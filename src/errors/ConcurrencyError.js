@@ -0,0 +1,17 @@
+/**
+ * Erro lançado quando uma escrita usa uma versão desatualizada da entidade
+ * (controle de concorrência otimista)
+ */
+export class ConcurrencyError extends Error {
+  constructor(entityName, id, expectedVersion, currentVersion) {
+    super(
+      `${entityName} ${id} foi alterado por outra operação ` +
+      `(versão esperada: ${expectedVersion}, versão atual: ${currentVersion})`
+    );
+    this.name = 'ConcurrencyError';
+    this.entityName = entityName;
+    this.entityId = id;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
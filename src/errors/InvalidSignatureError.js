@@ -0,0 +1,11 @@
+/**
+ * Erro lançado quando a notificação de um gateway de pagamento não traz
+ * uma assinatura válida (o callback não pode ser atribuído ao gateway)
+ */
+export class InvalidSignatureError extends Error {
+  constructor(gateway) {
+    super(`Assinatura inválida no callback do gateway ${gateway}`);
+    this.name = 'InvalidSignatureError';
+    this.gateway = gateway;
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Erro lançado quando uma entidade com máquina de estados não pode passar
+ * do status atual para o solicitado (ex.: Order.TRANSITIONS)
+ */
+export class InvalidTransitionError extends Error {
+  constructor(entityName, id, fromStatus, toStatus, allowed) {
+    super(
+      `${entityName} ${id} não pode passar de ${fromStatus} para ${toStatus} ` +
+      `(permitidos: ${allowed.length > 0 ? allowed.join(', ') : 'nenhum, status final'})`
+    );
+    this.name = 'InvalidTransitionError';
+    this.entityName = entityName;
+    this.entityId = id;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.allowed = allowed;
+  }
+}
@@ -1,7 +1,24 @@
 import { Order } from '../models/Order.js';
+import { ReturnRequest } from '../models/ReturnRequest.js';
+import { Payment } from '../models/Payment.js';
+import { Invoice } from '../models/Invoice.js';
+import { Money } from '../models/Money.js';
+import { ExchangeRate } from '../models/ExchangeRate.js';
 import { RepositoryFactory } from '../factories/RepositoryFactory.js';
 import { EventSubject } from '../observers/EventSubject.js';
-import { NoDiscountStrategy } from '../strategies/DiscountStrategies.js';
+import { UnitOfWork } from '../repositories/UnitOfWork.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+import { AdminRequiredError } from '../errors/AdminRequiredError.js';
+import { NoDiscountStrategy, FixedAmountDiscountStrategy } from '../strategies/DiscountStrategies.js';
+import { CompositeDiscountStrategy } from '../strategies/CompositeDiscountStrategies.js';
+import { DiscountStrategyFactory } from '../factories/DiscountStrategyFactory.js';
+import { TaxStrategyFactory } from '../factories/TaxStrategyFactory.js';
+import { TaxRateTable } from '../config/TaxRateTable.js';
+import { ShippingStrategyFactory } from '../factories/ShippingStrategyFactory.js';
+import { PaymentGatewayFactory } from '../factories/PaymentGatewayFactory.js';
+import { Customer } from '../models/Customer.js';
+import { AppConfig } from '../config/AppConfig.js';
 
 /**
  * PADRÃO FACADE
@@ -17,17 +34,41 @@ import { NoDiscountStrategy } from '../strategies/DiscountStrategies.js';
  * 
  * Esta facade coordena:
  * - Repository (persistência)
- * - Strategy (descontos)
+ * - Strategy (descontos, impostos e frete)
  * - Observer (notificações)
+ * - Gateway de pagamento
+ * - Emissão de notas fiscais
  * - Validação de estoque
  * - Cálculos de totais
  */
 export class OrderFacade {
+  /**
+   * Status em que o pedido já pode receber nota fiscal (pagamento confirmado)
+   */
+  static INVOICEABLE_STATUSES = [
+    Order.STATUS.PROCESSING,
+    Order.STATUS.SHIPPED,
+    Order.STATUS.DELIVERED,
+    Order.STATUS.COMPLETED
+  ];
+
   constructor() {
     this.orderRepository = RepositoryFactory.createOrderRepository();
     this.productRepository = RepositoryFactory.createProductRepository();
+    this.customerRepository = RepositoryFactory.createCustomerRepository();
+    this.returnRepository = RepositoryFactory.createReturnRepository();
+    this.paymentRepository = RepositoryFactory.createPaymentRepository();
+    this.invoiceRepository = RepositoryFactory.createInvoiceRepository();
+    this.exchangeRateRepository = RepositoryFactory.createExchangeRateRepository();
+    this.couponRepository = RepositoryFactory.createCouponRepository();
     this.eventSubject = new EventSubject();
-    this.discountStrategy = new NoDiscountStrategy();
+    this.taxRates = TaxRateTable.load();
+    this.taxStrategies = TaxStrategyFactory.fromConfig(this.taxRates);
+    this.shippingMethods = ShippingStrategyFactory.loadMethods();
+    this.paymentGateway = PaymentGatewayFactory.fromConfig();
+    this.reservationTtlMs = AppConfig.reservations.ttlMinutes * 60 * 1000;
+    this.transitionHooks = new Map();
+    this.registerDefaultTransitionHooks();
   }
 
   /**
@@ -37,33 +78,38 @@ export class OrderFacade {
     this.eventSubject.attach(observer);
   }
 
-  /**
-   * Define estratégia de desconto
-   */
-  setDiscountStrategy(strategy) {
-    this.discountStrategy = strategy;
-    console.log(`💰 Estratégia de desconto definida: ${strategy.getDescription()}`);
-  }
-
   /**
    * Método Facade: Cria pedido completo com validações e notificações
    * 
    * Orquestra múltiplas operações:
-   * 1. Valida dados do pedido
+   * 1. Valida dados do pedido e resolve o cliente cadastrado
    * 2. Verifica disponibilidade de estoque
-   * 3. Cria objeto Order
+   * 3. Cria objeto Order na moeda pedida (orderData.currency), com a cotação da tabela
    * 4. Adiciona produtos ao pedido
-   * 5. Reduz estoque dos produtos
-   * 6. Aplica desconto usando Strategy
+   * 5. Reserva o estoque dos produtos (definitivo só em PROCESSING)
+   *    - Sem estoque suficiente, produtos com allowBackorder aceitam a
+   *      encomenda: o pedido fica BACKORDERED até as unidades chegarem
+   * 6. Aplica desconto (simples ou composto, resgatando os cupons usados),
+   *    frete (se houver método de entrega) e impostos usando Strategy
    * 7. Persiste no Repository
    * 8. Notifica Observers
+   *
+   * Tudo roda em uma UnitOfWork: estoque e pedido só são gravados (e os
+   * eventos só são emitidos) depois que todos os itens forem validados.
+   *
+   * A facade é compartilhada entre requisições: o desconto é escolhido por
+   * pedido e fica registrado nele (appliedDiscount), nunca na facade.
+   *
+   * @param {IDiscountStrategy} discountStrategy - Desconto deste pedido (padrão: sem desconto)
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, discountStrategy = new NoDiscountStrategy()) {
     console.log('\n🎯 FACADE: Criando pedido completo...');
 
+    const uow = new UnitOfWork(this.eventSubject);
+
     try {
       // 1. Validar dados básicos
-      if (!orderData.customerId || !orderData.customerName) {
+      if (!orderData.customerId) {
         throw new Error('Dados do cliente são obrigatórios');
       }
 
@@ -71,176 +117,1567 @@ export class OrderFacade {
         throw new Error('Pedido deve conter pelo menos um item');
       }
 
-      // 2. Criar instância do pedido
+      const productIds = orderData.items.map(item => Number(item.productId));
+      if (new Set(productIds).size !== productIds.length) {
+        throw new Error('Cada produto deve aparecer uma única vez no pedido');
+      }
+
+      // O nome gravado no pedido é sempre o do cadastro
+      const customer = await this.customerRepository.findById(Number(orderData.customerId));
+      if (!customer) {
+        throw new Error(`Cliente ${orderData.customerId} não encontrado`);
+      }
+
+      // 2. Criar instância do pedido na moeda pedida (com a cotação vigente)
       const order = new Order(
         null, // ID será gerado pelo repository
-        orderData.customerId,
-        orderData.customerName
+        customer.id,
+        customer.name
       );
+      const { currency, rate } = await this.resolveExchangeRate(orderData.currency);
+      order.setCurrency(currency, rate);
 
       // 3. Processar cada item do pedido
       for (const item of orderData.items) {
-        const product = await this.productRepository.findById(item.productId);
-        
-        if (!product) {
+        const product = await uow.find(this.productRepository, item.productId);
+
+        // Produtos na lixeira não aceitam novos pedidos
+        if (!product || product.isDeleted()) {
           throw new Error(`Produto ${item.productId} não encontrado`);
         }
 
-        // Verificar estoque
-        if (!product.hasStock(item.quantity)) {
+        // Verificar estoque (a falta só é aceita como encomenda)
+        const shortfall = Math.max(0, item.quantity - Math.max(0, product.getAvailable()));
+        if (shortfall > 0 && !product.allowBackorder) {
           throw new Error(
             `Estoque insuficiente para ${product.name}. ` +
-            `Disponível: ${product.stock}, Solicitado: ${item.quantity}`
+            `Disponível: ${product.getAvailable()}, Solicitado: ${item.quantity}`
           );
         }
 
         // Adicionar item ao pedido
-        order.addItem(product, item.quantity);
+        order.addItem(product, item.quantity, shortfall);
 
-        // Reduzir estoque
-        product.reduceStock(item.quantity);
-        await this.productRepository.update(product.id, product);
+        // Reservar o que há em estoque e encomendar o restante (gravado apenas no commit)
+        uow.registerDirty(this.productRepository, product);
+        if (item.quantity > shortfall) {
+          product.reserve(item.quantity - shortfall);
+        }
+        if (shortfall > 0) {
+          product.addBackorder(shortfall);
+          console.log(`   ⏳ Encomenda: ${product.name} x${shortfall} aguardando estoque`);
+        }
 
         // Verificar se estoque ficou baixo
-        if (product.stock < 10) {
-          this.eventSubject.notify({
+        if (product.getAvailable() < 10) {
+          uow.addEvent({
             type: 'PRODUCT_LOW_STOCK',
             data: product.toJSON()
           });
         }
       }
 
-      // 4. Aplicar desconto usando Strategy
-      const discount = this.discountStrategy.calculate(order.subtotal);
-      order.applyDiscount(discount);
+      // 4. Aplicar desconto usando Strategy (o pedido guarda qual foi usada),
+      //    resgatar os cupons que entraram no desconto (gravados junto com o
+      //    pedido), a cotação do método de entrega e, sobre o valor
+      //    descontado, os impostos da UF de destino
+      discountStrategy = await this.loadCouponTerms(discountStrategy, uow);
+      order.applyDiscountStrategy(discountStrategy);
+      await this.redeemCoupons(order, uow);
+      if (orderData.shippingMethod) {
+        order.applyShipping(
+          this.getShippingMethod(orderData.shippingMethod),
+          this.resolveShippingAddress(customer, orderData.shippingAddress)
+        );
+      }
+      order.applyTaxes(
+        this.taxStrategies,
+        this.resolveDestinationState(customer, orderData.destinationState, order.shippingAddress)
+      );
+      if (order.hasBackorderedItems()) {
+        order.markBackordered();
+      } else {
+        order.reserveStockUntil(new Date(Date.now() + this.reservationTtlMs));
+      }
 
-      console.log(`   Subtotal: R$${order.subtotal.toFixed(2)}`);
-      console.log(`   Desconto: R$${order.discount.toFixed(2)} (${this.discountStrategy.getDescription()})`);
-      console.log(`   Total: R$${order.total.toFixed(2)}`);
+      console.log(`   Subtotal: ${Money.of(order.subtotal).format(order.currency)}`);
+      console.log(`   Desconto: ${Money.of(order.discount).format(order.currency)} (${discountStrategy.getDescription()})`);
+      console.log(`   Impostos: ${Money.of(order.taxTotal).format(order.currency)} (${order.taxes.map(tax => tax.description).join(', ') || 'isento'})`);
+      if (order.shipping) {
+        console.log(`   Frete: ${Money.of(order.shipping.cost).format(order.currency)} (${order.shipping.name}, CEP ${order.shippingAddress.zipCode})`);
+      }
+      console.log(`   Total: ${Money.of(order.total).format(order.currency)}`);
 
-      // 5. Persistir pedido
-      const savedOrder = await this.orderRepository.create(order);
+      // 5. Persistir estoque, cupom e pedido de forma atômica
+      uow.registerNew(this.orderRepository, order);
+      await uow.commit();
 
       // 6. Notificar observers
       this.eventSubject.notify({
         type: 'ORDER_CREATED',
-        data: savedOrder.toJSON()
+        data: order.toJSON()
       });
 
       console.log('✅ FACADE: Pedido criado com sucesso!\n');
-      return savedOrder;
+      return order;
 
     } catch (error) {
+      uow.rollback();
       console.error('❌ FACADE: Erro ao criar pedido:', error.message);
       throw error;
     }
   }
 
   /**
-   * Método Facade: Atualiza status do pedido com validações
+   * Método Facade: Adiciona um produto ao pedido PENDING
+   * (se o produto já estiver no pedido, soma a quantidade)
    */
-  async updateOrderStatus(orderId, newStatus) {
-    console.log(`\n🎯 FACADE: Atualizando status do pedido ${orderId}...`);
+  async addOrderItem(orderId, productId, quantity, expectedVersion) {
+    return await this.editOrderItem(orderId, productId, current => current + quantity, expectedVersion);
+  }
+
+  /**
+   * Método Facade: Altera a quantidade de um item do pedido PENDING
+   */
+  async updateOrderItem(orderId, productId, quantity, expectedVersion) {
+    return await this.editOrderItem(orderId, productId, current => {
+      if (current === 0) {
+        throw new Error(`Produto ${productId} não está no pedido ${orderId}`);
+      }
+      return quantity;
+    }, expectedVersion);
+  }
+
+  /**
+   * Método Facade: Remove um item do pedido PENDING
+   */
+  async removeOrderItem(orderId, productId, expectedVersion) {
+    return await this.editOrderItem(orderId, productId, (current, order) => {
+      if (current === 0) {
+        throw new Error(`Produto ${productId} não está no pedido ${orderId}`);
+      }
+      if (order.items.length === 1) {
+        throw new Error('Pedido deve conter pelo menos um item; para desistir, cancele o pedido');
+      }
+      return 0;
+    }, expectedVersion);
+  }
+
+  /**
+   * Altera a quantidade de um produto no pedido
+   *
+   * 1. Só pedidos PENDING podem ser editados
+   * 2. A reserva (ou o estoque) é ajustada pela diferença entre a quantidade nova e a atual
+   * 3. O desconto é recalculado com a estratégia do próprio pedido, e o frete e os impostos sobre ele
+   * 4. Pedido, estoque e evento ORDER_UPDATED são gravados em uma UnitOfWork
+   *
+   * @param {Function} nextQuantity - (quantidade atual, pedido) => nova quantidade
+   */
+  async editOrderItem(orderId, productId, nextQuantity, expectedVersion) {
+    console.log(`\n🎯 FACADE: Alterando itens do pedido ${orderId}...`);
+
+    const uow = new UnitOfWork(this.eventSubject);
 
     try {
-      const order = await this.orderRepository.findById(orderId);
-      
+      const order = await uow.find(this.orderRepository, orderId);
+
       if (!order) {
         throw new Error(`Pedido ${orderId} não encontrado`);
       }
 
-      const oldStatus = order.status;
-      order.updateStatus(newStatus);
-      await this.orderRepository.update(orderId, order);
+      if (expectedVersion !== undefined && expectedVersion !== order.version) {
+        throw new ConcurrencyError('Pedido', orderId, expectedVersion, order.version);
+      }
+
+      if (!order.isEditable()) {
+        throw new Error(`Itens só podem ser alterados em pedidos PENDING (status atual: ${order.status})`);
+      }
 
-      // Notificar mudança de status
-      this.eventSubject.notify({
-        type: 'ORDER_STATUS_CHANGED',
+      // A cobrança aberta no gateway é do total atual do pedido
+      const payment = await this.findActivePayment(order.id);
+      if (payment) {
+        throw new Error(`Itens não podem ser alterados: pedido já tem o pagamento ${payment.id} (${payment.status})`);
+      }
+
+      const oldQuantity = order.getItem(productId)?.quantity || 0;
+      const newQuantity = nextQuantity(oldQuantity, order);
+      const difference = newQuantity - oldQuantity;
+
+      const product = await uow.find(this.productRepository, productId);
+      if (difference > 0) {
+        // Produtos na lixeira não aceitam novas unidades
+        if (!product || product.isDeleted()) {
+          throw new Error(`Produto ${productId} não encontrado`);
+        }
+        if (!product.hasStock(difference)) {
+          throw new Error(
+            `Estoque insuficiente para ${product.name}. ` +
+            `Disponível: ${product.getAvailable()}, Solicitado: ${difference}`
+          );
+        }
+      }
+
+      // Ajustar reserva ou estoque pela diferença
+      if (product && difference !== 0) {
+        uow.registerDirty(this.productRepository, product);
+        OrderFacade.applyStockDelta(order, product, difference);
+
+        if (product.getAvailable() < 10) {
+          uow.addEvent({
+            type: 'PRODUCT_LOW_STOCK',
+            data: product.toJSON()
+          });
+        }
+      }
+
+      // Alterar item e recalcular desconto
+      uow.registerDirty(this.orderRepository, order);
+      order.setItemQuantity(product || order.getItem(productId).product, newQuantity);
+      order.applyDiscountStrategy(this.getOrderDiscountStrategy(order));
+      // Método de entrega removido da configuração: mantém a cotação original
+      if (order.shipping && this.shippingMethods.has(order.shipping.method)) {
+        order.applyShipping(this.shippingMethods.get(order.shipping.method), order.shippingAddress);
+      }
+      order.applyTaxes(this.taxStrategies, order.destinationState || this.taxRates.originState);
+
+      console.log(`   Item ${productId}: ${oldQuantity} → ${newQuantity}`);
+      console.log(`   Total: ${Money.of(order.total).format(order.currency)}`);
+
+      uow.addEvent({
+        type: 'ORDER_UPDATED',
         data: {
           orderId,
-          oldStatus,
-          newStatus,
+          productId,
+          oldQuantity,
+          newQuantity,
           order: order.toJSON()
         }
       });
+      await uow.commit();
 
-      console.log(`✅ FACADE: Status atualizado: ${oldStatus} → ${newStatus}\n`);
+      console.log('✅ FACADE: Pedido alterado com sucesso!\n');
+      if (difference < 0) {
+        await this.processReplenishment([productId]);
+      }
       return order;
 
     } catch (error) {
-      console.error('❌ FACADE: Erro ao atualizar status:', error.message);
+      uow.rollback();
+      console.error('❌ FACADE: Erro ao alterar pedido:', error.message);
       throw error;
     }
   }
 
   /**
-   * Método Facade: Cancela pedido e restaura estoque
+   * Aplica ao produto a variação de quantidade de um item, conforme a situação
+   * do estoque do pedido (reserva ativa, estoque já baixado ou reserva liberada)
    */
-  async cancelOrder(orderId) {
-    console.log(`\n🎯 FACADE: Cancelando pedido ${orderId}...`);
+  static applyStockDelta(order, product, delta) {
+    if (order.hasActiveReservation()) {
+      if (delta > 0) {
+        product.reserve(delta);
+      } else {
+        product.releaseReservation(-delta);
+      }
+    } else if (order.reservationStatus === Order.RESERVATION.CONFIRMED) {
+      if (delta > 0) {
+        product.reduceStock(delta);
+      } else {
+        product.increaseStock(-delta);
+      }
+    }
+    // RELEASED: nada está separado; a disponibilidade é conferida em PROCESSING
+  }
 
-    try {
-      const order = await this.orderRepository.findById(orderId);
-      
-      if (!order) {
-        throw new Error(`Pedido ${orderId} não encontrado`);
+  /**
+   * UF de destino dos impostos: a informada no pedido, a do endereço de
+   * entrega, a do endereço principal do cliente ou, sem nenhuma delas,
+   * a UF de origem (retirada)
+   */
+  resolveDestinationState(customer, requestedState, shippingAddress = null) {
+    const state = requestedState || shippingAddress?.state || customer?.getPrimaryAddress()?.state;
+    return state ? String(state).toUpperCase() : this.taxRates.originState;
+  }
+
+  /**
+   * Busca um método de entrega configurado
+   */
+  getShippingMethod(methodId) {
+    const method = this.shippingMethods.get(methodId);
+    if (!method) {
+      throw new Error(
+        `Método de entrega desconhecido: ${methodId} (disponíveis: ${[...this.shippingMethods.keys()].join(', ')})`
+      );
+    }
+    return method;
+  }
+
+  /**
+   * Endereço de entrega: o informado no pedido ou o principal do cliente
+   */
+  resolveShippingAddress(customer, requestedAddress) {
+    const address = requestedAddress ? Customer.normalizeAddress(requestedAddress) : customer?.getPrimaryAddress();
+    if (!address) {
+      throw new Error('Endereço de entrega é obrigatório: informe shippingAddress ou cadastre um endereço para o cliente');
+    }
+    return address;
+  }
+
+  /**
+   * Moeda do pedido e cotação vigente (a moeda base tem sempre cotação 1)
+   * @returns {Promise<Object>} { currency, rate }
+   */
+  async resolveExchangeRate(requestedCurrency) {
+    const currency = requestedCurrency ? ExchangeRate.normalizeCode(requestedCurrency) : AppConfig.currency.base;
+    if (currency === AppConfig.currency.base) {
+      return { currency, rate: 1 };
+    }
+
+    const exchangeRate = await this.exchangeRateRepository.findById(currency);
+    if (!exchangeRate) {
+      throw new Error(`Moeda ${currency} sem cotação cadastrada`);
+    }
+    return { currency, rate: exchangeRate.rate };
+  }
+
+  /**
+   * Método Facade: Cota o frete de itens em todos os métodos de entrega
+   *
+   * Usa um pedido transitório, então peso, dimensões e o valor para frete
+   * grátis seguem as mesmas regras da criação do pedido (sem desconto).
+   *
+   * @param {Object[]} items - [{ productId, quantity }]
+   * @returns {Object[]} [{ method, name, description, cost, estimatedDays }] ou { method, name, error }
+   */
+  async quoteShipping(items, shippingAddress, customerId) {
+    const customer = customerId ? await this.customerRepository.findById(Number(customerId)) : null;
+    if (customerId && !customer) {
+      throw new Error(`Cliente ${customerId} não encontrado`);
+    }
+    const address = this.resolveShippingAddress(customer, shippingAddress);
+
+    const order = new Order(null, customer?.id ?? null, customer?.name ?? null);
+    for (const item of items) {
+      const product = await this.productRepository.findById(item.productId);
+      if (!product || product.isDeleted()) {
+        throw new Error(`Produto ${item.productId} não encontrado`);
       }
+      order.addItem(product, item.quantity);
+    }
 
-      // Verificar se pode cancelar
-      if (!order.canBeCancelled()) {
-        throw new Error(`Pedido não pode ser cancelado no status: ${order.status}`);
+    return [...this.shippingMethods.values()].map(method => {
+      try {
+        order.applyShipping(method, address);
+        return { ...order.shipping };
+      } catch (error) {
+        return { method: method.id, name: method.name, error: error.message };
       }
+    });
+  }
 
-      // Restaurar estoque dos produtos
-      for (const item of order.items) {
-        const product = await this.productRepository.findById(item.product.id);
-        if (product) {
-          product.increaseStock(item.quantity);
-          await this.productRepository.update(product.id, product);
-          console.log(`   ↩️  Estoque restaurado: ${product.name} +${item.quantity}`);
+  /**
+   * Recria a estratégia de desconto usada na criação do pedido
+   * (pedidos anteriores ao registro da estratégia mantêm o desconto como valor fixo)
+   */
+  getOrderDiscountStrategy(order) {
+    if (!order.appliedDiscount) {
+      return new FixedAmountDiscountStrategy(order.discount);
+    }
+    return DiscountStrategyFactory.create(order.appliedDiscount.type, order.appliedDiscount.params);
+  }
+
+  /**
+   * Registra um hook executado quando um pedido entra no status informado
+   * ('*' executa em todas as transições)
+   *
+   * O hook recebe { order, from, to, uow } e roda dentro da UnitOfWork da
+   * transição: pode alterar outras entidades (registrando-as na uow) ou
+   * lançar um erro para impedir a mudança de status.
+   */
+  registerTransitionHook(status, hook) {
+    if (!this.transitionHooks.has(status)) {
+      this.transitionHooks.set(status, []);
+    }
+    this.transitionHooks.get(status).push(hook);
+  }
+
+  /**
+   * Hooks padrão do ciclo de vida do pedido
+   */
+  registerDefaultTransitionHooks() {
+    // Encomenda atendida: a reserva passa a ter prazo, como a de um pedido novo
+    this.registerTransitionHook(Order.STATUS.PENDING, ({ order }) => {
+      if (order.hasBackorderedItems()) {
+        throw new Error(`Pedido ${order.id} ainda aguarda unidades encomendadas`);
+      }
+      order.reserveStockUntil(new Date(Date.now() + this.reservationTtlMs));
+    });
+
+    // Em PROCESSING a reserva vira baixa definitiva no estoque
+    this.registerTransitionHook(Order.STATUS.PROCESSING, context => this.commitStock(context));
+
+    // Cancelamento e reembolso devolvem os itens ao estoque
+    const restoreStock = context => this.restoreStock(context);
+    this.registerTransitionHook(Order.STATUS.CANCELLED, restoreStock);
+    this.registerTransitionHook(Order.STATUS.REFUNDED, restoreStock);
+
+    // Pedido cancelado devolve o resgate dos cupons
+    this.registerTransitionHook(Order.STATUS.CANCELLED, context => this.releaseCoupons(context));
+
+    // Reembolso total quita o que ainda não foi devolvido por RMA
+    this.registerTransitionHook(Order.STATUS.REFUNDED, ({ order }) => {
+      order.addRefund(order.getRefundableAmount());
+    });
+
+    // Por último (só roda se os hooks acima aceitaram a mudança): o gateway
+    // cancela a cobrança em aberto ou estorna o que foi pago
+    const settleOrderPayment = context => this.settleOrderPayment(context);
+    this.registerTransitionHook(Order.STATUS.CANCELLED, settleOrderPayment);
+    this.registerTransitionHook(Order.STATUS.REFUNDED, settleOrderPayment);
+  }
+
+  /**
+   * Hook: baixa definitiva do estoque
+   *
+   * Reservas ativas são confirmadas; se a reserva já expirou, os itens
+   * precisam estar disponíveis de novo ou a transição é recusada.
+   */
+  async commitStock({ order, uow }) {
+    const reserved = order.hasActiveReservation();
+
+    for (const item of order.items) {
+      // Produto removido definitivamente: não há estoque a baixar
+      const product = await uow.find(this.productRepository, item.product.id);
+      if (!product) {
+        continue;
+      }
+
+      uow.registerDirty(this.productRepository, product);
+      if (reserved) {
+        product.confirmReservation(item.quantity);
+      } else if (order.reservationStatus === Order.RESERVATION.RELEASED) {
+        if (!product.hasStock(item.quantity)) {
+          throw new Error(
+            `Reserva do pedido ${order.id} expirou e não há estoque de ${product.name}. ` +
+            `Disponível: ${product.getAvailable()}, Necessário: ${item.quantity}`
+          );
         }
+        product.reduceStock(item.quantity);
       }
+    }
 
-      // Cancelar pedido
-      order.cancel();
-      await this.orderRepository.update(orderId, order);
+    order.confirmReservation();
+  }
 
-      // Notificar cancelamento
-      this.eventSubject.notify({
-        type: 'ORDER_CANCELLED',
-        data: order.toJSON()
+  /**
+   * Hook: devolve ao estoque as quantidades do pedido
+   * (libera a reserva ativa ou repõe o que já tinha saído do estoque;
+   * unidades devolvidas por RMA voltaram ao estoque no recebimento e
+   * unidades ainda encomendadas apenas saem da fila)
+   */
+  async restoreStock({ order, uow }) {
+    for (const item of order.items) {
+      const quantity = item.getKeptQuantity();
+      const product = quantity > 0 && await uow.find(this.productRepository, item.product.id);
+      if (product) {
+        uow.registerDirty(this.productRepository, product);
+        if (item.backorderedQuantity > 0) {
+          product.cancelBackorder(item.backorderedQuantity);
+        }
+        OrderFacade.applyStockDelta(order, product, -(quantity - item.backorderedQuantity));
+        console.log(`   ↩️  Estoque restaurado: ${product.name} +${quantity - item.backorderedQuantity}`);
+      }
+    }
+
+    order.releaseReservation();
+  }
+
+  /**
+   * Hook: acerta no gateway o pagamento do pedido cancelado ou reembolsado
+   * - cobrança PENDING (PIX, boleto) é cancelada, para não ser paga depois
+   * - pagamento CONFIRMED tem estornado o que ainda não foi devolvido
+   *
+   * O pedido de cancelamento ou estorno é gravado com o pedido; o gateway é
+   * chamado depois do commit (executeCancellation, executeRefund).
+   */
+  async settleOrderPayment({ order, to, uow }) {
+    const active = await this.findActivePayment(order.id);
+    if (!active) {
+      return;
+    }
+
+    // A UnitOfWork pode já ter estornado o pagamento (ex.: última devolução)
+    const payment = await uow.find(this.paymentRepository, active.id);
+    if (!payment.isActive()) {
+      return;
+    }
+    if (payment.status === Payment.STATUS.CONFIRMED) {
+      this.requestRefund(payment, payment.getRefundableAmount(), uow);
+      return;
+    }
+
+    uow.registerDirty(this.paymentRepository, payment);
+    payment.requestCancellation();
+    uow.afterCommit(() => this.executeCancellation(payment.id, `Pedido ${order.id} passou para ${to}`));
+  }
+
+  /**
+   * Reserva no pagamento confirmado o valor a estornar, dentro da UnitOfWork
+   * informada; o gateway é chamado depois do commit (executeRefund)
+   */
+  requestRefund(payment, amount, uow) {
+    if (!Money.of(amount).greaterThan(0)) {
+      return;
+    }
+
+    uow.registerDirty(this.paymentRepository, payment);
+    payment.requestRefund(amount);
+    uow.afterCommit(() => this.executeRefund(payment.id, amount));
+  }
+
+  /**
+   * Estorna no gateway um valor reservado por requestRefund e o registra
+   * (o pagamento só passa para REFUNDED quando todo o valor foi estornado)
+   *
+   * Se o gateway recusar, o valor continua em refundPendingAmount e
+   * PAYMENT_REVIEW_REQUIRED avisa o administrador, que pode repetir o
+   * estorno por refundPayment.
+   */
+  async executeRefund(paymentId, amount) {
+    let payment = await this.paymentRepository.findById(paymentId);
+    const formatted = Money.of(amount).format(payment.currency);
+
+    try {
+      const result = await this.paymentGateway.refund(payment, amount);
+      if (result.status !== Payment.STATUS.REFUNDED) {
+        throw new Error(`Gateway recusou o estorno: ${result.failureReason || 'motivo não informado'}`);
+      }
+    } catch (error) {
+      console.error(`❌ FACADE: Estorno de ${formatted} do pagamento ${paymentId} pendente:`, error.message);
+      this.requestPaymentReview(payment, `Estorno de ${formatted} pendente: ${error.message}`);
+      return payment;
+    }
+
+    const uow = new UnitOfWork(this.eventSubject);
+    try {
+      payment = await uow.find(this.paymentRepository, paymentId);
+      const order = await uow.find(this.orderRepository, payment.orderId);
+
+      uow.registerDirty(this.paymentRepository, payment);
+      payment.completeRefund(amount);
+      uow.addEvent({
+        type: 'PAYMENT_REFUNDED',
+        data: { payment: payment.toJSON(), order: order.toJSON(), refundAmount: amount }
       });
+      await uow.commit();
+      console.log(`   💳 Estorno de ${formatted} no pagamento ${paymentId}`);
 
-      console.log('✅ FACADE: Pedido cancelado com sucesso!\n');
-      return order;
+    } catch (error) {
+      uow.rollback();
+      console.error(`❌ FACADE: Estorno de ${formatted} feito no gateway, mas não registrado no pagamento ${paymentId}:`, error.message);
+      this.requestPaymentReview(payment, `Estorno de ${formatted} feito no gateway, mas não registrado: ${error.message}`);
+    }
+    return payment;
+  }
+
+  /**
+   * Cancela no gateway a cobrança marcada por requestCancellation
+   *
+   * Se o gateway recusar, a cobrança continua PENDING e
+   * PAYMENT_REVIEW_REQUIRED avisa o administrador; se ela for paga mesmo
+   * assim, o pagamento é estornado (applyPaymentToOrder).
+   */
+  async executeCancellation(paymentId, reason) {
+    let payment = await this.paymentRepository.findById(paymentId);
 
+    try {
+      const result = await this.paymentGateway.cancel(payment);
+      if (result.status !== Payment.STATUS.CANCELLED) {
+        throw new Error(`Gateway recusou o cancelamento da cobrança: ${result.failureReason || 'motivo não informado'}`);
+      }
     } catch (error) {
-      console.error('❌ FACADE: Erro ao cancelar pedido:', error.message);
-      throw error;
+      console.error(`❌ FACADE: Cancelamento da cobrança do pagamento ${paymentId} pendente:`, error.message);
+      this.requestPaymentReview(payment, `Cancelamento da cobrança pendente: ${error.message}`);
+      return payment;
+    }
+
+    const uow = new UnitOfWork(this.eventSubject);
+    try {
+      payment = await uow.find(this.paymentRepository, paymentId);
+      // Callback recebido nesse meio-tempo: o resultado dele prevalece
+      if (payment.status !== Payment.STATUS.PENDING) {
+        return payment;
+      }
+      const order = await uow.find(this.orderRepository, payment.orderId);
+
+      uow.registerDirty(this.paymentRepository, payment);
+      payment.cancel(reason);
+      uow.addEvent({
+        type: 'PAYMENT_CANCELLED',
+        data: { payment: payment.toJSON(), order: order.toJSON() }
+      });
+      await uow.commit();
+      console.log(`   💳 Cobrança do pagamento ${paymentId} cancelada`);
+
+    } catch (error) {
+      uow.rollback();
+      console.error(`❌ FACADE: Cobrança cancelada no gateway, mas não registrada no pagamento ${paymentId}:`, error.message);
+      this.requestPaymentReview(payment, `Cobrança cancelada no gateway, mas não registrada: ${error.message}`);
     }
+    return payment;
   }
 
   /**
-   * Método Facade: Busca pedido com detalhes completos
+   * Troca os cupons do desconto (inclusive dentro de descontos compostos)
+   * pelos termos atuais do cadastro, lidos na UnitOfWork do pedido
+   *
+   * @returns {IDiscountStrategy} Desconto com as condições atuais dos cupons
    */
-  async getOrderDetails(orderId) {
-    const order = await this.orderRepository.findById(orderId);
-    
-    if (!order) {
-      throw new Error(`Pedido ${orderId} não encontrado`);
+  async loadCouponTerms(strategy, uow) {
+    if (strategy.getType() === DiscountStrategyFactory.TYPES.COUPON) {
+      const coupon = await uow.find(this.couponRepository, strategy.getCouponCode());
+      if (!coupon) {
+        throw new Error(`Cupom ${strategy.getCouponCode()} não encontrado`);
+      }
+      return DiscountStrategyFactory.fromCoupon(coupon);
     }
 
-    return {
-      ...order.toJSON(),
-      discountStrategy: this.discountStrategy.getDescription()
-    };
+    if (!(strategy instanceof CompositeDiscountStrategy)) {
+      return strategy;
+    }
+
+    const strategies = [];
+    for (const child of strategy.strategies) {
+      strategies.push(await this.loadCouponTerms(child, uow));
+    }
+    return strategy.withStrategies(strategies);
   }
 
   /**
-   * Método Facade: Lista todos os pedidos
+   * Confere as condições e registra o resgate dos cupons que entraram no
+   * desconto do pedido (opções descartadas pelo melhor desconto não contam)
+   *
+   * Os cupons são gravados no commit da UnitOfWork do pedido; com a
+   * verificação de versão, resgates simultâneos não ultrapassam os limites de uso.
    */
-  async getAllOrders() {
-    return await this.orderRepository.findAll();
+  async redeemCoupons(order, uow) {
+    const lines = order.getDiscountBreakdown()
+      .filter(line => line.type === DiscountStrategyFactory.TYPES.COUPON);
+
+    for (const line of lines) {
+      const coupon = await uow.find(this.couponRepository, line.params.couponCode);
+      uow.registerDirty(this.couponRepository, coupon);
+      coupon.redeem(order.customerId, {
+        subtotal: order.toBaseCurrency(order.subtotal),
+        categories: order.items.map(item => item.product.category)
+      });
+      console.log(`   🎟️  Cupom ${coupon.id} resgatado (${coupon.redemptions.length}/${coupon.maxRedemptions ?? '∞'})`);
+    }
+  }
+
+  /**
+   * Hook: libera o resgate dos cupons usados no pedido
+   * (cupons removidos ou anteriores ao cadastro de cupons são ignorados)
+   */
+  async releaseCoupons({ order, uow }) {
+    const lines = order.getDiscountBreakdown()
+      .filter(line => line.type === DiscountStrategyFactory.TYPES.COUPON);
+
+    for (const line of lines) {
+      const coupon = await uow.find(this.couponRepository, line.params.couponCode);
+      if (!coupon || coupon.getCustomerRedemptions(order.customerId) === 0) {
+        continue;
+      }
+
+      uow.registerDirty(this.couponRepository, coupon);
+      coupon.release(order.customerId);
+      console.log(`   🎟️  Resgate do cupom ${coupon.id} liberado`);
+    }
+  }
+
+  /**
+   * Método Facade: Libera as reservas vencidas de pedidos PENDING
+   *
+   * O pedido continua PENDING, mas sem estoque separado: ao passar para
+   * PROCESSING os itens precisam estar disponíveis novamente. Pedidos com
+   * cobrança em andamento (PIX, boleto) mantêm a reserva até o pagamento.
+   *
+   * @returns {number} Quantidade de reservas liberadas
+   */
+  async releaseExpiredReservations(now = new Date()) {
+    const expired = (await this.orderRepository.findByStatus(Order.STATUS.PENDING))
+      .filter(order => order.isReservationExpired(now));
+
+    let released = 0;
+    for (const { id } of expired) {
+      if (await this.findActivePayment(id)) {
+        continue;
+      }
+
+      const uow = new UnitOfWork(this.eventSubject);
+
+      try {
+        const order = await uow.find(this.orderRepository, id);
+        if (!order || !order.isReservationExpired(now)) {
+          continue;
+        }
+
+        uow.registerDirty(this.orderRepository, order);
+        await this.restoreStock({ order, uow });
+
+        uow.addEvent({
+          type: 'ORDER_RESERVATION_EXPIRED',
+          data: order.toJSON()
+        });
+        await uow.commit();
+        released++;
+
+        await this.processReplenishment(order.items.map(item => item.product.id));
+
+      } catch (error) {
+        uow.rollback();
+        console.error(`❌ FACADE: Erro ao liberar reserva do pedido ${id}:`, error.message);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Método Facade: Trata unidades que voltaram a ficar livres no estoque
+   * (reposição, cancelamento, devolução, reserva liberada)
+   *
+   * 1. Atende as encomendas dos produtos, da mais antiga para a mais nova
+   * 2. Avisa a lista de espera dos produtos que voltaram a ter estoque disponível
+   *
+   * A operação que liberou o estoque já foi gravada: falhas aqui são apenas
+   * registradas e a próxima reposição tenta de novo.
+   */
+  async processReplenishment(productIds) {
+    for (const productId of new Set(productIds)) {
+      try {
+        await this.fillBackorders(productId);
+        await this.notifyBackInStock(productId);
+      } catch (error) {
+        console.error(`❌ FACADE: Erro ao processar reposição do produto ${productId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Entrega as unidades livres do produto aos pedidos BACKORDERED em ordem
+   * de chegada (FIFO); o pedido que recebe todas as unidades volta a PENDING
+   * @returns {number} Unidades atendidas
+   */
+  async fillBackorders(productId) {
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const product = await uow.find(this.productRepository, productId);
+      if (!product || product.backordered === 0) {
+        return 0;
+      }
+
+      // IDs são sequenciais: o menor ID é a encomenda mais antiga
+      const waiting = (await this.orderRepository.findByStatus(Order.STATUS.BACKORDERED))
+        .filter(order => order.getBackorderedQuantity(productId) > 0)
+        .sort((a, b) => a.id - b.id);
+
+      let filled = 0;
+      for (const { id } of waiting) {
+        if (product.getUnreserved() <= 0) {
+          break;
+        }
+
+        const order = await uow.find(this.orderRepository, id);
+        const quantity = Math.min(order.getBackorderedQuantity(productId), product.getUnreserved());
+
+        uow.registerDirty(this.productRepository, product);
+        uow.registerDirty(this.orderRepository, order);
+        product.fillBackorder(quantity);
+        order.fillBackorder(productId, quantity);
+        filled += quantity;
+        console.log(`   📦 Encomenda do pedido ${order.id}: ${product.name} +${quantity}`);
+
+        if (!order.hasBackorderedItems()) {
+          await this.transitionOrder(order, Order.STATUS.PENDING, uow);
+        }
+      }
+
+      await uow.commit();
+      return filled;
+
+    } catch (error) {
+      uow.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Avisa (uma única vez) os clientes inscritos que o produto voltou a ter
+   * estoque disponível, com o evento PRODUCT_BACK_IN_STOCK
+   * @returns {number} Clientes avisados
+   */
+  async notifyBackInStock(productId) {
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const product = await uow.find(this.productRepository, productId);
+      if (!product || product.isDeleted() || product.waitlist.length === 0 || product.getAvailable() <= 0) {
+        return 0;
+      }
+
+      uow.registerDirty(this.productRepository, product);
+      const entries = product.clearWaitlist();
+
+      uow.addEvent({
+        type: 'PRODUCT_BACK_IN_STOCK',
+        data: {
+          product: product.toJSON(),
+          customerIds: entries.map(entry => entry.customerId)
+        }
+      });
+      await uow.commit();
+      return entries.length;
+
+    } catch (error) {
+      uow.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Método Facade: Atualiza status do pedido com validações
+   *
+   * A transição precisa estar em Order.TRANSITIONS. Pedido, hooks e eventos
+   * rodam em uma UnitOfWork: se um hook falhar, nada é gravado.
+   *
+   * @param {number} expectedVersion - Versão conhecida pelo cliente (If-Match), opcional
+   * @param {Object} options - { manual, admin }: mudanças pedidas pela API
+   *   (manual) passam por assertManualTransition
+   */
+  async updateOrderStatus(orderId, newStatus, expectedVersion, { manual = false, admin = false } = {}) {
+    console.log(`\n🎯 FACADE: Atualizando status do pedido ${orderId}...`);
+
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const order = await uow.find(this.orderRepository, orderId);
+      
+      if (!order) {
+        throw new Error(`Pedido ${orderId} não encontrado`);
+      }
+
+      if (expectedVersion !== undefined && expectedVersion !== order.version) {
+        throw new ConcurrencyError('Pedido', orderId, expectedVersion, order.version);
+      }
+      if (manual && !admin) {
+        await this.assertManualTransition(order, newStatus);
+      }
+
+      const oldStatus = await this.transitionOrder(order, newStatus, uow);
+      await uow.commit();
+
+      console.log(`✅ FACADE: Status atualizado: ${oldStatus} → ${newStatus}\n`);
+
+      // Cancelamento e reembolso liberam unidades para encomendas e lista de espera
+      if (newStatus === Order.STATUS.CANCELLED || newStatus === Order.STATUS.REFUNDED) {
+        await this.processReplenishment(order.items.map(item => item.product.id));
+      }
+      return order;
+
+    } catch (error) {
+      uow.rollback();
+      console.error('❌ FACADE: Erro ao atualizar status:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Recusa mudanças manuais (sem X-Admin-Token) que movem dinheiro ou
+   * dispensam o pagamento:
+   * - REFUNDED estorna o pagamento e devolve o estoque
+   * - CANCELLED com pagamento confirmado estorna o pagamento
+   * - PENDING -> PROCESSING só acontece pela confirmação do pagamento
+   */
+  async assertManualTransition(order, newStatus) {
+    if (newStatus === Order.STATUS.REFUNDED) {
+      throw new AdminRequiredError('Reembolso do pedido');
+    }
+    if (newStatus !== Order.STATUS.CANCELLED && newStatus !== Order.STATUS.PROCESSING) {
+      return;
+    }
+
+    const confirmed = (await this.paymentRepository.findByOrderId(order.id))
+      .some(payment => payment.status === Payment.STATUS.CONFIRMED);
+    if (newStatus === Order.STATUS.CANCELLED && confirmed) {
+      throw new AdminRequiredError('Cancelamento de pedido pago');
+    }
+    if (newStatus === Order.STATUS.PROCESSING && order.status === Order.STATUS.PENDING && !confirmed) {
+      throw new AdminRequiredError('Processamento de pedido sem pagamento confirmado');
+    }
+  }
+
+  /**
+   * Aplica uma transição de status dentro da UnitOfWork informada:
+   * executa os hooks e enfileira o evento correspondente
+   * @returns {string} Status anterior
+   */
+  async transitionOrder(order, newStatus, uow) {
+    const oldStatus = order.status;
+    const refundedBefore = order.refundedAmount;
+    uow.registerDirty(this.orderRepository, order);
+    order.updateStatus(newStatus);
+
+    // Hooks da transição (podem alterar outras entidades ou impedir a mudança)
+    const hooks = [
+      ...(this.transitionHooks.get('*') || []),
+      ...(this.transitionHooks.get(newStatus) || [])
+    ];
+    for (const hook of hooks) {
+      await hook({ order, from: oldStatus, to: newStatus, uow });
+    }
+
+    // Notificar mudança de status (após gravar)
+    if (newStatus === Order.STATUS.CANCELLED) {
+      uow.addEvent({
+        type: 'ORDER_CANCELLED',
+        data: order.toJSON()
+      });
+    } else {
+      uow.addEvent({
+        type: 'ORDER_STATUS_CHANGED',
+        data: {
+          orderId: order.id,
+          oldStatus,
+          newStatus,
+          order: order.toJSON(),
+          // Valor reembolsado pela própria transição (parciais já foram notificados)
+          ...(newStatus === Order.STATUS.REFUNDED && {
+            refundAmount: Money.of(order.refundedAmount).subtract(refundedBefore).toNumber()
+          })
+        }
+      });
+    }
+
+    return oldStatus;
+  }
+
+  /**
+   * Método Facade: Cancela pedido e restaura estoque (hook de CANCELLED)
+   * @param {Object} options - { manual, admin } (ver updateOrderStatus)
+   */
+  async cancelOrder(orderId, options = {}) {
+    console.log(`\n🎯 FACADE: Cancelando pedido ${orderId}...`);
+    return await this.updateOrderStatus(orderId, Order.STATUS.CANCELLED, undefined, options);
+  }
+
+  /**
+   * Método Facade: Lista os próximos status permitidos para o pedido
+   */
+  async getOrderTransitions(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    return {
+      orderId: order.id,
+      status: order.status,
+      allowedTransitions: order.getAllowedTransitions()
+    };
+  }
+
+  /**
+   * Método Facade: Solicita a devolução de parte dos itens de um pedido entregue
+   *
+   * Cada produto só pode ser devolvido até a quantidade comprada, descontadas
+   * as unidades de devoluções anteriores que não foram rejeitadas. O reembolso
+   * informado é uma estimativa: o valor final é calculado no recebimento.
+   *
+   * @param {Object[]} items - [{ productId, quantity }]
+   */
+  async requestReturn(orderId, items, reason = '') {
+    console.log(`\n🎯 FACADE: Solicitando devolução do pedido ${orderId}...`);
+
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const order = await uow.find(this.orderRepository, orderId);
+
+      if (!order) {
+        throw new Error(`Pedido ${orderId} não encontrado`);
+      }
+
+      if (!order.acceptsReturns()) {
+        throw new Error(`Devoluções só são aceitas em pedidos DELIVERED ou COMPLETED (status atual: ${order.status})`);
+      }
+
+      // Unidades em devoluções ainda não recebidas (recebidas já estão em returnedQuantity)
+      const pending = (await this.returnRepository.findByOrderId(order.id))
+        .filter(request => request.isActive() && request.status !== ReturnRequest.STATUS.RECEIVED)
+        .flatMap(request => request.items);
+
+      for (const { productId, quantity } of items) {
+        const item = order.getItem(productId);
+        if (!item) {
+          throw new Error(`Produto ${productId} não está no pedido ${orderId}`);
+        }
+
+        const available = item.getKeptQuantity() - pending
+          .filter(returned => returned.productId === productId)
+          .reduce((sum, returned) => sum + returned.quantity, 0);
+        if (quantity > available) {
+          throw new Error(
+            `Quantidade indisponível para devolução de ${item.product.name}. ` +
+            `Disponível: ${available}, Solicitado: ${quantity}`
+          );
+        }
+      }
+
+      const returnRequest = new ReturnRequest(
+        null, // ID será gerado pelo repository
+        order.id,
+        order.customerId,
+        order.calculateReturnRefunds(items),
+        reason
+      );
+
+      uow.registerNew(this.returnRepository, returnRequest);
+      await uow.commit();
+
+      // Notificar após gravar (o evento leva o ID gerado)
+      this.eventSubject.notify({
+        type: 'RETURN_REQUESTED',
+        data: { returnRequest: returnRequest.toJSON(), order: order.toJSON() }
+      });
+
+      console.log(`   Reembolso estimado: ${Money.of(returnRequest.refundAmount).format(order.currency)}`);
+      console.log('✅ FACADE: Devolução solicitada com sucesso!\n');
+      return returnRequest;
+
+    } catch (error) {
+      uow.rollback();
+      console.error('❌ FACADE: Erro ao solicitar devolução:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Método Facade: Aprova uma devolução solicitada
+   */
+  async approveReturn(orderId, returnId) {
+    return await this.changeReturn(orderId, returnId, 'RETURN_APPROVED', returnRequest => {
+      returnRequest.approve();
+    });
+  }
+
+  /**
+   * Método Facade: Rejeita uma devolução solicitada
+   */
+  async rejectReturn(orderId, returnId, reason = '') {
+    return await this.changeReturn(orderId, returnId, 'RETURN_REJECTED', returnRequest => {
+      returnRequest.reject(reason);
+    });
+  }
+
+  /**
+   * Método Facade: Registra o recebimento dos itens devolvidos
+   *
+   * 1. Os itens voltam ao estoque
+   * 2. O reembolso final é calculado com o desconto rateado entre os itens
+   * 3. O pedido acumula o valor em refundedAmount
+   * 4. Se o pedido foi pago, o valor é reservado no pagamento e estornado
+   *    no gateway depois de gravar a devolução (estorno parcial)
+   * 5. Se todas as unidades foram devolvidas, o pedido passa para REFUNDED
+   */
+  async receiveReturn(orderId, returnId) {
+    const received = await this.changeReturn(orderId, returnId, 'RETURN_RECEIVED', async (returnRequest, order, uow) => {
+      returnRequest.receive(order.calculateReturnRefunds(returnRequest.items));
+
+      uow.registerDirty(this.orderRepository, order);
+      for (const { productId, quantity } of returnRequest.items) {
+        const product = await uow.find(this.productRepository, productId);
+        if (product) {
+          uow.registerDirty(this.productRepository, product);
+          product.increaseStock(quantity);
+          console.log(`   ↩️  Estoque restaurado: ${product.name} +${quantity}`);
+        }
+        order.registerReturn(productId, quantity);
+      }
+      order.addRefund(returnRequest.refundAmount);
+
+      console.log(`   Reembolso: ${Money.of(returnRequest.refundAmount).format(order.currency)} (total reembolsado: ${Money.of(order.refundedAmount).format(order.currency)})`);
+
+      const active = await this.findActivePayment(order.id);
+      if (active?.status === Payment.STATUS.CONFIRMED) {
+        const payment = await uow.find(this.paymentRepository, active.id);
+        const amount = Money.of(returnRequest.refundAmount).min(payment.getRefundableAmount());
+        this.requestRefund(payment, amount.toNumber(), uow);
+      }
+
+      if (order.isFullyReturned() && order.canTransitionTo(Order.STATUS.REFUNDED)) {
+        return () => this.transitionOrder(order, Order.STATUS.REFUNDED, uow);
+      }
+    });
+
+    await this.processReplenishment(received.items.map(item => item.productId));
+    return received;
+  }
+
+  /**
+   * Altera uma devolução do pedido em uma UnitOfWork e enfileira o evento
+   *
+   * @param {Function} change - (devolução, pedido, uow) => alteração; pode
+   *   devolver uma função executada depois de enfileirar o evento da devolução
+   *   (ex.: a transição para REFUNDED, notificada após RETURN_RECEIVED)
+   */
+  async changeReturn(orderId, returnId, eventType, change) {
+    console.log(`\n🎯 FACADE: Atualizando devolução ${returnId} do pedido ${orderId}...`);
+
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const returnRequest = await uow.find(this.returnRepository, returnId);
+
+      if (!returnRequest || returnRequest.orderId !== orderId) {
+        throw new Error(`Devolução ${returnId} não encontrada no pedido ${orderId}`);
+      }
+
+      const order = await uow.find(this.orderRepository, orderId);
+
+      uow.registerDirty(this.returnRepository, returnRequest);
+      const afterEvent = await change(returnRequest, order, uow);
+
+      uow.addEvent({
+        type: eventType,
+        data: { returnRequest: returnRequest.toJSON(), order: order.toJSON() }
+      });
+      if (afterEvent) {
+        await afterEvent();
+      }
+      await uow.commit();
+
+      console.log(`✅ FACADE: Devolução ${returnId}: ${returnRequest.status}\n`);
+      return returnRequest;
+
+    } catch (error) {
+      uow.rollback();
+      console.error('❌ FACADE: Erro ao atualizar devolução:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Método Facade: Lista as devoluções do pedido
+   */
+  async getOrderReturns(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    return await this.returnRepository.findByOrderId(order.id);
+  }
+
+  /**
+   * Método Facade: Abre no gateway a cobrança do total de um pedido PENDING
+   *
+   * 1. O pedido não pode ter outro pagamento em andamento ou confirmado
+   * 2. O pagamento é gravado antes da cobrança (o gateway usa o ID)
+   * 3. O resultado é aplicado por settlePayment: cartão aprovado já confirma
+   *    o pagamento; PIX e boleto aguardam o callback do gateway
+   *
+   * @param {Object} data - Dados do método (ex.: { card, installments })
+   */
+  async createPayment(orderId, method, data = {}) {
+    console.log(`\n🎯 FACADE: Registrando pagamento do pedido ${orderId}...`);
+
+    const order = await this.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    if (order.status !== Order.STATUS.PENDING) {
+      throw new Error(`Pagamentos só são aceitos em pedidos PENDING (status atual: ${order.status})`);
+    }
+
+    const supported = this.paymentGateway.getSupportedMethods();
+    if (!supported.includes(method)) {
+      throw new Error(`Método de pagamento não aceito: ${method} (aceitos: ${supported.join(', ')})`);
+    }
+
+    const active = await this.findActivePayment(order.id);
+    if (active) {
+      throw new Error(`Pedido ${orderId} já tem o pagamento ${active.id} (${active.status})`);
+    }
+
+    const payment = await this.paymentRepository.create(
+      new Payment(null, order.id, order.customerId, method, order.total, this.paymentGateway.getName(), order.currency)
+    );
+
+    // Erro do gateway conta como recusa (e como tentativa)
+    let result;
+    try {
+      result = await this.paymentGateway.charge(payment, data);
+    } catch (error) {
+      result = { status: Payment.STATUS.FAILED, failureReason: error.message };
+    }
+
+    return await this.settlePayment(payment.id, result);
+  }
+
+  /**
+   * Método Facade: Trata a notificação do gateway (confirmação ou recusa de PIX e boleto)
+   *
+   * A assinatura é conferida pelo próprio gateway. Notificações repetidas
+   * (mesmo status) são ignoradas, já que gateways reenviam até receber resposta.
+   */
+  async handlePaymentCallback(body, signature) {
+    const notification = this.paymentGateway.parseCallback(body, signature);
+
+    const payment = await this.paymentRepository.findByTransactionId(notification.transactionId);
+    if (!payment) {
+      throw new Error(`Transação ${notification.transactionId} não encontrada`);
+    }
+
+    if (payment.status === notification.status) {
+      console.log(`   💳 Callback repetido para o pagamento ${payment.id} (${payment.status})`);
+      return payment;
+    }
+
+    return await this.settlePayment(payment.id, notification);
+  }
+
+  /**
+   * Método Facade: Estorna um pagamento confirmado
+   *
+   * Pedidos ainda não enviados são cancelados (o estoque volta) e pedidos
+   * entregues passam para REFUNDED; o estorno é feito pelo hook da transição
+   * (settleOrderPayment). O estorno é o que ainda não foi estornado no
+   * pagamento (devoluções recebidas já foram estornadas). Pedidos em
+   * trânsito não são estornados.
+   *
+   * Pagamento com estorno pendente (recusado pelo gateway) tem o estorno
+   * repetido, sem mudar o pedido.
+   */
+  async refundPayment(orderId, paymentId) {
+    console.log(`\n🎯 FACADE: Estornando pagamento ${paymentId} do pedido ${orderId}...`);
+
+    let payment = await this.paymentRepository.findById(paymentId);
+
+    if (!payment || payment.orderId !== orderId) {
+      throw new Error(`Pagamento ${paymentId} não encontrado no pedido ${orderId}`);
+    }
+
+    if (Money.of(payment.refundPendingAmount).greaterThan(0)) {
+      payment = await this.executeRefund(payment.id, payment.refundPendingAmount);
+      return OrderFacade.assertRefundCompleted(payment);
+    }
+
+    if (payment.status !== Payment.STATUS.CONFIRMED) {
+      throw new InvalidTransitionError('Pagamento', payment.id, payment.status, Payment.STATUS.REFUNDED,
+        Payment.TRANSITIONS[payment.status]);
+    }
+
+    const order = await this.orderRepository.findById(orderId);
+    const orderStatus = OrderFacade.getRefundStatus(order);
+    if (!orderStatus) {
+      throw new InvalidTransitionError('Pedido', order.id, order.status, Order.STATUS.REFUNDED,
+        order.getAllowedTransitions());
+    }
+
+    await this.updateOrderStatus(order.id, orderStatus);
+    return OrderFacade.assertRefundCompleted(await this.paymentRepository.findById(payment.id));
+  }
+
+  /**
+   * Confere se o estorno pedido pela API foi concluído no gateway
+   */
+  static assertRefundCompleted(payment) {
+    if (Money.of(payment.refundPendingAmount).greaterThan(0)) {
+      throw new Error(
+        `Estorno de ${Money.of(payment.refundPendingAmount).format(payment.currency)} do pagamento ${payment.id} ` +
+        'recusado pelo gateway: ficou pendente e pode ser repetido'
+      );
+    }
+    return payment;
+  }
+
+  /**
+   * Aplica ao pagamento o resultado do gateway (cobrança, callback ou estorno)
+   *
+   * Pagamento e evento (PAYMENT_PENDING, PAYMENT_CONFIRMED, PAYMENT_FAILED ou
+   * PAYMENT_REFUNDED) são gravados primeiro e o pedido muda depois, pela
+   * transição normal: o dinheiro já se moveu no gateway, então um hook que
+   * recuse a mudança de status não pode desfazer o registro do pagamento.
+   */
+  async settlePayment(paymentId, result) {
+    const uow = new UnitOfWork(this.eventSubject);
+    let payment;
+    let refundAmount;
+
+    try {
+      payment = await uow.find(this.paymentRepository, paymentId);
+      const order = await uow.find(this.orderRepository, payment.orderId);
+
+      uow.registerDirty(this.paymentRepository, payment);
+      if (result.transactionId) {
+        payment.attachTransaction(result.transactionId, result.details);
+      }
+
+      switch (result.status) {
+        case Payment.STATUS.PENDING:
+          break;
+        case Payment.STATUS.CONFIRMED:
+          payment.confirm();
+          break;
+        case Payment.STATUS.FAILED:
+          payment.fail(result.failureReason);
+          break;
+        case Payment.STATUS.REFUNDED:
+          refundAmount = result.amount ?? payment.getRefundableAmount();
+          payment.refund(refundAmount);
+          break;
+        default:
+          throw new Error(`Status de pagamento desconhecido: ${result.status}`);
+      }
+
+      uow.addEvent({
+        type: `PAYMENT_${result.status}`,
+        data: {
+          payment: payment.toJSON(),
+          order: order.toJSON(),
+          ...(refundAmount !== undefined && { refundAmount })
+        }
+      });
+      await uow.commit();
+
+    } catch (error) {
+      uow.rollback();
+      console.error('❌ FACADE: Erro ao registrar pagamento:', error.message);
+      throw error;
+    }
+
+    console.log(`   💳 Pagamento ${payment.id} (${payment.method}): ${payment.status}`);
+    // Estorno parcial mantém o pagamento CONFIRMED e não muda o pedido
+    if (payment.status === result.status) {
+      await this.applyPaymentToOrder(payment);
+    }
+    return payment;
+  }
+
+  /**
+   * Leva o pedido ao status correspondente ao pagamento
+   * - CONFIRMED: PENDING -> PROCESSING (baixa do estoque)
+   * - FAILED: após AppConfig.payments.maxAttempts recusas, o pedido é cancelado
+   * - REFUNDED: REFUNDED ou, se ainda não foi entregue, CANCELLED
+   *
+   * O pagamento já foi gravado: se o pedido não puder receber um pagamento
+   * confirmado (ex.: pedido cancelado, reserva vencida sem estoque), o valor
+   * é estornado; demais falhas, ou estorno recusado, emitem
+   * PAYMENT_REVIEW_REQUIRED para tratamento manual.
+   */
+  async applyPaymentToOrder(payment) {
+    try {
+      const order = await this.orderRepository.findById(payment.orderId);
+      let newStatus = null;
+
+      switch (payment.status) {
+        case Payment.STATUS.CONFIRMED:
+          newStatus = Order.STATUS.PROCESSING;
+          break;
+        case Payment.STATUS.FAILED: {
+          const failures = (await this.paymentRepository.findByOrderId(order.id))
+            .filter(attempt => attempt.status === Payment.STATUS.FAILED).length;
+          if (failures >= AppConfig.payments.maxAttempts && order.status === Order.STATUS.PENDING) {
+            console.log(`   💳 ${failures} pagamentos recusados: cancelando pedido ${order.id}`);
+            newStatus = Order.STATUS.CANCELLED;
+          }
+          break;
+        }
+        case Payment.STATUS.REFUNDED:
+          newStatus = OrderFacade.getRefundStatus(order);
+          break;
+      }
+
+      if (!newStatus) {
+        return;
+      }
+      if (!order.canTransitionTo(newStatus)) {
+        throw new InvalidTransitionError('Pedido', order.id, order.status, newStatus, order.getAllowedTransitions());
+      }
+      await this.updateOrderStatus(order.id, newStatus);
+
+    } catch (error) {
+      console.error(`❌ FACADE: Pagamento ${payment.id} registrado, mas o pedido ${payment.orderId} não foi atualizado:`, error.message);
+
+      if (payment.status === Payment.STATUS.CONFIRMED) {
+        await this.refundUnappliedPayment(payment);
+      } else {
+        this.requestPaymentReview(payment, error.message);
+      }
+    }
+  }
+
+  /**
+   * Estorna o pagamento confirmado que o pedido não pôde receber; o pedido
+   * fica como está (um pedido PENDING pode ser pago de novo)
+   */
+  async refundUnappliedPayment(payment) {
+    const uow = new UnitOfWork(this.eventSubject);
+
+    try {
+      const current = await uow.find(this.paymentRepository, payment.id);
+      this.requestRefund(current, current.getRefundableAmount(), uow);
+      await uow.commit();
+
+    } catch (error) {
+      uow.rollback();
+      console.error(`❌ FACADE: Estorno automático do pagamento ${payment.id} não foi registrado:`, error.message);
+      this.requestPaymentReview(payment, `Pagamento não aplicado ao pedido e estorno não registrado: ${error.message}`);
+    }
+  }
+
+  /**
+   * Avisa que o pagamento e o pedido ficaram divergentes e precisam de
+   * tratamento manual
+   */
+  requestPaymentReview(payment, reason) {
+    this.eventSubject.notify({
+      type: 'PAYMENT_REVIEW_REQUIRED',
+      data: { payment: payment.toJSON(), reason }
+    });
+  }
+
+  /**
+   * Status do pedido após o estorno do pagamento (null se não pode ser estornado)
+   */
+  static getRefundStatus(order) {
+    return [Order.STATUS.REFUNDED, Order.STATUS.CANCELLED].find(status => order.canTransitionTo(status)) || null;
+  }
+
+  /**
+   * Pagamento em andamento ou confirmado do pedido (ou null)
+   */
+  async findActivePayment(orderId) {
+    return (await this.paymentRepository.findByOrderId(orderId)).find(payment => payment.isActive()) || null;
+  }
+
+  /**
+   * Método Facade: Lista os pagamentos do pedido
+   */
+  async getOrderPayments(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    return await this.paymentRepository.findByOrderId(order.id);
+  }
+
+  /**
+   * Método Facade: Nota fiscal do pedido, emitida na primeira consulta
+   *
+   * A nota só é emitida para pedidos já pagos (PROCESSING em diante, com
+   * pagamento confirmado e valor pago líquido dos estornos maior que zero)
+   * e recebe o próximo número da série. Depois de gravada é sempre devolvida
+   * como foi emitida, sem reler produtos nem o pedido.
+   */
+  async getInvoice(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    const existing = await this.invoiceRepository.findByOrderId(order.id);
+    if (existing) {
+      return existing;
+    }
+
+    if (!OrderFacade.INVOICEABLE_STATUSES.includes(order.status)) {
+      throw new Error(
+        `Nota fiscal só é emitida para pedidos ${OrderFacade.INVOICEABLE_STATUSES.join(', ')} (status atual: ${order.status})`
+      );
+    }
+
+    const paid = (await this.paymentRepository.findByOrderId(order.id))
+      .some(payment => Money.of(payment.getRefundableAmount()).greaterThan(0));
+    if (!paid) {
+      throw new Error(`Nota fiscal só é emitida para pedidos com pagamento confirmado (pedido ${order.id})`);
+    }
+
+    console.log(`\n🎯 FACADE: Emitindo nota fiscal do pedido ${orderId}...`);
+
+    const customer = await this.customerRepository.findById(order.customerId);
+    const { series, issuerName, issuerDocument } = AppConfig.invoices;
+    const invoice = Invoice.fromOrder(
+      order,
+      { name: issuerName, document: issuerDocument, state: this.taxRates.originState },
+      customer,
+      series
+    );
+
+    try {
+      await this.invoiceRepository.create(invoice);
+    } catch (error) {
+      // Outra requisição emitiu a nota do mesmo pedido ao mesmo tempo
+      const issued = await this.invoiceRepository.findByOrderId(order.id);
+      if (issued) {
+        return issued;
+      }
+      throw error;
+    }
+
+    this.eventSubject.notify({
+      type: 'INVOICE_ISSUED',
+      data: {
+        orderId: order.id,
+        customerId: order.customerId,
+        customerName: order.customerName,
+        invoiceNumber: invoice.getNumber(),
+        series: invoice.series,
+        total: invoice.totals.total,
+        currency: invoice.currency
+      }
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Método Facade: Busca pedido com detalhes completos
+   */
+  async getOrderDetails(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+    
+    if (!order) {
+      throw new Error(`Pedido ${orderId} não encontrado`);
+    }
+
+    return {
+      ...order.toJSON(),
+      discountStrategy: order.appliedDiscount?.description || this.getOrderDiscountStrategy(order).getDescription()
+    };
+  }
+
+  /**
+   * Método Facade: Lista todos os pedidos
+   */
+  async getAllOrders() {
+    return await this.orderRepository.findAll();
+  }
+
+  /**
+   * Método Facade: Lista pedidos paginados e filtrados
+   */
+  async queryOrders(spec) {
+    return await this.orderRepository.findByQuery(spec);
   }
 
   /**
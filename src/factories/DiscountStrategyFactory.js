@@ -0,0 +1,175 @@
+import {
+  NoDiscountStrategy,
+  PercentageDiscountStrategy,
+  FixedAmountDiscountStrategy,
+  TieredDiscountStrategy,
+  FirstOrderDiscountStrategy,
+  BlackFridayDiscountStrategy,
+  CouponDiscountStrategy
+} from '../strategies/DiscountStrategies.js';
+import {
+  SumDiscountStrategy,
+  BestOfDiscountStrategy,
+  SequentialDiscountStrategy,
+  CappedDiscountStrategy
+} from '../strategies/CompositeDiscountStrategies.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * DiscountStrategyFactory - Cria estratégias de desconto a partir do tipo
+ *
+ * O par (tipo, parâmetros) é o que os pedidos guardam em appliedDiscount;
+ * com ele a estratégia pode ser recriada para recalcular o desconto
+ * quando os itens do pedido mudam. Nos descontos compostos, os parâmetros
+ * trazem as estratégias filhas no mesmo formato ({ type, params }).
+ */
+export class DiscountStrategyFactory {
+  /**
+   * Tipos de estratégias disponíveis
+   */
+  static TYPES = {
+    NONE: 'none',
+    PERCENTAGE: 'percentage',
+    FIXED: 'fixed',
+    TIERED: 'tiered',
+    FIRST_ORDER: 'first-order',
+    BLACK_FRIDAY: 'black-friday',
+    COUPON: 'coupon',
+    SUM: 'sum',
+    BEST_OF: 'best-of',
+    SEQUENTIAL: 'sequential',
+    CAPPED: 'capped'
+  };
+
+  /**
+   * Tipos que combinam uma lista de estratégias
+   */
+  static COMBINATION_TYPES = ['sum', 'best-of', 'sequential'];
+
+  /**
+   * Tipos cujo valor vem do corpo da requisição (só administradores)
+   */
+  static MANUAL_TYPES = ['percentage', 'fixed'];
+
+  /**
+   * Cria a estratégia do tipo informado
+   * @param {string} type - Tipo da estratégia (use DiscountStrategyFactory.TYPES)
+   * @param {Object} params - Parâmetros no formato de getParameters()
+   * @returns {IDiscountStrategy}
+   */
+  static create(type, params = {}) {
+    switch (type) {
+      case this.TYPES.NONE:
+        return new NoDiscountStrategy();
+      case this.TYPES.PERCENTAGE:
+        return new PercentageDiscountStrategy(params.percentage);
+      case this.TYPES.FIXED:
+        return new FixedAmountDiscountStrategy(params.amount);
+      case this.TYPES.TIERED:
+        return new TieredDiscountStrategy();
+      case this.TYPES.FIRST_ORDER:
+        return new FirstOrderDiscountStrategy(params.percentage);
+      case this.TYPES.BLACK_FRIDAY:
+        return new BlackFridayDiscountStrategy();
+      case this.TYPES.COUPON:
+        return new CouponDiscountStrategy(
+          params.couponCode, params.discountPercentage, params.minOrderValue, params.allowedCategories
+        );
+      case this.TYPES.SUM:
+      case this.TYPES.BEST_OF:
+      case this.TYPES.SEQUENTIAL:
+        return this.combine(
+          type,
+          (params.strategies || []).map(child => this.create(child.type, child.params)),
+          params
+        );
+      case this.TYPES.CAPPED:
+        return this.cap(this.create(params.strategy.type, params.strategy.params), params);
+      default:
+        throw new Error(`Tipo de desconto desconhecido: ${type}`);
+    }
+  }
+
+  /**
+   * Combina estratégias já criadas (soma, melhor desconto ou sequência)
+   * @param {string} type - SUM, BEST_OF ou SEQUENTIAL
+   * @param {IDiscountStrategy[]} strategies
+   * @param {Object} rules - { exclusive, group }
+   */
+  static combine(type, strategies, { exclusive, group } = {}) {
+    switch (type) {
+      case this.TYPES.SUM:
+        return new SumDiscountStrategy(strategies, { exclusive, group });
+      case this.TYPES.BEST_OF:
+        return new BestOfDiscountStrategy(strategies, { exclusive, group });
+      case this.TYPES.SEQUENTIAL:
+        return new SequentialDiscountStrategy(strategies, { exclusive, group });
+      default:
+        throw new Error(`Tipo de desconto combinado desconhecido: ${type}`);
+    }
+  }
+
+  /**
+   * Limita o desconto de uma estratégia
+   * @param {Object} limits - { maxAmount, maxPercentage, exclusive, group }
+   */
+  static cap(strategy, { maxAmount = null, maxPercentage = null, exclusive, group } = {}) {
+    return new CappedDiscountStrategy(strategy, { maxAmount, maxPercentage, exclusive, group });
+  }
+
+  /**
+   * Cria a estratégia com os termos de um cupom cadastrado
+   * @param {Coupon} coupon
+   */
+  static fromCoupon(coupon) {
+    return this.create(this.TYPES.COUPON, {
+      couponCode: coupon.id,
+      discountPercentage: coupon.discountPercentage,
+      minOrderValue: coupon.minOrderValue,
+      allowedCategories: coupon.allowedCategories
+    });
+  }
+
+  /**
+   * Cria a estratégia a partir do corpo de POST /api/orders
+   * (discountType, discountValue)
+   *
+   * Cupons não são montados a partir do corpo: os termos vêm do cadastro
+   * (OrderService.resolveDiscountStrategy + fromCoupon). Percentual e valor
+   * fixo escolhidos na requisição são descontos manuais, aceitos apenas
+   * com allowManual (requisição de administrador).
+   *
+   * @param {Object} options - { allowManual }
+   */
+  static fromRequest(body, { allowManual = false } = {}) {
+    const type = body.discountType || this.TYPES.NONE;
+
+    if (this.MANUAL_TYPES.includes(type) && !allowManual) {
+      throw new Error(`Desconto ${type} só pode ser aplicado por administradores: use um cupom cadastrado (couponCode)`);
+    }
+
+    switch (type) {
+      case this.TYPES.PERCENTAGE:
+        return this.create(type, { percentage: body.discountValue || 10 });
+      case this.TYPES.FIXED:
+        return this.create(type, { amount: body.discountValue || 50 });
+      case this.TYPES.COUPON:
+        throw new Error('Cupom deve ser informado pelo código (couponCode)');
+      case this.TYPES.SUM:
+      case this.TYPES.BEST_OF:
+      case this.TYPES.SEQUENTIAL:
+      case this.TYPES.CAPPED:
+        throw new Error('Descontos combinados são montados por OrderService.resolveDiscountStrategy');
+      case this.TYPES.TIERED:
+      case this.TYPES.FIRST_ORDER:
+      case this.TYPES.BLACK_FRIDAY:
+        return this.create(type);
+      default:
+        return this.create(this.TYPES.NONE);
+    }
+  }
+}
+
+// Congela a classe para prevenir modificações
+Object.freeze(DiscountStrategyFactory);
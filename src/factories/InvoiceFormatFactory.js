@@ -0,0 +1,54 @@
+import {
+  HtmlInvoiceFormatStrategy,
+  TextInvoiceFormatStrategy,
+  XmlInvoiceFormatStrategy
+} from '../strategies/InvoiceFormatStrategies.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * InvoiceFormatFactory - Cria o formato de exibição da nota fiscal
+ */
+export class InvoiceFormatFactory {
+  /**
+   * Formatos disponíveis (além do JSON devolvido pela própria API)
+   */
+  static TYPES = {
+    HTML: 'html',
+    TEXT: 'text',
+    XML: 'xml'
+  };
+
+  /**
+   * Cria a estratégia do formato informado
+   * @param {string} format - Formato (use InvoiceFormatFactory.TYPES)
+   * @returns {IInvoiceFormatStrategy}
+   */
+  static create(format) {
+    switch (format) {
+      case this.TYPES.HTML:
+        return new HtmlInvoiceFormatStrategy();
+      case this.TYPES.TEXT:
+        return new TextInvoiceFormatStrategy();
+      case this.TYPES.XML:
+        return new XmlInvoiceFormatStrategy();
+      default:
+        throw new Error(`Formato de nota fiscal desconhecido: ${format}`);
+    }
+  }
+
+  /**
+   * Formato correspondente a um Content-Type (negociação pelo header Accept)
+   */
+  static fromContentType(contentType) {
+    const formats = {
+      'text/html': this.TYPES.HTML,
+      'text/plain': this.TYPES.TEXT,
+      'application/xml': this.TYPES.XML
+    };
+    return formats[contentType] || null;
+  }
+}
+
+// Congela a classe para prevenir modificações
+Object.freeze(InvoiceFormatFactory);
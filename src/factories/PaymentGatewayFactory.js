@@ -0,0 +1,42 @@
+import { MockPaymentGateway } from '../payments/MockPaymentGateway.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * PaymentGatewayFactory - Cria o gateway que cobra os pedidos
+ *
+ * Novos gateways implementam IPaymentGateway e são registrados em TYPES.
+ */
+export class PaymentGatewayFactory {
+  /**
+   * Gateways disponíveis
+   */
+  static TYPES = {
+    MOCK: 'mock'
+  };
+
+  /**
+   * Cria o gateway do tipo informado
+   * @param {string} type - Tipo do gateway (use PaymentGatewayFactory.TYPES)
+   * @returns {IPaymentGateway}
+   */
+  static create(type, options = {}) {
+    switch (type) {
+      case this.TYPES.MOCK:
+        return new MockPaymentGateway(options.callbackSecret);
+      default:
+        throw new Error(`Gateway de pagamento desconhecido: ${type}`);
+    }
+  }
+
+  /**
+   * Cria o gateway configurado em AppConfig.payments
+   */
+  static fromConfig() {
+    return this.create(AppConfig.payments.gateway, AppConfig.payments);
+  }
+}
+
+// Congela a classe para prevenir modificações
+Object.freeze(PaymentGatewayFactory);
@@ -1,5 +1,22 @@
 import { ProductRepository } from '../repositories/ProductRepository.js';
 import { OrderRepository } from '../repositories/OrderRepository.js';
+import { CustomerRepository } from '../repositories/CustomerRepository.js';
+import { ReturnRepository } from '../repositories/ReturnRepository.js';
+import { CartRepository } from '../repositories/CartRepository.js';
+import { PaymentRepository } from '../repositories/PaymentRepository.js';
+import { InvoiceRepository } from '../repositories/InvoiceRepository.js';
+import { ExchangeRateRepository } from '../repositories/ExchangeRateRepository.js';
+import { CouponRepository } from '../repositories/CouponRepository.js';
+import { SqliteProductRepository } from '../repositories/sqlite/SqliteProductRepository.js';
+import { SqliteOrderRepository } from '../repositories/sqlite/SqliteOrderRepository.js';
+import { SqliteCustomerRepository } from '../repositories/sqlite/SqliteCustomerRepository.js';
+import { SqliteReturnRepository } from '../repositories/sqlite/SqliteReturnRepository.js';
+import { SqliteCartRepository } from '../repositories/sqlite/SqliteCartRepository.js';
+import { SqlitePaymentRepository } from '../repositories/sqlite/SqlitePaymentRepository.js';
+import { SqliteInvoiceRepository } from '../repositories/sqlite/SqliteInvoiceRepository.js';
+import { SqliteExchangeRateRepository } from '../repositories/sqlite/SqliteExchangeRateRepository.js';
+import { SqliteCouponRepository } from '../repositories/sqlite/SqliteCouponRepository.js';
+import { AppConfig } from '../config/AppConfig.js';
 
 /**
  * PADRÃO FACTORY METHOD
@@ -12,6 +29,10 @@ import { OrderRepository } from '../repositories/OrderRepository.js';
  * - Permite extensão fácil para novos tipos de repositórios
  * - Reduz acoplamento entre código cliente e classes concretas
  * - Possibilita cache de instâncias e controle de ciclo de vida
+ *
+ * A implementação concreta depende do driver configurado
+ * (AppConfig.database.driver): 'sqlite' usa os repositórios SQL,
+ * os demais usam as coleções do Database.
  */
 export class RepositoryFactory {
   // Cache de instâncias de repositórios (padrão Singleton por tipo)
@@ -22,16 +43,24 @@ export class RepositoryFactory {
    */
   static TYPES = {
     PRODUCT: 'product',
-    ORDER: 'order'
+    ORDER: 'order',
+    CUSTOMER: 'customer',
+    RETURN: 'return',
+    CART: 'cart',
+    PAYMENT: 'payment',
+    INVOICE: 'invoice',
+    EXCHANGE_RATE: 'exchangeRate',
+    COUPON: 'coupon'
   };
 
   /**
    * Cria ou retorna instância de repositório baseado no tipo
    * @param {string} type - Tipo do repositório (use RepositoryFactory.TYPES)
    * @param {boolean} forceNew - Se true, cria nova instância mesmo que exista cache
+   * @param {string} driver - Driver de persistência (padrão: AppConfig.database.driver)
    * @returns {IRepository} Instância do repositório solicitado
    */
-  static createRepository(type, forceNew = false) {
+  static createRepository(type, forceNew = false, driver = AppConfig.database.driver) {
     // Se não forçar nova instância e já existir no cache, retorna a existente
     if (!forceNew && this.#instances.has(type)) {
       console.log(`♻️  Retornando instância em cache: ${type}Repository`);
@@ -39,23 +68,52 @@ export class RepositoryFactory {
     }
 
     let repository;
+    const useSql = driver === 'sqlite';
 
     // Factory Method: decide qual classe concreta instanciar
     switch (type) {
       case this.TYPES.PRODUCT:
-        repository = new ProductRepository();
-        console.log(`🏭 Factory criou: ProductRepository`);
+        repository = useSql ? new SqliteProductRepository() : new ProductRepository();
         break;
 
       case this.TYPES.ORDER:
-        repository = new OrderRepository();
-        console.log(`🏭 Factory criou: OrderRepository`);
+        repository = useSql ? new SqliteOrderRepository() : new OrderRepository();
+        break;
+
+      case this.TYPES.CUSTOMER:
+        repository = useSql ? new SqliteCustomerRepository() : new CustomerRepository();
+        break;
+
+      case this.TYPES.RETURN:
+        repository = useSql ? new SqliteReturnRepository() : new ReturnRepository();
+        break;
+
+      case this.TYPES.CART:
+        repository = useSql ? new SqliteCartRepository() : new CartRepository();
+        break;
+
+      case this.TYPES.PAYMENT:
+        repository = useSql ? new SqlitePaymentRepository() : new PaymentRepository();
+        break;
+
+      case this.TYPES.INVOICE:
+        repository = useSql ? new SqliteInvoiceRepository() : new InvoiceRepository();
+        break;
+
+      case this.TYPES.EXCHANGE_RATE:
+        repository = useSql ? new SqliteExchangeRateRepository() : new ExchangeRateRepository();
+        break;
+
+      case this.TYPES.COUPON:
+        repository = useSql ? new SqliteCouponRepository() : new CouponRepository();
         break;
 
       default:
         throw new Error(`Tipo de repositório desconhecido: ${type}`);
     }
 
+    console.log(`🏭 Factory criou: ${repository.constructor.name}`);
+
     // Armazena no cache
     this.#instances.set(type, repository);
     return repository;
@@ -75,6 +133,55 @@ export class RepositoryFactory {
     return this.createRepository(this.TYPES.ORDER, forceNew);
   }
 
+  /**
+   * Cria um CustomerRepository
+   */
+  static createCustomerRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.CUSTOMER, forceNew);
+  }
+
+  /**
+   * Cria um ReturnRepository
+   */
+  static createReturnRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.RETURN, forceNew);
+  }
+
+  /**
+   * Cria um CartRepository
+   */
+  static createCartRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.CART, forceNew);
+  }
+
+  /**
+   * Cria um PaymentRepository
+   */
+  static createPaymentRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.PAYMENT, forceNew);
+  }
+
+  /**
+   * Cria um InvoiceRepository
+   */
+  static createInvoiceRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.INVOICE, forceNew);
+  }
+
+  /**
+   * Cria um ExchangeRateRepository
+   */
+  static createExchangeRateRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.EXCHANGE_RATE, forceNew);
+  }
+
+  /**
+   * Cria um CouponRepository
+   */
+  static createCouponRepository(forceNew = false) {
+    return this.createRepository(this.TYPES.COUPON, forceNew);
+  }
+
   /**
    * Limpa o cache de instâncias
    * Útil para testes ou quando precisa forçar recriação
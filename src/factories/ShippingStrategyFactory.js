@@ -0,0 +1,76 @@
+import fs from 'fs';
+import {
+  FlatRateShippingStrategy,
+  WeightTierShippingStrategy,
+  CepZoneShippingStrategy,
+  FreeAboveThresholdShippingStrategy
+} from '../strategies/ShippingStrategies.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * ShippingStrategyFactory - Cria estratégias de frete e os métodos de entrega
+ *
+ * Os métodos oferecidos (ex.: pac, sedex) ficam no JSON de
+ * AppConfig.shipping.methodsFile: { id: { name, type, params } }.
+ */
+export class ShippingStrategyFactory {
+  /**
+   * Tipos de estratégias disponíveis
+   */
+  static TYPES = {
+    FLAT: 'flat',
+    WEIGHT_TIER: 'weight-tier',
+    CEP_ZONE: 'cep-zone',
+    FREE_ABOVE: 'free-above'
+  };
+
+  /**
+   * Cria a estratégia do tipo informado
+   * @param {string} type - Tipo da estratégia (use ShippingStrategyFactory.TYPES)
+   * @param {Object} params - Parâmetros no formato de getParameters()
+   * @returns {IShippingStrategy}
+   */
+  static create(type, params = {}) {
+    switch (type) {
+      case this.TYPES.FLAT:
+        return new FlatRateShippingStrategy(params.amount, params.estimatedDays);
+      case this.TYPES.WEIGHT_TIER:
+        return new WeightTierShippingStrategy(params.tiers, params.extraPerKg, params.estimatedDays);
+      case this.TYPES.CEP_ZONE:
+        return new CepZoneShippingStrategy(params.zones);
+      case this.TYPES.FREE_ABOVE:
+        if (!params.base) {
+          throw new Error('Frete grátis acima de um valor precisa de uma estratégia base');
+        }
+        return new FreeAboveThresholdShippingStrategy(
+          params.threshold,
+          this.create(params.base.type, params.base.params)
+        );
+      default:
+        throw new Error(`Tipo de frete desconhecido: ${type}`);
+    }
+  }
+
+  /**
+   * Carrega os métodos de entrega configurados
+   * @returns {Map<string, Object>} id -> { id, name, strategy }
+   */
+  static loadMethods(file = AppConfig.shipping.methodsFile) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Não foi possível ler os métodos de entrega ${file}: ${error.message}`);
+    }
+
+    return new Map(Object.entries(data).map(([id, method]) => [
+      id,
+      { id, name: method.name || id, strategy: this.create(method.type, method.params) }
+    ]));
+  }
+}
+
+// Congela a classe para prevenir modificações
+Object.freeze(ShippingStrategyFactory);
@@ -0,0 +1,49 @@
+import { IcmsTaxStrategy, IpiTaxStrategy, IssTaxStrategy } from '../strategies/TaxStrategies.js';
+import { TaxRateTable } from '../config/TaxRateTable.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * PADRÃO FACTORY METHOD
+ *
+ * TaxStrategyFactory - Cria as estratégias de imposto aplicadas aos pedidos
+ */
+export class TaxStrategyFactory {
+  /**
+   * Tipos de estratégias disponíveis
+   */
+  static TYPES = {
+    ICMS: 'icms',
+    IPI: 'ipi',
+    ISS: 'iss'
+  };
+
+  /**
+   * Cria a estratégia do tipo informado
+   * @param {string} type - Tipo da estratégia (use TaxStrategyFactory.TYPES)
+   * @param {TaxRateTable} rateTable - Tabela de alíquotas
+   * @returns {ITaxStrategy}
+   */
+  static create(type, rateTable) {
+    switch (type) {
+      case this.TYPES.ICMS:
+        return new IcmsTaxStrategy(rateTable);
+      case this.TYPES.IPI:
+        return new IpiTaxStrategy(rateTable);
+      case this.TYPES.ISS:
+        return new IssTaxStrategy(rateTable);
+      default:
+        throw new Error(`Tipo de imposto desconhecido: ${type}`);
+    }
+  }
+
+  /**
+   * Cria as estratégias configuradas em AppConfig.taxes.strategies
+   * @returns {ITaxStrategy[]}
+   */
+  static fromConfig(rateTable = TaxRateTable.load()) {
+    return AppConfig.taxes.strategies.map(type => this.create(type, rateTable));
+  }
+}
+
+// Congela a classe para prevenir modificações
+Object.freeze(TaxStrategyFactory);
@@ -2,9 +2,16 @@ import express from 'express';
 import { Database } from './config/Database.js';
 import productRoutes from './routes/productRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import currencyRoutes from './routes/currencyRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import { ReservationSweeper } from './services/ReservationSweeper.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const reservationSweeper = new ReservationSweeper();
 
 // Middleware para parse de JSON
 app.use(express.json());
@@ -22,7 +29,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     patterns: [
       'Singleton (Database)',
-      'Repository (ProductRepository, OrderRepository)',
+      'Repository (ProductRepository, OrderRepository, CustomerRepository)',
       'Factory Method (RepositoryFactory)',
       'Strategy (DiscountStrategies, ValidationStrategies)',
       'Observer (Event Notifications)',
@@ -30,29 +37,88 @@ app.get('/', (req, res) => {
     ],
     endpoints: {
       products: '/api/products',
-      orders: '/api/orders'
+      orders: '/api/orders',
+      customers: '/api/customers',
+      carts: '/api/carts',
+      payments: '/api/payments',
+      currencies: '/api/currencies',
+      coupons: '/api/coupons'
     },
     documentation: {
       products: {
-        'GET /api/products': 'Lista todos os produtos',
+        'GET /api/products': 'Lista produtos (page, limit, cursor, sort, category, minPrice, maxPrice, createdFrom, createdTo)',
         'GET /api/products/:id': 'Busca produto por ID',
         'POST /api/products': 'Cria novo produto',
         'PUT /api/products/:id': 'Atualiza produto',
-        'DELETE /api/products/:id': 'Deleta produto',
+        'DELETE /api/products/:id': 'Envia produto para a lixeira',
+        'GET /api/products/trash': 'Lista produtos na lixeira',
+        'POST /api/products/:id/restore': 'Restaura produto da lixeira',
+        'DELETE /api/products/:id/purge': 'Remove produto definitivamente (admin)',
+        'POST /api/products/:id/restock': 'Repõe estoque, atendendo encomendas (BACKORDERED) por ordem de chegada',
+        'GET /api/products/:id/waitlist': 'Lista de espera do produto (admin)',
+        'POST /api/products/:id/waitlist': 'Inscreve cliente no aviso de volta ao estoque',
+        'DELETE /api/products/:id/waitlist/:customerId': 'Remove cliente da lista de espera',
         'GET /api/products/stats': 'Estatísticas de produtos',
         'GET /api/products/low-stock': 'Produtos com estoque baixo',
-        'GET /api/products/search?name=': 'Busca por nome',
+        'GET /api/products/search?q=': 'Busca textual ranqueada (nome, categoria e descrição)',
         'GET /api/products/category/:category': 'Busca por categoria'
       },
       orders: {
-        'GET /api/orders': 'Lista todos os pedidos',
+        'GET /api/orders': 'Lista pedidos (page, limit, cursor, sort, status, minTotal, maxTotal, createdFrom, createdTo)',
         'GET /api/orders/:id': 'Busca pedido por ID',
-        'POST /api/orders': 'Cria novo pedido',
-        'PUT /api/orders/:id': 'Atualiza status do pedido',
-        'DELETE /api/orders/:id': 'Cancela pedido',
+        'POST /api/orders': 'Cria novo pedido (customerId, items, desconto opcional (discountType, couponCode de cupom cadastrado ou combinação sum/best-of/sequential com discounts e limite maxDiscount; percentage e fixed com discountValue requerem X-Admin-Token), destinationState opcional para impostos, shippingMethod e shippingAddress opcionais para frete, currency opcional)',
+        'POST /api/orders/shipping-quotes': 'Cota o frete dos itens em todos os métodos de entrega (items, shippingAddress ou customerId)',
+        'PUT /api/orders/:id': 'Atualiza status do pedido (apenas transições permitidas; REFUNDED, CANCELLED de pedido pago e PROCESSING sem pagamento confirmado requerem X-Admin-Token)',
+        'GET /api/orders/:id/transitions': 'Próximos status permitidos',
+        'POST /api/orders/:id/items': 'Adiciona item (pedidos PENDING)',
+        'PATCH /api/orders/:id/items/:productId': 'Altera quantidade do item (pedidos PENDING)',
+        'DELETE /api/orders/:id/items/:productId': 'Remove item (pedidos PENDING)',
+        'GET /api/orders/:id/returns': 'Devoluções do pedido',
+        'POST /api/orders/:id/returns': 'Solicita devolução de itens (pedidos DELIVERED ou COMPLETED)',
+        'POST /api/orders/:id/returns/:returnId/approve': 'Aprova devolução (requer X-Admin-Token)',
+        'POST /api/orders/:id/returns/:returnId/reject': 'Rejeita devolução (requer X-Admin-Token)',
+        'POST /api/orders/:id/returns/:returnId/receive': 'Recebe itens devolvidos, restaura estoque e reembolsa (requer X-Admin-Token)',
+        'GET /api/orders/:id/payments': 'Pagamentos do pedido',
+        'POST /api/orders/:id/payments': 'Paga o pedido PENDING (method pix, boleto ou card; card { number, holder, expiry, cvv })',
+        'POST /api/orders/:id/payments/:paymentId/refund': 'Estorna pagamento confirmado e cancela ou reembolsa o pedido (requer X-Admin-Token)',
+        'GET /api/orders/:id/invoice': 'Nota fiscal do pedido pago, emitida na primeira consulta (?format=json|html|text|xml ou header Accept)',
+        'DELETE /api/orders/:id': 'Cancela pedido (pedido pago requer X-Admin-Token)',
         'GET /api/orders/stats': 'Estatísticas de pedidos',
         'GET /api/orders/realtime-stats': 'Estatísticas em tempo real',
         'GET /api/orders/audit-logs': 'Logs de auditoria'
+      },
+      customers: {
+        'GET /api/customers': 'Lista clientes (page, limit, cursor, sort, email, document, createdFrom, createdTo)',
+        'GET /api/customers/:id': 'Busca cliente por ID',
+        'POST /api/customers': 'Cadastra novo cliente',
+        'PUT /api/customers/:id': 'Atualiza cliente',
+        'DELETE /api/customers/:id': 'Remove cliente sem pedidos',
+        'GET /api/customers/:id/orders': 'Pedidos do cliente'
+      },
+      carts: {
+        'POST /api/carts': 'Abre carrinho do cliente (devolve o ativo, se existir)',
+        'GET /api/carts/:id': 'Carrinho com preços atuais, prévia do desconto e avisos',
+        'POST /api/carts/:id/items': 'Adiciona item',
+        'PATCH /api/carts/:id/items/:productId': 'Altera quantidade do item',
+        'DELETE /api/carts/:id/items/:productId': 'Remove item',
+        'PUT /api/carts/:id/discount': 'Escolhe o desconto (mesmos campos de POST /api/orders)',
+        'POST /api/carts/:id/checkout': 'Converte o carrinho em pedido (acceptChanges confirma preços alterados; shippingMethod, shippingAddress e currency opcionais)'
+      },
+      payments: {
+        'POST /api/payments/callback': 'Confirmação ou recusa enviada pelo gateway (transactionId, status; assinatura em X-Payment-Signature)'
+      },
+      currencies: {
+        'GET /api/currencies': 'Moeda base e cotações cadastradas',
+        'GET /api/currencies/:code': 'Cotação de uma moeda',
+        'PUT /api/currencies/:code': 'Cadastra ou altera a cotação (rate = unidades da moeda por 1 da moeda base; requer X-Admin-Token)',
+        'DELETE /api/currencies/:code': 'Remove a cotação (requer X-Admin-Token)'
+      },
+      coupons: {
+        'GET /api/coupons': 'Lista cupons com os resgates (requer X-Admin-Token)',
+        'GET /api/coupons/:code': 'Busca cupom pelo código (requer X-Admin-Token)',
+        'POST /api/coupons': 'Cadastra cupom (code, discountPercentage, minOrderValue, allowedCategories, validFrom, validUntil, maxRedemptions, maxRedemptionsPerCustomer; requer X-Admin-Token)',
+        'PUT /api/coupons/:code': 'Altera as condições do cupom (requer X-Admin-Token)',
+        'DELETE /api/coupons/:code': 'Remove cupom nunca resgatado (requer X-Admin-Token)'
       }
     }
   });
@@ -61,6 +127,11 @@ app.get('/', (req, res) => {
 // Rotas da API
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/carts', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Middleware de erro 404
 app.use((req, res) => {
@@ -90,6 +161,9 @@ async function startServer() {
     await db.connect();
     
     console.log('📊 Estatísticas do Database:', db.getStats());
+
+    // Liberar reservas de estoque vencidas de pedidos PENDING
+    reservationSweeper.start();
     
     // Iniciar servidor
     app.listen(PORT, () => {
@@ -97,6 +171,8 @@ async function startServer() {
       console.log(`📝 Documentação: http://localhost:${PORT}/`);
       console.log(`🛍️  Produtos: http://localhost:${PORT}/api/products`);
       console.log(`📦 Pedidos: http://localhost:${PORT}/api/orders`);
+      console.log(`👤 Clientes: http://localhost:${PORT}/api/customers`);
+      console.log(`🛒 Carrinhos: http://localhost:${PORT}/api/carts`);
       console.log('\n🎯 Padrões de Projeto implementados:');
       console.log('   1. Singleton - Database (instância única)');
       console.log('   2. Repository - Separação de persistência');
@@ -115,6 +191,8 @@ async function startServer() {
 // Tratamento de shutdown gracioso
 process.on('SIGINT', async () => {
   console.log('\n\n🛑 Encerrando servidor...');
+
+  reservationSweeper.stop();
   
   const db = Database.getInstance();
   await db.disconnect();
@@ -0,0 +1,27 @@
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Middleware que restringe a rota a administradores
+ *
+ * O cliente deve enviar o cabeçalho X-Admin-Token com o valor de
+ * AppConfig.auth.adminToken (variável ADMIN_TOKEN).
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso restrito a administradores'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Indica se a requisição traz o X-Admin-Token válido, para rotas abertas
+ * que liberam opções extras a administradores
+ */
+export function isAdmin(req) {
+  const { adminToken } = AppConfig.auth;
+  return Boolean(adminToken) && req.get('X-Admin-Token') === adminToken;
+}
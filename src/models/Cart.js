@@ -0,0 +1,147 @@
+/**
+ * Entidade Cart (Carrinho de compras)
+ *
+ * Cada linha guarda o preço do produto no momento em que foi adicionada,
+ * para que o carrinho possa avisar quando o preço mudar até o checkout.
+ */
+export class Cart {
+  static STATUS = {
+    ACTIVE: 'ACTIVE',
+    CHECKED_OUT: 'CHECKED_OUT',
+    EXPIRED: 'EXPIRED'
+  };
+
+  constructor(id, customerId) {
+    this.id = id;
+    this.customerId = customerId;
+    this.items = [];
+    this.appliedDiscount = { type: 'none', params: {} };
+    this.status = Cart.STATUS.ACTIVE;
+    this.orderId = null;
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+    this.lastActivityAt = new Date();
+  }
+
+  /**
+   * Define a quantidade de um produto no carrinho
+   * (adiciona a linha se não existir; quantidade 0 remove a linha)
+   *
+   * A linha passa a guardar o preço atual do produto. Linhas são
+   * substituídas, não alteradas, como nos itens de pedido.
+   */
+  setItem(product, quantity) {
+    const current = this.getItem(product.id);
+    const others = this.items.filter(item => item !== current);
+
+    this.items = quantity === 0 ? others : [
+      ...others,
+      {
+        productId: product.id,
+        productName: product.name,
+        quantity,
+        unitPrice: product.price,
+        addedAt: current ? current.addedAt : new Date()
+      }
+    ];
+    this.touch();
+  }
+
+  /**
+   * Busca a linha de um produto
+   */
+  getItem(productId) {
+    return this.items.find(item => item.productId === productId) || null;
+  }
+
+  /**
+   * Guarda a estratégia de desconto escolhida (tipo e parâmetros)
+   */
+  setDiscount(strategy) {
+    this.appliedDiscount = { type: strategy.getType(), params: strategy.getParameters() };
+    this.touch();
+  }
+
+  /**
+   * Verifica se o carrinho ainda aceita alterações
+   */
+  isActive() {
+    return this.status === Cart.STATUS.ACTIVE;
+  }
+
+  /**
+   * Verifica se o carrinho ativo passou do tempo máximo sem atividade
+   */
+  isExpired(ttlMs, now = Date.now()) {
+    return this.isActive() && now - this.lastActivityAt.getTime() > ttlMs;
+  }
+
+  /**
+   * Marca o carrinho como expirado por inatividade
+   */
+  expire() {
+    this.status = Cart.STATUS.EXPIRED;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Fecha o carrinho com o pedido gerado no checkout
+   */
+  checkout(orderId) {
+    this.status = Cart.STATUS.CHECKED_OUT;
+    this.orderId = orderId;
+    this.touch();
+  }
+
+  /**
+   * Reabre o carrinho quando a criação do pedido falha no checkout
+   */
+  reopen() {
+    this.status = Cart.STATUS.ACTIVE;
+    this.orderId = null;
+    this.touch();
+  }
+
+  /**
+   * Registra atividade (reinicia a contagem de expiração)
+   */
+  touch() {
+    this.updatedAt = new Date();
+    this.lastActivityAt = new Date();
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      items: this.items.map(item => ({ ...item })),
+      appliedDiscount: { type: this.appliedDiscount.type, params: { ...this.appliedDiscount.params } },
+      status: this.status,
+      orderId: this.orderId,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      lastActivityAt: this.lastActivityAt
+    };
+  }
+
+  /**
+   * Recria um carrinho a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const cart = new Cart(data.id, data.customerId);
+    cart.items = data.items.map(item => ({ ...item, addedAt: new Date(item.addedAt) }));
+    cart.appliedDiscount = data.appliedDiscount || { type: 'none', params: {} };
+    cart.status = data.status;
+    cart.orderId = data.orderId ?? null;
+    cart.version = data.version || 1;
+    cart.createdAt = new Date(data.createdAt);
+    cart.updatedAt = new Date(data.updatedAt);
+    cart.lastActivityAt = new Date(data.lastActivityAt || data.updatedAt);
+    return cart;
+  }
+}
@@ -0,0 +1,174 @@
+import { Money } from './Money.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Entidade Coupon (Cupom de desconto)
+ *
+ * As condições do cupom (percentual, valor mínimo, categorias, validade e
+ * limites de uso) são definidas pelos administradores; o cliente informa
+ * apenas o código. O valor mínimo está na moeda base.
+ *
+ * O ID é o próprio código do cupom, em maiúsculas (ex.: 'BEMVINDO10').
+ * Cada resgate fica em redemptions até o pedido ser cancelado.
+ */
+export class Coupon {
+  constructor(code, discountPercentage) {
+    this.id = Coupon.normalizeCode(code);
+    this.description = '';
+    this.discountPercentage = discountPercentage;
+    this.minOrderValue = 0;
+    this.allowedCategories = [];
+    this.validFrom = null;
+    this.validUntil = null;
+    this.maxRedemptions = null;
+    this.maxRedemptionsPerCustomer = null;
+    this.redemptions = [];
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Código do cupom
+   */
+  getCode() {
+    return this.id;
+  }
+
+  /**
+   * Atualiza as condições do cupom (resgates já feitos são mantidos)
+   */
+  update(data) {
+    if (data.description !== undefined) this.description = data.description || '';
+    if (data.discountPercentage !== undefined) this.discountPercentage = data.discountPercentage;
+    if (data.minOrderValue !== undefined) this.minOrderValue = data.minOrderValue || 0;
+    if (data.allowedCategories !== undefined) this.allowedCategories = [...(data.allowedCategories || [])];
+    if (data.validFrom !== undefined) this.validFrom = data.validFrom ? new Date(data.validFrom) : null;
+    if (data.validUntil !== undefined) this.validUntil = data.validUntil ? new Date(data.validUntil) : null;
+    if (data.maxRedemptions !== undefined) this.maxRedemptions = data.maxRedemptions ?? null;
+    if (data.maxRedemptionsPerCustomer !== undefined) this.maxRedemptionsPerCustomer = data.maxRedemptionsPerCustomer ?? null;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se a data está dentro da validade
+   */
+  isValidAt(date = new Date()) {
+    return (!this.validFrom || date >= this.validFrom) && (!this.validUntil || date <= this.validUntil);
+  }
+
+  /**
+   * Resgates do cliente ainda não liberados
+   */
+  getCustomerRedemptions(customerId) {
+    return this.redemptions.filter(redemption => redemption.customerId === customerId).length;
+  }
+
+  /**
+   * Resgates que ainda podem ser feitos (null = sem limite)
+   */
+  getRemainingRedemptions() {
+    return this.maxRedemptions === null ? null : Math.max(0, this.maxRedemptions - this.redemptions.length);
+  }
+
+  /**
+   * Verifica se o cupom vale para o pedido e registra o resgate
+   *
+   * @param {number} customerId - Cliente do pedido
+   * @param {Object} order - { subtotal (Money na moeda base), categories }
+   */
+  redeem(customerId, { subtotal, categories }, now = new Date()) {
+    if (!this.isValidAt(now)) {
+      throw new Error(`Cupom ${this.id} fora da validade`);
+    }
+    if (this.getRemainingRedemptions() === 0) {
+      throw new Error(`Cupom ${this.id} esgotado`);
+    }
+    if (this.maxRedemptionsPerCustomer !== null && this.getCustomerRedemptions(customerId) >= this.maxRedemptionsPerCustomer) {
+      throw new Error(`Cupom ${this.id} já foi usado o máximo de vezes por este cliente`);
+    }
+    if (subtotal.lessThan(this.minOrderValue)) {
+      throw new Error(`Cupom ${this.id} exige pedido mínimo de ${Money.of(this.minOrderValue).format(AppConfig.currency.base)}`);
+    }
+    if (this.allowedCategories.length > 0 && !categories.some(category => this.allowedCategories.includes(category))) {
+      throw new Error(`Cupom ${this.id} vale apenas para: ${this.allowedCategories.join(', ')}`);
+    }
+
+    this.redemptions.push({ customerId, redeemedAt: now });
+    this.updatedAt = now;
+  }
+
+  /**
+   * Libera um resgate do cliente (pedido cancelado)
+   * @returns {boolean} false se o cliente não tinha resgates
+   */
+  release(customerId) {
+    const index = this.redemptions.findLastIndex(redemption => redemption.customerId === customerId);
+    if (index === -1) {
+      return false;
+    }
+    this.redemptions.splice(index, 1);
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Código em maiúsculas, sem espaços
+   */
+  static normalizeCode(code) {
+    return String(code ?? '').trim().toUpperCase();
+  }
+
+  /**
+   * Verifica o formato do código (letras, dígitos, '-' e '_')
+   */
+  static isValidCode(code) {
+    return /^[A-Z0-9_-]{3,30}$/.test(code);
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.id,
+      description: this.description,
+      discountPercentage: this.discountPercentage,
+      minOrderValue: this.minOrderValue,
+      allowedCategories: [...this.allowedCategories],
+      validFrom: this.validFrom,
+      validUntil: this.validUntil,
+      maxRedemptions: this.maxRedemptions,
+      maxRedemptionsPerCustomer: this.maxRedemptionsPerCustomer,
+      redemptions: this.redemptions.map(redemption => ({ ...redemption })),
+      timesRedeemed: this.redemptions.length,
+      remainingRedemptions: this.getRemainingRedemptions(),
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Recria um cupom a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const coupon = new Coupon(data.id, data.discountPercentage);
+    coupon.description = data.description || '';
+    coupon.minOrderValue = data.minOrderValue || 0;
+    coupon.allowedCategories = [...(data.allowedCategories || [])];
+    coupon.validFrom = data.validFrom ? new Date(data.validFrom) : null;
+    coupon.validUntil = data.validUntil ? new Date(data.validUntil) : null;
+    coupon.maxRedemptions = data.maxRedemptions ?? null;
+    coupon.maxRedemptionsPerCustomer = data.maxRedemptionsPerCustomer ?? null;
+    coupon.redemptions = (data.redemptions || []).map(redemption => ({
+      ...redemption,
+      redeemedAt: new Date(redemption.redeemedAt)
+    }));
+    coupon.version = data.version || 1;
+    coupon.createdAt = new Date(data.createdAt);
+    coupon.updatedAt = new Date(data.updatedAt);
+    return coupon;
+  }
+}
@@ -0,0 +1,105 @@
+import { CpfCnpj } from '../utils/CpfCnpj.js';
+
+/**
+ * Entidade Customer (Cliente)
+ * Representa um cliente identificado por e-mail e documento (CPF/CNPJ)
+ */
+export class Customer {
+  constructor(id, name, email, document, phone = '', addresses = []) {
+    this.id = id;
+    this.name = name;
+    this.email = Customer.normalizeEmail(email);
+    this.document = CpfCnpj.normalize(document);
+    this.phone = Customer.normalizePhone(phone);
+    this.addresses = addresses.map(Customer.normalizeAddress);
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Atualiza os dados do cliente
+   */
+  update(data) {
+    if (data.name) this.name = data.name;
+    if (data.email) this.email = Customer.normalizeEmail(data.email);
+    if (data.document) this.document = CpfCnpj.normalize(data.document);
+    if (data.phone !== undefined) this.phone = Customer.normalizePhone(data.phone);
+    if (data.addresses) this.addresses = data.addresses.map(Customer.normalizeAddress);
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Tipo do documento: 'CPF' (pessoa física) ou 'CNPJ' (pessoa jurídica)
+   */
+  getDocumentType() {
+    return CpfCnpj.typeOf(this.document);
+  }
+
+  /**
+   * Endereço principal (o primeiro cadastrado)
+   */
+  getPrimaryAddress() {
+    return this.addresses[0] || null;
+  }
+
+  static normalizeEmail(email) {
+    return String(email ?? '').trim().toLowerCase();
+  }
+
+  static normalizePhone(phone) {
+    return String(phone ?? '').replace(/\D/g, '');
+  }
+
+  /**
+   * Mantém apenas os campos conhecidos do endereço; CEP só com dígitos e UF em maiúsculas
+   */
+  static normalizeAddress(address) {
+    return {
+      label: address.label || '',
+      street: address.street,
+      number: String(address.number ?? ''),
+      complement: address.complement || '',
+      district: address.district || '',
+      city: address.city,
+      state: String(address.state ?? '').toUpperCase(),
+      zipCode: String(address.zipCode ?? '').replace(/\D/g, '')
+    };
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      email: this.email,
+      document: this.document,
+      documentType: this.getDocumentType(),
+      phone: this.phone,
+      addresses: this.addresses.map(address => ({ ...address })),
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Recria um cliente a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const customer = new Customer(
+      data.id,
+      data.name,
+      data.email,
+      data.document,
+      data.phone,
+      data.addresses || []
+    );
+    customer.version = data.version || 1;
+    customer.createdAt = new Date(data.createdAt);
+    customer.updatedAt = new Date(data.updatedAt);
+    return customer;
+  }
+}
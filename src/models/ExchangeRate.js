@@ -0,0 +1,104 @@
+import { Money } from './Money.js';
+
+/**
+ * Entidade ExchangeRate (Cotação de moeda)
+ *
+ * Quantas unidades da moeda valem uma unidade da moeda base
+ * (AppConfig.currency.base). Ex.: base BRL, USD com rate 0.18 ->
+ * R$ 100,00 = US$ 18,00.
+ *
+ * O ID é o próprio código ISO 4217 da moeda (ex.: 'USD').
+ */
+export class ExchangeRate {
+  constructor(currency, rate) {
+    this.id = ExchangeRate.normalizeCode(currency);
+    this.rate = rate;
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Código da moeda
+   */
+  getCurrency() {
+    return this.id;
+  }
+
+  /**
+   * Altera a cotação (pedidos já criados mantêm a cotação da época)
+   */
+  update(rate) {
+    this.rate = rate;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Converte um valor na moeda base para esta moeda
+   * @returns {Money}
+   */
+  fromBase(amount) {
+    return ExchangeRate.convertFromBase(amount, this.rate);
+  }
+
+  /**
+   * Converte um valor nesta moeda para a moeda base
+   * @returns {Money}
+   */
+  toBase(amount) {
+    return ExchangeRate.convertToBase(amount, this.rate);
+  }
+
+  /**
+   * Código em maiúsculas, sem espaços
+   */
+  static normalizeCode(code) {
+    return String(code ?? '').trim().toUpperCase();
+  }
+
+  /**
+   * Verifica se o código tem o formato ISO 4217 (três letras)
+   */
+  static isValidCode(code) {
+    return /^[A-Z]{3}$/.test(code);
+  }
+
+  /**
+   * Base -> moeda com a cotação informada (arredondado para o centavo)
+   */
+  static convertFromBase(amount, rate) {
+    return Money.of(amount).multiply(rate);
+  }
+
+  /**
+   * Moeda -> base com a cotação informada (arredondado para o centavo)
+   */
+  static convertToBase(amount, rate) {
+    return Money.of(amount).multiply(1 / rate);
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      currency: this.id,
+      rate: this.rate,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Recria uma cotação a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const exchangeRate = new ExchangeRate(data.id, data.rate);
+    exchangeRate.version = data.version || 1;
+    exchangeRate.createdAt = new Date(data.createdAt);
+    exchangeRate.updatedAt = new Date(data.updatedAt);
+    return exchangeRate;
+  }
+}
@@ -0,0 +1,186 @@
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Entidade Invoice (Nota Fiscal)
+ *
+ * Fotografia do pedido no momento da emissão: emitente, destinatário,
+ * itens (com nome e categoria da época), desconto, impostos, frete e
+ * totais. Depois de emitida não muda, mesmo que produtos sejam
+ * renomeados ou o pedido seja alterado.
+ *
+ * O ID é o número da nota (sequencial); a chave de acesso segue o
+ * formato de 44 dígitos da NF-e. Os valores estão na moeda do pedido.
+ */
+export class Invoice {
+  /**
+   * Código IBGE das UFs (início da chave de acesso)
+   */
+  static STATE_CODES = {
+    RO: '11', AC: '12', AM: '13', RR: '14', PA: '15', AP: '16', TO: '17',
+    MA: '21', PI: '22', CE: '23', RN: '24', PB: '25', PE: '26', AL: '27', SE: '28', BA: '29',
+    MG: '31', ES: '32', RJ: '33', SP: '35',
+    PR: '41', SC: '42', RS: '43',
+    MS: '50', MT: '51', GO: '52', DF: '53'
+  };
+
+  // Modelo 55 = NF-e
+  static MODEL = '55';
+
+  constructor(id, orderId, series) {
+    this.id = id;
+    this.orderId = orderId;
+    this.series = series;
+    this.currency = AppConfig.currency.base;
+    this.exchangeRate = 1;
+    this.issuer = null;
+    this.recipient = null;
+    this.items = [];
+    this.discount = { description: null, amount: 0 };
+    this.taxes = [];
+    this.shipping = null;
+    this.totals = {};
+    this.issuedAt = new Date();
+  }
+
+  /**
+   * Monta a nota a partir do pedido
+   *
+   * Cada item leva a sua parte do desconto (o mesmo rateio usado na base
+   * dos impostos, ver Order.getDiscountShares) e os impostos calculados
+   * para ele no pedido.
+   *
+   * @param {Object} issuer - { name, document, state }
+   * @param {Customer} customer - Cadastro atual do cliente (null se removido)
+   */
+  static fromOrder(order, issuer, customer, series) {
+    const invoice = new Invoice(null, order.id, series);
+    invoice.currency = order.currency;
+    invoice.exchangeRate = order.exchangeRate;
+    invoice.issuer = { ...issuer };
+    invoice.recipient = {
+      customerId: order.customerId,
+      name: customer?.name || order.customerName,
+      document: customer?.document || null,
+      documentType: customer?.getDocumentType() || null,
+      address: order.shippingAddress ? { ...order.shippingAddress } : customer?.getPrimaryAddress() || null
+    };
+
+    const discountShares = order.getDiscountShares();
+    invoice.items = order.items.map((item, index) => {
+      const gross = item.getSubtotal();
+      const discount = discountShares[index];
+
+      return {
+        number: index + 1,
+        productId: item.product.id,
+        description: item.product.name,
+        sku: item.product.sku,
+        category: item.product.category,
+        taxCategory: item.product.taxCategory,
+        unit: 'UN',
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        gross: gross.toNumber(),
+        discount: discount.toNumber(),
+        net: gross.subtract(discount).toNumber(),
+        taxes: order.taxes.flatMap(tax => tax.lines
+          .filter(line => line.productId === item.product.id)
+          .map(line => ({ type: tax.type, base: line.base, rate: line.rate, amount: line.amount })))
+      };
+    });
+
+    invoice.discount = {
+      description: order.appliedDiscount?.description || null,
+      amount: order.discount
+    };
+    invoice.taxes = order.taxes.map(({ type, description, amount }) => ({ type, description, amount }));
+    invoice.shipping = order.shipping
+      ? { method: order.shipping.method, name: order.shipping.name, cost: order.shipping.cost }
+      : null;
+    invoice.totals = {
+      products: order.subtotal,
+      discount: order.discount,
+      taxes: order.taxTotal,
+      shipping: order.getShippingCost(),
+      total: order.total
+    };
+    return invoice;
+  }
+
+  /**
+   * Número da nota (o ID sequencial gerado pelo repositório)
+   */
+  getNumber() {
+    return this.id;
+  }
+
+  /**
+   * Chave de acesso no formato da NF-e (44 dígitos):
+   * UF, AAMM da emissão, CNPJ do emitente, modelo, série, número,
+   * tipo de emissão, código numérico e dígito verificador (módulo 11)
+   */
+  getAccessKey() {
+    const issuedAt = new Date(this.issuedAt);
+    const key = [
+      Invoice.STATE_CODES[this.issuer.state] || '00',
+      String(issuedAt.getUTCFullYear() % 100).padStart(2, '0'),
+      String(issuedAt.getUTCMonth() + 1).padStart(2, '0'),
+      String(this.issuer.document).replace(/\D/g, '').padStart(14, '0').slice(-14),
+      Invoice.MODEL,
+      String(this.series).padStart(3, '0'),
+      String(this.id).padStart(9, '0'),
+      '1',
+      String(this.orderId).padStart(8, '0').slice(-8)
+    ].join('');
+
+    let weight = 2;
+    let sum = 0;
+    for (let i = key.length - 1; i >= 0; i--) {
+      sum += Number(key[i]) * weight;
+      weight = weight === 9 ? 2 : weight + 1;
+    }
+    const remainder = sum % 11;
+    return key + (remainder < 2 ? 0 : 11 - remainder);
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      number: this.getNumber(),
+      series: this.series,
+      accessKey: this.id ? this.getAccessKey() : null,
+      orderId: this.orderId,
+      currency: this.currency,
+      exchangeRate: this.exchangeRate,
+      issuer: { ...this.issuer },
+      recipient: { ...this.recipient },
+      items: this.items.map(item => ({ ...item, taxes: item.taxes.map(tax => ({ ...tax })) })),
+      discount: { ...this.discount },
+      taxes: this.taxes.map(tax => ({ ...tax })),
+      shipping: this.shipping ? { ...this.shipping } : null,
+      totals: { ...this.totals },
+      issuedAt: this.issuedAt
+    };
+  }
+
+  /**
+   * Recria uma nota a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const invoice = new Invoice(data.id, data.orderId, data.series);
+    invoice.currency = data.currency || AppConfig.currency.base;
+    invoice.exchangeRate = data.exchangeRate || 1;
+    invoice.issuer = data.issuer;
+    invoice.recipient = data.recipient;
+    invoice.items = data.items;
+    invoice.discount = data.discount;
+    invoice.taxes = data.taxes;
+    invoice.shipping = data.shipping || null;
+    invoice.totals = data.totals;
+    invoice.issuedAt = new Date(data.issuedAt);
+    return invoice;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Value Object Money (Valor monetário)
+ *
+ * Guarda o valor em centavos inteiros, então somas e subtrações são
+ * exatas. Multiplicações (percentuais, rateios) arredondam para o
+ * centavo pela regra bancária (meio para o par: 0,125 -> 0,12; 0,135 -> 0,14).
+ *
+ * Entidades e a API continuam usando números na unidade da moeda
+ * (ex.: 89.97): Money.of() converte na entrada e toNumber() / toJSON()
+ * na saída. O Money não guarda a moeda; quem o usa sabe em qual moeda
+ * o valor está (ver ExchangeRate).
+ */
+export class Money {
+  constructor(cents) {
+    if (!Number.isSafeInteger(cents)) {
+      throw new Error(`Valor monetário inválido: ${cents} centavos`);
+    }
+    this.cents = cents;
+    Object.freeze(this);
+  }
+
+  /**
+   * Cria a partir de um valor em reais (arredondado para o centavo)
+   */
+  static of(value) {
+    if (value instanceof Money) return value;
+    const number = Number(value ?? 0);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Valor monetário inválido: ${value}`);
+    }
+    return new Money(Money.roundHalfEven(number * 100));
+  }
+
+  /**
+   * Cria a partir de centavos
+   */
+  static fromCents(cents) {
+    return new Money(cents);
+  }
+
+  static zero() {
+    return new Money(0);
+  }
+
+  /**
+   * Soma uma lista de valores (Money ou números em reais)
+   */
+  static sum(values) {
+    return values.reduce((total, value) => total.add(value), Money.zero());
+  }
+
+  /**
+   * Arredonda para inteiro, com empate para o par
+   *
+   * A precisão é limitada a 15 dígitos antes do arredondamento para
+   * descartar o ruído da conversão binária (1.005 * 100 = 100.49999999999999).
+   */
+  static roundHalfEven(value) {
+    const normalized = Number(value.toPrecision(15));
+    const floor = Math.floor(normalized);
+    const diff = normalized - floor;
+    if (diff > 0.5) return floor + 1;
+    if (diff < 0.5) return floor + 0;
+    return floor % 2 === 0 ? floor + 0 : floor + 1;
+  }
+
+  add(other) {
+    return new Money(this.cents + Money.of(other).cents);
+  }
+
+  subtract(other) {
+    return new Money(this.cents - Money.of(other).cents);
+  }
+
+  /**
+   * Multiplica por quantidade ou fator (arredondamento bancário)
+   */
+  multiply(factor) {
+    return new Money(Money.roundHalfEven(this.cents * factor));
+  }
+
+  /**
+   * Percentual do valor (ex.: percentage(10) = 10%)
+   */
+  percentage(rate) {
+    return this.multiply(rate / 100);
+  }
+
+  /**
+   * Parte proporcional do valor: this * part / whole (zero se whole for zero)
+   */
+  ratio(part, whole) {
+    const wholeCents = Money.of(whole).cents;
+    return wholeCents === 0 ? Money.zero() : this.multiply(Money.of(part).cents / wholeCents);
+  }
+
+  /**
+   * Divide o valor proporcionalmente aos pesos, sem perder centavos
+   *
+   * Cada parte recebe o valor arredondado para baixo e os centavos que
+   * sobram vão, um a um, para as partes com maior resto (empate: a primeira).
+   *
+   * @param {number[]} weights - Pesos (ex.: subtotais dos itens)
+   * @returns {Money[]} Partes na ordem dos pesos, somando exatamente o valor
+   */
+  allocate(weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weights.length === 0) return [];
+    if (totalWeight === 0) return weights.map(() => Money.zero());
+
+    const sign = this.cents < 0 ? -1 : 1;
+    const cents = Math.abs(this.cents);
+    const exact = weights.map(weight => (cents * weight) / totalWeight);
+    const parts = exact.map(value => Math.floor(Number(value.toPrecision(15))));
+    let remainder = cents - parts.reduce((sum, part) => sum + part, 0);
+
+    const byRemainder = exact
+      .map((value, index) => ({ index, rest: value - parts[index] }))
+      .sort((a, b) => b.rest - a.rest || a.index - b.index);
+    for (const { index } of byRemainder) {
+      if (remainder <= 0) break;
+      parts[index]++;
+      remainder--;
+    }
+
+    return parts.map(part => new Money(sign * part));
+  }
+
+  min(other) {
+    const money = Money.of(other);
+    return this.cents <= money.cents ? this : money;
+  }
+
+  max(other) {
+    const money = Money.of(other);
+    return this.cents >= money.cents ? this : money;
+  }
+
+  equals(other) {
+    return this.cents === Money.of(other).cents;
+  }
+
+  greaterThan(other) {
+    return this.cents > Money.of(other).cents;
+  }
+
+  greaterThanOrEqual(other) {
+    return this.cents >= Money.of(other).cents;
+  }
+
+  lessThan(other) {
+    return this.cents < Money.of(other).cents;
+  }
+
+  isZero() {
+    return this.cents === 0;
+  }
+
+  isNegative() {
+    return this.cents < 0;
+  }
+
+  /**
+   * Valor em reais (formato da API e do armazenamento)
+   */
+  toNumber() {
+    return this.cents / 100;
+  }
+
+  toJSON() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return this.toNumber().toFixed(2);
+  }
+
+  /**
+   * Valor formatado para exibição (ex.: format('BRL') = 'R$ 89,97', format('USD') = 'US$ 18,00')
+   * @param {string} currency - Código ISO 4217 da moeda
+   */
+  format(currency) {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency }).format(this.toNumber());
+  }
+}
@@ -1,61 +1,218 @@
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+import { IShippingStrategy } from '../strategies/IShippingStrategy.js';
+import { Money } from './Money.js';
+import { ExchangeRate } from './ExchangeRate.js';
+import { AppConfig } from '../config/AppConfig.js';
+
 /**
  * Entidade OrderItem (Item do Pedido)
+ *
+ * product é uma fotografia imutável do produto no momento da compra
+ * (ver OrderItem.snapshot): renomear, alterar ou remover o produto não
+ * muda o histórico do pedido. Operações de estoque buscam o produto
+ * atual pelo ID (product.id).
  */
 export class OrderItem {
-  constructor(product, quantity, unitPrice) {
+  constructor(product, quantity, unitPrice, returnedQuantity = 0, backorderedQuantity = 0) {
     this.product = product;
     this.quantity = quantity;
     this.unitPrice = unitPrice;
+    this.returnedQuantity = returnedQuantity;
+    this.backorderedQuantity = backorderedQuantity;
+  }
+
+  /**
+   * Preço unitário registrado no pedido
+   */
+  getUnitPrice() {
+    return Money.of(this.unitPrice);
   }
 
   /**
    * Calcula o subtotal do item
+   * @returns {Money}
    */
   getSubtotal() {
-    return this.quantity * this.unitPrice;
+    return this.getUnitPrice().multiply(this.quantity);
+  }
+
+  /**
+   * Quantidade que ainda não foi devolvida
+   */
+  getKeptQuantity() {
+    return this.quantity - this.returnedQuantity;
+  }
+
+  /**
+   * Fotografa os dados do produto usados pelo pedido
+   * (peso e dimensões ficam para recotar o frete enquanto o pedido é editado)
+   */
+  static snapshot(product) {
+    return Object.freeze({
+      id: product.id,
+      name: product.name,
+      sku: product.sku || null,
+      category: product.category || null,
+      taxCategory: product.getTaxCategory(),
+      weight: product.weight || 0,
+      dimensions: product.dimensions ? Object.freeze({ ...product.dimensions }) : null
+    });
   }
 
   toJSON() {
     return {
       productId: this.product.id,
       productName: this.product.name,
+      sku: this.product.sku,
+      category: this.product.category,
+      taxCategory: this.product.taxCategory,
+      weight: this.product.weight,
+      dimensions: this.product.dimensions ? { ...this.product.dimensions } : null,
       quantity: this.quantity,
       unitPrice: this.unitPrice,
-      subtotal: this.getSubtotal()
+      subtotal: this.getSubtotal().toNumber(),
+      returnedQuantity: this.returnedQuantity,
+      backorderedQuantity: this.backorderedQuantity
     };
   }
+
+  /**
+   * Recria um item a partir do formato gerado por toJSON()
+   *
+   * Itens gravados antes da fotografia não têm categoria: mantêm o nome
+   * gravado e são completados com o cadastro atual do produto, se existir.
+   *
+   * @param {Function} resolveProduct - Busca o produto pelo ID (apenas itens antigos)
+   */
+  static fromJSON(data, resolveProduct = () => null) {
+    const current = data.category === undefined ? resolveProduct(data.productId) : null;
+    const product = current ? Object.freeze({ ...OrderItem.snapshot(current), name: data.productName }) : Object.freeze({
+      id: data.productId,
+      name: data.productName,
+      sku: data.sku || null,
+      category: data.category || null,
+      taxCategory: data.taxCategory || null,
+      weight: data.weight || 0,
+      dimensions: data.dimensions ? Object.freeze({ ...data.dimensions }) : null
+    });
+    return new OrderItem(product, data.quantity, data.unitPrice, data.returnedQuantity || 0, data.backorderedQuantity || 0);
+  }
 }
 
 /**
  * Entidade Order (Pedido)
  * Representa um pedido no sistema
+ *
+ * Os valores do pedido ficam na moeda em que foi feito (currency), com a
+ * cotação da época (exchangeRate = unidades da moeda por 1 da moeda base).
+ * Preços dos produtos, regras de desconto e de frete estão na moeda base
+ * e são convertidos por essa cotação.
  */
 export class Order {
   static STATUS = {
+    BACKORDERED: 'BACKORDERED',
     PENDING: 'PENDING',
     PROCESSING: 'PROCESSING',
+    SHIPPED: 'SHIPPED',
+    DELIVERED: 'DELIVERED',
     COMPLETED: 'COMPLETED',
-    CANCELLED: 'CANCELLED'
+    CANCELLED: 'CANCELLED',
+    REFUNDED: 'REFUNDED'
+  };
+
+  /**
+   * Situação do estoque do pedido
+   *
+   * ACTIVE: itens reservados até reservationExpiresAt (pedido PENDING;
+   *   sem prazo enquanto BACKORDERED aguarda o restante das unidades)
+   * CONFIRMED: itens já saíram do estoque (a partir de PROCESSING)
+   * RELEASED: reserva expirou ou foi desfeita; nada está separado
+   */
+  static RESERVATION = {
+    ACTIVE: 'ACTIVE',
+    CONFIRMED: 'CONFIRMED',
+    RELEASED: 'RELEASED'
+  };
+
+  /**
+   * Máquina de estados: status atual -> próximos status permitidos
+   *
+   * PENDING -> PROCESSING -> SHIPPED -> DELIVERED -> COMPLETED
+   * BACKORDERED -> PENDING quando todas as unidades encomendadas chegam.
+   * PROCESSING -> COMPLETED atende pedidos sem entrega (retirada, digitais).
+   * CANCELLED e REFUNDED são finais.
+   */
+  static TRANSITIONS = {
+    [Order.STATUS.BACKORDERED]: [Order.STATUS.PENDING, Order.STATUS.CANCELLED],
+    [Order.STATUS.PENDING]: [Order.STATUS.PROCESSING, Order.STATUS.CANCELLED],
+    [Order.STATUS.PROCESSING]: [Order.STATUS.SHIPPED, Order.STATUS.COMPLETED, Order.STATUS.CANCELLED],
+    [Order.STATUS.SHIPPED]: [Order.STATUS.DELIVERED],
+    [Order.STATUS.DELIVERED]: [Order.STATUS.COMPLETED, Order.STATUS.REFUNDED],
+    [Order.STATUS.COMPLETED]: [Order.STATUS.REFUNDED],
+    [Order.STATUS.CANCELLED]: [],
+    [Order.STATUS.REFUNDED]: []
   };
 
   constructor(id, customerId, customerName) {
     this.id = id;
     this.customerId = customerId;
     this.customerName = customerName;
+    this.currency = AppConfig.currency.base;
+    this.exchangeRate = 1;
     this.items = [];
     this.status = Order.STATUS.PENDING;
     this.subtotal = 0;
     this.discount = 0;
+    this.appliedDiscount = null;
+    this.destinationState = null;
+    this.taxes = [];
+    this.taxTotal = 0;
+    this.shippingAddress = null;
+    this.shipping = null;
     this.total = 0;
+    this.refundedAmount = 0;
+    this.reservationStatus = null;
+    this.reservationExpiresAt = null;
+    this.version = 1;
     this.createdAt = new Date();
     this.updatedAt = new Date();
   }
 
   /**
-   * Adiciona um item ao pedido
+   * Define a moeda do pedido e a cotação usada na conversão dos preços
+   * (apenas antes de adicionar itens)
    */
-  addItem(product, quantity) {
-    const item = new OrderItem(product, quantity, product.price);
+  setCurrency(currency, exchangeRate) {
+    if (this.items.length > 0) {
+      throw new Error('A moeda do pedido só pode ser definida antes dos itens');
+    }
+    this.currency = currency;
+    this.exchangeRate = exchangeRate;
+  }
+
+  /**
+   * Converte um valor da moeda base para a moeda do pedido
+   * @returns {Money}
+   */
+  fromBaseCurrency(amount) {
+    return ExchangeRate.convertFromBase(amount, this.exchangeRate);
+  }
+
+  /**
+   * Converte um valor na moeda do pedido para a moeda base
+   * @returns {Money}
+   */
+  toBaseCurrency(amount) {
+    return ExchangeRate.convertToBase(amount, this.exchangeRate);
+  }
+
+  /**
+   * Adiciona um item ao pedido (preço convertido para a moeda do pedido)
+   * @param {number} backorderedQuantity - Unidades encomendadas sem estoque
+   */
+  addItem(product, quantity, backorderedQuantity = 0) {
+    const unitPrice = this.fromBaseCurrency(product.getPrice()).toNumber();
+    const item = new OrderItem(OrderItem.snapshot(product), quantity, unitPrice, 0, backorderedQuantity);
     this.items.push(item);
     this.recalculateTotal();
     this.updatedAt = new Date();
@@ -71,10 +228,388 @@ export class Order {
   }
 
   /**
-   * Aplica desconto ao pedido
+   * Define a quantidade de um produto no pedido
+   * (adiciona o item se não existir; quantidade 0 remove o item)
+   *
+   * Itens são substituídos, não alterados, para que snapshots da
+   * UnitOfWork (cópia da lista) possam restaurá-los.
+   */
+  setItemQuantity(product, quantity) {
+    const current = this.getItem(product.id);
+
+    if (quantity === 0) {
+      this.removeItem(product.id);
+      return;
+    }
+    if (!current) {
+      this.addItem(product, quantity);
+      return;
+    }
+
+    this.items = this.items.map(item =>
+      item === current ? new OrderItem(item.product, quantity, item.unitPrice) : item
+    );
+    this.recalculateTotal();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Busca o item de um produto
+   */
+  getItem(productId) {
+    return this.items.find(item => item.product.id === productId) || null;
+  }
+
+  /**
+   * Unidades do produto que ainda aguardam estoque
+   */
+  getBackorderedQuantity(productId) {
+    return this.items
+      .filter(item => item.product.id === productId)
+      .reduce((sum, item) => sum + item.backorderedQuantity, 0);
+  }
+
+  /**
+   * Verifica se alguma unidade ainda aguarda estoque
+   */
+  hasBackorderedItems() {
+    return this.items.some(item => item.backorderedQuantity > 0);
+  }
+
+  /**
+   * Coloca o pedido recém-criado na fila de encomendas: as unidades com
+   * estoque ficam reservadas, sem prazo, até as demais chegarem
+   */
+  markBackordered() {
+    this.status = Order.STATUS.BACKORDERED;
+    this.reserveStockUntil(null);
+  }
+
+  /**
+   * Registra unidades encomendadas que chegaram (passam a estar reservadas)
+   */
+  fillBackorder(productId, quantity) {
+    let remaining = quantity;
+    this.items = this.items.map(item => {
+      if (item.product.id !== productId || item.backorderedQuantity === 0 || remaining === 0) {
+        return item;
+      }
+      const filled = Math.min(item.backorderedQuantity, remaining);
+      remaining -= filled;
+      return new OrderItem(item.product, item.quantity, item.unitPrice, item.returnedQuantity, item.backorderedQuantity - filled);
+    });
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se os itens ainda podem ser alterados
+   */
+  isEditable() {
+    return this.status === Order.STATUS.PENDING;
+  }
+
+  /**
+   * Marca os itens como reservados até a data informada
+   */
+  reserveStockUntil(expiresAt) {
+    this.reservationStatus = Order.RESERVATION.ACTIVE;
+    this.reservationExpiresAt = expiresAt;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se os itens estão reservados (ainda não saíram do estoque)
+   */
+  hasActiveReservation() {
+    return this.reservationStatus === Order.RESERVATION.ACTIVE;
+  }
+
+  /**
+   * Verifica se a reserva ativa passou da validade
+   */
+  isReservationExpired(now = new Date()) {
+    return this.hasActiveReservation() && this.reservationExpiresAt !== null && this.reservationExpiresAt <= now;
+  }
+
+  /**
+   * Registra que os itens saíram do estoque
+   */
+  confirmReservation() {
+    this.reservationStatus = Order.RESERVATION.CONFIRMED;
+    this.reservationExpiresAt = null;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Registra que a reserva foi desfeita
+   */
+  releaseReservation() {
+    this.reservationStatus = Order.RESERVATION.RELEASED;
+    this.reservationExpiresAt = null;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se o pedido aceita devoluções (após a entrega)
+   */
+  acceptsReturns() {
+    return this.status === Order.STATUS.DELIVERED || this.status === Order.STATUS.COMPLETED;
+  }
+
+  /**
+   * Valor a reembolsar pela devolução de parte de um item
+   *
+   * O desconto do pedido é rateado proporcionalmente ao valor de cada
+   * item, então o cliente recebe o que efetivamente pagou pelas unidades.
+   */
+  calculateRefund(productId, quantity) {
+    const item = this.getItem(productId);
+    if (!item) {
+      throw new Error(`Produto ${productId} não está no pedido ${this.id}`);
+    }
+
+    const gross = item.getUnitPrice().multiply(quantity);
+    const discountShare = this.getDiscountShares()[this.items.indexOf(item)].ratio(quantity, item.quantity);
+    const taxShare = this.getItemTax(productId).ratio(quantity, item.quantity);
+    return gross.subtract(discountShare).add(taxShare).min(this.getRefundableAmount()).toNumber();
+  }
+
+  /**
+   * Parte do desconto do pedido que cabe a cada item (na ordem de items)
+   *
+   * O rateio é proporcional ao subtotal do item e as partes somam
+   * exatamente o desconto; impostos, reembolsos e a nota fiscal usam
+   * o mesmo rateio.
+   *
+   * @returns {Money[]}
+   */
+  getDiscountShares() {
+    return Money.of(this.discount).allocate(this.items.map(item => item.getSubtotal().cents));
+  }
+
+  /**
+   * Calcula o reembolso de cada item de uma devolução
+   *
+   * Quando a devolução leva todas as unidades restantes, o último item
+   * absorve a diferença de arredondamento e o pedido fica totalmente reembolsado.
+   *
+   * @param {Object[]} items - [{ productId, quantity }]
+   * @returns {Object[]} [{ productId, productName, quantity, refundAmount }]
+   */
+  calculateReturnRefunds(items) {
+    const refunds = items.map(({ productId, quantity }) => ({
+      productId,
+      productName: this.getItem(productId)?.product.name,
+      quantity,
+      refundAmount: this.calculateRefund(productId, quantity)
+    }));
+
+    const returnsEverything = this.items.every(item =>
+      item.getKeptQuantity() === refunds
+        .filter(refund => refund.productId === item.product.id)
+        .reduce((sum, refund) => sum + refund.quantity, 0)
+    );
+    if (returnsEverything && refunds.length > 0) {
+      const others = Money.sum(refunds.slice(0, -1).map(refund => refund.refundAmount));
+      refunds[refunds.length - 1].refundAmount = Money.of(this.getRefundableAmount()).subtract(others).toNumber();
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Valor ainda não reembolsado
+   */
+  getRefundableAmount() {
+    return Money.of(this.total).subtract(this.refundedAmount).max(0).toNumber();
+  }
+
+  /**
+   * Registra unidades devolvidas de um item
+   */
+  registerReturn(productId, quantity) {
+    const item = this.getItem(productId);
+    if (!item || quantity > item.getKeptQuantity()) {
+      throw new Error(`Quantidade devolvida do produto ${productId} excede a comprada`);
+    }
+
+    this.items = this.items.map(current =>
+      current === item
+        ? new OrderItem(item.product, item.quantity, item.unitPrice, item.returnedQuantity + quantity)
+        : current
+    );
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Soma um reembolso ao total reembolsado
+   */
+  addRefund(amount) {
+    this.refundedAmount = Money.of(this.refundedAmount).add(amount).toNumber();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se todas as unidades foram devolvidas
+   */
+  isFullyReturned() {
+    return this.items.every(item => item.getKeptQuantity() === 0);
+  }
+
+  /**
+   * Aplica uma estratégia de desconto e guarda qual foi usada,
+   * para que o desconto possa ser recalculado quando os itens mudarem
+   *
+   * As faixas e valores fixos das estratégias estão na moeda base: o
+   * subtotal é convertido para o cálculo e o desconto volta para a moeda do pedido.
+   * O detalhamento (breakdown) traz uma linha por estratégia aplicada; as
+   * linhas são rateadas a partir do desconto convertido e somam exatamente ele.
+   */
+  applyDiscountStrategy(strategy) {
+    const lines = strategy.calculateBreakdown(this.toBaseCurrency(this.subtotal), this.getDiscountContext());
+    const baseAmount = Money.sum(lines.map(line => line.amount));
+    const amount = this.fromBaseCurrency(baseAmount).min(this.subtotal);
+    const lineAmounts = amount.allocate(lines.map(line => line.amount.cents));
+
+    this.appliedDiscount = {
+      type: strategy.getType(),
+      params: strategy.getParameters(),
+      description: strategy.getDescription(),
+      amount: amount.toNumber(),
+      breakdown: lines.map((line, index) => ({
+        type: line.type,
+        description: line.description,
+        params: line.params,
+        amount: lineAmounts[index].toNumber()
+      }))
+    };
+    this.applyDiscount(amount.toNumber());
+  }
+
+  /**
+   * Linhas do desconto aplicado (pedidos anteriores ao detalhamento: uma linha)
+   * @returns {Array} [{ type, description, params, amount }]
+   */
+  getDiscountBreakdown() {
+    if (!this.appliedDiscount) {
+      return [];
+    }
+    return this.appliedDiscount.breakdown || [this.appliedDiscount];
+  }
+
+  /**
+   * Itens na moeda base, com a categoria, para descontos restritos a categorias
+   * @returns {Object} { items: [{ productId, category, subtotal }] }
+   */
+  getDiscountContext() {
+    return {
+      items: this.items.map(item => ({
+        productId: item.product.id,
+        category: item.product.category,
+        subtotal: this.toBaseCurrency(item.getSubtotal())
+      }))
+    };
+  }
+
+  /**
+   * Calcula os impostos com as estratégias informadas e soma ao total
+   *
+   * A base de cada item é o seu subtotal com o desconto do pedido rateado,
+   * então os impostos precisam ser recalculados sempre que itens ou desconto mudarem.
+   *
+   * @param {ITaxStrategy[]} strategies - Impostos aplicados (ver TaxStrategyFactory)
+   * @param {string} destinationState - UF de destino
+   */
+  applyTaxes(strategies, destinationState) {
+    this.destinationState = destinationState;
+    const context = { destinationState };
+
+    const discountShares = this.getDiscountShares();
+    const items = this.items.map((item, index) => ({
+      productId: item.product.id,
+      taxCategory: item.product.taxCategory,
+      base: item.getSubtotal().subtract(discountShares[index]).toNumber()
+    }));
+
+    this.taxes = strategies
+      .map(strategy => {
+        const lines = strategy.calculate(items, context);
+        return {
+          type: strategy.getType(),
+          description: strategy.getDescription(context),
+          amount: Money.sum(lines.map(line => line.amount)).toNumber(),
+          lines
+        };
+      })
+      .filter(tax => tax.lines.length > 0);
+    this.taxTotal = Money.sum(this.taxes.map(tax => tax.amount)).toNumber();
+
+    this.recalculateTotal();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Calcula o frete com a estratégia do método de entrega escolhido e soma ao total
+   *
+   * O valor considerado para frete grátis é o do pedido já descontado; o peso
+   * e as dimensões vêm dos produtos, então o frete precisa ser recalculado
+   * quando os itens mudarem. As tabelas de frete estão na moeda base.
+   *
+   * @param {Object} method - { id, name, strategy } (ver ShippingStrategyFactory.loadMethods)
+   * @param {Object} address - Endereço de entrega (CEP só com dígitos)
+   */
+  applyShipping(method, address) {
+    const shipment = {
+      items: this.items.map(item => ({
+        weight: item.product.weight,
+        dimensions: item.product.dimensions,
+        quantity: item.quantity
+      })),
+      zipCode: address.zipCode,
+      orderValue: this.toBaseCurrency(Money.of(this.subtotal).subtract(this.discount).max(0)).toNumber()
+    };
+    const quote = method.strategy.quote(shipment);
+
+    this.shippingAddress = { ...address };
+    this.shipping = {
+      method: method.id,
+      name: method.name,
+      description: method.strategy.getDescription(),
+      cost: this.fromBaseCurrency(quote.cost).toNumber(),
+      estimatedDays: quote.estimatedDays ?? null,
+      billableWeight: IShippingStrategy.getBillableWeight(shipment),
+      ...(quote.zone && { zone: quote.zone })
+    };
+
+    this.recalculateTotal();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Valor do frete (0 sem entrega)
+   */
+  getShippingCost() {
+    return this.shipping ? this.shipping.cost : 0;
+  }
+
+  /**
+   * Soma dos impostos de um produto
+   * @returns {Money}
+   */
+  getItemTax(productId) {
+    return Money.sum(
+      this.taxes
+        .flatMap(tax => tax.lines)
+        .filter(line => line.productId === productId)
+        .map(line => line.amount)
+    );
+  }
+
+  /**
+   * Aplica desconto ao pedido (valor na moeda do pedido, arredondado para o centavo)
    */
   applyDiscount(discountAmount) {
-    this.discount = discountAmount;
+    this.discount = Money.of(discountAmount).toNumber();
     this.recalculateTotal();
     this.updatedAt = new Date();
   }
@@ -83,17 +618,35 @@ export class Order {
    * Recalcula o total do pedido
    */
   recalculateTotal() {
-    this.subtotal = this.items.reduce((sum, item) => sum + item.getSubtotal(), 0);
-    this.total = Math.max(0, this.subtotal - this.discount);
+    const subtotal = Money.sum(this.items.map(item => item.getSubtotal()));
+    this.subtotal = subtotal.toNumber();
+    this.total = subtotal.subtract(this.discount).max(0).add(this.taxTotal).add(this.getShippingCost()).toNumber();
+  }
+
+  /**
+   * Status para os quais o pedido pode ir a partir do atual
+   */
+  getAllowedTransitions() {
+    return [...(Order.TRANSITIONS[this.status] || [])];
+  }
+
+  /**
+   * Verifica se a transição para o status é permitida
+   */
+  canTransitionTo(newStatus) {
+    return this.getAllowedTransitions().includes(newStatus);
   }
 
   /**
-   * Atualiza o status do pedido
+   * Atualiza o status do pedido (apenas transições de Order.TRANSITIONS)
    */
   updateStatus(newStatus) {
     if (!Object.values(Order.STATUS).includes(newStatus)) {
       throw new Error(`Status inválido: ${newStatus}`);
     }
+    if (!this.canTransitionTo(newStatus)) {
+      throw new InvalidTransitionError('Pedido', this.id, this.status, newStatus, this.getAllowedTransitions());
+    }
     this.status = newStatus;
     this.updatedAt = new Date();
   }
@@ -102,18 +655,14 @@ export class Order {
    * Verifica se o pedido pode ser cancelado
    */
   canBeCancelled() {
-    return this.status === Order.STATUS.PENDING || this.status === Order.STATUS.PROCESSING;
+    return this.canTransitionTo(Order.STATUS.CANCELLED);
   }
 
   /**
    * Cancela o pedido
    */
   cancel() {
-    if (!this.canBeCancelled()) {
-      throw new Error(`Pedido não pode ser cancelado no status: ${this.status}`);
-    }
-    this.status = Order.STATUS.CANCELLED;
-    this.updatedAt = new Date();
+    this.updateStatus(Order.STATUS.CANCELLED);
   }
 
   toJSON() {
@@ -121,13 +670,56 @@ export class Order {
       id: this.id,
       customerId: this.customerId,
       customerName: this.customerName,
+      currency: this.currency,
+      exchangeRate: this.exchangeRate,
       items: this.items.map(item => item.toJSON()),
       status: this.status,
       subtotal: this.subtotal,
       discount: this.discount,
+      appliedDiscount: this.appliedDiscount ? { ...this.appliedDiscount } : null,
+      destinationState: this.destinationState,
+      taxes: this.taxes.map(tax => ({ ...tax, lines: tax.lines.map(line => ({ ...line })) })),
+      taxTotal: this.taxTotal,
+      shippingAddress: this.shippingAddress ? { ...this.shippingAddress } : null,
+      shipping: this.shipping ? { ...this.shipping } : null,
       total: this.total,
+      refundedAmount: this.refundedAmount,
+      reservationStatus: this.reservationStatus,
+      reservationExpiresAt: this.reservationExpiresAt,
+      version: this.version,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
+
+  /**
+   * Recria um pedido a partir do formato gerado por toJSON()
+   * @param {Object} data - Pedido serializado
+   * @param {Function} resolveProduct - Busca o produto pelo ID (itens gravados antes da fotografia)
+   */
+  static fromJSON(data, resolveProduct) {
+    const order = new Order(data.id, data.customerId, data.customerName);
+    // Pedidos anteriores às cotações foram feitos na moeda base
+    order.currency = data.currency || AppConfig.currency.base;
+    order.exchangeRate = data.exchangeRate || 1;
+    order.items = data.items.map(item => OrderItem.fromJSON(item, resolveProduct));
+    order.status = data.status;
+    order.subtotal = data.subtotal;
+    order.discount = data.discount;
+    order.appliedDiscount = data.appliedDiscount || null;
+    order.destinationState = data.destinationState || null;
+    order.taxes = data.taxes || [];
+    order.taxTotal = data.taxTotal || 0;
+    order.shippingAddress = data.shippingAddress || null;
+    order.shipping = data.shipping || null;
+    order.total = data.total;
+    order.refundedAmount = data.refundedAmount || 0;
+    // Pedidos anteriores às reservas já tiraram os itens do estoque
+    order.reservationStatus = data.reservationStatus || Order.RESERVATION.CONFIRMED;
+    order.reservationExpiresAt = data.reservationExpiresAt ? new Date(data.reservationExpiresAt) : null;
+    order.version = data.version || 1;
+    order.createdAt = new Date(data.createdAt);
+    order.updatedAt = new Date(data.updatedAt);
+    return order;
+  }
 }
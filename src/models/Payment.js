@@ -0,0 +1,245 @@
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+import { Money } from './Money.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Entidade Payment (Pagamento)
+ * Representa uma cobrança do total de um pedido em um gateway de pagamento
+ * (na moeda do pedido)
+ */
+export class Payment {
+  static STATUS = {
+    PENDING: 'PENDING',
+    CONFIRMED: 'CONFIRMED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED',
+    REFUNDED: 'REFUNDED'
+  };
+
+  static METHODS = {
+    PIX: 'pix',
+    BOLETO: 'boleto',
+    CARD: 'card'
+  };
+
+  /**
+   * PENDING -> CONFIRMED -> REFUNDED
+   * PENDING -> FAILED
+   * PENDING -> CANCELLED (cobrança cancelada junto com o pedido)
+   *
+   * Estornos parciais (devoluções) mantêm o pagamento CONFIRMED e acumulam
+   * em refundedAmount; o pagamento passa para REFUNDED no estorno do restante.
+   *
+   * Estornos e cancelamentos são registrados antes de chamar o gateway
+   * (refundPendingAmount, cancelRequestedAt): se o gateway recusar, o
+   * pagamento mostra o que ficou pendente.
+   */
+  static TRANSITIONS = {
+    [Payment.STATUS.PENDING]: [Payment.STATUS.CONFIRMED, Payment.STATUS.FAILED, Payment.STATUS.CANCELLED],
+    [Payment.STATUS.CONFIRMED]: [Payment.STATUS.REFUNDED],
+    [Payment.STATUS.FAILED]: [],
+    [Payment.STATUS.CANCELLED]: [],
+    [Payment.STATUS.REFUNDED]: []
+  };
+
+  constructor(id, orderId, customerId, method, amount, gateway, currency = AppConfig.currency.base) {
+    this.id = id;
+    this.orderId = orderId;
+    this.customerId = customerId;
+    this.method = method;
+    this.amount = amount;
+    this.currency = currency;
+    this.gateway = gateway;
+    this.status = Payment.STATUS.PENDING;
+    this.transactionId = null;
+    this.details = {};
+    this.failureReason = null;
+    this.refundedAmount = 0;
+    this.refundPendingAmount = 0;
+    this.cancelRequestedAt = null;
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+    this.paidAt = null;
+    this.refundedAt = null;
+  }
+
+  /**
+   * Pagamento em andamento ou já pago (impede nova cobrança do pedido)
+   */
+  isActive() {
+    return this.status === Payment.STATUS.PENDING || this.status === Payment.STATUS.CONFIRMED;
+  }
+
+  /**
+   * Registra a transação aberta no gateway e os dados exibidos ao cliente
+   * (código PIX, linha digitável do boleto, final do cartão)
+   */
+  attachTransaction(transactionId, details = {}) {
+    this.transactionId = transactionId;
+    this.details = { ...this.details, ...details };
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Confirma o recebimento do valor
+   */
+  confirm() {
+    this.transitionTo(Payment.STATUS.CONFIRMED);
+    this.paidAt = new Date();
+  }
+
+  /**
+   * Registra a recusa ou expiração da cobrança
+   */
+  fail(reason = '') {
+    this.transitionTo(Payment.STATUS.FAILED);
+    this.failureReason = reason || null;
+  }
+
+  /**
+   * Registra o pedido de cancelamento da cobrança ainda não paga
+   * (confirmado por cancel() quando o gateway cancelar)
+   */
+  requestCancellation() {
+    if (this.status !== Payment.STATUS.PENDING) {
+      throw new InvalidTransitionError('Pagamento', this.id, this.status, Payment.STATUS.CANCELLED,
+        Payment.TRANSITIONS[this.status]);
+    }
+    this.cancelRequestedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Registra o cancelamento da cobrança ainda não paga
+   */
+  cancel(reason = '') {
+    this.transitionTo(Payment.STATUS.CANCELLED);
+    this.failureReason = reason || null;
+  }
+
+  /**
+   * Reserva um valor a estornar (confirmado por completeRefund quando o
+   * gateway estornar)
+   */
+  requestRefund(amount) {
+    if (this.status !== Payment.STATUS.CONFIRMED) {
+      throw new InvalidTransitionError('Pagamento', this.id, this.status, Payment.STATUS.REFUNDED,
+        Payment.TRANSITIONS[this.status]);
+    }
+    if (Money.of(amount).greaterThan(this.getRefundableAmount())) {
+      throw new Error(
+        `Estorno maior que o valor disponível do pagamento ${this.id}. ` +
+        `Disponível: ${this.getRefundableAmount()}, Solicitado: ${amount}`
+      );
+    }
+    this.refundPendingAmount = Money.of(this.refundPendingAmount).add(amount).toNumber();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Registra como estornado um valor reservado por requestRefund
+   */
+  completeRefund(amount) {
+    if (Money.of(amount).greaterThan(this.refundPendingAmount)) {
+      throw new Error(`Pagamento ${this.id} não tem estorno pendente de ${amount}`);
+    }
+    this.refundPendingAmount = Money.of(this.refundPendingAmount).subtract(amount).toNumber();
+    this.refund(amount);
+  }
+
+  /**
+   * Registra um estorno (parcial ou do restante) do valor devolvido ao cliente
+   */
+  refund(amount) {
+    const refunded = Money.of(this.refundedAmount).add(amount);
+    if (refunded.greaterThan(this.amount)) {
+      throw new Error(
+        `Estorno maior que o valor disponível do pagamento ${this.id}. ` +
+        `Disponível: ${this.getRefundableAmount()}, Solicitado: ${amount}`
+      );
+    }
+
+    if (refunded.equals(this.amount)) {
+      this.transitionTo(Payment.STATUS.REFUNDED);
+    } else if (this.status !== Payment.STATUS.CONFIRMED) {
+      throw new InvalidTransitionError('Pagamento', this.id, this.status, Payment.STATUS.REFUNDED,
+        Payment.TRANSITIONS[this.status]);
+    }
+    this.refundedAmount = refunded.toNumber();
+    this.refundedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Valor pago que ainda não foi estornado nem reservado para estorno
+   */
+  getRefundableAmount() {
+    if (this.status !== Payment.STATUS.CONFIRMED) {
+      return 0;
+    }
+    return Money.of(this.amount).subtract(this.refundedAmount).subtract(this.refundPendingAmount).toNumber();
+  }
+
+  /**
+   * Aplica uma transição de Payment.TRANSITIONS
+   */
+  transitionTo(newStatus) {
+    const allowed = Payment.TRANSITIONS[this.status] || [];
+    if (!allowed.includes(newStatus)) {
+      throw new InvalidTransitionError('Pagamento', this.id, this.status, newStatus, allowed);
+    }
+    this.status = newStatus;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      customerId: this.customerId,
+      method: this.method,
+      amount: this.amount,
+      currency: this.currency,
+      gateway: this.gateway,
+      status: this.status,
+      transactionId: this.transactionId,
+      details: { ...this.details },
+      failureReason: this.failureReason,
+      refundedAmount: this.refundedAmount,
+      refundPendingAmount: this.refundPendingAmount,
+      cancelRequestedAt: this.cancelRequestedAt,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      paidAt: this.paidAt,
+      refundedAt: this.refundedAt
+    };
+  }
+
+  /**
+   * Recria um pagamento a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const payment = new Payment(
+      data.id, data.orderId, data.customerId, data.method, data.amount, data.gateway,
+      data.currency || AppConfig.currency.base
+    );
+    payment.status = data.status;
+    payment.transactionId = data.transactionId || null;
+    payment.details = data.details || {};
+    payment.failureReason = data.failureReason || null;
+    payment.refundedAmount = data.refundedAmount || 0;
+    payment.refundPendingAmount = data.refundPendingAmount || 0;
+    payment.cancelRequestedAt = data.cancelRequestedAt ? new Date(data.cancelRequestedAt) : null;
+    payment.version = data.version || 1;
+    payment.createdAt = new Date(data.createdAt);
+    payment.updatedAt = new Date(data.updatedAt);
+    payment.paidAt = data.paidAt ? new Date(data.paidAt) : null;
+    payment.refundedAt = data.refundedAt ? new Date(data.refundedAt) : null;
+    return payment;
+  }
+}
@@ -1,3 +1,5 @@
+import { Money } from './Money.js';
+
 /**
  * Entidade Product (Produto)
  * Representa um produto no sistema
@@ -7,11 +9,21 @@ export class Product {
     this.id = id;
     this.name = name;
     this.description = description;
-    this.price = price;
+    this.price = Money.of(price).toNumber();
     this.stock = stock;
+    this.reserved = 0;
+    this.allowBackorder = false;
+    this.backordered = 0;
+    this.waitlist = [];
     this.category = category;
+    this.sku = null;
+    this.taxCategory = null;
+    this.weight = 0;
+    this.dimensions = null;
+    this.version = 1;
     this.createdAt = new Date();
     this.updatedAt = new Date();
+    this.deletedAt = null;
   }
 
   /**
@@ -20,17 +32,155 @@ export class Product {
   update(data) {
     if (data.name) this.name = data.name;
     if (data.description) this.description = data.description;
-    if (data.price) this.price = data.price;
+    if (data.price) this.price = Money.of(data.price).toNumber();
     if (data.stock !== undefined) this.stock = data.stock;
     if (data.category) this.category = data.category;
+    if (data.sku !== undefined) this.sku = data.sku || null;
+    if (data.allowBackorder !== undefined) this.allowBackorder = data.allowBackorder;
+    if (data.taxCategory !== undefined) this.taxCategory = data.taxCategory || null;
+    if (data.weight !== undefined) this.weight = data.weight;
+    if (data.dimensions !== undefined) this.dimensions = Product.normalizeDimensions(data.dimensions);
     this.updatedAt = new Date();
   }
 
+  /**
+   * Preço de venda (o campo price guarda o mesmo valor em reais, já arredondado para o centavo)
+   */
+  getPrice() {
+    return Money.of(this.price);
+  }
+
+  /**
+   * Categoria fiscal usada no cálculo de impostos (padrão: a categoria do produto)
+   */
+  getTaxCategory() {
+    return this.taxCategory || this.category;
+  }
+
+  /**
+   * Quantidade disponível para venda
+   * (estoque menos reservas de pedidos pendentes e unidades aguardadas por encomendas;
+   * negativa enquanto houver encomendas maiores que o estoque livre)
+   */
+  getAvailable() {
+    return this.stock - this.reserved - this.backordered;
+  }
+
+  /**
+   * Unidades em estoque que não estão reservadas
+   * (o que pode ser entregue às encomendas, que ficam à frente de novos pedidos)
+   */
+  getUnreserved() {
+    return this.stock - this.reserved;
+  }
+
   /**
    * Verifica se há estoque disponível
    */
   hasStock(quantity) {
-    return this.stock >= quantity;
+    return this.getAvailable() >= quantity;
+  }
+
+  /**
+   * Reserva unidades para um pedido pendente
+   */
+  reserve(quantity) {
+    if (!this.hasStock(quantity)) {
+      throw new Error(`Estoque insuficiente para o produto ${this.name}`);
+    }
+    this.reserved += quantity;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Libera unidades reservadas (pedido cancelado, alterado ou reserva expirada)
+   */
+  releaseReservation(quantity) {
+    this.reserved = Math.max(0, this.reserved - quantity);
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Torna a reserva definitiva: as unidades saem do estoque
+   */
+  confirmReservation(quantity) {
+    this.releaseReservation(quantity);
+    this.stock -= quantity;
+  }
+
+  /**
+   * Registra unidades encomendadas sem estoque (pedido BACKORDERED)
+   */
+  addBackorder(quantity) {
+    if (!this.allowBackorder) {
+      throw new Error(`Produto ${this.name} não aceita encomendas sem estoque`);
+    }
+    this.backordered += quantity;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Atende unidades encomendadas: passam a ser reservadas para o pedido
+   */
+  fillBackorder(quantity) {
+    if (quantity > this.getUnreserved()) {
+      throw new Error(`Estoque insuficiente para o produto ${this.name}`);
+    }
+    this.backordered = Math.max(0, this.backordered - quantity);
+    this.reserved += quantity;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Desiste de unidades encomendadas (pedido BACKORDERED cancelado)
+   */
+  cancelBackorder(quantity) {
+    this.backordered = Math.max(0, this.backordered - quantity);
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Inscreve um cliente no aviso de volta ao estoque
+   * @returns {boolean} false se o cliente já estava inscrito
+   */
+  subscribe(customerId) {
+    if (this.isSubscribed(customerId)) {
+      return false;
+    }
+    this.waitlist = [...this.waitlist, { customerId, subscribedAt: new Date() }];
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Remove um cliente do aviso de volta ao estoque
+   * @returns {boolean} false se o cliente não estava inscrito
+   */
+  unsubscribe(customerId) {
+    if (!this.isSubscribed(customerId)) {
+      return false;
+    }
+    this.waitlist = this.waitlist.filter(entry => entry.customerId !== customerId);
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Verifica se o cliente está inscrito no aviso de volta ao estoque
+   */
+  isSubscribed(customerId) {
+    return this.waitlist.some(entry => entry.customerId === customerId);
+  }
+
+  /**
+   * Esvazia a lista de espera (o aviso é enviado uma única vez)
+   * @returns {Object[]} Inscrições removidas
+   */
+  clearWaitlist() {
+    const entries = this.waitlist;
+    this.waitlist = [];
+    this.updatedAt = new Date();
+    return entries;
   }
 
   /**
@@ -52,6 +202,39 @@ export class Product {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Envia o produto para a lixeira (exclusão lógica)
+   */
+  softDelete() {
+    this.deletedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Retira o produto da lixeira
+   */
+  restore() {
+    this.deletedAt = null;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Verifica se o produto está na lixeira
+   */
+  isDeleted() {
+    return this.deletedAt !== null;
+  }
+
+  /**
+   * Mantém apenas comprimento, largura e altura (cm); null remove as dimensões
+   */
+  static normalizeDimensions(dimensions) {
+    if (!dimensions) {
+      return null;
+    }
+    return { length: dimensions.length, width: dimensions.width, height: dimensions.height };
+  }
+
   /**
    * Converte para objeto simples
    */
@@ -62,9 +245,47 @@ export class Product {
       description: this.description,
       price: this.price,
       stock: this.stock,
+      reserved: this.reserved,
+      available: this.getAvailable(),
+      allowBackorder: this.allowBackorder,
+      backordered: this.backordered,
+      waitlist: this.waitlist.map(entry => ({ ...entry })),
       category: this.category,
+      sku: this.sku,
+      taxCategory: this.taxCategory,
+      weight: this.weight,
+      dimensions: this.dimensions ? { ...this.dimensions } : null,
+      version: this.version,
       createdAt: this.createdAt,
-      updatedAt: this.updatedAt
+      updatedAt: this.updatedAt,
+      deletedAt: this.deletedAt
     };
   }
+
+  /**
+   * Recria um produto a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const product = new Product(
+      data.id,
+      data.name,
+      data.description,
+      data.price,
+      data.stock,
+      data.category
+    );
+    product.reserved = data.reserved || 0;
+    product.allowBackorder = Boolean(data.allowBackorder);
+    product.sku = data.sku || null;
+    product.taxCategory = data.taxCategory || null;
+    product.weight = data.weight || 0;
+    product.dimensions = Product.normalizeDimensions(data.dimensions);
+    product.backordered = data.backordered || 0;
+    product.waitlist = (data.waitlist || []).map(entry => ({ ...entry, subscribedAt: new Date(entry.subscribedAt) }));
+    product.version = data.version || 1;
+    product.createdAt = new Date(data.createdAt);
+    product.updatedAt = new Date(data.updatedAt);
+    product.deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
+    return product;
+  }
 }
@@ -0,0 +1,124 @@
+import { InvalidTransitionError } from '../errors/InvalidTransitionError.js';
+import { Money } from './Money.js';
+
+/**
+ * Entidade ReturnRequest (Devolução / RMA)
+ * Representa a devolução de parte dos itens de um pedido entregue
+ */
+export class ReturnRequest {
+  static STATUS = {
+    REQUESTED: 'REQUESTED',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    RECEIVED: 'RECEIVED'
+  };
+
+  /**
+   * REQUESTED -> APPROVED -> RECEIVED (estoque e reembolso)
+   * REQUESTED -> REJECTED
+   */
+  static TRANSITIONS = {
+    [ReturnRequest.STATUS.REQUESTED]: [ReturnRequest.STATUS.APPROVED, ReturnRequest.STATUS.REJECTED],
+    [ReturnRequest.STATUS.APPROVED]: [ReturnRequest.STATUS.RECEIVED],
+    [ReturnRequest.STATUS.REJECTED]: [],
+    [ReturnRequest.STATUS.RECEIVED]: []
+  };
+
+  /**
+   * @param {Object[]} items - [{ productId, productName, quantity, refundAmount }]
+   */
+  constructor(id, orderId, customerId, items, reason = '') {
+    this.id = id;
+    this.orderId = orderId;
+    this.customerId = customerId;
+    this.items = items;
+    this.reason = reason;
+    this.status = ReturnRequest.STATUS.REQUESTED;
+    this.rejectionReason = null;
+    this.refundAmount = ReturnRequest.sumRefunds(items);
+    this.version = 1;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  static sumRefunds(items) {
+    return Money.sum(items.map(item => item.refundAmount)).toNumber();
+  }
+
+  /**
+   * Verifica se a devolução ainda conta sobre as quantidades do pedido
+   * (solicitações rejeitadas liberam as unidades para nova devolução)
+   */
+  isActive() {
+    return this.status !== ReturnRequest.STATUS.REJECTED;
+  }
+
+  /**
+   * Aprova a devolução
+   */
+  approve() {
+    this.transitionTo(ReturnRequest.STATUS.APPROVED);
+  }
+
+  /**
+   * Rejeita a devolução
+   */
+  reject(reason = '') {
+    this.transitionTo(ReturnRequest.STATUS.REJECTED);
+    this.rejectionReason = reason;
+  }
+
+  /**
+   * Registra o recebimento dos itens com os valores finais de reembolso
+   */
+  receive(items) {
+    this.transitionTo(ReturnRequest.STATUS.RECEIVED);
+    this.items = items;
+    this.refundAmount = ReturnRequest.sumRefunds(items);
+  }
+
+  /**
+   * Aplica uma transição de ReturnRequest.TRANSITIONS
+   */
+  transitionTo(newStatus) {
+    const allowed = ReturnRequest.TRANSITIONS[this.status] || [];
+    if (!allowed.includes(newStatus)) {
+      throw new InvalidTransitionError('Devolução', this.id, this.status, newStatus, allowed);
+    }
+    this.status = newStatus;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Converte para objeto simples
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      customerId: this.customerId,
+      items: this.items.map(item => ({ ...item })),
+      reason: this.reason,
+      status: this.status,
+      rejectionReason: this.rejectionReason,
+      refundAmount: this.refundAmount,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Recria uma devolução a partir do formato gerado por toJSON()
+   */
+  static fromJSON(data) {
+    const request = new ReturnRequest(data.id, data.orderId, data.customerId, data.items, data.reason);
+    request.status = data.status;
+    request.rejectionReason = data.rejectionReason || null;
+    request.refundAmount = data.refundAmount;
+    request.version = data.version || 1;
+    request.createdAt = new Date(data.createdAt);
+    request.updatedAt = new Date(data.updatedAt);
+    return request;
+  }
+}
@@ -1,9 +1,15 @@
 import { IObserver } from './IObserver.js';
+import { Money } from '../models/Money.js';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { AppConfig } from '../config/AppConfig.js';
 
 /**
  * PADRÃO OBSERVER
  * 
  * Observador que envia notificações por email (simulado)
+ *
+ * Valores de pedidos, devoluções e pagamentos saem na moeda do pedido;
+ * preços de produtos, na moeda base.
  */
 export class EmailNotificationObserver extends IObserver {
   update(event) {
@@ -14,12 +20,40 @@ export class EmailNotificationObserver extends IObserver {
       case 'ORDER_STATUS_CHANGED':
         this.sendOrderStatusEmail(event.data);
         break;
+      case 'ORDER_UPDATED':
+        this.sendOrderUpdatedEmail(event.data);
+        break;
       case 'ORDER_CANCELLED':
         this.sendOrderCancelledEmail(event.data);
         break;
+      case 'ORDER_RESERVATION_EXPIRED':
+        this.sendReservationExpiredEmail(event.data);
+        break;
       case 'PRODUCT_LOW_STOCK':
         this.sendLowStockEmail(event.data);
         break;
+      case 'PRODUCT_BACK_IN_STOCK':
+        this.sendBackInStockEmail(event.data);
+        break;
+      case 'RETURN_REQUESTED':
+      case 'RETURN_APPROVED':
+      case 'RETURN_REJECTED':
+      case 'RETURN_RECEIVED':
+        this.sendReturnEmail(event.type, event.data);
+        break;
+      case 'PAYMENT_PENDING':
+      case 'PAYMENT_CONFIRMED':
+      case 'PAYMENT_FAILED':
+      case 'PAYMENT_REFUNDED':
+      case 'PAYMENT_CANCELLED':
+        this.sendPaymentEmail(event.type, event.data);
+        break;
+      case 'PAYMENT_REVIEW_REQUIRED':
+        this.sendPaymentReviewEmail(event.data);
+        break;
+      case 'INVOICE_ISSUED':
+        this.sendInvoiceEmail(event.data);
+        break;
       default:
         console.log(`📧 Email: Evento não tratado: ${event.type}`);
     }
@@ -28,7 +62,10 @@ export class EmailNotificationObserver extends IObserver {
   sendOrderCreatedEmail(order) {
     console.log(`📧 EMAIL enviado para ${order.customerName}:`);
     console.log(`   Assunto: Pedido #${order.id} confirmado!`);
-    console.log(`   Conteúdo: Seu pedido no valor de R$${order.total.toFixed(2)} foi criado com sucesso.`);
+    console.log(`   Conteúdo: Seu pedido no valor de ${Money.of(order.total).format(order.currency)} foi criado com sucesso.`);
+    if (order.status === 'BACKORDERED') {
+      console.log(`   Parte dos itens está sob encomenda; avisaremos quando chegarem.`);
+    }
   }
 
   sendOrderStatusEmail(data) {
@@ -37,16 +74,78 @@ export class EmailNotificationObserver extends IObserver {
     console.log(`   Conteúdo: Seu pedido mudou para: ${data.newStatus}`);
   }
 
+  sendOrderUpdatedEmail(data) {
+    console.log(`📧 EMAIL enviado para ${data.order.customerName}:`);
+    console.log(`   Assunto: Pedido #${data.orderId} alterado`);
+    console.log(`   Conteúdo: Itens atualizados. Novo total: ${Money.of(data.order.total).format(data.order.currency)}.`);
+  }
+
   sendOrderCancelledEmail(order) {
     console.log(`📧 EMAIL enviado para ${order.customerName}:`);
     console.log(`   Assunto: Pedido #${order.id} cancelado`);
     console.log(`   Conteúdo: Seu pedido foi cancelado conforme solicitado.`);
   }
 
+  sendReservationExpiredEmail(order) {
+    console.log(`📧 EMAIL enviado para ${order.customerName}:`);
+    console.log(`   Assunto: Pedido #${order.id} aguardando confirmação`);
+    console.log(`   Conteúdo: A reserva dos itens expirou. Confirme o pedido para verificarmos o estoque novamente.`);
+  }
+
+  sendReturnEmail(type, { returnRequest, order }) {
+    const refund = Money.of(returnRequest.refundAmount).format(order.currency);
+    const messages = {
+      RETURN_REQUESTED: `Recebemos sua solicitação. Reembolso estimado: ${refund}.`,
+      RETURN_APPROVED: 'Sua devolução foi aprovada. Envie os itens para o nosso centro de distribuição.',
+      RETURN_REJECTED: `Sua devolução foi rejeitada. Motivo: ${returnRequest.rejectionReason || 'não informado'}.`,
+      RETURN_RECEIVED: `Itens recebidos. Reembolso de ${refund} liberado.`
+    };
+
+    console.log(`📧 EMAIL enviado para ${order.customerName}:`);
+    console.log(`   Assunto: Devolução #${returnRequest.id} do pedido #${order.id}`);
+    console.log(`   Conteúdo: ${messages[type]}`);
+  }
+
+  sendPaymentEmail(type, { payment, order, refundAmount = payment.refundedAmount }) {
+    const instructions = payment.details.pixCode
+      ? `Pague com o PIX copia e cola: ${payment.details.pixCode}`
+      : `Pague o boleto até ${payment.details.dueDate}: ${payment.details.digitableLine}`;
+    const amount = Money.of(payment.amount).format(payment.currency);
+    const messages = {
+      PAYMENT_PENDING: `Aguardando pagamento de ${amount}. ${instructions}`,
+      PAYMENT_CONFIRMED: `Pagamento de ${amount} confirmado. Seu pedido será preparado.`,
+      PAYMENT_FAILED: `Pagamento não aprovado: ${payment.failureReason || 'motivo não informado'}. Tente outro meio de pagamento.`,
+      PAYMENT_REFUNDED: `Estorno de ${Money.of(refundAmount).format(payment.currency)} realizado.`,
+      PAYMENT_CANCELLED: `Cobrança de ${amount} cancelada. Ela não deve mais ser paga.`
+    };
+
+    console.log(`📧 EMAIL enviado para ${order.customerName}:`);
+    console.log(`   Assunto: Pagamento do pedido #${order.id}`);
+    console.log(`   Conteúdo: ${messages[type]}`);
+  }
+
+  sendInvoiceEmail(invoice) {
+    console.log(`📧 EMAIL enviado para ${invoice.customerName}:`);
+    console.log(`   Assunto: Nota fiscal do pedido #${invoice.orderId}`);
+    console.log(`   Conteúdo: Nota fiscal Nº ${invoice.invoiceNumber} (série ${invoice.series}) emitida no valor de ${Money.of(invoice.total).format(invoice.currency)}.`);
+  }
+
+  sendPaymentReviewEmail({ payment, reason }) {
+    console.log(`📧 EMAIL enviado para administrador:`);
+    console.log(`   Assunto: ALERTA - Pagamento ${payment.id} do pedido #${payment.orderId} requer revisão`);
+    console.log(`   Conteúdo: Pagamento ${payment.status} de ${Money.of(payment.amount).format(payment.currency)} precisa de tratamento manual: ${reason}`);
+  }
+
   sendLowStockEmail(product) {
     console.log(`📧 EMAIL enviado para administrador:`);
     console.log(`   Assunto: ALERTA - Estoque baixo`);
-    console.log(`   Conteúdo: Produto "${product.name}" com apenas ${product.stock} unidades em estoque.`);
+    console.log(`   Conteúdo: Produto "${product.name}" com apenas ${product.available} unidades disponíveis.`);
+  }
+
+  sendBackInStockEmail({ product, customerIds }) {
+    console.log(`📧 EMAIL enviado para ${customerIds.length} cliente(s) da lista de espera (IDs: ${customerIds.join(', ')}):`);
+    console.log(`   Assunto: "${product.name}" voltou ao estoque!`);
+    console.log(`   Conteúdo: ${product.available} unidades disponíveis por ${Money.of(product.price).format(AppConfig.currency.base)}.`);
   }
 
   getName() {
@@ -98,6 +197,9 @@ export class AuditLogObserver extends IObserver {
 
 /**
  * Observador que atualiza estatísticas em tempo real
+ *
+ * Receita e reembolsos são acumulados na moeda base, convertidos pela
+ * cotação gravada em cada pedido.
  */
 export class StatisticsObserver extends IObserver {
   constructor() {
@@ -106,6 +208,11 @@ export class StatisticsObserver extends IObserver {
       ordersCreated: 0,
       ordersCompleted: 0,
       ordersCancelled: 0,
+      ordersRefunded: 0,
+      returnsReceived: 0,
+      paymentsConfirmed: 0,
+      paymentsFailed: 0,
+      totalRefunded: 0,
       totalRevenue: 0,
       lowStockAlerts: 0
     };
@@ -121,9 +228,21 @@ export class StatisticsObserver extends IObserver {
       case 'ORDER_STATUS_CHANGED':
         if (event.data.newStatus === 'COMPLETED') {
           this.statistics.ordersCompleted++;
-          this.statistics.totalRevenue += event.data.order.total;
+          this.statistics.totalRevenue = Money.of(this.statistics.totalRevenue)
+            .add(this.toBase(Money.of(event.data.order.total).subtract(event.data.order.refundedAmount), event.data.order))
+            .toNumber();
           console.log(`📊 STATS: Pedidos completos: ${this.statistics.ordersCompleted}`);
-          console.log(`📊 STATS: Receita total: R$${this.statistics.totalRevenue.toFixed(2)}`);
+          console.log(`📊 STATS: Receita total: ${Money.of(this.statistics.totalRevenue).format(AppConfig.currency.base)}`);
+        }
+        if (event.data.newStatus === 'REFUNDED') {
+          this.statistics.ordersRefunded++;
+          const refund = this.toBase(event.data.refundAmount, event.data.order);
+          this.statistics.totalRefunded = Money.of(this.statistics.totalRefunded).add(refund).toNumber();
+          // Só pedidos já completos entraram na receita
+          if (event.data.oldStatus === 'COMPLETED') {
+            this.statistics.totalRevenue = Money.of(this.statistics.totalRevenue).subtract(refund).toNumber();
+          }
+          console.log(`📊 STATS: Pedidos reembolsados: ${this.statistics.ordersRefunded}`);
         }
         break;
 
@@ -132,6 +251,27 @@ export class StatisticsObserver extends IObserver {
         console.log(`📊 STATS: Pedidos cancelados: ${this.statistics.ordersCancelled}`);
         break;
 
+      case 'RETURN_RECEIVED':
+        this.statistics.returnsReceived++;
+        const returned = this.toBase(event.data.returnRequest.refundAmount, event.data.order);
+        this.statistics.totalRefunded = Money.of(this.statistics.totalRefunded).add(returned).toNumber();
+        // Devoluções de pedidos completos abatem a receita já contabilizada
+        if (event.data.order.status === 'COMPLETED') {
+          this.statistics.totalRevenue = Money.of(this.statistics.totalRevenue).subtract(returned).toNumber();
+        }
+        console.log(`📊 STATS: Devoluções recebidas: ${this.statistics.returnsReceived}`);
+        break;
+
+      case 'PAYMENT_CONFIRMED':
+        this.statistics.paymentsConfirmed++;
+        console.log(`📊 STATS: Pagamentos confirmados: ${this.statistics.paymentsConfirmed}`);
+        break;
+
+      case 'PAYMENT_FAILED':
+        this.statistics.paymentsFailed++;
+        console.log(`📊 STATS: Pagamentos recusados: ${this.statistics.paymentsFailed}`);
+        break;
+
       case 'PRODUCT_LOW_STOCK':
         this.statistics.lowStockAlerts++;
         console.log(`📊 STATS: Alertas de estoque baixo: ${this.statistics.lowStockAlerts}`);
@@ -139,12 +279,20 @@ export class StatisticsObserver extends IObserver {
     }
   }
 
+  /**
+   * Converte um valor do pedido para a moeda base
+   * (pedidos anteriores às cotações não têm exchangeRate e já estão na base)
+   */
+  toBase(amount, order) {
+    return ExchangeRate.convertToBase(amount, order.exchangeRate || 1);
+  }
+
   getName() {
     return 'StatisticsObserver';
   }
 
   getStatistics() {
-    return { ...this.statistics };
+    return { ...this.statistics, currency: AppConfig.currency.base };
   }
 
   resetStatistics() {
@@ -152,6 +300,11 @@ export class StatisticsObserver extends IObserver {
       ordersCreated: 0,
       ordersCompleted: 0,
       ordersCancelled: 0,
+      ordersRefunded: 0,
+      returnsReceived: 0,
+      paymentsConfirmed: 0,
+      paymentsFailed: 0,
+      totalRefunded: 0,
       totalRevenue: 0,
       lowStockAlerts: 0
     };
@@ -179,12 +332,54 @@ export class PushNotificationObserver extends IObserver {
         );
         break;
 
+      case 'ORDER_UPDATED':
+        this.sendPushNotification(
+          'Pedido Alterado ✏️',
+          `Os itens do pedido #${event.data.orderId} foram atualizados.`
+        );
+        break;
+
       case 'ORDER_CANCELLED':
         this.sendPushNotification(
           'Pedido Cancelado ❌',
           `Seu pedido #${event.data.id} foi cancelado.`
         );
         break;
+
+      case 'ORDER_RESERVATION_EXPIRED':
+        this.sendPushNotification(
+          'Reserva Expirada ⌛',
+          `Os itens do pedido #${event.data.id} não estão mais reservados.`
+        );
+        break;
+
+      case 'PRODUCT_BACK_IN_STOCK':
+        this.sendPushNotification(
+          'De Volta ao Estoque 🔔',
+          `${event.data.product.name} está disponível novamente.`
+        );
+        break;
+
+      case 'RETURN_REQUESTED':
+      case 'RETURN_APPROVED':
+      case 'RETURN_REJECTED':
+      case 'RETURN_RECEIVED':
+        this.sendPushNotification(
+          'Devolução Atualizada ↩️',
+          `Devolução #${event.data.returnRequest.id} do pedido #${event.data.order.id}: ${event.data.returnRequest.status}`
+        );
+        break;
+
+      case 'PAYMENT_PENDING':
+      case 'PAYMENT_CONFIRMED':
+      case 'PAYMENT_FAILED':
+      case 'PAYMENT_REFUNDED':
+      case 'PAYMENT_CANCELLED':
+        this.sendPushNotification(
+          'Pagamento 💳',
+          `Pagamento do pedido #${event.data.order.id}: ${event.type.replace('PAYMENT_', '')}`
+        );
+        break;
     }
   }
 
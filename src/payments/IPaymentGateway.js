@@ -0,0 +1,60 @@
+/**
+ * Interface base para gateways de pagamento
+ *
+ * O gateway devolve o resultado de cada operação no formato:
+ *   { status, transactionId, details, failureReason }
+ * com status 'PENDING' (aguardando confirmação pelo callback), 'CONFIRMED',
+ * 'FAILED', 'CANCELLED' ou 'REFUNDED'; details traz os dados exibidos ao cliente e nunca
+ * o número completo do cartão.
+ */
+export class IPaymentGateway {
+  /**
+   * Nome do gateway (gravado no pagamento)
+   */
+  getName() {
+    throw new Error('Método getName() deve ser implementado');
+  }
+
+  /**
+   * Métodos de pagamento aceitos (valores de Payment.METHODS)
+   */
+  getSupportedMethods() {
+    throw new Error('Método getSupportedMethods() deve ser implementado');
+  }
+
+  /**
+   * Abre a cobrança do pagamento
+   * @param {Payment} payment - Pagamento já gravado (com ID)
+   * @param {Object} data - Dados do método (ex.: { card: { number, holder, expiry, cvv }, installments })
+   * @returns {Promise<Object>} Resultado da cobrança
+   */
+  async charge(payment, data) {
+    throw new Error('Método charge() deve ser implementado');
+  }
+
+  /**
+   * Estorna um pagamento confirmado (total ou parcialmente)
+   * @returns {Promise<Object>} Resultado com status 'REFUNDED' (e o amount estornado) ou 'FAILED'
+   */
+  async refund(payment, amount) {
+    throw new Error('Método refund() deve ser implementado');
+  }
+
+  /**
+   * Cancela uma cobrança ainda não paga (PIX e boleto PENDING): depois
+   * disso o gateway não confirma mais a transação
+   * @returns {Promise<Object>} Resultado com status 'CANCELLED' ou 'FAILED'
+   */
+  async cancel(payment) {
+    throw new Error('Método cancel() deve ser implementado');
+  }
+
+  /**
+   * Confere a assinatura e interpreta a notificação enviada pelo gateway
+   * @returns {Object} { transactionId, status: 'CONFIRMED' | 'FAILED', failureReason }
+   * @throws {Error} Se a assinatura for inválida
+   */
+  parseCallback(body, signature) {
+    throw new Error('Método parseCallback() deve ser implementado');
+  }
+}
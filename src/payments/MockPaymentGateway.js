@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import { IPaymentGateway } from './IPaymentGateway.js';
+import { Payment } from '../models/Payment.js';
+import { Money } from '../models/Money.js';
+import { InvalidSignatureError } from '../errors/InvalidSignatureError.js';
+
+/**
+ * Gateway de pagamento simulado, para desenvolvimento e testes offline
+ *
+ * Os resultados dependem apenas dos dados recebidos:
+ * - PIX e boleto ficam PENDING até o callback de confirmação (ou recusa)
+ * - Cartão é aprovado na hora, exceto os finais de MockPaymentGateway.DECLINED_CARDS
+ * - O ID da transação deriva do ID do pagamento (MOCK-PIX-00000001)
+ *
+ * Callbacks são assinados com HMAC-SHA256 de "transactionId:status"
+ * (MockPaymentGateway.sign), usando AppConfig.payments.callbackSecret.
+ * Sem segredo configurado, nenhum callback é aceito.
+ */
+export class MockPaymentGateway extends IPaymentGateway {
+  /**
+   * Finais de cartão recusados e o motivo informado
+   */
+  static DECLINED_CARDS = {
+    '0002': 'Cartão recusado pelo emissor',
+    '0051': 'Saldo insuficiente',
+    '0054': 'Cartão vencido'
+  };
+
+  static PIX_EXPIRATION_MINUTES = 30;
+  static BOLETO_DUE_DAYS = 3;
+
+  constructor(callbackSecret) {
+    super();
+    this.callbackSecret = callbackSecret;
+  }
+
+  getName() {
+    return 'mock';
+  }
+
+  getSupportedMethods() {
+    return Object.values(Payment.METHODS);
+  }
+
+  async charge(payment, data = {}) {
+    const transactionId = `MOCK-${payment.method.toUpperCase()}-${String(payment.id).padStart(8, '0')}`;
+    const { cents } = Money.of(payment.amount);
+
+    switch (payment.method) {
+      case Payment.METHODS.PIX:
+        return {
+          status: Payment.STATUS.PENDING,
+          transactionId,
+          details: {
+            pixCode: `00020126MOCKPIX${transactionId}5406${cents}5802BR`,
+            expiresAt: new Date(Date.now() + MockPaymentGateway.PIX_EXPIRATION_MINUTES * 60 * 1000).toISOString()
+          }
+        };
+
+      case Payment.METHODS.BOLETO: {
+        const dueDate = new Date(Date.now() + MockPaymentGateway.BOLETO_DUE_DAYS * 24 * 60 * 60 * 1000);
+        return {
+          status: Payment.STATUS.PENDING,
+          transactionId,
+          details: {
+            digitableLine: `0019${String(payment.id).padStart(25, '0')}${'0'.repeat(8)}${String(cents).padStart(10, '0')}`,
+            dueDate: dueDate.toISOString().slice(0, 10)
+          }
+        };
+      }
+
+      case Payment.METHODS.CARD: {
+        const last4 = String(data.card.number).replace(/\D/g, '').slice(-4);
+        const details = { last4, holder: data.card.holder, installments: data.installments || 1 };
+        const declined = MockPaymentGateway.DECLINED_CARDS[last4];
+        return declined
+          ? { status: Payment.STATUS.FAILED, transactionId, details, failureReason: declined }
+          : { status: Payment.STATUS.CONFIRMED, transactionId, details };
+      }
+
+      default:
+        throw new Error(`Método de pagamento não suportado pelo gateway mock: ${payment.method}`);
+    }
+  }
+
+  async refund(payment, amount) {
+    return { status: Payment.STATUS.REFUNDED, transactionId: payment.transactionId, amount };
+  }
+
+  async cancel(payment) {
+    return { status: Payment.STATUS.CANCELLED, transactionId: payment.transactionId };
+  }
+
+  parseCallback(body, signature) {
+    const { transactionId, status, failureReason } = body || {};
+    if (!this.callbackSecret) {
+      throw new InvalidSignatureError(this.getName());
+    }
+
+    const expected = Buffer.from(this.sign(transactionId, status));
+    const received = Buffer.from(String(signature || ''));
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new InvalidSignatureError(this.getName());
+    }
+
+    if (![Payment.STATUS.CONFIRMED, Payment.STATUS.FAILED].includes(status)) {
+      throw new Error(`Status de callback inválido: ${status} (use CONFIRMED ou FAILED)`);
+    }
+
+    return { transactionId, status, failureReason: failureReason || null };
+  }
+
+  /**
+   * Assinatura esperada no cabeçalho X-Payment-Signature do callback
+   */
+  sign(transactionId, status) {
+    return crypto.createHmac('sha256', this.callbackSecret).update(`${transactionId}:${status}`).digest('hex');
+  }
+}
@@ -0,0 +1,98 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { Cart } from '../models/Cart.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * CartRepository - Persistência dos carrinhos de compras
+ */
+export class CartRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getCartsCollection();
+  }
+
+  /**
+   * Retorna todos os carrinhos
+   */
+  async findAll() {
+    return Array.from(this.collection.values());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
+  /**
+   * Busca carrinho por ID
+   */
+  async findById(id) {
+    return this.collection.get(id) || null;
+  }
+
+  /**
+   * Busca o carrinho ativo do cliente (índice 'customerId')
+   */
+  async findActiveByCustomerId(customerId) {
+    return this.db.findIdsByIndex('carts', 'customerId', customerId)
+      .map(id => this.collection.get(id))
+      .find(cart => cart && cart.customerId === customerId && cart.status === Cart.STATUS.ACTIVE) || null;
+  }
+
+  /**
+   * Cria um novo carrinho
+   */
+  async create(cart) {
+    const id = this.db.getNextCartId();
+    cart.id = id;
+    this.collection.set(id, cart);
+    console.log(`✅ Carrinho criado: ID ${id} (cliente ${cart.customerId})`);
+    return cart;
+  }
+
+  /**
+   * Atualiza um carrinho existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, cart, expectedVersion = cart.version) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error(`Carrinho com ID ${id} não encontrado`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== existing.version) {
+      throw new ConcurrencyError('Carrinho', id, expectedVersion, existing.version);
+    }
+
+    cart.version = existing.version + 1;
+    this.collection.set(id, cart);
+    console.log(`✅ Carrinho atualizado: ID ${id}`);
+    return cart;
+  }
+
+  /**
+   * Remove um carrinho
+   */
+  async delete(id) {
+    if (!this.collection.has(id)) {
+      throw new Error(`Carrinho com ID ${id} não encontrado`);
+    }
+
+    this.collection.delete(id);
+    console.log(`🗑️  Carrinho removido: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de carrinhos
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
@@ -0,0 +1,87 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * CouponRepository - Persistência dos cupons de desconto
+ *
+ * O ID de cada cupom é o seu código. Resgates gravam o cupom inteiro,
+ * com verificação de versão: dois pedidos disputando o último resgate
+ * não passam ambos.
+ */
+export class CouponRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getCouponsCollection();
+  }
+
+  /**
+   * Retorna todos os cupons, em ordem de código
+   */
+  async findAll() {
+    return Array.from(this.collection.values()).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Busca cupom pelo código
+   */
+  async findById(code) {
+    return this.collection.get(code) || null;
+  }
+
+  /**
+   * Cadastra um novo cupom
+   */
+  async create(coupon) {
+    if (this.collection.has(coupon.id)) {
+      throw new Error(`Cupom ${coupon.id} já existe`);
+    }
+
+    this.collection.set(coupon.id, coupon);
+    console.log(`✅ Cupom criado: ${coupon.id} (${coupon.discountPercentage}%)`);
+    return coupon;
+  }
+
+  /**
+   * Grava as alterações de um cupom (condições ou resgates)
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(code, coupon, expectedVersion = coupon.version) {
+    const existing = await this.findById(code);
+    if (!existing) {
+      throw new Error(`Cupom ${code} não encontrado`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== existing.version) {
+      throw new ConcurrencyError('Cupom', code, expectedVersion, existing.version);
+    }
+
+    coupon.version = existing.version + 1;
+    this.collection.set(code, coupon);
+    console.log(`✅ Cupom atualizado: ${code} (${coupon.redemptions.length} resgate(s))`);
+    return coupon;
+  }
+
+  /**
+   * Remove um cupom
+   */
+  async delete(code) {
+    if (!this.collection.has(code)) {
+      throw new Error(`Cupom ${code} não encontrado`);
+    }
+
+    this.collection.delete(code);
+    console.log(`🗑️  Cupom removido: ${code}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de cupons
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
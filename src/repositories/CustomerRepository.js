@@ -0,0 +1,117 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { Customer } from '../models/Customer.js';
+import { CpfCnpj } from '../utils/CpfCnpj.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * CustomerRepository - Responsável por todas as operações de persistência de clientes
+ */
+export class CustomerRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getCustomersCollection();
+  }
+
+  /**
+   * Retorna todos os clientes
+   */
+  async findAll() {
+    return Array.from(this.collection.values());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
+  /**
+   * Busca cliente por ID
+   */
+  async findById(id) {
+    return this.collection.get(id) || null;
+  }
+
+  /**
+   * Busca cliente por e-mail (índice 'email')
+   */
+  async findByEmail(email) {
+    const key = Customer.normalizeEmail(email);
+    return this.findByIndex('email', key).find(c => c.email === key) || null;
+  }
+
+  /**
+   * Busca cliente por CPF/CNPJ (índice 'document')
+   */
+  async findByDocument(document) {
+    const key = CpfCnpj.normalize(document);
+    return this.findByIndex('document', key).find(c => c.document === key) || null;
+  }
+
+  /**
+   * Resolve as entidades de um índice secundário do Database
+   */
+  findByIndex(indexName, key) {
+    return this.db.findIdsByIndex('customers', indexName, key)
+      .map(id => this.collection.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Cria um novo cliente
+   */
+  async create(customer) {
+    const id = this.db.getNextCustomerId();
+    customer.id = id;
+    this.collection.set(id, customer);
+    console.log(`✅ Cliente criado: ${customer.name} (ID: ${id})`);
+    return customer;
+  }
+
+  /**
+   * Atualiza um cliente existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, updatedData, expectedVersion = updatedData.version) {
+    const customer = await this.findById(id);
+    if (!customer) {
+      throw new Error(`Cliente com ID ${id} não encontrado`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== customer.version) {
+      throw new ConcurrencyError('Cliente', id, expectedVersion, customer.version);
+    }
+
+    customer.update(updatedData);
+    customer.version++;
+    this.collection.set(id, customer);
+    console.log(`✅ Cliente atualizado: ${customer.name} (ID: ${id})`);
+    return customer;
+  }
+
+  /**
+   * Remove um cliente
+   */
+  async delete(id) {
+    const customer = await this.findById(id);
+    if (!customer) {
+      throw new Error(`Cliente com ID ${id} não encontrado`);
+    }
+
+    this.collection.delete(id);
+    console.log(`🗑️  Cliente removido: ${customer.name} (ID: ${id})`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de clientes
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
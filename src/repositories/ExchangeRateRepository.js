@@ -0,0 +1,87 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * ExchangeRateRepository - Persistência da tabela de cotações
+ *
+ * O ID de cada cotação é o código da moeda (ex.: 'USD').
+ */
+export class ExchangeRateRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getExchangeRatesCollection();
+  }
+
+  /**
+   * Retorna todas as cotações, em ordem de código
+   */
+  async findAll() {
+    return Array.from(this.collection.values()).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Busca a cotação de uma moeda
+   */
+  async findById(currency) {
+    return this.collection.get(currency) || null;
+  }
+
+  /**
+   * Cadastra a cotação de uma nova moeda
+   */
+  async create(exchangeRate) {
+    if (this.collection.has(exchangeRate.id)) {
+      throw new Error(`Moeda ${exchangeRate.id} já possui cotação`);
+    }
+
+    this.collection.set(exchangeRate.id, exchangeRate);
+    console.log(`✅ Cotação criada: ${exchangeRate.id} = ${exchangeRate.rate}`);
+    return exchangeRate;
+  }
+
+  /**
+   * Atualiza a cotação de uma moeda
+   * @param {Object} updatedData - { rate }
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(currency, updatedData, expectedVersion = updatedData.version) {
+    const exchangeRate = await this.findById(currency);
+    if (!exchangeRate) {
+      throw new Error(`Moeda ${currency} não possui cotação`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== exchangeRate.version) {
+      throw new ConcurrencyError('Cotação', currency, expectedVersion, exchangeRate.version);
+    }
+
+    exchangeRate.update(updatedData.rate);
+    exchangeRate.version++;
+    this.collection.set(currency, exchangeRate);
+    console.log(`✅ Cotação atualizada: ${currency} = ${exchangeRate.rate}`);
+    return exchangeRate;
+  }
+
+  /**
+   * Remove a cotação de uma moeda
+   */
+  async delete(currency) {
+    if (!this.collection.has(currency)) {
+      throw new Error(`Moeda ${currency} não possui cotação`);
+    }
+
+    this.collection.delete(currency);
+    console.log(`🗑️  Cotação removida: ${currency}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de cotações
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
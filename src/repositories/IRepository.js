@@ -17,11 +17,19 @@ export class IRepository {
     throw new Error('Método create() deve ser implementado');
   }
 
-  async update(id, entity) {
+  async update(id, entity, expectedVersion) {
     throw new Error('Método update() deve ser implementado');
   }
 
   async delete(id) {
     throw new Error('Método delete() deve ser implementado');
   }
+
+  /**
+   * Consulta paginada a partir de uma QuerySpec
+   * @returns {Promise<Object>} { items, total, nextCursor }
+   */
+  async findByQuery(spec) {
+    throw new Error('Método findByQuery() deve ser implementado');
+  }
 }
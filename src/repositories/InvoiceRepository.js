@@ -0,0 +1,88 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * InvoiceRepository - Persistência das notas fiscais emitidas
+ *
+ * Cada pedido tem no máximo uma nota e uma nota emitida não é alterada.
+ */
+export class InvoiceRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getInvoicesCollection();
+  }
+
+  /**
+   * Retorna todas as notas
+   */
+  async findAll() {
+    return Array.from(this.collection.values());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
+  /**
+   * Busca nota por número
+   */
+  async findById(id) {
+    return this.collection.get(id) || null;
+  }
+
+  /**
+   * Busca a nota de um pedido (índice 'orderId')
+   */
+  async findByOrderId(orderId) {
+    const [id] = this.db.findIdsByIndex('invoices', 'orderId', orderId);
+    return id !== undefined ? this.collection.get(id) || null : null;
+  }
+
+  /**
+   * Emite uma nova nota com o próximo número da sequência
+   */
+  async create(invoice) {
+    if (await this.findByOrderId(invoice.orderId)) {
+      throw new Error(`Pedido ${invoice.orderId} já possui nota fiscal`);
+    }
+
+    const id = this.db.getNextInvoiceId();
+    invoice.id = id;
+    this.collection.set(id, invoice);
+    console.log(`✅ Nota fiscal emitida: Nº ${id} (pedido ${invoice.orderId})`);
+    return invoice;
+  }
+
+  /**
+   * Notas emitidas não podem ser alteradas
+   */
+  async update(id, invoice) {
+    throw new Error('Notas fiscais emitidas não podem ser alteradas');
+  }
+
+  /**
+   * Remove uma nota (usado apenas para desfazer uma emissão que falhou)
+   */
+  async delete(id) {
+    if (!this.collection.has(id)) {
+      throw new Error(`Nota fiscal Nº ${id} não encontrada`);
+    }
+
+    this.collection.delete(id);
+    console.log(`🗑️  Nota fiscal removida: Nº ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de notas
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
@@ -1,6 +1,10 @@
 import { IRepository } from './IRepository.js';
 import { Database } from '../config/Database.js';
+import { AppConfig } from '../config/AppConfig.js';
 import { Order } from '../models/Order.js';
+import { Money } from '../models/Money.js';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
 
 /**
  * PADRÃO REPOSITORY
@@ -21,6 +25,13 @@ export class OrderRepository extends IRepository {
     return Array.from(this.collection.values());
   }
 
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
   /**
    * Busca pedido por ID
    */
@@ -33,19 +44,28 @@ export class OrderRepository extends IRepository {
   }
 
   /**
-   * Busca pedidos por cliente
+   * Busca pedidos por cliente (índice 'customerId')
    */
   async findByCustomerId(customerId) {
-    const orders = await this.findAll();
-    return orders.filter(o => o.customerId === customerId);
+    return this.findByIndex('customerId', customerId)
+      .filter(o => o.customerId === customerId);
   }
 
   /**
-   * Busca pedidos por status
+   * Busca pedidos por status (índice 'status')
    */
   async findByStatus(status) {
-    const orders = await this.findAll();
-    return orders.filter(o => o.status === status);
+    return this.findByIndex('status', status)
+      .filter(o => o.status === status);
+  }
+
+  /**
+   * Resolve as entidades de um índice secundário do Database
+   */
+  findByIndex(indexName, key) {
+    return this.db.findIdsByIndex('orders', indexName, key)
+      .map(id => this.collection.get(id))
+      .filter(Boolean);
   }
 
   /**
@@ -82,13 +102,19 @@ export class OrderRepository extends IRepository {
 
   /**
    * Atualiza um pedido existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
    */
-  async update(id, order) {
+  async update(id, order, expectedVersion = order.version) {
     const existingOrder = await this.findById(id);
     if (!existingOrder) {
       throw new Error(`Pedido com ID ${id} não encontrado`);
     }
+
+    if (expectedVersion !== undefined && expectedVersion !== existingOrder.version) {
+      throw new ConcurrencyError('Pedido', id, expectedVersion, existingOrder.version);
+    }
     
+    order.version = existingOrder.version + 1;
     this.collection.set(id, order);
     console.log(`✅ Pedido atualizado: ID ${id}`);
     return order;
@@ -116,27 +142,33 @@ export class OrderRepository extends IRepository {
   }
 
   /**
-   * Calcula valor total de vendas
+   * Calcula valor total de vendas na moeda base (descontando reembolsos parciais),
+   * convertendo cada pedido pela cotação gravada nele
    */
   async getTotalSales() {
-    const orders = await this.findAll();
-    return orders
-      .filter(o => o.status === Order.STATUS.COMPLETED)
-      .reduce((sum, order) => sum + order.total, 0);
+    const orders = await this.findCompleted();
+    return Money.sum(orders.map(order =>
+      ExchangeRate.convertToBase(Money.of(order.total).subtract(order.refundedAmount), order.exchangeRate)
+    )).toNumber();
   }
 
   /**
-   * Retorna estatísticas de pedidos
+   * Retorna estatísticas de pedidos (valores na moeda base)
    */
   async getStatistics() {
-    const orders = await this.findAll();
+    const countByStatus = status => this.db.findIdsByIndex('orders', 'status', status).length;
     return {
-      total: orders.length,
-      pending: orders.filter(o => o.status === Order.STATUS.PENDING).length,
-      processing: orders.filter(o => o.status === Order.STATUS.PROCESSING).length,
-      completed: orders.filter(o => o.status === Order.STATUS.COMPLETED).length,
-      cancelled: orders.filter(o => o.status === Order.STATUS.CANCELLED).length,
-      totalSales: await this.getTotalSales()
+      total: this.collection.size,
+      backordered: countByStatus(Order.STATUS.BACKORDERED),
+      pending: countByStatus(Order.STATUS.PENDING),
+      processing: countByStatus(Order.STATUS.PROCESSING),
+      shipped: countByStatus(Order.STATUS.SHIPPED),
+      delivered: countByStatus(Order.STATUS.DELIVERED),
+      completed: countByStatus(Order.STATUS.COMPLETED),
+      cancelled: countByStatus(Order.STATUS.CANCELLED),
+      refunded: countByStatus(Order.STATUS.REFUNDED),
+      totalSales: await this.getTotalSales(),
+      currency: AppConfig.currency.base
     };
   }
 }
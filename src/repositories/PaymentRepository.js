@@ -0,0 +1,106 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * PaymentRepository - Persistência dos pagamentos de pedidos
+ */
+export class PaymentRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getPaymentsCollection();
+  }
+
+  /**
+   * Retorna todos os pagamentos
+   */
+  async findAll() {
+    return Array.from(this.collection.values());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
+  /**
+   * Busca pagamento por ID
+   */
+  async findById(id) {
+    return this.collection.get(id) || null;
+  }
+
+  /**
+   * Busca os pagamentos de um pedido, do mais antigo para o mais novo (índice 'orderId')
+   */
+  async findByOrderId(orderId) {
+    return this.db.findIdsByIndex('payments', 'orderId', orderId)
+      .map(id => this.collection.get(id))
+      .filter(payment => payment && payment.orderId === orderId)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Busca pagamento pelo ID da transação no gateway (índice 'transactionId')
+   */
+  async findByTransactionId(transactionId) {
+    const [id] = this.db.findIdsByIndex('payments', 'transactionId', transactionId);
+    return id !== undefined ? this.collection.get(id) || null : null;
+  }
+
+  /**
+   * Cria um novo pagamento
+   */
+  async create(payment) {
+    const id = this.db.getNextPaymentId();
+    payment.id = id;
+    this.collection.set(id, payment);
+    console.log(`✅ Pagamento criado: ID ${id} (pedido ${payment.orderId}, ${payment.method})`);
+    return payment;
+  }
+
+  /**
+   * Atualiza um pagamento existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, payment, expectedVersion = payment.version) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error(`Pagamento com ID ${id} não encontrado`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== existing.version) {
+      throw new ConcurrencyError('Pagamento', id, expectedVersion, existing.version);
+    }
+
+    payment.version = existing.version + 1;
+    this.collection.set(id, payment);
+    console.log(`✅ Pagamento atualizado: ID ${id} (${payment.status})`);
+    return payment;
+  }
+
+  /**
+   * Remove um pagamento
+   */
+  async delete(id) {
+    if (!this.collection.has(id)) {
+      throw new Error(`Pagamento com ID ${id} não encontrado`);
+    }
+
+    this.collection.delete(id);
+    console.log(`🗑️  Pagamento removido: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de pagamentos
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
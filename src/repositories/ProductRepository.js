@@ -1,5 +1,8 @@
 import { IRepository } from './IRepository.js';
 import { Database } from '../config/Database.js';
+import { Product } from '../models/Product.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { ProductSearchEngine } from '../search/ProductSearchEngine.js';
 
 /**
  * PADRÃO REPOSITORY
@@ -17,13 +20,30 @@ export class ProductRepository extends IRepository {
     super();
     this.db = Database.getInstance();
     this.collection = this.db.getProductsCollection();
+    this.searchEngine = new ProductSearchEngine();
   }
 
   /**
-   * Retorna todos os produtos
+   * Retorna todos os produtos (os da lixeira apenas com includeDeleted)
    */
-  async findAll() {
-    return Array.from(this.collection.values());
+  async findAll({ includeDeleted = false } = {}) {
+    const products = Array.from(this.collection.values());
+    return includeDeleted ? products : products.filter(p => !p.isDeleted());
+  }
+
+  /**
+   * Retorna os produtos da lixeira
+   */
+  async findDeleted() {
+    const products = await this.findAll({ includeDeleted: true });
+    return products.filter(p => p.isDeleted());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
   }
 
   /**
@@ -38,11 +58,11 @@ export class ProductRepository extends IRepository {
   }
 
   /**
-   * Busca produtos por categoria
+   * Busca produtos por categoria (índice 'category')
    */
   async findByCategory(category) {
-    const products = await this.findAll();
-    return products.filter(p => p.category === category);
+    return this.findByIndex('category', category)
+      .filter(p => !p.isDeleted() && p.category === category);
   }
 
   /**
@@ -63,6 +83,14 @@ export class ProductRepository extends IRepository {
     );
   }
 
+  /**
+   * Busca textual ranqueada em nome, categoria e descrição
+   * (ignora acentos, aceita prefixos e erros de digitação)
+   */
+  async search(query, options) {
+    return this.searchEngine.search(await this.findAll(), query, options);
+  }
+
   /**
    * Cria um novo produto
    */
@@ -76,21 +104,35 @@ export class ProductRepository extends IRepository {
 
   /**
    * Atualiza um produto existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
    */
-  async update(id, updatedData) {
+  async update(id, updatedData, expectedVersion = updatedData.version) {
     const product = await this.findById(id);
     if (!product) {
       throw new Error(`Produto com ID ${id} não encontrado`);
     }
-    
+
+    if (expectedVersion !== undefined && expectedVersion !== product.version) {
+      throw new ConcurrencyError('Produto', id, expectedVersion, product.version);
+    }
+
+    // Entidade completa (ex.: cópia da UnitOfWork) substitui a gravada; dados parciais são aplicados sobre ela
+    if (updatedData instanceof Product) {
+      updatedData.version = product.version + 1;
+      this.collection.set(id, updatedData);
+      console.log(`✅ Produto atualizado: ${updatedData.name} (ID: ${id})`);
+      return updatedData;
+    }
+
     product.update(updatedData);
+    product.version++;
     this.collection.set(id, product);
     console.log(`✅ Produto atualizado: ${product.name} (ID: ${id})`);
     return product;
   }
 
   /**
-   * Deleta um produto
+   * Deleta um produto (exclusão lógica: vai para a lixeira)
    */
   async delete(id) {
     const product = await this.findById(id);
@@ -98,23 +140,66 @@ export class ProductRepository extends IRepository {
       throw new Error(`Produto com ID ${id} não encontrado`);
     }
     
+    product.softDelete();
+    product.version++;
+    this.collection.set(id, product);
+    console.log(`🗑️  Produto enviado para a lixeira: ${product.name} (ID: ${id})`);
+    return true;
+  }
+
+  /**
+   * Retira um produto da lixeira
+   */
+  async restore(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      throw new Error(`Produto com ID ${id} não encontrado`);
+    }
+
+    product.restore();
+    product.version++;
+    this.collection.set(id, product);
+    console.log(`♻️  Produto restaurado: ${product.name} (ID: ${id})`);
+    return product;
+  }
+
+  /**
+   * Remove o produto definitivamente
+   */
+  async purge(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      throw new Error(`Produto com ID ${id} não encontrado`);
+    }
+
     this.collection.delete(id);
-    console.log(`🗑️  Produto deletado: ${product.name} (ID: ${id})`);
+    console.log(`🔥 Produto removido definitivamente: ${product.name} (ID: ${id})`);
     return true;
   }
 
   /**
-   * Verifica se existe produto com o nome
+   * Verifica se existe produto com o nome (índice 'name', sem diferenciar maiúsculas)
    */
   async existsByName(name) {
-    const products = await this.findAll();
-    return products.some(p => p.name.toLowerCase() === name.toLowerCase());
+    const key = name.toLowerCase();
+    return this.findByIndex('name', key)
+      .some(p => !p.isDeleted() && p.name.toLowerCase() === key);
   }
 
   /**
-   * Retorna contagem total de produtos
+   * Resolve as entidades de um índice secundário do Database
+   */
+  findByIndex(indexName, key) {
+    return this.db.findIdsByIndex('products', indexName, key)
+      .map(id => this.collection.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Retorna contagem total de produtos (fora da lixeira)
    */
   async count() {
-    return this.collection.size;
+    const products = await this.findAll();
+    return products.length;
   }
 }
@@ -0,0 +1,223 @@
+/**
+ * PADRÃO SPECIFICATION
+ *
+ * QuerySpec - Descreve uma consulta de listagem de forma independente do
+ * armazenamento: filtros, ordenação e paginação (por página ou cursor).
+ *
+ * Cada repositório implementa findByQuery(spec); os repositórios em memória
+ * usam apply(), os SQL traduzem a especificação para WHERE/ORDER BY/LIMIT.
+ */
+export class QuerySpec {
+  static DEFAULT_LIMIT = 20;
+  static MAX_LIMIT = 100;
+
+  static OPERATORS = ['eq', 'gte', 'lte'];
+
+  constructor({ filters = [], sort = [], limit = QuerySpec.DEFAULT_LIMIT, page = 1, cursor = null } = {}) {
+    this.filters = filters;
+    this.sort = sort;
+    this.limit = limit;
+    this.page = page;
+    this.cursor = cursor;
+  }
+
+  /**
+   * Monta a especificação a partir da query string
+   * @param {Object} query - req.query
+   * @param {Object} definition - { filters: { param: { field, operator, parse } }, sortFields: string[] }
+   */
+  static fromRequest(query, definition) {
+    const filters = [];
+    for (const [param, { field, operator, parse }] of Object.entries(definition.filters)) {
+      if (query[param] === undefined || query[param] === '') continue;
+
+      const value = parse(query[param]);
+      if (value === undefined || Number.isNaN(value)) {
+        throw new Error(`Valor inválido para o filtro "${param}": ${query[param]}`);
+      }
+      filters.push({ field, operator, value });
+    }
+
+    const limit = query.limit === undefined ? QuerySpec.DEFAULT_LIMIT : parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > QuerySpec.MAX_LIMIT) {
+      throw new Error(`Parâmetro "limit" deve estar entre 1 e ${QuerySpec.MAX_LIMIT}`);
+    }
+
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Parâmetro "page" deve ser um inteiro positivo');
+    }
+
+    const spec = new QuerySpec({
+      filters,
+      sort: QuerySpec.parseSort(query.sort, definition.sortFields),
+      limit,
+      page,
+      cursor: query.cursor || null
+    });
+
+    // Valida o cursor logo na entrada
+    if (spec.cursor) {
+      spec.decodeCursor();
+    }
+    return spec;
+  }
+
+  /**
+   * Interpreta "price,-createdAt" (prefixo "-" = decrescente)
+   */
+  static parseSort(text, allowedFields) {
+    if (!text) {
+      return [];
+    }
+
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const direction = part.startsWith('-') ? 'desc' : 'asc';
+      const field = part.replace(/^[-+]/, '');
+      if (!allowedFields.includes(field)) {
+        throw new Error(`Ordenação não suportada: ${field}. Use: ${allowedFields.join(', ')}`);
+      }
+      return { field, direction };
+    });
+  }
+
+  /**
+   * Converte datas em parâmetros de filtro (ISO 8601)
+   */
+  static parseDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  /**
+   * Adiciona um filtro (encadeável)
+   */
+  where(field, operator, value) {
+    if (!QuerySpec.OPERATORS.includes(operator)) {
+      throw new Error(`Operador de filtro desconhecido: ${operator}`);
+    }
+    this.filters.push({ field, operator, value });
+    return this;
+  }
+
+  /**
+   * Ordenação efetiva: a pedida + id como desempate (ordem total, exigida pelo cursor)
+   */
+  getSort() {
+    const sort = this.sort.filter(s => s.field !== 'id');
+    const idSort = this.sort.find(s => s.field === 'id') || { field: 'id', direction: 'asc' };
+    return [...sort, idSort];
+  }
+
+  /**
+   * Deslocamento da paginação por página
+   */
+  get offset() {
+    return (this.page - 1) * this.limit;
+  }
+
+  /**
+   * Valor comparável de um campo (datas viram ISO 8601, como no banco)
+   */
+  static valueOf(entity, field) {
+    const value = entity[field];
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  /**
+   * Gera o cursor que aponta para depois da entidade informada
+   */
+  encodeCursor(entity) {
+    const sort = this.getSort();
+    const payload = {
+      sort: sort.map(s => `${s.direction === 'desc' ? '-' : ''}${s.field}`).join(','),
+      values: sort.map(s => QuerySpec.valueOf(entity, s.field))
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Lê os valores de ordenação guardados no cursor
+   */
+  decodeCursor() {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(this.cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Cursor inválido');
+    }
+
+    const sort = this.getSort().map(s => `${s.direction === 'desc' ? '-' : ''}${s.field}`).join(',');
+    if (payload.sort !== sort || !Array.isArray(payload.values)) {
+      throw new Error('Cursor inválido para esta ordenação');
+    }
+    return payload.values;
+  }
+
+  /**
+   * Verifica se a entidade atende a todos os filtros
+   */
+  matches(entity) {
+    return this.filters.every(({ field, operator, value }) => {
+      const current = QuerySpec.valueOf(entity, field);
+      switch (operator) {
+        case 'eq':
+          return current === value;
+        case 'gte':
+          return current >= value;
+        case 'lte':
+          return current <= value;
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Compara valores de ordenação de acordo com getSort()
+   */
+  compareValues(left, right) {
+    const sort = this.getSort();
+    for (let i = 0; i < sort.length; i++) {
+      if (left[i] === right[i]) continue;
+      const result = left[i] < right[i] ? -1 : 1;
+      return sort[i].direction === 'desc' ? -result : result;
+    }
+    return 0;
+  }
+
+  /**
+   * Extrai os valores de ordenação de uma entidade
+   */
+  sortValues(entity) {
+    return this.getSort().map(s => QuerySpec.valueOf(entity, s.field));
+  }
+
+  /**
+   * Executa a especificação sobre uma lista em memória
+   * @returns {Object} { items, total, nextCursor }
+   */
+  apply(entities) {
+    const filtered = entities
+      .filter(entity => this.matches(entity))
+      .sort((a, b) => this.compareValues(this.sortValues(a), this.sortValues(b)));
+
+    let start = this.offset;
+    if (this.cursor) {
+      const after = this.decodeCursor();
+      start = filtered.findIndex(entity => this.compareValues(this.sortValues(entity), after) > 0);
+      if (start === -1) {
+        start = filtered.length;
+      }
+    }
+
+    const items = filtered.slice(start, start + this.limit);
+    const hasMore = start + this.limit < filtered.length;
+
+    return {
+      items,
+      total: filtered.length,
+      nextCursor: hasMore ? this.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+}
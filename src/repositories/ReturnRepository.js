@@ -0,0 +1,97 @@
+import { IRepository } from './IRepository.js';
+import { Database } from '../config/Database.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * ReturnRepository - Persistência das devoluções (RMA) de pedidos
+ */
+export class ReturnRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+    this.collection = this.db.getReturnsCollection();
+  }
+
+  /**
+   * Retorna todas as devoluções
+   */
+  async findAll() {
+    return Array.from(this.collection.values());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    return spec.apply(await this.findAll());
+  }
+
+  /**
+   * Busca devolução por ID
+   */
+  async findById(id) {
+    return this.collection.get(id) || null;
+  }
+
+  /**
+   * Busca as devoluções de um pedido (índice 'orderId')
+   */
+  async findByOrderId(orderId) {
+    return this.db.findIdsByIndex('returns', 'orderId', orderId)
+      .map(id => this.collection.get(id))
+      .filter(request => request && request.orderId === orderId);
+  }
+
+  /**
+   * Cria uma nova devolução
+   */
+  async create(returnRequest) {
+    const id = this.db.getNextReturnId();
+    returnRequest.id = id;
+    this.collection.set(id, returnRequest);
+    console.log(`✅ Devolução criada: ID ${id} (pedido ${returnRequest.orderId})`);
+    return returnRequest;
+  }
+
+  /**
+   * Atualiza uma devolução existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, returnRequest, expectedVersion = returnRequest.version) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error(`Devolução com ID ${id} não encontrada`);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== existing.version) {
+      throw new ConcurrencyError('Devolução', id, expectedVersion, existing.version);
+    }
+
+    returnRequest.version = existing.version + 1;
+    this.collection.set(id, returnRequest);
+    console.log(`✅ Devolução atualizada: ID ${id} (${returnRequest.status})`);
+    return returnRequest;
+  }
+
+  /**
+   * Remove uma devolução
+   */
+  async delete(id) {
+    if (!this.collection.has(id)) {
+      throw new Error(`Devolução com ID ${id} não encontrada`);
+    }
+
+    this.collection.delete(id);
+    console.log(`🗑️  Devolução removida: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de devoluções
+   */
+  async count() {
+    return this.collection.size;
+  }
+}
@@ -0,0 +1,150 @@
+import { Database } from '../config/Database.js';
+
+/**
+ * PADRÃO UNIT OF WORK
+ *
+ * Agrupa as alterações de uma operação de negócio e as grava de uma vez.
+ *
+ * - find() devolve uma cópia própria da unidade: os drivers de memória e
+ *   arquivo compartilham a mesma instância entre requisições, e a unidade
+ *   não pode alterá-la antes do commit
+ * - Entidades alteradas são registradas ANTES da alteração (snapshot); o
+ *   commit exige que a versão gravada ainda seja a do registro
+ * - Nada é persistido até commit(); eventos ficam na fila até lá
+ * - Qualquer erro (antes ou durante o commit) devolve as entidades
+ *   ao estado registrado e nenhum evento é emitido
+ * - Efeitos externos que não podem ser desfeitos (ex.: estorno no gateway
+ *   de pagamento) ficam em afterCommit e só rodam depois de gravar
+ */
+export class UnitOfWork {
+  constructor(eventSubject) {
+    this.db = Database.getInstance();
+    this.eventSubject = eventSubject;
+    this.identityMap = new Map();
+    this.dirty = new Map();
+    this.created = [];
+    this.events = [];
+    this.tasks = [];
+  }
+
+  /**
+   * Busca uma entidade, devolvendo sempre a mesma instância dentro da unidade
+   * (uma cópia da entidade gravada, que só é publicada no commit)
+   */
+  async find(repository, id) {
+    const key = `${repository.constructor.name}:${id}`;
+    if (!this.identityMap.has(key)) {
+      const entity = await repository.findById(id);
+      this.identityMap.set(key, entity && UnitOfWork.copy(entity));
+    }
+    return this.identityMap.get(key);
+  }
+
+  /**
+   * Registra uma entidade que será alterada (guarda o estado atual, inclusive
+   * a versão esperada no commit)
+   */
+  registerDirty(repository, entity) {
+    if (!this.dirty.has(entity)) {
+      this.dirty.set(entity, { repository, snapshot: UnitOfWork.snapshot(entity) });
+    }
+  }
+
+  /**
+   * Registra uma entidade nova, criada no commit
+   */
+  registerNew(repository, entity) {
+    this.created.push({ repository, entity });
+  }
+
+  /**
+   * Enfileira um evento para ser emitido após o commit
+   */
+  addEvent(event) {
+    this.events.push(event);
+  }
+
+  /**
+   * Enfileira uma tarefa executada após o commit e os eventos
+   *
+   * O commit já aconteceu quando a tarefa roda: ela trata os próprios erros
+   * (falhas são apenas registradas aqui).
+   */
+  afterCommit(task) {
+    this.tasks.push(task);
+  }
+
+  /**
+   * Persiste todas as alterações, emite os eventos enfileirados e executa
+   * as tarefas de afterCommit
+   */
+  async commit() {
+    const undo = [];
+
+    try {
+      await this.db.transaction(async () => {
+        for (const [entity, { repository, snapshot }] of this.dirty) {
+          await repository.update(entity.id, entity, snapshot.version);
+          const written = entity.version;
+          undo.push(() => repository.update(entity.id, entity, written));
+        }
+        for (const { repository, entity } of this.created) {
+          await repository.create(entity);
+          undo.push(() => repository.delete(entity.id));
+        }
+      });
+    } catch (error) {
+      this.rollback();
+
+      // Sem transação nativa, desfaz o que já tinha sido gravado
+      if (!this.db.isTransactional()) {
+        for (const step of undo.reverse()) {
+          await step();
+        }
+      }
+      throw error;
+    }
+
+    const events = this.events;
+    this.events = [];
+    events.forEach(event => this.eventSubject.notify(event));
+
+    const tasks = this.tasks;
+    this.tasks = [];
+    for (const task of tasks) {
+      try {
+        await task();
+      } catch (error) {
+        console.error('❌ UnitOfWork: Erro em tarefa após o commit:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Devolve as entidades alteradas ao estado registrado e descarta eventos
+   * e tarefas (só as cópias da unidade são tocadas)
+   */
+  rollback() {
+    for (const [entity, { snapshot }] of this.dirty) {
+      Object.assign(entity, snapshot);
+    }
+    this.events = [];
+    this.tasks = [];
+  }
+
+  /**
+   * Cópia da entidade com o mesmo protótipo (mesmas regras de snapshot)
+   */
+  static copy(entity) {
+    return Object.assign(Object.create(Object.getPrototypeOf(entity)), UnitOfWork.snapshot(entity));
+  }
+
+  /**
+   * Cópia rasa do estado da entidade (listas são copiadas)
+   */
+  static snapshot(entity) {
+    return Object.fromEntries(
+      Object.entries(entity).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value])
+    );
+  }
+}
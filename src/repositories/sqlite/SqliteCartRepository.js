@@ -0,0 +1,153 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { Cart } from '../../models/Cart.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteCartRepository - Persistência de carrinhos na tabela carts
+ *
+ * Linhas e desconto escolhido ficam em colunas JSON: o carrinho é
+ * sempre lido e gravado inteiro.
+ */
+export class SqliteCartRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    customerId: 'customer_id',
+    status: 'status',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return Cart.fromJSON({
+      id: row.id,
+      customerId: row.customer_id,
+      items: JSON.parse(row.items),
+      appliedDiscount: JSON.parse(row.applied_discount),
+      status: row.status,
+      orderId: row.order_id,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastActivityAt: row.last_activity_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(cart) {
+    return {
+      customer_id: cart.customerId,
+      items: JSON.stringify(cart.items),
+      applied_discount: JSON.stringify(cart.appliedDiscount),
+      status: cart.status,
+      order_id: cart.orderId,
+      created_at: cart.createdAt.toISOString(),
+      updated_at: cart.updatedAt.toISOString(),
+      last_activity_at: cart.lastActivityAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todos os carrinhos
+   */
+  async findAll() {
+    return this.sql.prepare('SELECT * FROM carts ORDER BY id').all().map(SqliteCartRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('carts', spec, SqliteCartRepository.COLUMNS);
+    const items = rows.map(SqliteCartRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca carrinho por ID
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM carts WHERE id = ?').get(id);
+    return row ? SqliteCartRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca o carrinho ativo do cliente
+   */
+  async findActiveByCustomerId(customerId) {
+    const row = this.sql
+      .prepare('SELECT * FROM carts WHERE customer_id = ? AND status = ? ORDER BY id DESC LIMIT 1')
+      .get(customerId, Cart.STATUS.ACTIVE);
+    return row ? SqliteCartRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Cria um novo carrinho
+   */
+  async create(cart) {
+    const result = this.sql.prepare(`
+      INSERT INTO carts (customer_id, items, applied_discount, status, order_id, created_at, updated_at, last_activity_at)
+      VALUES (@customer_id, @items, @applied_discount, @status, @order_id, @created_at, @updated_at, @last_activity_at)
+    `).run(SqliteCartRepository.toRow(cart));
+
+    cart.id = Number(result.lastInsertRowid);
+    console.log(`✅ Carrinho criado: ID ${cart.id} (cliente ${cart.customerId})`);
+    return cart;
+  }
+
+  /**
+   * Atualiza um carrinho existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, cart, expectedVersion = cart.version) {
+    const version = this.assertVersion('carts', 'Carrinho', id, expectedVersion);
+
+    const result = this.sql.prepare(`
+      UPDATE carts
+         SET items = @items, applied_discount = @applied_discount, status = @status, order_id = @order_id,
+             updated_at = @updated_at, last_activity_at = @last_activity_at, version = version + 1
+       WHERE id = @id AND version = @version
+    `).run({ ...SqliteCartRepository.toRow(cart), id, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Carrinho', id, version, version + 1);
+    }
+    cart.version = version + 1;
+
+    console.log(`✅ Carrinho atualizado: ID ${id}`);
+    return cart;
+  }
+
+  /**
+   * Remove um carrinho
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM carts WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Carrinho com ID ${id} não encontrado`);
+    }
+
+    console.log(`🗑️  Carrinho removido: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de carrinhos
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM carts').get().total;
+  }
+}
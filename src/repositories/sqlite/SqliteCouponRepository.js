@@ -0,0 +1,146 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { Coupon } from '../../models/Coupon.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteCouponRepository - Persistência de cupons na tabela coupons
+ *
+ * A chave da tabela é o código do cupom; o UPDATE só é aplicado na versão
+ * lida, então resgates simultâneos do mesmo cupom não se sobrescrevem.
+ */
+export class SqliteCouponRepository extends SqliteRepository {
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return Coupon.fromJSON({
+      id: row.code,
+      description: row.description,
+      discountPercentage: row.discount_percentage,
+      minOrderValue: row.min_order_value,
+      allowedCategories: JSON.parse(row.allowed_categories),
+      validFrom: row.valid_from,
+      validUntil: row.valid_until,
+      maxRedemptions: row.max_redemptions,
+      maxRedemptionsPerCustomer: row.max_redemptions_per_customer,
+      redemptions: JSON.parse(row.redemptions),
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(coupon) {
+    return {
+      code: coupon.id,
+      description: coupon.description,
+      discount_percentage: coupon.discountPercentage,
+      min_order_value: coupon.minOrderValue,
+      allowed_categories: JSON.stringify(coupon.allowedCategories),
+      valid_from: coupon.validFrom ? coupon.validFrom.toISOString() : null,
+      valid_until: coupon.validUntil ? coupon.validUntil.toISOString() : null,
+      max_redemptions: coupon.maxRedemptions,
+      max_redemptions_per_customer: coupon.maxRedemptionsPerCustomer,
+      redemptions: JSON.stringify(coupon.redemptions),
+      created_at: coupon.createdAt.toISOString(),
+      updated_at: coupon.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todos os cupons, em ordem de código
+   */
+  async findAll() {
+    return this.sql
+      .prepare('SELECT * FROM coupons ORDER BY code')
+      .all()
+      .map(SqliteCouponRepository.fromRow);
+  }
+
+  /**
+   * Busca cupom pelo código
+   */
+  async findById(code) {
+    const row = this.sql.prepare('SELECT * FROM coupons WHERE code = ?').get(code);
+    return row ? SqliteCouponRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Cadastra um novo cupom
+   */
+  async create(coupon) {
+    if (await this.findById(coupon.id)) {
+      throw new Error(`Cupom ${coupon.id} já existe`);
+    }
+
+    this.sql.prepare(`
+      INSERT INTO coupons (code, description, discount_percentage, min_order_value, allowed_categories,
+                           valid_from, valid_until, max_redemptions, max_redemptions_per_customer,
+                           redemptions, created_at, updated_at)
+      VALUES (@code, @description, @discount_percentage, @min_order_value, @allowed_categories,
+              @valid_from, @valid_until, @max_redemptions, @max_redemptions_per_customer,
+              @redemptions, @created_at, @updated_at)
+    `).run(SqliteCouponRepository.toRow(coupon));
+
+    console.log(`✅ Cupom criado: ${coupon.id} (${coupon.discountPercentage}%)`);
+    return coupon;
+  }
+
+  /**
+   * Grava as alterações de um cupom (condições ou resgates)
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(code, coupon, expectedVersion = coupon.version) {
+    const row = this.sql.prepare('SELECT version FROM coupons WHERE code = ?').get(code);
+    if (!row) {
+      throw new Error(`Cupom ${code} não encontrado`);
+    }
+    if (expectedVersion !== undefined && expectedVersion !== row.version) {
+      throw new ConcurrencyError('Cupom', code, expectedVersion, row.version);
+    }
+
+    const version = row.version;
+    const result = this.sql.prepare(`
+      UPDATE coupons
+         SET description = @description, discount_percentage = @discount_percentage,
+             min_order_value = @min_order_value, allowed_categories = @allowed_categories,
+             valid_from = @valid_from, valid_until = @valid_until, max_redemptions = @max_redemptions,
+             max_redemptions_per_customer = @max_redemptions_per_customer, redemptions = @redemptions,
+             updated_at = @updated_at, version = version + 1
+       WHERE code = @code AND version = @version
+    `).run({ ...SqliteCouponRepository.toRow(coupon), code, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Cupom', code, version, version + 1);
+    }
+    coupon.version = version + 1;
+
+    console.log(`✅ Cupom atualizado: ${code} (${coupon.redemptions.length} resgate(s))`);
+    return coupon;
+  }
+
+  /**
+   * Remove um cupom
+   */
+  async delete(code) {
+    const result = this.sql.prepare('DELETE FROM coupons WHERE code = ?').run(code);
+    if (result.changes === 0) {
+      throw new Error(`Cupom ${code} não encontrado`);
+    }
+
+    console.log(`🗑️  Cupom removido: ${code}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de cupons
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM coupons').get().total;
+  }
+}
@@ -0,0 +1,165 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { Customer } from '../../models/Customer.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+import { CpfCnpj } from '../../utils/CpfCnpj.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteCustomerRepository - Persistência de clientes na tabela customers
+ *
+ * Os endereços ficam em uma coluna JSON: são sempre lidos e gravados
+ * junto com o cliente.
+ */
+export class SqliteCustomerRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    name: 'name',
+    email: 'email',
+    document: 'document',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return Customer.fromJSON({
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      document: row.document,
+      phone: row.phone,
+      addresses: JSON.parse(row.addresses),
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(customer) {
+    return {
+      name: customer.name,
+      email: customer.email,
+      document: customer.document,
+      phone: customer.phone,
+      addresses: JSON.stringify(customer.addresses),
+      created_at: customer.createdAt.toISOString(),
+      updated_at: customer.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todos os clientes
+   */
+  async findAll() {
+    return this.sql.prepare('SELECT * FROM customers ORDER BY id').all().map(SqliteCustomerRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('customers', spec, SqliteCustomerRepository.COLUMNS);
+    const items = rows.map(SqliteCustomerRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca cliente por ID
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM customers WHERE id = ?').get(id);
+    return row ? SqliteCustomerRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca cliente por e-mail
+   */
+  async findByEmail(email) {
+    const row = this.sql.prepare('SELECT * FROM customers WHERE email = ?').get(Customer.normalizeEmail(email));
+    return row ? SqliteCustomerRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca cliente por CPF/CNPJ
+   */
+  async findByDocument(document) {
+    const row = this.sql.prepare('SELECT * FROM customers WHERE document = ?').get(CpfCnpj.normalize(document));
+    return row ? SqliteCustomerRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Cria um novo cliente
+   */
+  async create(customer) {
+    const result = this.sql.prepare(`
+      INSERT INTO customers (name, email, document, phone, addresses, created_at, updated_at)
+      VALUES (@name, @email, @document, @phone, @addresses, @created_at, @updated_at)
+    `).run(SqliteCustomerRepository.toRow(customer));
+
+    customer.id = Number(result.lastInsertRowid);
+    console.log(`✅ Cliente criado: ${customer.name} (ID: ${customer.id})`);
+    return customer;
+  }
+
+  /**
+   * Atualiza um cliente existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, updatedData, expectedVersion = updatedData.version) {
+    const version = this.assertVersion('customers', 'Cliente', id, expectedVersion);
+
+    // Entidade completa é gravada como está; dados parciais são aplicados sobre a atual
+    const customer = updatedData instanceof Customer ? updatedData : await this.findById(id);
+    if (customer !== updatedData) {
+      customer.update(updatedData);
+    }
+
+    const result = this.sql.prepare(`
+      UPDATE customers
+         SET name = @name, email = @email, document = @document, phone = @phone,
+             addresses = @addresses, updated_at = @updated_at, version = version + 1
+       WHERE id = @id AND version = @version
+    `).run({ ...SqliteCustomerRepository.toRow(customer), id, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Cliente', id, version, version + 1);
+    }
+    customer.version = version + 1;
+
+    console.log(`✅ Cliente atualizado: ${customer.name} (ID: ${id})`);
+    return customer;
+  }
+
+  /**
+   * Remove um cliente
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM customers WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Cliente com ID ${id} não encontrado`);
+    }
+
+    console.log(`🗑️  Cliente removido: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de clientes
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM customers').get().total;
+  }
+}
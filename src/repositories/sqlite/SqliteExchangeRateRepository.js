@@ -0,0 +1,123 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { ExchangeRate } from '../../models/ExchangeRate.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteExchangeRateRepository - Persistência de cotações na tabela exchange_rates
+ *
+ * A chave da tabela é o código da moeda, que também é o ID da entidade.
+ */
+export class SqliteExchangeRateRepository extends SqliteRepository {
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return ExchangeRate.fromJSON({
+      id: row.currency,
+      rate: row.rate,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(exchangeRate) {
+    return {
+      currency: exchangeRate.id,
+      rate: exchangeRate.rate,
+      created_at: exchangeRate.createdAt.toISOString(),
+      updated_at: exchangeRate.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todas as cotações, em ordem de código
+   */
+  async findAll() {
+    return this.sql
+      .prepare('SELECT * FROM exchange_rates ORDER BY currency')
+      .all()
+      .map(SqliteExchangeRateRepository.fromRow);
+  }
+
+  /**
+   * Busca a cotação de uma moeda
+   */
+  async findById(currency) {
+    const row = this.sql.prepare('SELECT * FROM exchange_rates WHERE currency = ?').get(currency);
+    return row ? SqliteExchangeRateRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Cadastra a cotação de uma nova moeda
+   */
+  async create(exchangeRate) {
+    if (await this.findById(exchangeRate.id)) {
+      throw new Error(`Moeda ${exchangeRate.id} já possui cotação`);
+    }
+
+    this.sql.prepare(`
+      INSERT INTO exchange_rates (currency, rate, created_at, updated_at)
+      VALUES (@currency, @rate, @created_at, @updated_at)
+    `).run(SqliteExchangeRateRepository.toRow(exchangeRate));
+
+    console.log(`✅ Cotação criada: ${exchangeRate.id} = ${exchangeRate.rate}`);
+    return exchangeRate;
+  }
+
+  /**
+   * Atualiza a cotação de uma moeda
+   * @param {Object} updatedData - { rate }
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(currency, updatedData, expectedVersion = updatedData.version) {
+    const exchangeRate = await this.findById(currency);
+    if (!exchangeRate) {
+      throw new Error(`Moeda ${currency} não possui cotação`);
+    }
+    if (expectedVersion !== undefined && expectedVersion !== exchangeRate.version) {
+      throw new ConcurrencyError('Cotação', currency, expectedVersion, exchangeRate.version);
+    }
+
+    const version = exchangeRate.version;
+    exchangeRate.update(updatedData.rate);
+    const result = this.sql.prepare(`
+      UPDATE exchange_rates
+         SET rate = @rate, updated_at = @updated_at, version = version + 1
+       WHERE currency = @currency AND version = @version
+    `).run({ ...SqliteExchangeRateRepository.toRow(exchangeRate), version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Cotação', currency, version, version + 1);
+    }
+    exchangeRate.version = version + 1;
+
+    console.log(`✅ Cotação atualizada: ${currency} = ${exchangeRate.rate}`);
+    return exchangeRate;
+  }
+
+  /**
+   * Remove a cotação de uma moeda
+   */
+  async delete(currency) {
+    const result = this.sql.prepare('DELETE FROM exchange_rates WHERE currency = ?').run(currency);
+    if (result.changes === 0) {
+      throw new Error(`Moeda ${currency} não possui cotação`);
+    }
+
+    console.log(`🗑️  Cotação removida: ${currency}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de cotações
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM exchange_rates').get().total;
+  }
+}
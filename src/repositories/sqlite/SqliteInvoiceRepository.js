@@ -0,0 +1,132 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { SqliteOrderRepository } from './SqliteOrderRepository.js';
+import { Invoice } from '../../models/Invoice.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteInvoiceRepository - Persistência de notas fiscais na tabela invoices
+ *
+ * O conteúdo da nota (emitente, destinatário, itens, impostos e totais)
+ * fica em uma coluna JSON; o índice único de order_id garante uma nota
+ * por pedido mesmo com emissões simultâneas.
+ */
+export class SqliteInvoiceRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    orderId: 'order_id',
+    series: 'series',
+    total: 'total',
+    issuedAt: 'issued_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    const document = JSON.parse(row.document);
+    return Invoice.fromJSON({
+      ...document,
+      id: row.id,
+      orderId: row.order_id,
+      series: row.series,
+      recipient: { ...document.recipient, customerId: SqliteOrderRepository.parseCustomerId(row.customer_id) },
+      issuedAt: row.issued_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(invoice) {
+    const { currency, exchangeRate, issuer, recipient, items, discount, taxes, shipping, totals } = invoice;
+    return {
+      order_id: invoice.orderId,
+      series: invoice.series,
+      customer_id: String(recipient.customerId),
+      total: totals.total,
+      document: JSON.stringify({ currency, exchangeRate, issuer, recipient, items, discount, taxes, shipping, totals }),
+      issued_at: invoice.issuedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todas as notas
+   */
+  async findAll() {
+    return this.sql.prepare('SELECT * FROM invoices ORDER BY id').all().map(SqliteInvoiceRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('invoices', spec, SqliteInvoiceRepository.COLUMNS);
+    const items = rows.map(SqliteInvoiceRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca nota por número
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
+    return row ? SqliteInvoiceRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca a nota de um pedido
+   */
+  async findByOrderId(orderId) {
+    const row = this.sql.prepare('SELECT * FROM invoices WHERE order_id = ?').get(orderId);
+    return row ? SqliteInvoiceRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Emite uma nova nota com o próximo número da sequência
+   */
+  async create(invoice) {
+    const result = this.sql.prepare(`
+      INSERT INTO invoices (order_id, series, customer_id, total, document, issued_at)
+      VALUES (@order_id, @series, @customer_id, @total, @document, @issued_at)
+    `).run(SqliteInvoiceRepository.toRow(invoice));
+
+    invoice.id = Number(result.lastInsertRowid);
+    console.log(`✅ Nota fiscal emitida: Nº ${invoice.id} (pedido ${invoice.orderId})`);
+    return invoice;
+  }
+
+  /**
+   * Notas emitidas não podem ser alteradas
+   */
+  async update(id, invoice) {
+    throw new Error('Notas fiscais emitidas não podem ser alteradas');
+  }
+
+  /**
+   * Remove uma nota (usado apenas para desfazer uma emissão que falhou)
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM invoices WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Nota fiscal Nº ${id} não encontrada`);
+    }
+
+    console.log(`🗑️  Nota fiscal removida: Nº ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de notas
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM invoices').get().total;
+  }
+}
@@ -0,0 +1,317 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { AppConfig } from '../../config/AppConfig.js';
+import { Order } from '../../models/Order.js';
+import { Money } from '../../models/Money.js';
+import { ExchangeRate } from '../../models/ExchangeRate.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteOrderRepository - Persistência de pedidos nas tabelas orders e order_items
+ */
+export class SqliteOrderRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    customerId: 'customer_id',
+    status: 'status',
+    subtotal: 'subtotal',
+    total: 'total',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte a entidade nos parâmetros da tabela orders
+   */
+  static toRow(order) {
+    return {
+      customer_id: String(order.customerId),
+      customer_name: order.customerName,
+      currency: order.currency,
+      exchange_rate: order.exchangeRate,
+      status: order.status,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      applied_discount: order.appliedDiscount ? JSON.stringify(order.appliedDiscount) : null,
+      destination_state: order.destinationState,
+      taxes: JSON.stringify(order.taxes),
+      tax_total: order.taxTotal,
+      shipping_address: order.shippingAddress ? JSON.stringify(order.shippingAddress) : null,
+      shipping: order.shipping ? JSON.stringify(order.shipping) : null,
+      total: order.total,
+      refunded_amount: order.refundedAmount,
+      reservation_status: order.reservationStatus,
+      reservation_expires_at: order.reservationExpiresAt ? order.reservationExpiresAt.toISOString() : null,
+      created_at: order.createdAt.toISOString(),
+      updated_at: order.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Clientes cadastrados têm ID numérico; pedidos antigos podem guardar
+   * identificadores livres (ex.: 'CUST001'), que são mantidos como texto
+   */
+  static parseCustomerId(value) {
+    return /^\d+$/.test(value) ? Number(value) : value;
+  }
+
+  /**
+   * Carrega os itens das linhas de pedidos e monta as entidades
+   */
+  hydrate(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const itemRows = this.sql
+      .prepare(`SELECT * FROM order_items WHERE order_id IN (${placeholders}) ORDER BY order_id, position`)
+      .all(...ids);
+
+    return rows.map(row => Order.fromJSON({
+      id: row.id,
+      customerId: SqliteOrderRepository.parseCustomerId(row.customer_id),
+      customerName: row.customer_name,
+      currency: row.currency,
+      exchangeRate: row.exchange_rate,
+      items: itemRows
+        .filter(item => item.order_id === row.id)
+        .map(item => ({
+          productId: item.product_id,
+          productName: item.product_name,
+          sku: item.sku,
+          category: item.category,
+          taxCategory: item.tax_category,
+          weight: item.weight,
+          dimensions: item.dimensions ? JSON.parse(item.dimensions) : null,
+          quantity: item.quantity,
+          unitPrice: item.unit_price,
+          returnedQuantity: item.returned_quantity,
+          backorderedQuantity: item.backordered_quantity
+        })),
+      status: row.status,
+      subtotal: row.subtotal,
+      discount: row.discount,
+      appliedDiscount: row.applied_discount ? JSON.parse(row.applied_discount) : null,
+      destinationState: row.destination_state,
+      taxes: JSON.parse(row.taxes),
+      taxTotal: row.tax_total,
+      shippingAddress: row.shipping_address ? JSON.parse(row.shipping_address) : null,
+      shipping: row.shipping ? JSON.parse(row.shipping) : null,
+      total: row.total,
+      refundedAmount: row.refunded_amount,
+      reservationStatus: row.reservation_status,
+      reservationExpiresAt: row.reservation_expires_at,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Grava os itens do pedido (substitui os existentes)
+   */
+  saveItems(order) {
+    this.sql.prepare('DELETE FROM order_items WHERE order_id = ?').run(order.id);
+    const insert = this.sql.prepare(`
+      INSERT INTO order_items (order_id, position, product_id, product_name, sku, category, tax_category, weight, dimensions,
+                               quantity, unit_price, returned_quantity, backordered_quantity)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    order.items.forEach((item, position) => {
+      const { product } = item;
+      insert.run(
+        order.id, position, product.id, product.name, product.sku, product.category, product.taxCategory,
+        product.weight, product.dimensions ? JSON.stringify(product.dimensions) : null,
+        item.quantity, item.unitPrice, item.returnedQuantity, item.backorderedQuantity
+      );
+    });
+  }
+
+  /**
+   * Retorna todos os pedidos
+   */
+  async findAll() {
+    return this.hydrate(this.sql.prepare('SELECT * FROM orders ORDER BY id').all());
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('orders', spec, SqliteOrderRepository.COLUMNS);
+    const items = this.hydrate(rows);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca pedido por ID
+   */
+  async findById(id) {
+    const [order] = this.hydrate(this.sql.prepare('SELECT * FROM orders WHERE id = ?').all(id));
+    return order || null;
+  }
+
+  /**
+   * Busca pedidos por cliente
+   */
+  async findByCustomerId(customerId) {
+    const rows = this.sql.prepare('SELECT * FROM orders WHERE customer_id = ? ORDER BY id').all(String(customerId));
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Busca pedidos por status
+   */
+  async findByStatus(status) {
+    return this.hydrate(this.sql.prepare('SELECT * FROM orders WHERE status = ? ORDER BY id').all(status));
+  }
+
+  /**
+   * Busca pedidos pendentes
+   */
+  async findPending() {
+    return this.findByStatus(Order.STATUS.PENDING);
+  }
+
+  /**
+   * Busca pedidos em processamento
+   */
+  async findProcessing() {
+    return this.findByStatus(Order.STATUS.PROCESSING);
+  }
+
+  /**
+   * Busca pedidos completos
+   */
+  async findCompleted() {
+    return this.findByStatus(Order.STATUS.COMPLETED);
+  }
+
+  /**
+   * Cria um novo pedido
+   */
+  async create(order) {
+    this.transaction(() => {
+      const result = this.sql.prepare(`
+        INSERT INTO orders (customer_id, customer_name, currency, exchange_rate, status, subtotal, discount, applied_discount,
+                            destination_state, taxes, tax_total, shipping_address, shipping, total, refunded_amount,
+                            reservation_status, reservation_expires_at, created_at, updated_at)
+        VALUES (@customer_id, @customer_name, @currency, @exchange_rate, @status, @subtotal, @discount, @applied_discount,
+                @destination_state, @taxes, @tax_total, @shipping_address, @shipping, @total, @refunded_amount,
+                @reservation_status, @reservation_expires_at, @created_at, @updated_at)
+      `).run(SqliteOrderRepository.toRow(order));
+
+      order.id = Number(result.lastInsertRowid);
+      this.saveItems(order);
+    });
+
+    console.log(`✅ Pedido criado: ${order.customerName} (ID: ${order.id})`);
+    return order;
+  }
+
+  /**
+   * Atualiza um pedido existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, order, expectedVersion = order.version) {
+    const version = this.assertVersion('orders', 'Pedido', id, expectedVersion);
+
+    this.transaction(() => {
+      const result = this.sql.prepare(`
+        UPDATE orders
+           SET customer_id = @customer_id, customer_name = @customer_name, status = @status,
+               subtotal = @subtotal, discount = @discount, applied_discount = @applied_discount,
+               destination_state = @destination_state, taxes = @taxes, tax_total = @tax_total,
+               shipping_address = @shipping_address, shipping = @shipping,
+               total = @total, refunded_amount = @refunded_amount, reservation_status = @reservation_status,
+               reservation_expires_at = @reservation_expires_at, updated_at = @updated_at,
+               version = version + 1
+         WHERE id = @id AND version = @version
+      `).run({ ...SqliteOrderRepository.toRow(order), id, version });
+
+      if (result.changes === 0) {
+        throw new ConcurrencyError('Pedido', id, version, version + 1);
+      }
+
+      order.id = id;
+      this.saveItems(order);
+    });
+
+    order.version = version + 1;
+
+    console.log(`✅ Pedido atualizado: ID ${id}`);
+    return order;
+  }
+
+  /**
+   * Deleta um pedido (cancelamento)
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM orders WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Pedido com ID ${id} não encontrado`);
+    }
+
+    console.log(`🗑️  Pedido deletado: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de pedidos
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM orders').get().total;
+  }
+
+  /**
+   * Calcula valor total de vendas na moeda base (descontando reembolsos parciais)
+   *
+   * A soma é feita em JS com Money, e não com ROUND do SQLite (que arredonda
+   * o meio para longe do zero), para seguir o mesmo arredondamento do resto
+   * do sistema. Cada pedido é convertido pela cotação gravada nele.
+   */
+  async getTotalSales() {
+    const rows = this.sql
+      .prepare('SELECT total, refunded_amount, exchange_rate FROM orders WHERE status = ?')
+      .all(Order.STATUS.COMPLETED);
+    return Money.sum(rows.map(row =>
+      ExchangeRate.convertToBase(Money.of(row.total).subtract(row.refunded_amount), row.exchange_rate)
+    )).toNumber();
+  }
+
+  /**
+   * Retorna estatísticas de pedidos (valores na moeda base)
+   */
+  async getStatistics() {
+    const counts = Object.fromEntries(
+      this.sql
+        .prepare('SELECT status, COUNT(*) AS total FROM orders GROUP BY status')
+        .all()
+        .map(row => [row.status, row.total])
+    );
+
+    return {
+      total: Object.values(counts).reduce((sum, value) => sum + value, 0),
+      backordered: counts[Order.STATUS.BACKORDERED] || 0,
+      pending: counts[Order.STATUS.PENDING] || 0,
+      processing: counts[Order.STATUS.PROCESSING] || 0,
+      shipped: counts[Order.STATUS.SHIPPED] || 0,
+      delivered: counts[Order.STATUS.DELIVERED] || 0,
+      completed: counts[Order.STATUS.COMPLETED] || 0,
+      cancelled: counts[Order.STATUS.CANCELLED] || 0,
+      refunded: counts[Order.STATUS.REFUNDED] || 0,
+      totalSales: await this.getTotalSales(),
+      currency: AppConfig.currency.base
+    };
+  }
+}
@@ -0,0 +1,188 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { SqliteOrderRepository } from './SqliteOrderRepository.js';
+import { Payment } from '../../models/Payment.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqlitePaymentRepository - Persistência de pagamentos na tabela payments
+ *
+ * Os dados devolvidos pelo gateway (código PIX, boleto, final do cartão)
+ * ficam em uma coluna JSON; a busca pelo callback usa o índice de transaction_id.
+ */
+export class SqlitePaymentRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    orderId: 'order_id',
+    method: 'method',
+    status: 'status',
+    amount: 'amount',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return Payment.fromJSON({
+      id: row.id,
+      orderId: row.order_id,
+      customerId: SqliteOrderRepository.parseCustomerId(row.customer_id),
+      method: row.method,
+      amount: row.amount,
+      currency: row.currency,
+      gateway: row.gateway,
+      status: row.status,
+      transactionId: row.transaction_id,
+      details: JSON.parse(row.details),
+      failureReason: row.failure_reason,
+      refundedAmount: row.refunded_amount,
+      refundPendingAmount: row.refund_pending_amount,
+      cancelRequestedAt: row.cancel_requested_at,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      paidAt: row.paid_at,
+      refundedAt: row.refunded_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(payment) {
+    return {
+      order_id: payment.orderId,
+      customer_id: String(payment.customerId),
+      method: payment.method,
+      amount: payment.amount,
+      currency: payment.currency,
+      gateway: payment.gateway,
+      status: payment.status,
+      transaction_id: payment.transactionId,
+      details: JSON.stringify(payment.details),
+      failure_reason: payment.failureReason,
+      refunded_amount: payment.refundedAmount,
+      refund_pending_amount: payment.refundPendingAmount,
+      cancel_requested_at: payment.cancelRequestedAt ? payment.cancelRequestedAt.toISOString() : null,
+      created_at: payment.createdAt.toISOString(),
+      updated_at: payment.updatedAt.toISOString(),
+      paid_at: payment.paidAt ? payment.paidAt.toISOString() : null,
+      refunded_at: payment.refundedAt ? payment.refundedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Retorna todos os pagamentos
+   */
+  async findAll() {
+    return this.sql.prepare('SELECT * FROM payments ORDER BY id').all().map(SqlitePaymentRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('payments', spec, SqlitePaymentRepository.COLUMNS);
+    const items = rows.map(SqlitePaymentRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca pagamento por ID
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM payments WHERE id = ?').get(id);
+    return row ? SqlitePaymentRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca os pagamentos de um pedido, do mais antigo para o mais novo
+   */
+  async findByOrderId(orderId) {
+    return this.sql
+      .prepare('SELECT * FROM payments WHERE order_id = ? ORDER BY id')
+      .all(orderId)
+      .map(SqlitePaymentRepository.fromRow);
+  }
+
+  /**
+   * Busca pagamento pelo ID da transação no gateway
+   */
+  async findByTransactionId(transactionId) {
+    const row = this.sql.prepare('SELECT * FROM payments WHERE transaction_id = ?').get(transactionId);
+    return row ? SqlitePaymentRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Cria um novo pagamento
+   */
+  async create(payment) {
+    const result = this.sql.prepare(`
+      INSERT INTO payments (order_id, customer_id, method, amount, currency, gateway, status, transaction_id, details,
+                            failure_reason, refunded_amount, refund_pending_amount, cancel_requested_at,
+                            created_at, updated_at, paid_at, refunded_at)
+      VALUES (@order_id, @customer_id, @method, @amount, @currency, @gateway, @status, @transaction_id, @details,
+              @failure_reason, @refunded_amount, @refund_pending_amount, @cancel_requested_at,
+              @created_at, @updated_at, @paid_at, @refunded_at)
+    `).run(SqlitePaymentRepository.toRow(payment));
+
+    payment.id = Number(result.lastInsertRowid);
+    console.log(`✅ Pagamento criado: ID ${payment.id} (pedido ${payment.orderId}, ${payment.method})`);
+    return payment;
+  }
+
+  /**
+   * Atualiza um pagamento existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, payment, expectedVersion = payment.version) {
+    const version = this.assertVersion('payments', 'Pagamento', id, expectedVersion);
+
+    const result = this.sql.prepare(`
+      UPDATE payments
+         SET status = @status, transaction_id = @transaction_id, details = @details,
+             failure_reason = @failure_reason, refunded_amount = @refunded_amount,
+             refund_pending_amount = @refund_pending_amount, cancel_requested_at = @cancel_requested_at,
+             updated_at = @updated_at, paid_at = @paid_at, refunded_at = @refunded_at, version = version + 1
+       WHERE id = @id AND version = @version
+    `).run({ ...SqlitePaymentRepository.toRow(payment), id, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Pagamento', id, version, version + 1);
+    }
+    payment.version = version + 1;
+
+    console.log(`✅ Pagamento atualizado: ID ${id} (${payment.status})`);
+    return payment;
+  }
+
+  /**
+   * Remove um pagamento
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM payments WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Pagamento com ID ${id} não encontrado`);
+    }
+
+    console.log(`🗑️  Pagamento removido: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de pagamentos
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM payments').get().total;
+  }
+}
@@ -0,0 +1,268 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { Product } from '../../models/Product.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+import { ProductSearchEngine } from '../../search/ProductSearchEngine.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteProductRepository - Persistência de produtos na tabela products
+ *
+ * Mesmo contrato do ProductRepository em memória; os filtros são
+ * resolvidos pelo próprio banco.
+ */
+export class SqliteProductRepository extends SqliteRepository {
+  constructor() {
+    super();
+    this.searchEngine = new ProductSearchEngine();
+  }
+
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    name: 'name',
+    price: 'price',
+    stock: 'stock',
+    reserved: 'reserved',
+    backordered: 'backordered',
+    category: 'category',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return Product.fromJSON({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      price: row.price,
+      stock: row.stock,
+      reserved: row.reserved,
+      allowBackorder: row.allow_backorder === 1,
+      backordered: row.backordered,
+      waitlist: JSON.parse(row.waitlist),
+      category: row.category,
+      sku: row.sku,
+      taxCategory: row.tax_category,
+      weight: row.weight,
+      dimensions: row.dimensions ? JSON.parse(row.dimensions) : null,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deletedAt: row.deleted_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(product) {
+    return {
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      stock: product.stock,
+      reserved: product.reserved,
+      allow_backorder: product.allowBackorder ? 1 : 0,
+      backordered: product.backordered,
+      waitlist: JSON.stringify(product.waitlist),
+      category: product.category,
+      sku: product.sku,
+      tax_category: product.taxCategory,
+      weight: product.weight,
+      dimensions: product.dimensions ? JSON.stringify(product.dimensions) : null,
+      created_at: product.createdAt.toISOString(),
+      updated_at: product.updatedAt.toISOString(),
+      deleted_at: product.deletedAt ? product.deletedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Retorna todos os produtos (os da lixeira apenas com includeDeleted)
+   */
+  async findAll({ includeDeleted = false } = {}) {
+    const where = includeDeleted ? '' : 'WHERE deleted_at IS NULL';
+    const rows = this.sql.prepare(`SELECT * FROM products ${where} ORDER BY id`).all();
+    return rows.map(SqliteProductRepository.fromRow);
+  }
+
+  /**
+   * Retorna os produtos da lixeira
+   */
+  async findDeleted() {
+    const rows = this.sql.prepare('SELECT * FROM products WHERE deleted_at IS NOT NULL ORDER BY id').all();
+    return rows.map(SqliteProductRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec(
+      'products', spec, SqliteProductRepository.COLUMNS, ['deleted_at IS NULL']
+    );
+    const items = rows.map(SqliteProductRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca produto por ID
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM products WHERE id = ?').get(id);
+    return row ? SqliteProductRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca produtos por categoria
+   */
+  async findByCategory(category) {
+    const rows = this.sql.prepare('SELECT * FROM products WHERE category = ? AND deleted_at IS NULL ORDER BY id').all(category);
+    return rows.map(SqliteProductRepository.fromRow);
+  }
+
+  /**
+   * Busca produtos com estoque baixo
+   */
+  async findLowStock(threshold = 10) {
+    const rows = this.sql.prepare('SELECT * FROM products WHERE stock < ? AND deleted_at IS NULL ORDER BY id').all(threshold);
+    return rows.map(SqliteProductRepository.fromRow);
+  }
+
+  /**
+   * Busca produtos por nome (busca parcial)
+   */
+  async findByName(name) {
+    const rows = this.sql
+      .prepare("SELECT * FROM products WHERE LOWER(name) LIKE '%' || LOWER(?) || '%' AND deleted_at IS NULL ORDER BY id")
+      .all(name);
+    return rows.map(SqliteProductRepository.fromRow);
+  }
+
+  /**
+   * Busca textual ranqueada em nome, categoria e descrição
+   * (ignora acentos, aceita prefixos e erros de digitação)
+   *
+   * A tolerância a erros de digitação não tem equivalente em SQL puro,
+   * então a pontuação é feita pelo ProductSearchEngine sobre os produtos ativos.
+   */
+  async search(query, options) {
+    return this.searchEngine.search(await this.findAll(), query, options);
+  }
+
+  /**
+   * Cria um novo produto
+   */
+  async create(product) {
+    const result = this.sql.prepare(`
+      INSERT INTO products (name, description, price, stock, reserved, allow_backorder, backordered, waitlist,
+                            category, sku, tax_category, weight, dimensions, created_at, updated_at, deleted_at)
+      VALUES (@name, @description, @price, @stock, @reserved, @allow_backorder, @backordered, @waitlist,
+              @category, @sku, @tax_category, @weight, @dimensions, @created_at, @updated_at, @deleted_at)
+    `).run(SqliteProductRepository.toRow(product));
+
+    product.id = Number(result.lastInsertRowid);
+    console.log(`✅ Produto criado: ${product.name} (ID: ${product.id})`);
+    return product;
+  }
+
+  /**
+   * Atualiza um produto existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, updatedData, expectedVersion = updatedData.version) {
+    const version = this.assertVersion('products', 'Produto', id, expectedVersion);
+
+    // Entidade completa é gravada como está; dados parciais são aplicados sobre a atual
+    const product = updatedData instanceof Product ? updatedData : await this.findById(id);
+    if (product !== updatedData) {
+      product.update(updatedData);
+    }
+
+    const result = this.sql.prepare(`
+      UPDATE products
+         SET name = @name, description = @description, price = @price, stock = @stock,
+             reserved = @reserved, allow_backorder = @allow_backorder, backordered = @backordered,
+             waitlist = @waitlist, category = @category, sku = @sku, tax_category = @tax_category,
+             weight = @weight, dimensions = @dimensions, updated_at = @updated_at, deleted_at = @deleted_at,
+             version = version + 1
+       WHERE id = @id AND version = @version
+    `).run({ ...SqliteProductRepository.toRow(product), id, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Produto', id, version, version + 1);
+    }
+    product.version = version + 1;
+
+    console.log(`✅ Produto atualizado: ${product.name} (ID: ${id})`);
+    return product;
+  }
+
+  /**
+   * Deleta um produto (exclusão lógica: vai para a lixeira)
+   */
+  async delete(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      throw new Error(`Produto com ID ${id} não encontrado`);
+    }
+
+    product.softDelete();
+    await this.update(id, product);
+    console.log(`🗑️  Produto enviado para a lixeira: ${product.name} (ID: ${id})`);
+    return true;
+  }
+
+  /**
+   * Retira um produto da lixeira
+   */
+  async restore(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      throw new Error(`Produto com ID ${id} não encontrado`);
+    }
+
+    product.restore();
+    await this.update(id, product);
+    console.log(`♻️  Produto restaurado: ${product.name} (ID: ${id})`);
+    return product;
+  }
+
+  /**
+   * Remove o produto definitivamente
+   */
+  async purge(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      throw new Error(`Produto com ID ${id} não encontrado`);
+    }
+
+    this.sql.prepare('DELETE FROM products WHERE id = ?').run(id);
+    console.log(`🔥 Produto removido definitivamente: ${product.name} (ID: ${id})`);
+    return true;
+  }
+
+  /**
+   * Verifica se existe produto com o nome
+   */
+  async existsByName(name) {
+    const row = this.sql.prepare('SELECT 1 FROM products WHERE LOWER(name) = LOWER(?) AND deleted_at IS NULL LIMIT 1').get(name);
+    return row !== undefined;
+  }
+
+  /**
+   * Retorna contagem total de produtos (fora da lixeira)
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM products WHERE deleted_at IS NULL').get().total;
+  }
+}
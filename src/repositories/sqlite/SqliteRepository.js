@@ -0,0 +1,103 @@
+import { IRepository } from '../IRepository.js';
+import { Database } from '../../config/Database.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * Base dos repositórios SQLite - dá acesso à conexão gerenciada pelo Database
+ */
+export class SqliteRepository extends IRepository {
+  constructor() {
+    super();
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Conexão SQL atual (resolvida a cada uso, pois os repositórios podem
+   * ser criados antes de Database.connect())
+   */
+  get sql() {
+    return this.db.getConnection();
+  }
+
+  /**
+   * Garante que a linha existe e está na versão esperada
+   * @returns {number} Versão atual da linha
+   */
+  assertVersion(table, entityName, id, expectedVersion) {
+    const row = this.sql.prepare(`SELECT version FROM ${table} WHERE id = ?`).get(id);
+    if (!row) {
+      throw new Error(`${entityName} com ID ${id} não encontrado`);
+    }
+    if (expectedVersion !== undefined && expectedVersion !== row.version) {
+      throw new ConcurrencyError(entityName, id, expectedVersion, row.version);
+    }
+    return row.version;
+  }
+
+  /**
+   * Traduz uma QuerySpec para SQL
+   * @param {string} table - Tabela consultada
+   * @param {QuerySpec} spec - Filtros, ordenação e paginação
+   * @param {Object} columns - Mapa campo da entidade -> coluna
+   * @param {string[]} conditions - Condições fixas (ex.: 'deleted_at IS NULL')
+   * @returns {Object} { rows, total, hasMore }
+   */
+  queryBySpec(table, spec, columns, conditions = []) {
+    const column = field => {
+      if (!columns[field]) {
+        throw new Error(`Campo não suportado na consulta: ${field}`);
+      }
+      return columns[field];
+    };
+    const operators = { eq: '=', gte: '>=', lte: '<=' };
+
+    const where = [...conditions];
+    const params = [];
+    for (const { field, operator, value } of spec.filters) {
+      where.push(`${column(field)} ${operators[operator]} ?`);
+      params.push(value);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const total = this.sql.prepare(`SELECT COUNT(*) AS total FROM ${table} ${whereSql}`).get(...params).total;
+
+    const sort = spec.getSort();
+    const orderBy = sort.map(s => `${column(s.field)} ${s.direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ');
+
+    // Paginação por cursor: (a > ?) OR (a = ? AND b > ?) OR ...
+    const pageWhere = [...where];
+    const pageParams = [...params];
+    let offset = spec.offset;
+    if (spec.cursor) {
+      const values = spec.decodeCursor();
+      const branches = sort.map((s, i) => {
+        const equals = sort.slice(0, i).map(prev => `${column(prev.field)} = ?`);
+        const after = `${column(s.field)} ${s.direction === 'desc' ? '<' : '>'} ?`;
+        pageParams.push(...values.slice(0, i), values[i]);
+        return `(${[...equals, after].join(' AND ')})`;
+      });
+      pageWhere.push(`(${branches.join(' OR ')})`);
+      offset = 0;
+    }
+
+    const pageWhereSql = pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : '';
+    const rows = this.sql
+      .prepare(`SELECT * FROM ${table} ${pageWhereSql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+      .all(...pageParams, spec.limit + 1, offset);
+
+    return {
+      rows: rows.slice(0, spec.limit),
+      total,
+      hasMore: rows.length > spec.limit
+    };
+  }
+
+  /**
+   * Executa a função dentro de uma transação SQL
+   */
+  transaction(work) {
+    return this.sql.transaction(work)();
+  }
+}
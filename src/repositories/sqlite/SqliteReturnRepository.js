@@ -0,0 +1,156 @@
+import { SqliteRepository } from './SqliteRepository.js';
+import { SqliteOrderRepository } from './SqliteOrderRepository.js';
+import { ReturnRequest } from '../../models/ReturnRequest.js';
+import { ConcurrencyError } from '../../errors/ConcurrencyError.js';
+
+/**
+ * PADRÃO REPOSITORY
+ *
+ * SqliteReturnRepository - Persistência de devoluções na tabela returns
+ *
+ * Os itens devolvidos ficam em uma coluna JSON: são uma cópia das linhas
+ * do pedido (produto, quantidade e reembolso) e nunca são consultados isoladamente.
+ */
+export class SqliteReturnRepository extends SqliteRepository {
+  /**
+   * Colunas disponíveis para filtros e ordenação (campo -> coluna)
+   */
+  static COLUMNS = {
+    id: 'id',
+    orderId: 'order_id',
+    status: 'status',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  };
+
+  /**
+   * Converte uma linha da tabela em entidade
+   */
+  static fromRow(row) {
+    return ReturnRequest.fromJSON({
+      id: row.id,
+      orderId: row.order_id,
+      customerId: SqliteOrderRepository.parseCustomerId(row.customer_id),
+      items: JSON.parse(row.items),
+      reason: row.reason,
+      status: row.status,
+      rejectionReason: row.rejection_reason,
+      refundAmount: row.refund_amount,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Converte a entidade nos parâmetros das queries
+   */
+  static toRow(returnRequest) {
+    return {
+      order_id: returnRequest.orderId,
+      customer_id: String(returnRequest.customerId),
+      status: returnRequest.status,
+      reason: returnRequest.reason,
+      rejection_reason: returnRequest.rejectionReason,
+      items: JSON.stringify(returnRequest.items),
+      refund_amount: returnRequest.refundAmount,
+      created_at: returnRequest.createdAt.toISOString(),
+      updated_at: returnRequest.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Retorna todas as devoluções
+   */
+  async findAll() {
+    return this.sql.prepare('SELECT * FROM returns ORDER BY id').all().map(SqliteReturnRepository.fromRow);
+  }
+
+  /**
+   * Consulta paginada (filtros, ordenação e cursor da QuerySpec)
+   */
+  async findByQuery(spec) {
+    const { rows, total, hasMore } = this.queryBySpec('returns', spec, SqliteReturnRepository.COLUMNS);
+    const items = rows.map(SqliteReturnRepository.fromRow);
+    return {
+      items,
+      total,
+      nextCursor: hasMore ? spec.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Busca devolução por ID
+   */
+  async findById(id) {
+    const row = this.sql.prepare('SELECT * FROM returns WHERE id = ?').get(id);
+    return row ? SqliteReturnRepository.fromRow(row) : null;
+  }
+
+  /**
+   * Busca as devoluções de um pedido
+   */
+  async findByOrderId(orderId) {
+    return this.sql
+      .prepare('SELECT * FROM returns WHERE order_id = ? ORDER BY id')
+      .all(orderId)
+      .map(SqliteReturnRepository.fromRow);
+  }
+
+  /**
+   * Cria uma nova devolução
+   */
+  async create(returnRequest) {
+    const result = this.sql.prepare(`
+      INSERT INTO returns (order_id, customer_id, status, reason, rejection_reason, items, refund_amount, created_at, updated_at)
+      VALUES (@order_id, @customer_id, @status, @reason, @rejection_reason, @items, @refund_amount, @created_at, @updated_at)
+    `).run(SqliteReturnRepository.toRow(returnRequest));
+
+    returnRequest.id = Number(result.lastInsertRowid);
+    console.log(`✅ Devolução criada: ID ${returnRequest.id} (pedido ${returnRequest.orderId})`);
+    return returnRequest;
+  }
+
+  /**
+   * Atualiza uma devolução existente
+   * @param {number} expectedVersion - Versão lida pelo chamador; escrita é rejeitada se estiver desatualizada
+   */
+  async update(id, returnRequest, expectedVersion = returnRequest.version) {
+    const version = this.assertVersion('returns', 'Devolução', id, expectedVersion);
+
+    const result = this.sql.prepare(`
+      UPDATE returns
+         SET status = @status, rejection_reason = @rejection_reason, items = @items,
+             refund_amount = @refund_amount, updated_at = @updated_at, version = version + 1
+       WHERE id = @id AND version = @version
+    `).run({ ...SqliteReturnRepository.toRow(returnRequest), id, version });
+
+    if (result.changes === 0) {
+      throw new ConcurrencyError('Devolução', id, version, version + 1);
+    }
+    returnRequest.version = version + 1;
+
+    console.log(`✅ Devolução atualizada: ID ${id} (${returnRequest.status})`);
+    return returnRequest;
+  }
+
+  /**
+   * Remove uma devolução
+   */
+  async delete(id) {
+    const result = this.sql.prepare('DELETE FROM returns WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error(`Devolução com ID ${id} não encontrada`);
+    }
+
+    console.log(`🗑️  Devolução removida: ID ${id}`);
+    return true;
+  }
+
+  /**
+   * Retorna contagem total de devoluções
+   */
+  async count() {
+    return this.sql.prepare('SELECT COUNT(*) AS total FROM returns').get().total;
+  }
+}
@@ -0,0 +1,18 @@
+import express from 'express';
+import { CartController } from '../controllers/CartController.js';
+
+const router = express.Router();
+const controller = new CartController();
+
+// Carrinho
+router.post('/', (req, res) => controller.create(req, res));
+router.get('/:id', (req, res) => controller.getById(req, res));
+
+// Linhas, desconto e checkout
+router.post('/:id/items', (req, res) => controller.addItem(req, res));
+router.patch('/:id/items/:productId', (req, res) => controller.updateItem(req, res));
+router.delete('/:id/items/:productId', (req, res) => controller.removeItem(req, res));
+router.put('/:id/discount', (req, res) => controller.setDiscount(req, res));
+router.post('/:id/checkout', (req, res) => controller.checkout(req, res));
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { CouponController } from '../controllers/CouponController.js';
+import { requireAdmin } from '../middlewares/requireAdmin.js';
+
+const router = express.Router();
+const controller = new CouponController();
+
+// Cadastro de cupons (administradores); clientes usam apenas o código no pedido
+router.get('/', requireAdmin, (req, res) => controller.getAll(req, res));
+router.get('/:code', requireAdmin, (req, res) => controller.getByCode(req, res));
+router.post('/', requireAdmin, (req, res) => controller.create(req, res));
+router.put('/:code', requireAdmin, (req, res) => controller.update(req, res));
+router.delete('/:code', requireAdmin, (req, res) => controller.delete(req, res));
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { CurrencyController } from '../controllers/CurrencyController.js';
+import { requireAdmin } from '../middlewares/requireAdmin.js';
+
+const router = express.Router();
+const controller = new CurrencyController();
+
+// Consulta das cotações
+router.get('/', (req, res) => controller.getAll(req, res));
+router.get('/:code', (req, res) => controller.getByCode(req, res));
+
+// Manutenção da tabela (administradores)
+router.put('/:code', requireAdmin, (req, res) => controller.update(req, res));
+router.delete('/:code', requireAdmin, (req, res) => controller.delete(req, res));
+
+export default router;
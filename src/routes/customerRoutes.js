@@ -0,0 +1,17 @@
+import express from 'express';
+import { CustomerController } from '../controllers/CustomerController.js';
+
+const router = express.Router();
+const controller = new CustomerController();
+
+// Pedidos do cliente
+router.get('/:id/orders', (req, res) => controller.getOrders(req, res));
+
+// Rotas CRUD básicas
+router.get('/', (req, res) => controller.getAll(req, res));
+router.get('/:id', (req, res) => controller.getById(req, res));
+router.post('/', (req, res) => controller.create(req, res));
+router.put('/:id', (req, res) => controller.update(req, res));
+router.delete('/:id', (req, res) => controller.delete(req, res));
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { OrderController } from '../controllers/OrderController.js';
+import { requireAdmin } from '../middlewares/requireAdmin.js';
 
 const router = express.Router();
 const controller = new OrderController();
@@ -8,10 +9,33 @@ const controller = new OrderController();
 router.get('/stats', (req, res) => controller.getStatistics(req, res));
 router.get('/realtime-stats', (req, res) => controller.getRealtimeStats(req, res));
 router.get('/audit-logs', (req, res) => controller.getAuditLogs(req, res));
+router.post('/shipping-quotes', (req, res) => controller.quoteShipping(req, res));
 
 // Rotas CRUD básicas
 router.get('/', (req, res) => controller.getAll(req, res));
 router.get('/:id', (req, res) => controller.getById(req, res));
+router.get('/:id/transitions', (req, res) => controller.getTransitions(req, res));
+
+// Itens de pedidos PENDING
+router.post('/:id/items', (req, res) => controller.addItem(req, res));
+router.patch('/:id/items/:productId', (req, res) => controller.updateItem(req, res));
+router.delete('/:id/items/:productId', (req, res) => controller.removeItem(req, res));
+
+// Devoluções (aprovação, rejeição e recebimento são operações administrativas)
+router.get('/:id/returns', (req, res) => controller.getReturns(req, res));
+router.post('/:id/returns', (req, res) => controller.requestReturn(req, res));
+router.post('/:id/returns/:returnId/approve', requireAdmin, (req, res) => controller.approveReturn(req, res));
+router.post('/:id/returns/:returnId/reject', requireAdmin, (req, res) => controller.rejectReturn(req, res));
+router.post('/:id/returns/:returnId/receive', requireAdmin, (req, res) => controller.receiveReturn(req, res));
+
+// Pagamentos (estorno é operação administrativa)
+router.get('/:id/payments', (req, res) => controller.getPayments(req, res));
+router.post('/:id/payments', (req, res) => controller.createPayment(req, res));
+router.post('/:id/payments/:paymentId/refund', requireAdmin, (req, res) => controller.refundPayment(req, res));
+
+// Nota fiscal (emitida na primeira consulta de um pedido pago)
+router.get('/:id/invoice', (req, res) => controller.getInvoice(req, res));
+
 router.post('/', (req, res) => controller.create(req, res));
 router.put('/:id', (req, res) => controller.updateStatus(req, res));
 router.delete('/:id', (req, res) => controller.cancel(req, res));
@@ -0,0 +1,10 @@
+import express from 'express';
+import { PaymentController } from '../controllers/PaymentController.js';
+
+const router = express.Router();
+const controller = new PaymentController();
+
+// Notificações do gateway (autenticadas pela assinatura, não pelo token de admin)
+router.post('/callback', (req, res) => controller.callback(req, res));
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { ProductController } from '../controllers/ProductController.js';
+import { requireAdmin } from '../middlewares/requireAdmin.js';
 
 const router = express.Router();
 const controller = new ProductController();
@@ -10,6 +11,17 @@ router.get('/low-stock', (req, res) => controller.getLowStock(req, res));
 router.get('/search', (req, res) => controller.search(req, res));
 router.get('/category/:category', (req, res) => controller.getByCategory(req, res));
 
+// Lixeira (exclusão lógica)
+router.get('/trash', (req, res) => controller.getTrash(req, res));
+router.post('/:id/restore', (req, res) => controller.restore(req, res));
+router.delete('/:id/purge', requireAdmin, (req, res) => controller.purge(req, res));
+
+// Reposição de estoque e lista de espera (aviso de volta ao estoque)
+router.post('/:id/restock', (req, res) => controller.restock(req, res));
+router.get('/:id/waitlist', requireAdmin, (req, res) => controller.getWaitlist(req, res));
+router.post('/:id/waitlist', (req, res) => controller.subscribeToWaitlist(req, res));
+router.delete('/:id/waitlist/:customerId', (req, res) => controller.unsubscribeFromWaitlist(req, res));
+
 // Rotas CRUD básicas
 router.get('/', (req, res) => controller.getAll(req, res));
 router.get('/:id', (req, res) => controller.getById(req, res));
@@ -0,0 +1,175 @@
+import { TextNormalizer } from './TextNormalizer.js';
+
+/**
+ * Motor de busca textual de produtos
+ *
+ * - Busca em nome, categoria e descrição (com pesos diferentes)
+ * - Ignora acentos e maiúsculas ("cafe" encontra "Café")
+ * - Aceita prefixos ("note" encontra "Notebook")
+ * - Tolera erros de digitação (distância de edição 1 ou 2, conforme o tamanho do termo)
+ * - Ordena por relevância e devolve trechos com os termos destacados
+ */
+export class ProductSearchEngine {
+  // Peso de cada campo na pontuação
+  static FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    description: 1
+  };
+
+  // Pontuação de cada tipo de correspondência
+  static MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    oneTypo: 0.6,
+    twoTypos: 0.4
+  };
+
+  static SNIPPET_LENGTH = 120;
+
+  constructor({ highlightTag = 'mark' } = {}) {
+    this.highlightTag = highlightTag;
+  }
+
+  /**
+   * Quantidade de erros tolerados de acordo com o tamanho do termo
+   */
+  static allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Pontua a correspondência entre um termo da busca e um token do campo
+   */
+  matchToken(queryToken, fieldToken) {
+    const scores = ProductSearchEngine.MATCH_SCORES;
+
+    if (queryToken === fieldToken) {
+      return scores.exact;
+    }
+    if (queryToken.length >= 2 && fieldToken.startsWith(queryToken)) {
+      return scores.prefix;
+    }
+
+    const typos = ProductSearchEngine.allowedTypos(queryToken);
+    if (typos > 0) {
+      const distance = TextNormalizer.editDistance(queryToken, fieldToken, typos);
+      if (distance > typos) return 0;
+      if (distance === 1) return scores.oneTypo;
+      if (distance === 2) return scores.twoTypos;
+    }
+    return 0;
+  }
+
+  /**
+   * Busca e ordena os produtos por relevância
+   * @param {Product[]} products - Candidatos
+   * @param {string} query - Texto digitado
+   * @returns {Object[]} [{ product, score, highlights }]
+   */
+  search(products, query, { limit = 20 } = {}) {
+    const queryTokens = [...new Set(TextNormalizer.tokenize(query))];
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const product of products) {
+      const result = this.scoreProduct(product, queryTokens);
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.product.id - b.product.id)
+      .slice(0, limit);
+  }
+
+  /**
+   * Calcula a pontuação de um produto (null se nenhum termo corresponder)
+   */
+  scoreProduct(product, queryTokens) {
+    const fields = Object.keys(ProductSearchEngine.FIELD_WEIGHTS);
+    const tokens = Object.fromEntries(fields.map(field => [field, TextNormalizer.tokenize(product[field])]));
+    const matched = Object.fromEntries(fields.map(field => [field, new Set()]));
+
+    let score = 0;
+    let matchedTerms = 0;
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const field of fields) {
+        for (const token of tokens[field]) {
+          const match = this.matchToken(queryToken, token);
+          if (match > 0) {
+            matched[field].add(token);
+            best = Math.max(best, match * ProductSearchEngine.FIELD_WEIGHTS[field]);
+          }
+        }
+      }
+      if (best > 0) {
+        score += best;
+        matchedTerms++;
+      }
+    }
+
+    if (matchedTerms === 0) {
+      return null;
+    }
+
+    // Produtos que cobrem todos os termos da busca ficam à frente
+    const coverage = matchedTerms / queryTokens.length;
+
+    const highlights = {};
+    for (const field of fields) {
+      if (matched[field].size > 0) {
+        highlights[field] = this.highlight(product[field], matched[field]);
+      }
+    }
+
+    return {
+      product,
+      score: Math.round(score * coverage * 1000) / 1000,
+      highlights
+    };
+  }
+
+  /**
+   * Envolve as palavras encontradas com a tag de destaque.
+   * Textos longos são reduzidos a um trecho ao redor da primeira ocorrência.
+   */
+  highlight(text, matchedTokens) {
+    const open = `<${this.highlightTag}>`;
+    const close = `</${this.highlightTag}>`;
+
+    let firstMatch = -1;
+    const marked = String(text).replace(TextNormalizer.TOKEN_PATTERN, (word, offset) => {
+      if (!matchedTokens.has(TextNormalizer.fold(word))) {
+        return word;
+      }
+      if (firstMatch === -1) {
+        firstMatch = offset;
+      }
+      return `${open}${word}${close}`;
+    });
+
+    if (text.length <= ProductSearchEngine.SNIPPET_LENGTH) {
+      return marked;
+    }
+
+    // Recorta o trecho no texto original e reaplica o destaque
+    let start = Math.max(0, firstMatch - ProductSearchEngine.SNIPPET_LENGTH / 4);
+    if (start > 0) {
+      // Começa no início de uma palavra
+      const space = text.indexOf(' ', start);
+      start = space === -1 || space >= firstMatch ? firstMatch : space + 1;
+    }
+    const end = Math.min(text.length, start + ProductSearchEngine.SNIPPET_LENGTH);
+    const snippet = text.slice(start, end);
+    return (start > 0 ? '…' : '') +
+      this.highlight(snippet, matchedTokens) +
+      (end < text.length ? '…' : '');
+  }
+}
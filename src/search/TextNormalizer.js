@@ -0,0 +1,56 @@
+/**
+ * Normalização de texto para busca
+ *
+ * - Remove acentos ("Café" -> "cafe")
+ * - Converte para minúsculas
+ * - Quebra em tokens alfanuméricos
+ */
+export class TextNormalizer {
+  static TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+  /**
+   * Remove acentos e converte para minúsculas
+   */
+  static fold(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Quebra o texto em tokens normalizados
+   */
+  static tokenize(text) {
+    if (!text) {
+      return [];
+    }
+    return TextNormalizer.fold(text).match(TextNormalizer.TOKEN_PATTERN) || [];
+  }
+
+  /**
+   * Distância de edição (Levenshtein) limitada
+   * Retorna maxDistance + 1 assim que a distância ultrapassa o limite.
+   */
+  static editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
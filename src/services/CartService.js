@@ -0,0 +1,304 @@
+import { Cart } from '../models/Cart.js';
+import { Order } from '../models/Order.js';
+import { Money } from '../models/Money.js';
+import { RepositoryFactory } from '../factories/RepositoryFactory.js';
+import { DiscountStrategyFactory } from '../factories/DiscountStrategyFactory.js';
+import { OrderService } from './OrderService.js';
+import { AppConfig } from '../config/AppConfig.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+import { CartClosedError } from '../errors/CartClosedError.js';
+import { CartChangedError } from '../errors/CartChangedError.js';
+
+/**
+ * CartService - Camada de lógica de negócio para carrinhos de compras
+ *
+ * Responsabilidades:
+ * - Um carrinho ativo por cliente, expirado após AppConfig.cart.ttlMinutes sem atividade
+ * - Visão do carrinho com preços atuais, prévia de desconto e impostos e avisos de
+ *   preço/estoque alterados desde que cada linha foi adicionada
+ * - Checkout convertendo o carrinho em pedido via OrderFacade.createOrder
+ */
+export class CartService {
+  /**
+   * Tipos de aviso exibidos nas linhas do carrinho
+   */
+  static WARNINGS = {
+    PRICE_CHANGED: 'PRICE_CHANGED',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+    PRODUCT_UNAVAILABLE: 'PRODUCT_UNAVAILABLE'
+  };
+
+  constructor(orderService = OrderService.getInstance()) {
+    this.repository = RepositoryFactory.createCartRepository();
+    this.productRepository = RepositoryFactory.createProductRepository();
+    this.customerRepository = RepositoryFactory.createCustomerRepository();
+    this.orderService = orderService;
+    this.ttlMs = AppConfig.cart.ttlMinutes * 60 * 1000;
+  }
+
+  /**
+   * Abre um carrinho para o cliente (ou devolve o carrinho ativo existente)
+   * @returns {Object} { cart, created }
+   */
+  async openCart(customerId) {
+    const customer = await this.customerRepository.findById(Number(customerId));
+    if (!customer) {
+      throw new Error(`Cliente ${customerId} não encontrado`);
+    }
+
+    const existing = await this.repository.findActiveByCustomerId(customer.id);
+    if (existing && !(await this.expireIfInactive(existing))) {
+      return { cart: await this.buildView(existing), created: false };
+    }
+
+    const cart = await this.repository.create(new Cart(null, customer.id));
+    return { cart: await this.buildView(cart), created: true };
+  }
+
+  /**
+   * Busca carrinho com preços atuais e avisos
+   */
+  async getCart(id) {
+    const cart = await this.repository.findById(id);
+
+    if (!cart) {
+      throw new Error(`Carrinho com ID ${id} não encontrado`);
+    }
+
+    await this.expireIfInactive(cart);
+    return await this.buildView(cart);
+  }
+
+  /**
+   * Adiciona um produto ao carrinho (soma à quantidade existente)
+   */
+  async addItem(id, item, expectedVersion) {
+    const productId = OrderService.parseProductId(item.productId);
+    OrderService.assertQuantity(item.quantity);
+
+    return await this.changeItem(id, productId, current => current + item.quantity, expectedVersion);
+  }
+
+  /**
+   * Altera a quantidade de uma linha do carrinho
+   */
+  async updateItem(id, productId, quantity, expectedVersion) {
+    OrderService.assertQuantity(quantity);
+
+    return await this.changeItem(id, OrderService.parseProductId(productId), current => {
+      if (current === 0) {
+        throw new Error(`Produto ${productId} não está no carrinho ${id}`);
+      }
+      return quantity;
+    }, expectedVersion);
+  }
+
+  /**
+   * Remove uma linha do carrinho
+   */
+  async removeItem(id, productId, expectedVersion) {
+    return await this.changeItem(id, OrderService.parseProductId(productId), current => {
+      if (current === 0) {
+        throw new Error(`Produto ${productId} não está no carrinho ${id}`);
+      }
+      return 0;
+    }, expectedVersion);
+  }
+
+  /**
+   * Define a quantidade de um produto; a linha é regravada com o preço atual
+   * @param {Function} nextQuantity - (quantidade atual) => nova quantidade
+   */
+  async changeItem(id, productId, nextQuantity, expectedVersion) {
+    const cart = await this.loadActiveCart(id, expectedVersion);
+    const quantity = nextQuantity(cart.getItem(productId)?.quantity || 0);
+
+    const product = await this.productRepository.findById(productId);
+    if (quantity > 0) {
+      // Produtos na lixeira não podem ser comprados
+      if (!product || product.isDeleted()) {
+        throw new Error(`Produto ${productId} não encontrado`);
+      }
+      if (!product.hasStock(quantity)) {
+        throw new Error(
+          `Estoque insuficiente para ${product.name}. ` +
+          `Disponível: ${product.getAvailable()}, Solicitado: ${quantity}`
+        );
+      }
+    }
+
+    cart.setItem(product || { id: productId }, quantity);
+    await this.repository.update(cart.id, cart);
+    return await this.buildView(cart);
+  }
+
+  /**
+   * Escolhe o desconto do carrinho (mesmo formato do corpo de POST /api/orders)
+   * @param {Object} options - { allowManual } (ver OrderService.resolveDiscountStrategy)
+   */
+  async setDiscount(id, discountData, expectedVersion, options = {}) {
+    const cart = await this.loadActiveCart(id, expectedVersion);
+
+    cart.setDiscount(await this.orderService.resolveDiscountStrategy(discountData, options));
+    await this.repository.update(cart.id, cart);
+    return await this.buildView(cart);
+  }
+
+  /**
+   * Finaliza o carrinho criando o pedido
+   *
+   * Se algum preço mudou desde que a linha foi adicionada, o checkout só
+   * prossegue com acceptChanges: o pedido é sempre criado com os preços atuais.
+   * O carrinho é fechado antes de criar o pedido (e reaberto se a criação
+   * falhar), para que dois checkouts simultâneos não gerem dois pedidos.
+   *
+   * @param {Object} options - { acceptChanges, shippingMethod, shippingAddress, currency }
+   * @returns {Object} { cart, order }
+   */
+  async checkout(id, { acceptChanges = false, shippingMethod, shippingAddress, currency } = {}, expectedVersion) {
+    const cart = await this.loadActiveCart(id, expectedVersion);
+
+    if (cart.items.length === 0) {
+      throw new Error('Carrinho vazio: adicione itens antes de finalizar');
+    }
+
+    const view = await this.buildView(cart);
+    const priceChanges = view.warnings.filter(warning => warning.type === CartService.WARNINGS.PRICE_CHANGED);
+    if (priceChanges.length > 0 && !acceptChanges) {
+      throw new CartChangedError(cart.id, priceChanges);
+    }
+
+    cart.checkout(null);
+    await this.repository.update(cart.id, cart);
+
+    let order;
+    try {
+      order = await this.orderService.createOrder(
+        {
+          customerId: cart.customerId,
+          items: cart.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+          shippingMethod,
+          shippingAddress,
+          currency
+        },
+        DiscountStrategyFactory.create(cart.appliedDiscount.type, cart.appliedDiscount.params)
+      );
+    } catch (error) {
+      cart.reopen();
+      await this.repository.update(cart.id, cart);
+      throw error;
+    }
+
+    cart.orderId = order.id;
+    await this.repository.update(cart.id, cart);
+
+    console.log(`🛒 Carrinho ${cart.id} convertido no pedido ${order.id}`);
+    return { cart: cart.toJSON(), order };
+  }
+
+  /**
+   * Busca o carrinho para alteração: precisa existir, estar ativo e na versão esperada
+   */
+  async loadActiveCart(id, expectedVersion) {
+    const cart = await this.repository.findById(id);
+
+    if (!cart) {
+      throw new Error(`Carrinho com ID ${id} não encontrado`);
+    }
+
+    await this.expireIfInactive(cart);
+    if (!cart.isActive()) {
+      throw new CartClosedError(cart.id, cart.status);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== cart.version) {
+      throw new ConcurrencyError('Carrinho', id, expectedVersion, cart.version);
+    }
+
+    return cart;
+  }
+
+  /**
+   * Marca como EXPIRED o carrinho ativo que passou do tempo sem atividade
+   * @returns {boolean} true se o carrinho expirou
+   */
+  async expireIfInactive(cart) {
+    if (!cart.isExpired(this.ttlMs)) {
+      return false;
+    }
+
+    cart.expire();
+    await this.repository.update(cart.id, cart);
+    console.log(`⌛ Carrinho ${cart.id} expirado por inatividade`);
+    return true;
+  }
+
+  /**
+   * Monta a visão do carrinho com preços e estoque atuais
+   *
+   * Os totais são calculados por um pedido transitório com a estratégia de
+   * desconto escolhida e os impostos do cliente, então a prévia segue as
+   * mesmas regras do checkout.
+   */
+  async buildView(cart) {
+    const preview = new Order(null, cart.customerId, null);
+    const warnings = [];
+
+    const items = [];
+    for (const item of cart.items) {
+      const product = await this.productRepository.findById(item.productId);
+      const lineWarnings = [];
+
+      if (!product || product.isDeleted()) {
+        lineWarnings.push({
+          type: CartService.WARNINGS.PRODUCT_UNAVAILABLE,
+          message: `${item.productName} não está mais disponível`
+        });
+      } else {
+        if (!product.getPrice().equals(item.unitPrice)) {
+          lineWarnings.push({
+            type: CartService.WARNINGS.PRICE_CHANGED,
+            previousPrice: item.unitPrice,
+            currentPrice: product.price,
+            message: `Preço de ${product.name} mudou de ${Money.of(item.unitPrice).format(AppConfig.currency.base)} para ${product.getPrice().format(AppConfig.currency.base)}`
+          });
+        }
+        if (!product.hasStock(item.quantity)) {
+          lineWarnings.push({
+            type: CartService.WARNINGS.INSUFFICIENT_STOCK,
+            available: product.getAvailable(),
+            message: `Estoque de ${product.name} insuficiente. Disponível: ${product.getAvailable()}, no carrinho: ${item.quantity}`
+          });
+        }
+        preview.addItem(product, item.quantity);
+      }
+
+      items.push({
+        ...item,
+        currentPrice: product && !product.isDeleted() ? product.price : null,
+        subtotal: preview.getItem(item.productId)?.getSubtotal().toNumber() || 0,
+        warnings: lineWarnings
+      });
+      warnings.push(...lineWarnings.map(warning => ({ productId: item.productId, ...warning })));
+    }
+
+    preview.applyDiscountStrategy(
+      DiscountStrategyFactory.create(cart.appliedDiscount.type, cart.appliedDiscount.params)
+    );
+    this.orderService.applyTaxes(preview, await this.customerRepository.findById(cart.customerId));
+
+    return {
+      ...cart.toJSON(),
+      items,
+      subtotal: preview.subtotal,
+      discount: preview.discount,
+      appliedDiscount: preview.appliedDiscount,
+      destinationState: preview.destinationState,
+      taxes: preview.taxes,
+      taxTotal: preview.taxTotal,
+      total: preview.total,
+      warnings,
+      expiresAt: cart.isActive() ? new Date(cart.lastActivityAt.getTime() + this.ttlMs) : null
+    };
+  }
+}
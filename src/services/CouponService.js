@@ -0,0 +1,92 @@
+import { Coupon } from '../models/Coupon.js';
+import { RepositoryFactory } from '../factories/RepositoryFactory.js';
+import { CouponValidationStrategy, CouponUpdateValidationStrategy } from '../strategies/ValidationStrategies.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
+
+/**
+ * CouponService - Camada de lógica de negócio para cupons de desconto
+ *
+ * Responsabilidades:
+ * - Cadastro das condições dos cupons (administradores)
+ * - Validação de dados usando Strategy
+ * - Os resgates são feitos pelo OrderFacade, junto com a criação do pedido
+ */
+export class CouponService {
+  constructor() {
+    this.repository = RepositoryFactory.createCouponRepository();
+    this.createValidator = new CouponValidationStrategy();
+    this.updateValidator = new CouponUpdateValidationStrategy();
+  }
+
+  /**
+   * Lista todos os cupons
+   */
+  async getAllCoupons() {
+    return await this.repository.findAll();
+  }
+
+  /**
+   * Busca cupom pelo código
+   */
+  async getCoupon(code) {
+    const normalized = Coupon.normalizeCode(code);
+    const coupon = await this.repository.findById(normalized);
+
+    if (!coupon) {
+      throw new Error(`Cupom ${normalized} não encontrado`);
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Cadastra um novo cupom
+   */
+  async createCoupon(couponData) {
+    const validation = this.createValidator.validate(couponData);
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    const coupon = new Coupon(couponData.code, couponData.discountPercentage);
+    coupon.update(couponData);
+    return await this.repository.create(coupon);
+  }
+
+  /**
+   * Altera as condições de um cupom (pedidos já criados mantêm as condições da época)
+   * @param {number} expectedVersion - Versão conhecida pelo cliente, opcional
+   */
+  async updateCoupon(code, updateData, expectedVersion) {
+    const validation = this.updateValidator.validate(updateData);
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    const current = await this.getCoupon(code);
+    if (expectedVersion !== undefined && expectedVersion !== current.version) {
+      throw new ConcurrencyError('Cupom', current.id, expectedVersion, current.version);
+    }
+
+    // Alterações numa cópia: o cupom gravado só muda se o resultado for válido
+    const coupon = Coupon.fromJSON(current.toJSON());
+    coupon.update(updateData);
+    if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+      throw new Error('Validação falhou: validUntil deve ser posterior a validFrom');
+    }
+
+    return await this.repository.update(coupon.id, coupon, current.version);
+  }
+
+  /**
+   * Remove um cupom que nunca foi resgatado
+   * (cupons já usados são encerrados com validUntil, preservando o histórico)
+   */
+  async deleteCoupon(code) {
+    const coupon = await this.getCoupon(code);
+    if (coupon.redemptions.length > 0) {
+      throw new Error(`Cupom ${coupon.id} já foi resgatado: encerre a validade (validUntil) em vez de removê-lo`);
+    }
+    return await this.repository.delete(coupon.id);
+  }
+}
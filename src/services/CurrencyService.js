@@ -0,0 +1,91 @@
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { RepositoryFactory } from '../factories/RepositoryFactory.js';
+import { ExchangeRateValidationStrategy } from '../strategies/ValidationStrategies.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * CurrencyService - Camada de lógica de negócio para moedas e cotações
+ *
+ * Responsabilidades:
+ * - Manter a tabela de cotações usada nos pedidos em outras moedas
+ * - Validação de dados usando Strategy
+ * - A moeda base não entra na tabela (a cotação dela é sempre 1)
+ */
+export class CurrencyService {
+  constructor() {
+    this.repository = RepositoryFactory.createExchangeRateRepository();
+    this.validator = new ExchangeRateValidationStrategy();
+  }
+
+  /**
+   * Moeda base e cotações cadastradas
+   */
+  async listRates() {
+    return {
+      base: AppConfig.currency.base,
+      rates: await this.repository.findAll()
+    };
+  }
+
+  /**
+   * Busca a cotação de uma moeda
+   */
+  async getRate(currency) {
+    const code = this.parseCode(currency);
+    const exchangeRate = await this.repository.findById(code);
+
+    if (!exchangeRate) {
+      throw new Error(`Moeda ${code} não possui cotação`);
+    }
+
+    return exchangeRate;
+  }
+
+  /**
+   * Cadastra ou altera a cotação de uma moeda
+   * (pedidos já criados mantêm a cotação gravada neles)
+   *
+   * @param {number} expectedVersion - Versão conhecida pelo cliente, opcional (apenas alteração)
+   * @returns {Object} { exchangeRate, created }
+   */
+  async setRate(currency, rateData, expectedVersion) {
+    const code = this.parseCode(currency);
+    if (code === AppConfig.currency.base) {
+      throw new Error(`${code} é a moeda base: a cotação é sempre 1`);
+    }
+
+    const validation = this.validator.validate(rateData);
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    const existing = await this.repository.findById(code);
+    if (!existing) {
+      const exchangeRate = await this.repository.create(new ExchangeRate(code, rateData.rate));
+      return { exchangeRate, created: true };
+    }
+
+    const exchangeRate = await this.repository.update(code, { rate: rateData.rate }, expectedVersion);
+    return { exchangeRate, created: false };
+  }
+
+  /**
+   * Remove a cotação de uma moeda (novos pedidos nela passam a ser recusados)
+   */
+  async deleteRate(currency) {
+    const code = this.parseCode(currency);
+    await this.getRate(code);
+    return await this.repository.delete(code);
+  }
+
+  /**
+   * Normaliza e valida o código da moeda
+   */
+  parseCode(currency) {
+    const code = ExchangeRate.normalizeCode(currency);
+    if (!ExchangeRate.isValidCode(code)) {
+      throw new Error('Moeda deve ser um código ISO 4217 (ex.: USD)');
+    }
+    return code;
+  }
+}
@@ -0,0 +1,130 @@
+import { Customer } from '../models/Customer.js';
+import { RepositoryFactory } from '../factories/RepositoryFactory.js';
+import { CustomerValidationStrategy, CustomerUpdateValidationStrategy } from '../strategies/ValidationStrategies.js';
+
+/**
+ * CustomerService - Camada de lógica de negócio para clientes
+ *
+ * Responsabilidades:
+ * - Validação de dados usando Strategy
+ * - Unicidade de e-mail e documento (CPF/CNPJ)
+ * - Coordenação com os repositórios de clientes e pedidos
+ */
+export class CustomerService {
+  constructor() {
+    this.repository = RepositoryFactory.createCustomerRepository();
+    this.orderRepository = RepositoryFactory.createOrderRepository();
+    this.createValidator = new CustomerValidationStrategy();
+    this.updateValidator = new CustomerUpdateValidationStrategy();
+  }
+
+  /**
+   * Cadastra um novo cliente
+   */
+  async createCustomer(customerData) {
+    // Validar dados usando Strategy
+    const validation = this.createValidator.validate(customerData);
+
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    await this.ensureUnique(customerData);
+
+    const customer = new Customer(
+      null, // ID será gerado
+      customerData.name.trim(),
+      customerData.email,
+      customerData.document,
+      customerData.phone,
+      customerData.addresses || []
+    );
+
+    return await this.repository.create(customer);
+  }
+
+  /**
+   * Busca cliente por ID
+   */
+  async getCustomerById(id) {
+    const customer = await this.repository.findById(id);
+
+    if (!customer) {
+      throw new Error(`Cliente com ID ${id} não encontrado`);
+    }
+
+    return customer;
+  }
+
+  /**
+   * Lista clientes de acordo com a QuerySpec (paginação, ordenação e filtros)
+   */
+  async queryCustomers(spec) {
+    return await this.repository.findByQuery(spec);
+  }
+
+  /**
+   * Atualiza cliente
+   * @param {number} expectedVersion - Versão conhecida pelo cliente, opcional
+   */
+  async updateCustomer(id, updateData, expectedVersion) {
+    // Validar dados de atualização usando Strategy
+    const validation = this.updateValidator.validate(updateData);
+
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    // Verificar se cliente existe
+    await this.getCustomerById(id);
+
+    await this.ensureUnique(updateData, id);
+
+    return await this.repository.update(id, updateData, expectedVersion);
+  }
+
+  /**
+   * Remove cliente
+   *
+   * Clientes com pedidos não podem ser removidos: o histórico de pedidos
+   * continuaria apontando para um cadastro inexistente.
+   */
+  async deleteCustomer(id) {
+    await this.getCustomerById(id);
+
+    const orders = await this.orderRepository.findByCustomerId(id);
+    if (orders.length > 0) {
+      throw new Error(`Cliente ${id} possui ${orders.length} pedido(s) e não pode ser removido`);
+    }
+
+    return await this.repository.delete(id);
+  }
+
+  /**
+   * Lista os pedidos do cliente
+   */
+  async getCustomerOrders(id) {
+    await this.getCustomerById(id);
+    return await this.orderRepository.findByCustomerId(id);
+  }
+
+  /**
+   * Garante que e-mail e documento não pertencem a outro cliente
+   * @param {number} currentId - Cliente sendo atualizado (ignorado na verificação)
+   */
+  async ensureUnique(data, currentId = null) {
+    if (data.email) {
+      const existing = await this.repository.findByEmail(data.email);
+      if (existing && existing.id !== currentId) {
+        throw new Error(`Já existe um cliente com o e-mail: ${existing.email}`);
+      }
+    }
+
+    if (data.document) {
+      const existing = await this.repository.findByDocument(data.document);
+      if (existing && existing.id !== currentId) {
+        throw new Error(`Já existe um cliente com o documento: ${data.document}`);
+      }
+    }
+  }
+}
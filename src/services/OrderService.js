@@ -1,5 +1,7 @@
 import { OrderFacade } from '../facades/OrderFacade.js';
-import { OrderValidationStrategy } from '../strategies/ValidationStrategies.js';
+import { CouponService } from './CouponService.js';
+import { DiscountStrategyFactory } from '../factories/DiscountStrategyFactory.js';
+import { OrderValidationStrategy, PaymentValidationStrategy } from '../strategies/ValidationStrategies.js';
 import { 
   EmailNotificationObserver, 
   AuditLogObserver, 
@@ -13,9 +15,24 @@ import {
  * Utiliza OrderFacade para simplificar operações complexas
  */
 export class OrderService {
+  static #instance = null;
+
+  /**
+   * Instância compartilhada pelos controllers, para que pedidos criados
+   * por outras rotas (ex.: checkout de carrinho) notifiquem os mesmos observers
+   */
+  static getInstance() {
+    if (!OrderService.#instance) {
+      OrderService.#instance = new OrderService();
+    }
+    return OrderService.#instance;
+  }
+
   constructor() {
     this.orderFacade = new OrderFacade();
+    this.couponService = new CouponService();
     this.validator = new OrderValidationStrategy();
+    this.paymentValidator = new PaymentValidationStrategy();
     
     // Configurar observadores
     this.setupObservers();
@@ -41,16 +58,81 @@ export class OrderService {
   }
 
   /**
-   * Define estratégia de desconto
+   * Escolhe o desconto a partir do corpo da requisição
+   * (discountType e discountValue, ou couponCode de um cupom cadastrado)
+   *
+   * Descontos combinados usam discountType sum, best-of ou sequential com a
+   * lista discounts (cada item no mesmo formato, inclusive outros combinados)
+   * e, opcionalmente, exclusive e stackingGroup. Em qualquer nível,
+   * maxDiscount (moeda base) e maxDiscountPercentage limitam o desconto.
+   *
+   * Aqui o cupom só precisa existir e estar na validade: limites de uso,
+   * valor mínimo e categorias são conferidos no resgate, ao criar o pedido.
+   *
+   * @param {Object} options - { allowManual }: aceita percentage e fixed com
+   *   discountValue (só em requisições de administrador)
    */
-  setDiscountStrategy(strategy) {
-    this.orderFacade.setDiscountStrategy(strategy);
+  async resolveDiscountStrategy(discountData, options = {}) {
+    const { maxDiscount, maxDiscountPercentage } = discountData;
+    const strategy = await this.resolveUncappedDiscount(discountData, options);
+
+    if (maxDiscount === undefined && maxDiscountPercentage === undefined) {
+      return strategy;
+    }
+    return DiscountStrategyFactory.cap(strategy, {
+      maxAmount: maxDiscount ?? null,
+      maxPercentage: maxDiscountPercentage ?? null
+    });
+  }
+
+  /**
+   * Desconto simples, cupom ou combinação, sem os limites (ver resolveDiscountStrategy)
+   */
+  async resolveUncappedDiscount(discountData, options = {}) {
+    const { COUPON, CAPPED } = DiscountStrategyFactory.TYPES;
+    const type = discountData.discountType;
+
+    if (DiscountStrategyFactory.COMBINATION_TYPES.includes(type)) {
+      if (!Array.isArray(discountData.discounts) || discountData.discounts.length === 0) {
+        throw new Error(`Desconto ${type} exige a lista de descontos combinados (discounts)`);
+      }
+
+      const strategies = [];
+      for (const child of discountData.discounts) {
+        strategies.push(await this.resolveDiscountStrategy(child || {}, options));
+      }
+      return DiscountStrategyFactory.combine(type, strategies, {
+        exclusive: discountData.exclusive,
+        group: discountData.stackingGroup
+      });
+    }
+
+    if (type === CAPPED) {
+      throw new Error('Limite de desconto é informado por maxDiscount ou maxDiscountPercentage');
+    }
+    if (discountData.couponCode === undefined && type !== COUPON) {
+      return DiscountStrategyFactory.fromRequest(discountData, options);
+    }
+
+    if (type !== undefined && type !== COUPON) {
+      throw new Error(`Cupom não pode ser combinado com o desconto ${type}: use discountType sum, best-of ou sequential com a lista discounts`);
+    }
+    if (!discountData.couponCode) {
+      throw new Error('Código do cupom é obrigatório');
+    }
+
+    const coupon = await this.couponService.getCoupon(discountData.couponCode);
+    if (!coupon.isValidAt()) {
+      throw new Error(`Cupom ${coupon.id} fora da validade`);
+    }
+    return DiscountStrategyFactory.fromCoupon(coupon);
   }
 
   /**
    * Cria um novo pedido
+   * @param {IDiscountStrategy} discountStrategy - Desconto deste pedido, opcional
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, discountStrategy) {
     // Validar dados usando Strategy
     const validation = this.validator.validate(orderData);
     
@@ -59,7 +141,15 @@ export class OrderService {
     }
 
     // Usar Facade para criar pedido (simplifica operação complexa)
-    return await this.orderFacade.createOrder(orderData);
+    return await this.orderFacade.createOrder(orderData, discountStrategy);
+  }
+
+  /**
+   * Aplica a um pedido transitório (ex.: prévia do carrinho) os mesmos
+   * impostos que a criação do pedido aplicaria para o cliente
+   */
+  applyTaxes(order, customer) {
+    order.applyTaxes(this.orderFacade.taxStrategies, this.orderFacade.resolveDestinationState(customer));
   }
 
   /**
@@ -76,18 +166,196 @@ export class OrderService {
     return await this.orderFacade.getAllOrders();
   }
 
+  /**
+   * Lista pedidos de acordo com a QuerySpec (paginação, ordenação e filtros)
+   */
+  async queryOrders(spec) {
+    return await this.orderFacade.queryOrders(spec);
+  }
+
   /**
    * Atualiza status do pedido
+   * @param {number} expectedVersion - Versão conhecida pelo cliente, opcional
+   * @param {Object} options - { manual, admin } (ver OrderFacade.updateOrderStatus)
+   */
+  async updateOrderStatus(id, newStatus, expectedVersion, options) {
+    return await this.orderFacade.updateOrderStatus(id, newStatus, expectedVersion, options);
+  }
+
+  /**
+   * Adiciona um produto ao pedido
+   */
+  async addOrderItem(id, item, expectedVersion) {
+    const productId = OrderService.parseProductId(item.productId);
+    OrderService.assertQuantity(item.quantity);
+    return await this.orderFacade.addOrderItem(id, productId, item.quantity, expectedVersion);
+  }
+
+  /**
+   * Altera a quantidade de um item do pedido
+   */
+  async updateOrderItem(id, productId, quantity, expectedVersion) {
+    OrderService.assertQuantity(quantity);
+    return await this.orderFacade.updateOrderItem(id, OrderService.parseProductId(productId), quantity, expectedVersion);
+  }
+
+  /**
+   * Remove um item do pedido
+   */
+  async removeOrderItem(id, productId, expectedVersion) {
+    return await this.orderFacade.removeOrderItem(id, OrderService.parseProductId(productId), expectedVersion);
+  }
+
+  /**
+   * Cota o frete em todos os métodos de entrega
+   * (body: items[{ productId, quantity }], shippingAddress ou customerId)
+   */
+  async quoteShipping(quoteData) {
+    if (!Array.isArray(quoteData.items) || quoteData.items.length === 0) {
+      throw new Error('Cotação deve conter pelo menos um item');
+    }
+
+    const items = quoteData.items.map(item => {
+      OrderService.assertQuantity(item.quantity);
+      return { productId: OrderService.parseProductId(item.productId), quantity: item.quantity };
+    });
+
+    return await this.orderFacade.quoteShipping(items, quoteData.shippingAddress, quoteData.customerId);
+  }
+
+  static parseProductId(value) {
+    const productId = Number(value);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      throw new Error('ID do produto é obrigatório');
+    }
+    return productId;
+  }
+
+  static assertQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Quantidade deve ser um número inteiro maior que zero');
+    }
+  }
+
+  /**
+   * Solicita devolução de itens do pedido (body: items[{ productId, quantity }], reason)
+   */
+  async requestReturn(id, returnData) {
+    if (!Array.isArray(returnData.items) || returnData.items.length === 0) {
+      throw new Error('Devolução deve conter pelo menos um item');
+    }
+
+    const items = returnData.items.map(item => {
+      OrderService.assertQuantity(item.quantity);
+      return { productId: OrderService.parseProductId(item.productId), quantity: item.quantity };
+    });
+
+    const productIds = items.map(item => item.productId);
+    if (new Set(productIds).size !== productIds.length) {
+      throw new Error('Cada produto deve aparecer uma única vez na devolução');
+    }
+
+    return await this.orderFacade.requestReturn(id, items, String(returnData.reason || '').trim());
+  }
+
+  /**
+   * Lista as devoluções do pedido
+   */
+  async getOrderReturns(id) {
+    return await this.orderFacade.getOrderReturns(id);
+  }
+
+  /**
+   * Aprova devolução
+   */
+  async approveReturn(id, returnId) {
+    return await this.orderFacade.approveReturn(id, returnId);
+  }
+
+  /**
+   * Rejeita devolução
+   */
+  async rejectReturn(id, returnId, reason) {
+    return await this.orderFacade.rejectReturn(id, returnId, String(reason || '').trim());
+  }
+
+  /**
+   * Registra recebimento da devolução (estoque e reembolso)
+   */
+  async receiveReturn(id, returnId) {
+    return await this.orderFacade.receiveReturn(id, returnId);
+  }
+
+  /**
+   * Registra o pagamento do pedido no gateway
+   * (body: method 'pix' | 'boleto' | 'card'; no cartão, card { number, holder, expiry, cvv } e installments)
+   */
+  async createPayment(id, paymentData) {
+    const validation = this.paymentValidator.validate(paymentData);
+
+    if (!validation.isValid) {
+      throw new Error(`Validação falhou: ${validation.errors.join(', ')}`);
+    }
+
+    const { method, card, installments } = paymentData;
+    return await this.orderFacade.createPayment(id, method, { card, installments });
+  }
+
+  /**
+   * Lista os pagamentos do pedido
+   */
+  async getOrderPayments(id) {
+    return await this.orderFacade.getOrderPayments(id);
+  }
+
+  /**
+   * Estorna pagamento confirmado
+   */
+  async refundPayment(id, paymentId) {
+    return await this.orderFacade.refundPayment(id, paymentId);
+  }
+
+  /**
+   * Nota fiscal do pedido (emitida na primeira consulta)
+   */
+  async getInvoice(id) {
+    return await this.orderFacade.getInvoice(id);
+  }
+
+  /**
+   * Processa notificação do gateway de pagamento
+   */
+  async handlePaymentCallback(body, signature) {
+    return await this.orderFacade.handlePaymentCallback(body, signature);
+  }
+
+  /**
+   * Lista os próximos status permitidos para o pedido
+   */
+  async getOrderTransitions(id) {
+    return await this.orderFacade.getOrderTransitions(id);
+  }
+
+  /**
+   * Libera reservas de estoque vencidas (usado pelo ReservationSweeper)
+   */
+  async releaseExpiredReservations(now) {
+    return await this.orderFacade.releaseExpiredReservations(now);
+  }
+
+  /**
+   * Atende encomendas e avisa listas de espera dos produtos com estoque liberado
    */
-  async updateOrderStatus(id, newStatus) {
-    return await this.orderFacade.updateOrderStatus(id, newStatus);
+  async processReplenishment(productIds) {
+    return await this.orderFacade.processReplenishment(productIds);
   }
 
   /**
    * Cancela pedido
+   * @param {Object} options - { manual, admin } (ver OrderFacade.updateOrderStatus)
    */
-  async cancelOrder(id) {
-    return await this.orderFacade.cancelOrder(id);
+  async cancelOrder(id, options) {
+    return await this.orderFacade.cancelOrder(id, options);
   }
 
   /**
@@ -1,5 +1,8 @@
 import { Product } from '../models/Product.js';
+import { Money } from '../models/Money.js';
 import { RepositoryFactory } from '../factories/RepositoryFactory.js';
+import { OrderService } from './OrderService.js';
+import { ConcurrencyError } from '../errors/ConcurrencyError.js';
 import { ProductValidationStrategy, ProductUpdateValidationStrategy } from '../strategies/ValidationStrategies.js';
 
 /**
@@ -9,10 +12,13 @@ import { ProductValidationStrategy, ProductUpdateValidationStrategy } from '../s
  * - Validação de dados usando Strategy
  * - Regras de negócio
  * - Coordenação com Repository
+ * - Reposição de estoque (encomendas e lista de espera via OrderService)
  */
 export class ProductService {
-  constructor() {
+  constructor(orderService = OrderService.getInstance()) {
     this.repository = RepositoryFactory.createProductRepository();
+    this.customerRepository = RepositoryFactory.createCustomerRepository();
+    this.orderService = orderService;
     this.createValidator = new ProductValidationStrategy();
     this.updateValidator = new ProductUpdateValidationStrategy();
   }
@@ -43,17 +49,22 @@ export class ProductService {
       productData.stock,
       productData.category
     );
+    product.allowBackorder = productData.allowBackorder === true;
+    product.sku = productData.sku || null;
+    product.taxCategory = productData.taxCategory || null;
+    product.weight = productData.weight || 0;
+    product.dimensions = Product.normalizeDimensions(productData.dimensions);
 
     return await this.repository.create(product);
   }
 
   /**
-   * Busca produto por ID
+   * Busca produto por ID (produtos na lixeira são tratados como inexistentes)
    */
   async getProductById(id) {
     const product = await this.repository.findById(id);
     
-    if (!product) {
+    if (!product || product.isDeleted()) {
       throw new Error(`Produto com ID ${id} não encontrado`);
     }
 
@@ -67,6 +78,13 @@ export class ProductService {
     return await this.repository.findAll();
   }
 
+  /**
+   * Lista produtos de acordo com a QuerySpec (paginação, ordenação e filtros)
+   */
+  async queryProducts(spec) {
+    return await this.repository.findByQuery(spec);
+  }
+
   /**
    * Busca produtos por categoria
    */
@@ -81,10 +99,24 @@ export class ProductService {
     return await this.repository.findByName(name);
   }
 
+  /**
+   * Busca textual ranqueada de produtos
+   * @returns {Object[]} Produtos com pontuação (score) e trechos destacados (highlights)
+   */
+  async searchProducts(query, limit = 20) {
+    const results = await this.repository.search(query, { limit });
+    return results.map(({ product, score, highlights }) => ({
+      ...product.toJSON(),
+      score,
+      highlights
+    }));
+  }
+
   /**
    * Atualiza produto
+   * @param {number} expectedVersion - Versão conhecida pelo cliente, opcional
    */
-  async updateProduct(id, updateData) {
+  async updateProduct(id, updateData, expectedVersion) {
     // Validar dados de atualização usando Strategy
     const validation = this.updateValidator.validate(updateData);
     
@@ -95,6 +127,11 @@ export class ProductService {
     // Verificar se produto existe
     const product = await this.getProductById(id);
 
+    // Unidades reservadas por pedidos pendentes não podem sumir do estoque
+    if (updateData.stock !== undefined && updateData.stock < product.reserved) {
+      throw new Error(`Estoque não pode ser menor que as ${product.reserved} unidades reservadas`);
+    }
+
     // Se está alterando nome, verificar duplicação
     if (updateData.name && updateData.name !== product.name) {
       const exists = await this.repository.existsByName(updateData.name);
@@ -103,21 +140,143 @@ export class ProductService {
       }
     }
 
-    return await this.repository.update(id, updateData);
+    const previousStock = product.stock;
+    const updated = await this.repository.update(id, updateData, expectedVersion);
+
+    // Estoque aumentado pelo cadastro também atende encomendas e lista de espera
+    if (updated.stock > previousStock) {
+      await this.orderService.processReplenishment([id]);
+      return await this.getProductById(id);
+    }
+    return updated;
+  }
+
+  /**
+   * Repõe unidades no estoque
+   *
+   * As unidades atendem primeiro as encomendas (FIFO); se sobrar estoque
+   * disponível, a lista de espera do produto é avisada.
+   */
+  async restockProduct(id, quantity, expectedVersion) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Quantidade deve ser um número inteiro maior que zero');
+    }
+
+    const product = await this.getProductById(id);
+    if (expectedVersion !== undefined && expectedVersion !== product.version) {
+      throw new ConcurrencyError('Produto', id, expectedVersion, product.version);
+    }
+
+    product.increaseStock(quantity);
+    await this.repository.update(id, product);
+    console.log(`📦 Estoque reposto: ${product.name} +${quantity}`);
+
+    await this.orderService.processReplenishment([id]);
+    return await this.getProductById(id);
+  }
+
+  /**
+   * Inscreve o cliente no aviso de volta ao estoque do produto
+   * @returns {Object} { product, subscribed } (subscribed false se já estava inscrito)
+   */
+  async subscribeToWaitlist(id, customerId) {
+    const product = await this.getProductById(id);
+
+    const customer = await this.customerRepository.findById(Number(customerId));
+    if (!customer) {
+      throw new Error(`Cliente ${customerId} não encontrado`);
+    }
+
+    if (product.getAvailable() > 0) {
+      throw new Error(`Produto ${product.name} está disponível (${product.getAvailable()} unidades)`);
+    }
+
+    const subscribed = product.subscribe(customer.id);
+    if (subscribed) {
+      await this.repository.update(id, product);
+      console.log(`🔔 Cliente ${customer.id} inscrito na lista de espera de ${product.name}`);
+    }
+    return { product, subscribed };
+  }
+
+  /**
+   * Remove o cliente da lista de espera do produto
+   */
+  async unsubscribeFromWaitlist(id, customerId) {
+    const product = await this.getProductById(id);
+
+    if (!product.unsubscribe(Number(customerId))) {
+      throw new Error(`Cliente ${customerId} não está na lista de espera do produto ${id}`);
+    }
+
+    await this.repository.update(id, product);
+    return product;
+  }
+
+  /**
+   * Lista os clientes à espera do produto
+   */
+  async getWaitlist(id) {
+    const product = await this.getProductById(id);
+    return product.waitlist.map(entry => ({ ...entry }));
   }
 
   /**
-   * Deleta produto
+   * Deleta produto (envia para a lixeira)
+   * 
+   * A exclusão é lógica: itens de pedidos existentes continuam apontando
+   * para o produto, que pode ser restaurado depois.
    */
   async deleteProduct(id) {
     // Verificar se produto existe
     await this.getProductById(id);
 
-    // Aqui poderia adicionar regra: não deletar se houver pedidos pendentes
-    // Por simplicidade, apenas deleta
     return await this.repository.delete(id);
   }
 
+  /**
+   * Lista produtos na lixeira
+   */
+  async getDeletedProducts() {
+    return await this.repository.findDeleted();
+  }
+
+  /**
+   * Retira produto da lixeira
+   */
+  async restoreProduct(id) {
+    const product = await this.getDeletedProductById(id);
+
+    // Outro produto pode ter assumido o nome enquanto este estava na lixeira
+    const exists = await this.repository.existsByName(product.name);
+    if (exists) {
+      throw new Error(`Já existe um produto com o nome: ${product.name}`);
+    }
+
+    return await this.repository.restore(id);
+  }
+
+  /**
+   * Remove definitivamente um produto da lixeira
+   */
+  async purgeProduct(id) {
+    await this.getDeletedProductById(id);
+    return await this.repository.purge(id);
+  }
+
+  /**
+   * Busca produto que está na lixeira
+   */
+  async getDeletedProductById(id) {
+    const product = await this.repository.findById(id);
+
+    if (!product || !product.isDeleted()) {
+      throw new Error(`Produto com ID ${id} não está na lixeira`);
+    }
+
+    return product;
+  }
+
   /**
    * Lista produtos com estoque baixo
    */
@@ -132,9 +291,12 @@ export class ProductService {
     const products = await this.repository.findAll();
     
     const totalProducts = products.length;
-    const totalValue = products.reduce((sum, p) => sum + (p.price * p.stock), 0);
+    const totalValue = Money.sum(products.map(p => p.getPrice().multiply(p.stock))).toNumber();
     const outOfStock = products.filter(p => p.stock === 0).length;
     const lowStock = products.filter(p => p.stock > 0 && p.stock < 10).length;
+    const totalReserved = products.reduce((sum, p) => sum + p.reserved, 0);
+    const totalBackordered = products.reduce((sum, p) => sum + p.backordered, 0);
+    const waitlistSubscriptions = products.reduce((sum, p) => sum + p.waitlist.length, 0);
 
     // Categorias
     const categories = {};
@@ -150,6 +312,9 @@ export class ProductService {
       totalValue,
       outOfStock,
       lowStock,
+      totalReserved,
+      totalBackordered,
+      waitlistSubscriptions,
       categories
     };
   }
@@ -0,0 +1,57 @@
+import { OrderService } from './OrderService.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * ReservationSweeper - Libera periodicamente as reservas de estoque vencidas
+ *
+ * Usa a instância compartilhada do OrderService, então os eventos
+ * ORDER_RESERVATION_EXPIRED chegam aos mesmos observers da API.
+ */
+export class ReservationSweeper {
+  constructor(
+    orderService = OrderService.getInstance(),
+    intervalMs = AppConfig.reservations.sweepIntervalSeconds * 1000
+  ) {
+    this.orderService = orderService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a varredura periódica (não impede o processo de encerrar)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.timer.unref();
+    console.log(`⏱️  Varredura de reservas a cada ${this.intervalMs / 1000}s`);
+  }
+
+  /**
+   * Interrompe a varredura
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Executa uma varredura
+   * @returns {number} Quantidade de reservas liberadas
+   */
+  async sweep() {
+    try {
+      const released = await this.orderService.releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`⌛ Reservas vencidas liberadas: ${released}`);
+      }
+      return released;
+    } catch (error) {
+      console.error('❌ Erro na varredura de reservas:', error.message);
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,260 @@
+import { IDiscountStrategy } from './IDiscountStrategy.js';
+import { Money } from '../models/Money.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * PADRÃO COMPOSITE + STRATEGY
+ *
+ * Descontos compostos: combinam outras estratégias e são usados pelo pedido
+ * como uma estratégia comum. O detalhamento (calculateBreakdown) traz uma
+ * linha por estratégia simples que entrou no cálculo.
+ *
+ * Regras de acúmulo (getStackingRules): soma e sequência recusam estratégias
+ * exclusivas junto com outras e duas estratégias do mesmo grupo; o melhor
+ * desconto escolhe apenas uma, então aceita qualquer combinação.
+ */
+export class CompositeDiscountStrategy extends IDiscountStrategy {
+  /**
+   * @param {IDiscountStrategy[]} strategies - Estratégias combinadas
+   * @param {Object} options - { exclusive, group }: regras de acúmulo do próprio composto
+   */
+  constructor(strategies, { exclusive = false, group = null } = {}) {
+    super();
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      throw new Error('Desconto combinado deve ter pelo menos uma estratégia');
+    }
+    if (group !== null && typeof group !== 'string') {
+      throw new Error('Grupo de acúmulo deve ser um texto');
+    }
+    this.strategies = strategies;
+    this.exclusive = exclusive === true;
+    this.group = group || null;
+  }
+
+  calculate(orderTotal, context) {
+    return Money.sum(this.calculateBreakdown(orderTotal, context).map(line => line.amount));
+  }
+
+  getStackingRules() {
+    const rules = this.strategies.map(strategy => strategy.getStackingRules());
+    const groups = rules.flatMap(rule => rule.groups);
+    return {
+      exclusive: this.exclusive || rules.some(rule => rule.exclusive),
+      groups: [...new Set(this.group ? [this.group, ...groups] : groups)]
+    };
+  }
+
+  getParameters() {
+    return {
+      strategies: this.strategies.map(strategy => ({
+        type: strategy.getType(),
+        params: strategy.getParameters()
+      })),
+      exclusive: this.exclusive,
+      group: this.group
+    };
+  }
+
+  /**
+   * Recria o composto com outras estratégias e as mesmas regras
+   * (ex.: cupons trocados pelos termos lidos no resgate)
+   */
+  withStrategies(strategies) {
+    return new this.constructor(strategies, { exclusive: this.exclusive, group: this.group });
+  }
+
+  /**
+   * Confere se as estratégias podem ser acumuladas
+   */
+  assertStackable() {
+    if (this.strategies.length < 2) {
+      return;
+    }
+
+    const seen = new Set();
+    for (const strategy of this.strategies) {
+      const rules = strategy.getStackingRules();
+      if (rules.exclusive) {
+        throw new Error(`Desconto "${strategy.getDescription()}" é exclusivo e não pode ser combinado com outros`);
+      }
+      for (const group of rules.groups) {
+        if (seen.has(group)) {
+          throw new Error(`Descontos do grupo "${group}" não podem ser acumulados`);
+        }
+        seen.add(group);
+      }
+    }
+  }
+}
+
+/**
+ * Reduz as linhas, a partir da última, até que somem no máximo o limite
+ */
+function limitBreakdown(lines, limit) {
+  let available = limit;
+  return lines.map(line => {
+    const amount = line.amount.min(available);
+    available = available.subtract(amount);
+    return { ...line, amount };
+  });
+}
+
+/**
+ * Estratégia: Soma dos descontos, todos calculados sobre o total do pedido
+ * (limitada ao total)
+ */
+export class SumDiscountStrategy extends CompositeDiscountStrategy {
+  constructor(strategies, options) {
+    super(strategies, options);
+    this.assertStackable();
+  }
+
+  calculateBreakdown(orderTotal, context) {
+    const lines = this.strategies.flatMap(strategy => strategy.calculateBreakdown(orderTotal, context));
+    return limitBreakdown(lines, orderTotal);
+  }
+
+  getDescription() {
+    return `Descontos somados: ${this.strategies.map(strategy => strategy.getDescription()).join(' + ')}`;
+  }
+
+  getType() {
+    return 'sum';
+  }
+}
+
+/**
+ * Estratégia: Melhor desconto entre as opções (empate: a primeira)
+ */
+export class BestOfDiscountStrategy extends CompositeDiscountStrategy {
+  calculateBreakdown(orderTotal, context) {
+    let best = null;
+    let bestAmount = null;
+
+    for (const strategy of this.strategies) {
+      const lines = strategy.calculateBreakdown(orderTotal, context);
+      const amount = Money.sum(lines.map(line => line.amount));
+      if (!best || amount.greaterThan(bestAmount)) {
+        best = lines;
+        bestAmount = amount;
+      }
+    }
+
+    return best;
+  }
+
+  getDescription() {
+    return `Melhor desconto entre: ${this.strategies.map(strategy => strategy.getDescription()).join(' | ')}`;
+  }
+
+  getType() {
+    return 'best-of';
+  }
+}
+
+/**
+ * Estratégia: Descontos em sequência, cada um sobre o que restou do anterior
+ *
+ * Os subtotais dos itens (descontos por categoria) são reduzidos na mesma
+ * proporção do total.
+ */
+export class SequentialDiscountStrategy extends CompositeDiscountStrategy {
+  constructor(strategies, options) {
+    super(strategies, options);
+    this.assertStackable();
+  }
+
+  calculateBreakdown(orderTotal, { items = [] } = {}) {
+    const lines = [];
+    let remaining = orderTotal;
+
+    for (const strategy of this.strategies) {
+      const context = {
+        items: items.map(item => ({ ...item, subtotal: item.subtotal.ratio(remaining, orderTotal) }))
+      };
+      const stepLines = limitBreakdown(strategy.calculateBreakdown(remaining, context), remaining);
+      remaining = remaining.subtract(Money.sum(stepLines.map(line => line.amount)));
+      lines.push(...stepLines);
+    }
+
+    return lines;
+  }
+
+  getDescription() {
+    return `Descontos em sequência: ${this.strategies.map(strategy => strategy.getDescription()).join(' → ')}`;
+  }
+
+  getType() {
+    return 'sequential';
+  }
+}
+
+/**
+ * Estratégia: Limita o desconto de outra estratégia a um valor (moeda base)
+ * e/ou a um percentual do pedido; vale o menor dos limites
+ */
+export class CappedDiscountStrategy extends CompositeDiscountStrategy {
+  /**
+   * @param {IDiscountStrategy} strategy - Desconto limitado (geralmente um composto)
+   * @param {Object} options - { maxAmount, maxPercentage, exclusive, group }
+   */
+  constructor(strategy, { maxAmount = null, maxPercentage = null, ...rules } = {}) {
+    super([strategy], rules);
+    if (maxAmount === null && maxPercentage === null) {
+      throw new Error('Limite de desconto deve informar valor máximo ou percentual máximo');
+    }
+    if (maxAmount !== null && !(typeof maxAmount === 'number' && maxAmount >= 0)) {
+      throw new Error('Valor máximo de desconto deve ser um número não negativo');
+    }
+    if (maxPercentage !== null && !(typeof maxPercentage === 'number' && maxPercentage > 0 && maxPercentage <= 100)) {
+      throw new Error('Percentual máximo de desconto deve estar entre 0 e 100');
+    }
+    this.maxAmount = maxAmount;
+    this.maxPercentage = maxPercentage;
+  }
+
+  calculateBreakdown(orderTotal, context) {
+    let limit = orderTotal;
+    if (this.maxAmount !== null) {
+      limit = limit.min(this.maxAmount);
+    }
+    if (this.maxPercentage !== null) {
+      limit = limit.min(orderTotal.percentage(this.maxPercentage));
+    }
+    return limitBreakdown(this.strategies[0].calculateBreakdown(orderTotal, context), limit);
+  }
+
+  getDescription() {
+    const limits = [];
+    if (this.maxAmount !== null) {
+      limits.push(Money.of(this.maxAmount).format(AppConfig.currency.base));
+    }
+    if (this.maxPercentage !== null) {
+      limits.push(`${this.maxPercentage}% do pedido`);
+    }
+    return `${this.strategies[0].getDescription()} (limite: ${limits.join(' ou ')})`;
+  }
+
+  getType() {
+    return 'capped';
+  }
+
+  getParameters() {
+    const { strategies, ...rules } = super.getParameters();
+    return {
+      strategy: strategies[0],
+      maxAmount: this.maxAmount,
+      maxPercentage: this.maxPercentage,
+      ...rules
+    };
+  }
+
+  withStrategies([strategy]) {
+    return new CappedDiscountStrategy(strategy, {
+      maxAmount: this.maxAmount,
+      maxPercentage: this.maxPercentage,
+      exclusive: this.exclusive,
+      group: this.group
+    });
+  }
+}
@@ -1,18 +1,27 @@
 import { IDiscountStrategy } from './IDiscountStrategy.js';
+import { Money } from '../models/Money.js';
+import { AppConfig } from '../config/AppConfig.js';
 
 /**
  * PADRÃO STRATEGY
- * 
+ *
+ * Valores fixos e faixas das estratégias estão na moeda base
+ * (AppConfig.currency.base); o pedido converte para a sua moeda.
+ *
  * Estratégia: Nenhum desconto
  */
 export class NoDiscountStrategy extends IDiscountStrategy {
   calculate(orderTotal) {
-    return 0;
+    return Money.zero();
   }
 
   getDescription() {
     return 'Sem desconto';
   }
+
+  getType() {
+    return 'none';
+  }
 }
 
 /**
@@ -28,12 +37,20 @@ export class PercentageDiscountStrategy extends IDiscountStrategy {
   }
 
   calculate(orderTotal) {
-    return (orderTotal * this.percentage) / 100;
+    return orderTotal.percentage(this.percentage);
   }
 
   getDescription() {
     return `${this.percentage}% de desconto`;
   }
+
+  getType() {
+    return 'percentage';
+  }
+
+  getParameters() {
+    return { percentage: this.percentage };
+  }
 }
 
 /**
@@ -50,11 +67,19 @@ export class FixedAmountDiscountStrategy extends IDiscountStrategy {
 
   calculate(orderTotal) {
     // Desconto não pode ser maior que o total do pedido
-    return Math.min(this.amount, orderTotal);
+    return orderTotal.min(this.amount);
   }
 
   getDescription() {
-    return `R$ ${this.amount.toFixed(2)} de desconto`;
+    return `${Money.of(this.amount).format(AppConfig.currency.base)} de desconto`;
+  }
+
+  getType() {
+    return 'fixed';
+  }
+
+  getParameters() {
+    return { amount: this.amount };
   }
 }
 
@@ -74,12 +99,20 @@ export class TieredDiscountStrategy extends IDiscountStrategy {
 
   calculate(orderTotal) {
     // Encontra a faixa adequada
-    const tier = this.tiers.find(t => orderTotal >= t.minValue);
-    return (orderTotal * tier.percentage) / 100;
+    const tier = this.tiers.find(t => orderTotal.greaterThanOrEqual(t.minValue));
+    return orderTotal.percentage(tier.percentage);
   }
 
   getDescription() {
-    return 'Desconto progressivo: 5% (R$200+), 10% (R$500+), 15% (R$1000+)';
+    const tiers = this.tiers
+      .filter(tier => tier.percentage > 0)
+      .reverse()
+      .map(tier => `${tier.percentage}% (${Money.of(tier.minValue).format(AppConfig.currency.base)}+)`);
+    return `Desconto progressivo: ${tiers.join(', ')}`;
+  }
+
+  getType() {
+    return 'tiered';
   }
 }
 
@@ -93,12 +126,20 @@ export class FirstOrderDiscountStrategy extends IDiscountStrategy {
   }
 
   calculate(orderTotal) {
-    return (orderTotal * this.percentage) / 100;
+    return orderTotal.percentage(this.percentage);
   }
 
   getDescription() {
     return `${this.percentage}% de desconto para primeira compra`;
   }
+
+  getType() {
+    return 'first-order';
+  }
+
+  getParameters() {
+    return { percentage: this.percentage };
+  }
 }
 
 /**
@@ -107,35 +148,60 @@ export class FirstOrderDiscountStrategy extends IDiscountStrategy {
 export class BlackFridayDiscountStrategy extends IDiscountStrategy {
   calculate(orderTotal) {
     // Black Friday: 30% de desconto em tudo
-    return (orderTotal * 30) / 100;
+    return orderTotal.percentage(30);
   }
 
   getDescription() {
     return '🔥 BLACK FRIDAY: 30% OFF em tudo!';
   }
+
+  getType() {
+    return 'black-friday';
+  }
+
+  // 30% em tudo já é o teto da campanha: não acumula com outros descontos
+  getStackingRules() {
+    return { exclusive: true, groups: [] };
+  }
 }
 
 /**
  * Estratégia: Cupom de desconto
+ *
+ * Com categorias permitidas, o percentual incide apenas sobre os itens
+ * dessas categorias. Os termos vêm do cupom cadastrado (ver Coupon).
  */
 export class CouponDiscountStrategy extends IDiscountStrategy {
-  constructor(couponCode, discountPercentage, minOrderValue = 0) {
+  constructor(couponCode, discountPercentage, minOrderValue = 0, allowedCategories = []) {
     super();
     this.couponCode = couponCode;
     this.discountPercentage = discountPercentage;
     this.minOrderValue = minOrderValue;
+    this.allowedCategories = allowedCategories;
   }
 
-  calculate(orderTotal) {
-    if (orderTotal < this.minOrderValue) {
-      return 0;
+  calculate(orderTotal, { items = [] } = {}) {
+    if (orderTotal.lessThan(this.minOrderValue)) {
+      return Money.zero();
+    }
+    if (this.allowedCategories.length === 0) {
+      return orderTotal.percentage(this.discountPercentage);
     }
-    return (orderTotal * this.discountPercentage) / 100;
+
+    const eligible = items.filter(item => this.allowedCategories.includes(item.category));
+    return Money.sum(eligible.map(item => item.subtotal)).percentage(this.discountPercentage);
   }
 
   getDescription() {
+    const conditions = [];
     if (this.minOrderValue > 0) {
-      return `Cupom ${this.couponCode}: ${this.discountPercentage}% (mínimo R$${this.minOrderValue})`;
+      conditions.push(`mínimo ${Money.of(this.minOrderValue).format(AppConfig.currency.base)}`);
+    }
+    if (this.allowedCategories.length > 0) {
+      conditions.push(`apenas ${this.allowedCategories.join(', ')}`);
+    }
+    if (conditions.length > 0) {
+      return `Cupom ${this.couponCode}: ${this.discountPercentage}% (${conditions.join('; ')})`;
     }
     return `Cupom ${this.couponCode}: ${this.discountPercentage}% de desconto`;
   }
@@ -143,4 +209,22 @@ export class CouponDiscountStrategy extends IDiscountStrategy {
   getCouponCode() {
     return this.couponCode;
   }
+
+  getType() {
+    return 'coupon';
+  }
+
+  getParameters() {
+    return {
+      couponCode: this.couponCode,
+      discountPercentage: this.discountPercentage,
+      minOrderValue: this.minOrderValue,
+      allowedCategories: [...this.allowedCategories]
+    };
+  }
+
+  // Um cupom por pedido
+  getStackingRules() {
+    return { exclusive: false, groups: ['coupon'] };
+  }
 }
@@ -7,17 +7,58 @@
 export class IDiscountStrategy {
   /**
    * Calcula o desconto baseado no valor do pedido
-   * @param {number} orderTotal - Valor total do pedido
-   * @returns {number} Valor do desconto
+   * @param {Money} orderTotal - Valor total do pedido
+   * @param {Object} context - { items: [{ category, subtotal }] }, para descontos restritos a categorias
+   * @returns {Money} Valor do desconto (percentuais com arredondamento bancário)
    */
-  calculate(orderTotal) {
+  calculate(orderTotal, context) {
     throw new Error('Método calculate() deve ser implementado');
   }
 
+  /**
+   * Detalha o desconto por estratégia (compostos retornam uma linha por estratégia aplicada)
+   * @param {Money} orderTotal - Valor total do pedido
+   * @param {Object} context - Mesmo formato de calculate()
+   * @returns {Array} [{ type, description, params, amount: Money }]
+   */
+  calculateBreakdown(orderTotal, context) {
+    return [{
+      type: this.getType(),
+      description: this.getDescription(),
+      params: this.getParameters(),
+      amount: this.calculate(orderTotal, context)
+    }];
+  }
+
+  /**
+   * Regras de acúmulo, conferidas pelos descontos compostos
+   * - exclusive: não pode ser somado a nenhum outro desconto
+   * - groups: descontos do mesmo grupo não se acumulam (ex.: dois cupons)
+   * @returns {Object} { exclusive, groups }
+   */
+  getStackingRules() {
+    return { exclusive: false, groups: [] };
+  }
+
   /**
    * Retorna descrição da estratégia
    */
   getDescription() {
     throw new Error('Método getDescription() deve ser implementado');
   }
+
+  /**
+   * Identificador da estratégia (ver DiscountStrategyFactory.TYPES)
+   */
+  getType() {
+    throw new Error('Método getType() deve ser implementado');
+  }
+
+  /**
+   * Parâmetros necessários para recriar a estratégia
+   * (DiscountStrategyFactory.create(getType(), getParameters()))
+   */
+  getParameters() {
+    return {};
+  }
 }
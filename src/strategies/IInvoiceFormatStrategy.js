@@ -0,0 +1,59 @@
+import { Money } from '../models/Money.js';
+
+/**
+ * PADRÃO STRATEGY
+ *
+ * Interface base para os formatos de exibição da nota fiscal
+ *
+ * render() recebe a nota no formato de Invoice.toJSON(); cada estratégia
+ * só decide a apresentação, nunca recalcula valores.
+ */
+export class IInvoiceFormatStrategy {
+  /**
+   * Gera o documento da nota
+   * @param {Object} invoice - Nota no formato de Invoice.toJSON()
+   * @returns {string}
+   */
+  render(invoice) {
+    throw new Error('Método render() deve ser implementado');
+  }
+
+  /**
+   * Content-Type da resposta HTTP
+   */
+  getContentType() {
+    throw new Error('Método getContentType() deve ser implementado');
+  }
+
+  /**
+   * Identificador do formato (ver InvoiceFormatFactory.TYPES)
+   */
+  getFormat() {
+    throw new Error('Método getFormat() deve ser implementado');
+  }
+
+  /**
+   * Valor na moeda da nota para leitura (ex.: R$ 1.234,50, US$ 18,00)
+   */
+  formatMoney(value, currency) {
+    return Money.of(value).format(currency);
+  }
+
+  /**
+   * Data e hora da emissão no fuso de Brasília
+   */
+  formatDate(value) {
+    return new Date(value).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  }
+
+  /**
+   * Endereço em uma linha
+   */
+  formatAddress(address) {
+    if (!address) return '';
+    const street = [address.street, address.number, address.complement].filter(Boolean).join(', ');
+    return [street, address.district, `${address.city}/${address.state}`, address.zipCode && `CEP ${address.zipCode}`]
+      .filter(Boolean)
+      .join(' - ');
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * PADRÃO STRATEGY
+ *
+ * Interface base para estratégias de frete
+ *
+ * A remessa recebida por quote() tem o formato:
+ *   { items: [{ weight, dimensions, quantity }], zipCode, orderValue }
+ * com peso em kg, dimensões em cm ({ length, width, height }), CEP só com
+ * dígitos e orderValue já descontado.
+ */
+export class IShippingStrategy {
+  /**
+   * Divisor do peso cúbico (cm³ -> kg), o mesmo usado pelos Correios
+   */
+  static CUBIC_FACTOR = 6000;
+
+  /**
+   * Calcula o frete da remessa
+   * @returns {Object} { cost, estimatedDays }
+   * @throws {Error} Se o método não atende a remessa (ex.: CEP fora das zonas)
+   */
+  quote(shipment) {
+    throw new Error('Método quote() deve ser implementado');
+  }
+
+  /**
+   * Retorna descrição da estratégia
+   */
+  getDescription() {
+    throw new Error('Método getDescription() deve ser implementado');
+  }
+
+  /**
+   * Identificador da estratégia (ver ShippingStrategyFactory.TYPES)
+   */
+  getType() {
+    throw new Error('Método getType() deve ser implementado');
+  }
+
+  /**
+   * Parâmetros necessários para recriar a estratégia
+   * (ShippingStrategyFactory.create(getType(), getParameters()))
+   */
+  getParameters() {
+    return {};
+  }
+
+  /**
+   * Peso taxado da remessa: em cada item, o maior entre o peso real e o cúbico
+   */
+  static getBillableWeight(shipment) {
+    const weight = shipment.items.reduce((sum, item) => {
+      const { length = 0, width = 0, height = 0 } = item.dimensions || {};
+      const cubic = (length * width * height) / IShippingStrategy.CUBIC_FACTOR;
+      return sum + Math.max(item.weight || 0, cubic) * item.quantity;
+    }, 0);
+    return Math.round(weight * 1000) / 1000;
+  }
+}
@@ -0,0 +1,49 @@
+import { Money } from '../models/Money.js';
+
+/**
+ * PADRÃO STRATEGY
+ *
+ * Interface base para estratégias de imposto (paralela a IDiscountStrategy)
+ *
+ * Cada estratégia calcula um imposto item a item; as alíquotas vêm da
+ * TaxRateTable recebida no construtor.
+ */
+export class ITaxStrategy {
+  constructor(rateTable) {
+    this.rateTable = rateTable;
+  }
+
+  /**
+   * Calcula o imposto de cada item
+   * @param {Object[]} items - [{ productId, taxCategory, base }] (base já descontada)
+   * @param {Object} context - { destinationState }
+   * @returns {Object[]} [{ productId, taxCategory, base, rate, amount }] apenas dos itens tributados
+   */
+  calculate(items, context) {
+    return items
+      .map(item => ({ ...item, rate: this.getRate(item.taxCategory, context) }))
+      .filter(item => item.rate > 0)
+      .map(item => ({ ...item, amount: Money.of(item.base).percentage(item.rate).toNumber() }));
+  }
+
+  /**
+   * Alíquota (percentual) aplicada à categoria fiscal
+   */
+  getRate(taxCategory, context) {
+    throw new Error('Método getRate() deve ser implementado');
+  }
+
+  /**
+   * Identificador da estratégia (ver TaxStrategyFactory.TYPES)
+   */
+  getType() {
+    throw new Error('Método getType() deve ser implementado');
+  }
+
+  /**
+   * Retorna descrição da estratégia
+   */
+  getDescription(context) {
+    throw new Error('Método getDescription() deve ser implementado');
+  }
+}
@@ -0,0 +1,252 @@
+import { IInvoiceFormatStrategy } from './IInvoiceFormatStrategy.js';
+import { Invoice } from '../models/Invoice.js';
+import { Money } from '../models/Money.js';
+
+/**
+ * Escapa texto para HTML e XML
+ */
+function escapeMarkup(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * ESTRATÉGIA CONCRETA 1: Página HTML para impressão
+ */
+export class HtmlInvoiceFormatStrategy extends IInvoiceFormatStrategy {
+  render(invoice) {
+    const money = value => escapeMarkup(this.formatMoney(value, invoice.currency));
+    const rows = invoice.items.map(item => `
+        <tr>
+          <td>${item.number}</td>
+          <td>${escapeMarkup(item.sku || item.productId)}</td>
+          <td>${escapeMarkup(item.description)}</td>
+          <td>${item.quantity} ${escapeMarkup(item.unit)}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.gross)}</td>
+          <td class="num">${money(item.discount)}</td>
+          <td class="num">${money(item.net)}</td>
+        </tr>`).join('');
+    const taxes = invoice.taxes.map(tax => `
+        <tr><th>${escapeMarkup(tax.description)}</th><td class="num">${money(tax.amount)}</td></tr>`).join('');
+    const shipping = invoice.shipping
+      ? `
+        <tr><th>Frete (${escapeMarkup(invoice.shipping.name)})</th><td class="num">${money(invoice.shipping.cost)}</td></tr>`
+      : '';
+    const discountNote = invoice.discount.description
+      ? `
+  <p class="note">Desconto aplicado: ${escapeMarkup(invoice.discount.description)}</p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>Nota Fiscal Nº ${invoice.number} - Série ${invoice.series}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+    .num { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>Nota Fiscal Nº ${invoice.number} - Série ${invoice.series}</h1>
+  <p>Chave de acesso: ${escapeMarkup(invoice.accessKey)}<br>Emissão: ${escapeMarkup(this.formatDate(invoice.issuedAt))}<br>Pedido: ${invoice.orderId}</p>
+  <h2>Emitente</h2>
+  <p>${escapeMarkup(invoice.issuer.name)} - CNPJ ${escapeMarkup(invoice.issuer.document)} - ${escapeMarkup(invoice.issuer.state)}</p>
+  <h2>Destinatário</h2>
+  <p>${escapeMarkup(invoice.recipient.name)}${invoice.recipient.document ? ` - ${escapeMarkup(invoice.recipient.documentType)} ${escapeMarkup(invoice.recipient.document)}` : ''}<br>${escapeMarkup(this.formatAddress(invoice.recipient.address))}</p>
+  <h2>Itens</h2>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Código</th><th>Descrição</th><th>Qtd.</th><th>Valor unit.</th><th>Valor bruto</th><th>Desconto</th><th>Valor líquido</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <h2>Totais</h2>
+  <table>
+    <tbody>
+        <tr><th>Produtos</th><td class="num">${money(invoice.totals.products)}</td></tr>
+        <tr><th>Desconto</th><td class="num">-${money(invoice.totals.discount)}</td></tr>${taxes}${shipping}
+        <tr><th>Total da nota</th><td class="num"><strong>${money(invoice.totals.total)}</strong></td></tr>
+    </tbody>
+  </table>${discountNote}
+</body>
+</html>
+`;
+  }
+
+  getContentType() {
+    return 'text/html';
+  }
+
+  getFormat() {
+    return 'html';
+  }
+}
+
+/**
+ * ESTRATÉGIA CONCRETA 2: Texto puro em colunas fixas (cupom/e-mail)
+ */
+export class TextInvoiceFormatStrategy extends IInvoiceFormatStrategy {
+  // Largura total do documento
+  static WIDTH = 72;
+
+  render(invoice) {
+    const width = TextInvoiceFormatStrategy.WIDTH;
+    const line = '-'.repeat(width);
+    const pair = (label, value) => label + String(value).padStart(width - label.length);
+    const fit = (text, size) => {
+      const value = String(text ?? '');
+      return value.length > size ? value.slice(0, size - 1) + '…' : value.padEnd(size);
+    };
+    const money = value => this.formatMoney(value, invoice.currency);
+
+    const lines = [
+      `NOTA FISCAL Nº ${invoice.number} - SÉRIE ${invoice.series}`,
+      `Chave de acesso: ${invoice.accessKey}`,
+      `Emissão: ${this.formatDate(invoice.issuedAt)}   Pedido: ${invoice.orderId}`,
+      line,
+      `Emitente: ${invoice.issuer.name} - CNPJ ${invoice.issuer.document} - ${invoice.issuer.state}`,
+      `Destinatário: ${invoice.recipient.name}` +
+        (invoice.recipient.document ? ` - ${invoice.recipient.documentType} ${invoice.recipient.document}` : '')
+    ];
+    if (invoice.recipient.address) {
+      lines.push(`Endereço: ${this.formatAddress(invoice.recipient.address)}`);
+    }
+
+    lines.push(line, `${fit('#', 3)} ${fit('Descrição', 30)} ${'Qtd'.padStart(5)} ${'Unit.'.padStart(15)} ${'Total'.padStart(15)}`, line);
+    for (const item of invoice.items) {
+      lines.push(
+        `${fit(item.number, 3)} ${fit(item.description, 30)} ${String(item.quantity).padStart(5)} ` +
+        `${money(item.unitPrice).padStart(15)} ${money(item.gross).padStart(15)}`
+      );
+      if (item.discount > 0) {
+        lines.push(pair('    desconto', `-${money(item.discount)}`));
+      }
+    }
+
+    lines.push(line, pair('Produtos', money(invoice.totals.products)));
+    lines.push(pair('Desconto', `-${money(invoice.totals.discount)}`));
+    for (const tax of invoice.taxes) {
+      lines.push(pair(tax.description, money(tax.amount)));
+    }
+    if (invoice.shipping) {
+      lines.push(pair(`Frete (${invoice.shipping.name})`, money(invoice.shipping.cost)));
+    }
+    lines.push(line, pair('TOTAL DA NOTA', money(invoice.totals.total)));
+    if (invoice.discount.description) {
+      lines.push(line, `Desconto aplicado: ${invoice.discount.description}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  getContentType() {
+    return 'text/plain';
+  }
+
+  getFormat() {
+    return 'text';
+  }
+}
+
+/**
+ * ESTRATÉGIA CONCRETA 3: XML com o leiaute de campos da NF-e (versão 4.00)
+ *
+ * Segue os nomes e o agrupamento da NF-e (ide, emit, dest, det, total),
+ * mas não é assinado nem transmitido à SEFAZ.
+ */
+export class XmlInvoiceFormatStrategy extends IInvoiceFormatStrategy {
+  // Grupo e campos de cada imposto dentro de <imposto>
+  static TAX_GROUPS = {
+    icms: { tag: 'ICMS', rate: 'pICMS', amount: 'vICMS' },
+    ipi: { tag: 'IPI', rate: 'pIPI', amount: 'vIPI' },
+    iss: { tag: 'ISSQN', rate: 'vAliq', amount: 'vISSQN' }
+  };
+
+  render(invoice) {
+    const decimal = value => Number(value || 0).toFixed(2);
+    const tag = (name, value) => `<${name}>${escapeMarkup(value)}</${name}>`;
+    const taxTotal = type => Money.sum(invoice.taxes.filter(tax => tax.type === type).map(tax => tax.amount)).toNumber();
+    const digits = value => String(value ?? '').replace(/\D/g, '');
+
+    const recipient = invoice.recipient;
+    const address = recipient.address;
+    const dest = [
+      recipient.document ? tag(recipient.documentType === 'CNPJ' ? 'CNPJ' : 'CPF', digits(recipient.document)) : '',
+      tag('xNome', recipient.name),
+      address
+        ? '<enderDest>' +
+          tag('xLgr', address.street) + tag('nro', address.number) +
+          (address.complement ? tag('xCpl', address.complement) : '') +
+          tag('xBairro', address.district) + tag('xMun', address.city) + tag('UF', address.state) +
+          tag('CEP', address.zipCode) +
+          '</enderDest>'
+        : ''
+    ].join('');
+
+    const det = invoice.items.map(item => {
+      const taxes = item.taxes.map(tax => {
+        const group = XmlInvoiceFormatStrategy.TAX_GROUPS[tax.type] || { tag: tax.type.toUpperCase(), rate: 'pAliq', amount: 'vTrib' };
+        return `<${group.tag}>${tag('vBC', decimal(tax.base))}${tag(group.rate, decimal(tax.rate))}${tag(group.amount, decimal(tax.amount))}</${group.tag}>`;
+      }).join('');
+
+      return `<det nItem="${item.number}">` +
+        '<prod>' +
+        tag('cProd', item.sku || item.productId) + tag('xProd', item.description) + tag('uCom', item.unit) +
+        tag('qCom', Number(item.quantity).toFixed(4)) + tag('vUnCom', decimal(item.unitPrice)) +
+        tag('vProd', decimal(item.gross)) +
+        (item.discount > 0 ? tag('vDesc', decimal(item.discount)) : '') +
+        '</prod>' +
+        `<imposto>${taxes}</imposto>` +
+        '</det>';
+    }).join('');
+
+    const issTotal = taxTotal('iss');
+    const notes = [
+      invoice.discount.description && `Desconto aplicado: ${invoice.discount.description}`,
+      invoice.exchangeRate !== 1 && `Valores em ${invoice.currency} (cotação: ${invoice.exchangeRate} por unidade da moeda base)`
+    ].filter(Boolean);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<NFe xmlns="http://www.portalfiscal.inf.br/nfe">' +
+      `<infNFe Id="NFe${escapeMarkup(invoice.accessKey)}" versao="4.00">` +
+      '<ide>' +
+      tag('cUF', Invoice.STATE_CODES[invoice.issuer.state] || '') + tag('natOp', 'Venda de mercadoria') +
+      tag('mod', Invoice.MODEL) + tag('serie', invoice.series) + tag('nNF', invoice.number) +
+      tag('dhEmi', new Date(invoice.issuedAt).toISOString()) + tag('tpNF', 1) +
+      '</ide>' +
+      '<emit>' + tag('CNPJ', digits(invoice.issuer.document)) + tag('xNome', invoice.issuer.name) +
+      `<enderEmit>${tag('UF', invoice.issuer.state)}</enderEmit>` + '</emit>' +
+      `<dest>${dest}</dest>` +
+      det +
+      '<total><ICMSTot>' +
+      tag('vICMS', decimal(taxTotal('icms'))) + tag('vProd', decimal(invoice.totals.products)) +
+      tag('vFrete', decimal(invoice.totals.shipping)) + tag('vDesc', decimal(invoice.totals.discount)) +
+      tag('vIPI', decimal(taxTotal('ipi'))) + tag('vNF', decimal(invoice.totals.total)) +
+      '</ICMSTot>' +
+      (issTotal > 0 ? `<ISSQNtot>${tag('vISS', decimal(issTotal))}</ISSQNtot>` : '') +
+      '</total>' +
+      (invoice.shipping
+        ? `<transp>${tag('modFrete', 0)}${tag('xServ', invoice.shipping.name)}</transp>`
+        : `<transp>${tag('modFrete', 9)}</transp>`) +
+      (notes.length > 0 ? `<infAdic>${tag('infCpl', notes.join('; '))}</infAdic>` : '') +
+      '</infNFe>' +
+      '</NFe>\n';
+  }
+
+  getContentType() {
+    return 'application/xml';
+  }
+
+  getFormat() {
+    return 'xml';
+  }
+}
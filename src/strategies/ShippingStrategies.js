@@ -0,0 +1,175 @@
+import { IShippingStrategy } from './IShippingStrategy.js';
+import { Money } from '../models/Money.js';
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * PADRÃO STRATEGY
+ *
+ * Custos e valores mínimos estão na moeda base; o pedido converte a
+ * cotação para a sua moeda.
+ *
+ * Estratégia: Frete de valor fixo
+ */
+export class FlatRateShippingStrategy extends IShippingStrategy {
+  constructor(amount, estimatedDays = null) {
+    super();
+    if (typeof amount !== 'number' || amount < 0) {
+      throw new Error('Valor do frete fixo deve ser um número positivo');
+    }
+    this.amount = amount;
+    this.estimatedDays = estimatedDays;
+  }
+
+  quote() {
+    return { cost: this.amount, estimatedDays: this.estimatedDays };
+  }
+
+  getDescription() {
+    return this.amount === 0 ? 'Frete grátis' : `Frete fixo de ${Money.of(this.amount).format(AppConfig.currency.base)}`;
+  }
+
+  getType() {
+    return 'flat';
+  }
+
+  getParameters() {
+    return { amount: this.amount, estimatedDays: this.estimatedDays };
+  }
+}
+
+/**
+ * Estratégia: Frete por faixas de peso taxado (maior entre peso real e cúbico)
+ *
+ * Acima da última faixa, cada kg excedente custa extraPerKg.
+ */
+export class WeightTierShippingStrategy extends IShippingStrategy {
+  /**
+   * @param {Object[]} tiers - [{ maxWeight, cost }] em ordem crescente de peso
+   */
+  constructor(tiers, extraPerKg = 0, estimatedDays = null) {
+    super();
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new Error('Frete por peso precisa de ao menos uma faixa');
+    }
+    this.tiers = [...tiers].sort((a, b) => a.maxWeight - b.maxWeight);
+    this.extraPerKg = extraPerKg;
+    this.estimatedDays = estimatedDays;
+  }
+
+  quote(shipment) {
+    const weight = IShippingStrategy.getBillableWeight(shipment);
+    const tier = this.tiers.find(current => weight <= current.maxWeight);
+    if (tier) {
+      return { cost: tier.cost, estimatedDays: this.estimatedDays };
+    }
+
+    const last = this.tiers[this.tiers.length - 1];
+    const extraKg = Math.ceil(weight - last.maxWeight);
+    return { cost: last.cost + extraKg * this.extraPerKg, estimatedDays: this.estimatedDays };
+  }
+
+  getDescription() {
+    return `Frete por peso (${this.tiers.length} faixas)`;
+  }
+
+  getType() {
+    return 'weight-tier';
+  }
+
+  getParameters() {
+    return { tiers: this.tiers.map(tier => ({ ...tier })), extraPerKg: this.extraPerKg, estimatedDays: this.estimatedDays };
+  }
+}
+
+/**
+ * Estratégia: Frete por zonas de faixa de CEP
+ *
+ * Cada zona cobra um valor base mais perKg por kg taxado; CEPs fora das
+ * zonas não são atendidos.
+ */
+export class CepZoneShippingStrategy extends IShippingStrategy {
+  /**
+   * @param {Object[]} zones - [{ name, from, to, cost, perKg, estimatedDays }] (CEPs com 8 dígitos)
+   */
+  constructor(zones) {
+    super();
+    if (!Array.isArray(zones) || zones.length === 0) {
+      throw new Error('Frete por CEP precisa de ao menos uma zona');
+    }
+    for (const zone of zones) {
+      if (!/^\d{8}$/.test(zone.from) || !/^\d{8}$/.test(zone.to) || zone.from > zone.to) {
+        throw new Error(`Faixa de CEP inválida na zona ${zone.name}: ${zone.from}-${zone.to}`);
+      }
+    }
+    this.zones = zones;
+  }
+
+  quote(shipment) {
+    const zone = this.findZone(shipment.zipCode);
+    if (!zone) {
+      throw new Error(`CEP ${shipment.zipCode} fora da área de entrega`);
+    }
+
+    const weight = IShippingStrategy.getBillableWeight(shipment);
+    return {
+      cost: zone.cost + (zone.perKg || 0) * weight,
+      estimatedDays: zone.estimatedDays ?? null,
+      zone: zone.name
+    };
+  }
+
+  /**
+   * Zona que contém o CEP (comparação de texto: ambos têm 8 dígitos)
+   */
+  findZone(zipCode) {
+    return this.zones.find(zone => zipCode >= zone.from && zipCode <= zone.to) || null;
+  }
+
+  getDescription() {
+    return `Frete por região (${this.zones.length} zonas de CEP)`;
+  }
+
+  getType() {
+    return 'cep-zone';
+  }
+
+  getParameters() {
+    return { zones: this.zones.map(zone => ({ ...zone })) };
+  }
+}
+
+/**
+ * Estratégia: Frete grátis acima de um valor de pedido
+ *
+ * Abaixo do limite o frete é calculado pela estratégia base.
+ */
+export class FreeAboveThresholdShippingStrategy extends IShippingStrategy {
+  constructor(threshold, baseStrategy) {
+    super();
+    if (typeof threshold !== 'number' || threshold < 0) {
+      throw new Error('Valor mínimo para frete grátis deve ser um número positivo');
+    }
+    this.threshold = threshold;
+    this.baseStrategy = baseStrategy;
+  }
+
+  quote(shipment) {
+    const quote = this.baseStrategy.quote(shipment);
+    return shipment.orderValue >= this.threshold ? { ...quote, cost: 0 } : quote;
+  }
+
+  getDescription() {
+    return `${this.baseStrategy.getDescription()}, grátis acima de ${Money.of(this.threshold).format(AppConfig.currency.base)}`;
+  }
+
+  getType() {
+    return 'free-above';
+  }
+
+  getParameters() {
+    return {
+      threshold: this.threshold,
+      base: { type: this.baseStrategy.getType(), params: this.baseStrategy.getParameters() }
+    };
+  }
+}
@@ -0,0 +1,54 @@
+import { ITaxStrategy } from './ITaxStrategy.js';
+
+/**
+ * PADRÃO STRATEGY
+ *
+ * Estratégia: ICMS pela UF de destino e categoria fiscal do produto
+ */
+export class IcmsTaxStrategy extends ITaxStrategy {
+  getRate(taxCategory, { destinationState }) {
+    return this.rateTable.getIcmsRate(destinationState, taxCategory);
+  }
+
+  getType() {
+    return 'icms';
+  }
+
+  getDescription({ destinationState }) {
+    return `ICMS (destino ${destinationState})`;
+  }
+}
+
+/**
+ * Estratégia: IPI sobre produtos industrializados, pela categoria fiscal
+ */
+export class IpiTaxStrategy extends ITaxStrategy {
+  getRate(taxCategory) {
+    return this.rateTable.getIpiRate(taxCategory);
+  }
+
+  getType() {
+    return 'ipi';
+  }
+
+  getDescription() {
+    return 'IPI';
+  }
+}
+
+/**
+ * Estratégia: ISS sobre serviços, pela categoria fiscal
+ */
+export class IssTaxStrategy extends ITaxStrategy {
+  getRate(taxCategory) {
+    return this.rateTable.getIssRate(taxCategory);
+  }
+
+  getType() {
+    return 'iss';
+  }
+
+  getDescription() {
+    return 'ISS';
+  }
+}
@@ -1,4 +1,8 @@
 import { IValidationStrategy } from './IValidationStrategy.js';
+import { CpfCnpj } from '../utils/CpfCnpj.js';
+import { Money } from '../models/Money.js';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { Coupon } from '../models/Coupon.js';
 
 /**
  * PADRÃO STRATEGY
@@ -21,12 +25,14 @@ export class ProductValidationStrategy extends IValidationStrategy {
     // Validação do preço
     if (productData.price === undefined || productData.price === null) {
       errors.push('Preço é obrigatório');
-    } else if (typeof productData.price !== 'number') {
+    } else if (typeof productData.price !== 'number' || !Number.isFinite(productData.price)) {
       errors.push('Preço deve ser um número');
     } else if (productData.price < 0) {
       errors.push('Preço não pode ser negativo');
     } else if (productData.price === 0) {
       errors.push('Preço deve ser maior que zero');
+    } else if (Money.of(productData.price).toNumber() !== productData.price) {
+      errors.push('Preço deve ter no máximo 2 casas decimais');
     }
 
     // Validação do estoque
@@ -48,6 +54,24 @@ export class ProductValidationStrategy extends IValidationStrategy {
       errors.push('Descrição deve ter no máximo 500 caracteres');
     }
 
+    // Encomenda sem estoque (opcional)
+    if (productData.allowBackorder !== undefined && typeof productData.allowBackorder !== 'boolean') {
+      errors.push('allowBackorder deve ser verdadeiro ou falso');
+    }
+
+    // Código do produto (opcional)
+    if (productData.sku !== undefined && typeof productData.sku !== 'string') {
+      errors.push('SKU deve ser um texto');
+    }
+
+    // Categoria fiscal (opcional; padrão: a categoria do produto)
+    if (productData.taxCategory !== undefined && typeof productData.taxCategory !== 'string') {
+      errors.push('Categoria fiscal deve ser um texto');
+    }
+
+    // Peso e dimensões para o frete (opcionais)
+    validateMeasurements(productData, errors);
+
     return {
       isValid: errors.length === 0,
       errors
@@ -62,16 +86,32 @@ export class OrderValidationStrategy extends IValidationStrategy {
   validate(orderData) {
     const errors = [];
 
-    // Validação do ID do cliente
+    // Validação do ID do cliente (nome e demais dados vêm do cadastro)
     if (!orderData.customerId) {
       errors.push('ID do cliente é obrigatório');
     }
 
-    // Validação do nome do cliente
-    if (!orderData.customerName || orderData.customerName.trim().length === 0) {
-      errors.push('Nome do cliente é obrigatório');
-    } else if (orderData.customerName.length < 3) {
-      errors.push('Nome do cliente deve ter no mínimo 3 caracteres');
+    // UF de destino (opcional; padrão: endereço de entrega ou principal do cliente)
+    if (orderData.destinationState !== undefined && !STATES.includes(String(orderData.destinationState).toUpperCase())) {
+      errors.push('UF de destino inválida');
+    }
+
+    // Moeda (opcional; padrão: moeda base)
+    if (orderData.currency !== undefined && !ExchangeRate.isValidCode(ExchangeRate.normalizeCode(orderData.currency))) {
+      errors.push('Moeda deve ser um código ISO 4217 (ex.: USD)');
+    }
+
+    // Cupom (opcional; as condições vêm do cadastro, não do pedido)
+    if (orderData.couponCode !== undefined && typeof orderData.couponCode !== 'string') {
+      errors.push('Código do cupom deve ser um texto');
+    }
+
+    // Entrega (opcional; o endereço padrão é o principal do cliente)
+    if (orderData.shippingMethod !== undefined && typeof orderData.shippingMethod !== 'string') {
+      errors.push('Método de entrega deve ser um texto');
+    }
+    if (orderData.shippingAddress !== undefined) {
+      validateAddress(orderData.shippingAddress, 'Endereço de entrega', errors);
     }
 
     // Validação dos itens
@@ -92,6 +132,11 @@ export class OrderValidationStrategy extends IValidationStrategy {
           errors.push(`Item ${index + 1}: Quantidade deve ser um número inteiro`);
         }
       });
+
+      const productIds = orderData.items.map(item => Number(item.productId));
+      if (new Set(productIds).size !== productIds.length) {
+        errors.push('Cada produto deve aparecer uma única vez no pedido');
+      }
     }
 
     return {
@@ -120,12 +165,14 @@ export class ProductUpdateValidationStrategy extends IValidationStrategy {
     }
 
     if (updateData.price !== undefined) {
-      if (typeof updateData.price !== 'number') {
+      if (typeof updateData.price !== 'number' || !Number.isFinite(updateData.price)) {
         errors.push('Preço deve ser um número');
       } else if (updateData.price < 0) {
         errors.push('Preço não pode ser negativo');
       } else if (updateData.price === 0) {
         errors.push('Preço deve ser maior que zero');
+      } else if (Money.of(updateData.price).toNumber() !== updateData.price) {
+        errors.push('Preço deve ter no máximo 2 casas decimais');
       }
     }
 
@@ -147,6 +194,360 @@ export class ProductUpdateValidationStrategy extends IValidationStrategy {
       errors.push('Descrição deve ter no máximo 500 caracteres');
       }
 
+    if (updateData.allowBackorder !== undefined && typeof updateData.allowBackorder !== 'boolean') {
+      errors.push('allowBackorder deve ser verdadeiro ou falso');
+    }
+
+    if (updateData.sku !== undefined && updateData.sku !== null && typeof updateData.sku !== 'string') {
+      errors.push('SKU deve ser um texto');
+    }
+
+    if (updateData.taxCategory !== undefined && updateData.taxCategory !== null && typeof updateData.taxCategory !== 'string') {
+      errors.push('Categoria fiscal deve ser um texto');
+    }
+
+    validateMeasurements(updateData, errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const STATES = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+  'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+/**
+ * Valida a lista de endereços de um cliente
+ */
+function validateAddresses(addresses, errors) {
+  if (!Array.isArray(addresses)) {
+    errors.push('Endereços devem ser uma lista');
+    return;
+  }
+
+  addresses.forEach((address, index) => validateAddress(address, `Endereço ${index + 1}`, errors));
+}
+
+/**
+ * Valida um endereço (cadastro do cliente ou entrega do pedido)
+ */
+function validateAddress(address, prefix, errors) {
+  if (!address || typeof address !== 'object') {
+    errors.push(`${prefix}: formato inválido`);
+    return;
+  }
+  if (!address.street || String(address.street).trim().length === 0) {
+    errors.push(`${prefix}: logradouro é obrigatório`);
+  }
+  if (address.number === undefined || String(address.number).trim().length === 0) {
+    errors.push(`${prefix}: número é obrigatório`);
+  }
+  if (!address.city || String(address.city).trim().length === 0) {
+    errors.push(`${prefix}: cidade é obrigatória`);
+  }
+  if (!STATES.includes(String(address.state ?? '').toUpperCase())) {
+    errors.push(`${prefix}: UF inválida`);
+  }
+  if (String(address.zipCode ?? '').replace(/\D/g, '').length !== 8) {
+    errors.push(`${prefix}: CEP deve ter 8 dígitos`);
+  }
+}
+
+/**
+ * Valida peso (kg) e dimensões (cm) de um produto, quando informados
+ */
+function validateMeasurements(data, errors) {
+  if (data.weight !== undefined && (typeof data.weight !== 'number' || data.weight < 0)) {
+    errors.push('Peso deve ser um número não negativo (kg)');
+  }
+
+  if (data.dimensions !== undefined && data.dimensions !== null) {
+    const { length, width, height } = data.dimensions;
+    if (![length, width, height].every(value => typeof value === 'number' && value > 0)) {
+      errors.push('Dimensões devem ter comprimento, largura e altura positivos (cm)');
+    }
+  }
+}
+
+/**
+ * Estratégia de validação para clientes
+ */
+export class CustomerValidationStrategy extends IValidationStrategy {
+  validate(customerData) {
+    const errors = [];
+
+    // Validação do nome
+    if (!customerData.name || customerData.name.trim().length === 0) {
+      errors.push('Nome do cliente é obrigatório');
+    } else if (customerData.name.length < 3) {
+      errors.push('Nome do cliente deve ter no mínimo 3 caracteres');
+    } else if (customerData.name.length > 100) {
+      errors.push('Nome do cliente deve ter no máximo 100 caracteres');
+    }
+
+    // Validação do e-mail
+    if (!customerData.email) {
+      errors.push('E-mail é obrigatório');
+    } else if (!EMAIL_PATTERN.test(String(customerData.email).trim())) {
+      errors.push('E-mail inválido');
+    }
+
+    // Validação do documento (CPF ou CNPJ)
+    if (!customerData.document) {
+      errors.push('Documento (CPF/CNPJ) é obrigatório');
+    } else if (!CpfCnpj.isValid(customerData.document)) {
+      errors.push('Documento inválido: informe um CPF ou CNPJ válido');
+    }
+
+    // Validação do telefone (opcional, DDD + número)
+    if (customerData.phone) {
+      const digits = String(customerData.phone).replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 11) {
+        errors.push('Telefone deve ter DDD e 8 ou 9 dígitos');
+      }
+    }
+
+    // Validação dos endereços (opcionais)
+    if (customerData.addresses !== undefined) {
+      validateAddresses(customerData.addresses, errors);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Estratégia de validação para atualização de cliente
+ */
+export class CustomerUpdateValidationStrategy extends IValidationStrategy {
+  validate(updateData) {
+    const errors = [];
+
+    // Para update, os campos são opcionais, mas se fornecidos devem ser válidos
+    if (updateData.name !== undefined) {
+      if (updateData.name.trim().length === 0) {
+        errors.push('Nome não pode ser vazio');
+      } else if (updateData.name.length < 3) {
+        errors.push('Nome deve ter no mínimo 3 caracteres');
+      } else if (updateData.name.length > 100) {
+        errors.push('Nome deve ter no máximo 100 caracteres');
+      }
+    }
+
+    if (updateData.email !== undefined && !EMAIL_PATTERN.test(String(updateData.email).trim())) {
+      errors.push('E-mail inválido');
+    }
+
+    if (updateData.document !== undefined && !CpfCnpj.isValid(updateData.document)) {
+      errors.push('Documento inválido: informe um CPF ou CNPJ válido');
+    }
+
+    if (updateData.phone) {
+      const digits = String(updateData.phone).replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 11) {
+        errors.push('Telefone deve ter DDD e 8 ou 9 dígitos');
+      }
+    }
+
+    if (updateData.addresses !== undefined) {
+      validateAddresses(updateData.addresses, errors);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Confere o dígito verificador do número do cartão (algoritmo de Luhn)
+ */
+function isValidCardNumber(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Estratégia de validação para pagamentos
+ * (dados do cartão só são exigidos no método 'card')
+ */
+export class PaymentValidationStrategy extends IValidationStrategy {
+  validate(paymentData) {
+    const errors = [];
+
+    if (!paymentData.method || typeof paymentData.method !== 'string') {
+      errors.push('Método de pagamento é obrigatório');
+    }
+
+    if (paymentData.method === 'card') {
+      const card = paymentData.card;
+      if (!card || typeof card !== 'object') {
+        errors.push('Dados do cartão são obrigatórios');
+      } else {
+        const digits = String(card.number ?? '').replace(/[\s-]/g, '');
+        if (!/^\d{13,19}$/.test(digits) || !isValidCardNumber(digits)) {
+          errors.push('Número do cartão inválido');
+        }
+
+        if (!card.holder || String(card.holder).trim().length === 0) {
+          errors.push('Nome do titular é obrigatório');
+        }
+
+        // Validade MM/AA ou MM/AAAA, aceita até o fim do mês
+        const expiry = /^(\d{2})\/(\d{2}|\d{4})$/.exec(String(card.expiry ?? ''));
+        const month = expiry && Number(expiry[1]);
+        if (!expiry || month < 1 || month > 12) {
+          errors.push('Validade do cartão deve estar no formato MM/AA');
+        } else {
+          const year = expiry[2].length === 2 ? 2000 + Number(expiry[2]) : Number(expiry[2]);
+          if (new Date(year, month, 1) <= new Date()) {
+            errors.push('Cartão vencido');
+          }
+        }
+
+        if (!/^\d{3,4}$/.test(String(card.cvv ?? ''))) {
+          errors.push('CVV deve ter 3 ou 4 dígitos');
+        }
+      }
+
+      if (paymentData.installments !== undefined &&
+          (!Number.isInteger(paymentData.installments) || paymentData.installments < 1 || paymentData.installments > 12)) {
+        errors.push('Parcelas devem ser um número inteiro entre 1 e 12');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Estratégia de validação para cotações de moedas
+ * (rate = unidades da moeda por 1 unidade da moeda base)
+ */
+export class ExchangeRateValidationStrategy extends IValidationStrategy {
+  validate(rateData) {
+    const errors = [];
+
+    if (rateData.rate === undefined || rateData.rate === null) {
+      errors.push('Cotação é obrigatória');
+    } else if (typeof rateData.rate !== 'number' || !Number.isFinite(rateData.rate)) {
+      errors.push('Cotação deve ser um número');
+    } else if (rateData.rate <= 0) {
+      errors.push('Cotação deve ser maior que zero');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Condições opcionais de um cupom (comuns ao cadastro e à alteração)
+ */
+function validateCouponTerms(couponData, errors) {
+  if (couponData.discountPercentage !== undefined) {
+    if (typeof couponData.discountPercentage !== 'number' || !Number.isFinite(couponData.discountPercentage)) {
+      errors.push('Percentual de desconto deve ser um número');
+    } else if (couponData.discountPercentage <= 0 || couponData.discountPercentage > 100) {
+      errors.push('Percentual de desconto deve estar entre 0 e 100');
+    }
+  }
+
+  if (couponData.description !== undefined && couponData.description !== null &&
+      (typeof couponData.description !== 'string' || couponData.description.length > 200)) {
+    errors.push('Descrição deve ser um texto de no máximo 200 caracteres');
+  }
+
+  if (couponData.minOrderValue !== undefined && couponData.minOrderValue !== null &&
+      (typeof couponData.minOrderValue !== 'number' || !Number.isFinite(couponData.minOrderValue) || couponData.minOrderValue < 0)) {
+    errors.push('Valor mínimo do pedido deve ser um número maior ou igual a zero');
+  }
+
+  if (couponData.allowedCategories !== undefined && couponData.allowedCategories !== null &&
+      (!Array.isArray(couponData.allowedCategories) ||
+       couponData.allowedCategories.some(category => typeof category !== 'string' || category.trim().length === 0))) {
+    errors.push('Categorias permitidas devem ser uma lista de textos');
+  }
+
+  for (const field of ['validFrom', 'validUntil']) {
+    const value = couponData[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+      errors.push(`${field} deve ser uma data (ISO 8601)`);
+    }
+  }
+  if (couponData.validFrom && couponData.validUntil &&
+      Date.parse(couponData.validUntil) <= Date.parse(couponData.validFrom)) {
+    errors.push('validUntil deve ser posterior a validFrom');
+  }
+
+  for (const field of ['maxRedemptions', 'maxRedemptionsPerCustomer']) {
+    const value = couponData[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`${field} deve ser um número inteiro maior que zero`);
+    }
+  }
+}
+
+/**
+ * Estratégia de validação para cadastro de cupons
+ */
+export class CouponValidationStrategy extends IValidationStrategy {
+  validate(couponData) {
+    const errors = [];
+
+    if (!Coupon.isValidCode(Coupon.normalizeCode(couponData.code))) {
+      errors.push('Código do cupom deve ter de 3 a 30 letras, dígitos, "-" ou "_"');
+    }
+    if (couponData.discountPercentage === undefined || couponData.discountPercentage === null) {
+      errors.push('Percentual de desconto é obrigatório');
+    }
+    validateCouponTerms(couponData, errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Estratégia de validação para alteração de cupons
+ * (o código não muda; os demais campos são opcionais)
+ */
+export class CouponUpdateValidationStrategy extends IValidationStrategy {
+  validate(updateData) {
+    const errors = [];
+
+    if (updateData.code !== undefined) {
+      errors.push('O código do cupom não pode ser alterado');
+    }
+    if (updateData.discountPercentage === null) {
+      errors.push('Percentual de desconto é obrigatório');
+    }
+    validateCouponTerms(updateData, errors);
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,75 @@
+/**
+ * Normalização e validação de documentos brasileiros (CPF e CNPJ)
+ */
+export class CpfCnpj {
+  /**
+   * Mantém apenas os dígitos ("123.456.789-09" -> "12345678909")
+   */
+  static normalize(value) {
+    return String(value ?? '').replace(/\D/g, '');
+  }
+
+  /**
+   * Tipo do documento pelo número de dígitos ('CPF', 'CNPJ' ou null)
+   */
+  static typeOf(value) {
+    const digits = CpfCnpj.normalize(value);
+    if (digits.length === 11) return 'CPF';
+    if (digits.length === 14) return 'CNPJ';
+    return null;
+  }
+
+  /**
+   * Valida CPF ou CNPJ, incluindo os dígitos verificadores
+   */
+  static isValid(value) {
+    const digits = CpfCnpj.normalize(value);
+
+    // Sequências repetidas (000.000.000-00) passam no cálculo, mas não são válidas
+    if (/^(\d)\1*$/.test(digits)) {
+      return false;
+    }
+
+    switch (CpfCnpj.typeOf(digits)) {
+      case 'CPF':
+        return CpfCnpj.#checkDigits(digits, 9, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+      case 'CNPJ':
+        return CpfCnpj.#checkDigits(digits, 12, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Formata para exibição (000.000.000-00 / 00.000.000/0000-00)
+   */
+  static format(value) {
+    const digits = CpfCnpj.normalize(value);
+    switch (CpfCnpj.typeOf(digits)) {
+      case 'CPF':
+        return digits.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+      case 'CNPJ':
+        return digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+      default:
+        return digits;
+    }
+  }
+
+  /**
+   * Confere os dois dígitos verificadores (módulo 11)
+   * @param {string} digits - Documento só com dígitos
+   * @param {number} baseLength - Quantidade de dígitos antes dos verificadores
+   * @param {number[]} weights - Pesos do primeiro dígito (o segundo usa [peso inicial + 1, ...weights])
+   */
+  static #checkDigits(digits, baseLength, weights) {
+    const verifier = (base, weightList) => {
+      const sum = [...base].reduce((total, digit, i) => total + Number(digit) * weightList[i], 0);
+      const rest = sum % 11;
+      return rest < 2 ? 0 : 11 - rest;
+    };
+
+    const first = verifier(digits.slice(0, baseLength), weights);
+    const second = verifier(digits.slice(0, baseLength + 1), [weights[0] + 1, ...weights]);
+    return first === Number(digits[baseLength]) && second === Number(digits[baseLength + 1]);
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Conversão entre a versão das entidades e os cabeçalhos ETag / If-Match
+ */
+export class ETag {
+  /**
+   * Gera o valor do cabeçalho ETag para uma versão
+   */
+  static fromVersion(version) {
+    return `"${version}"`;
+  }
+
+  /**
+   * Extrai a versão esperada do cabeçalho If-Match
+   * @returns {number|undefined} undefined quando não há pré-condição;
+   *          NaN quando o valor não corresponde a nenhuma versão
+   */
+  static parseIfMatch(header) {
+    if (header === undefined || header.trim() === '*') {
+      return undefined;
+    }
+    const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+}
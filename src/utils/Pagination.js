@@ -0,0 +1,56 @@
+/**
+ * Monta o envelope das listagens paginadas (dados, totais e links)
+ */
+export class Pagination {
+  /**
+   * @param {Object} req - Requisição Express (para montar os links)
+   * @param {QuerySpec} spec - Especificação usada na consulta
+   * @param {Object} result - { items, total, nextCursor } retornado pelo repositório
+   */
+  static toResponse(req, spec, result) {
+    return {
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      total: result.total,
+      limit: spec.limit,
+      page: spec.cursor ? null : spec.page,
+      nextCursor: result.nextCursor,
+      links: Pagination.buildLinks(req, spec, result)
+    };
+  }
+
+  /**
+   * Links de navegação (self, first, prev, next, last)
+   * Em modo cursor não há prev/last: o cursor só anda para frente.
+   */
+  static buildLinks(req, spec, result) {
+    const link = overrides => {
+      const params = { ...req.query, ...overrides };
+      const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+      );
+      const path = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+      return `${path}?${query}`;
+    };
+
+    if (spec.cursor) {
+      return {
+        self: link({}),
+        first: link({ cursor: undefined, page: undefined }),
+        prev: null,
+        next: result.nextCursor ? link({ cursor: result.nextCursor }) : null,
+        last: null
+      };
+    }
+
+    const lastPage = Math.max(1, Math.ceil(result.total / spec.limit));
+    return {
+      self: link({}),
+      first: link({ page: 1 }),
+      prev: spec.page > 1 ? link({ page: spec.page - 1 }) : null,
+      next: spec.page < lastPage ? link({ page: spec.page + 1 }) : null,
+      last: link({ page: lastPage })
+    };
+  }
+}